@@ -8,6 +8,7 @@
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import CSVIngestionModule from './csv-ingestion-module';
+import { ProductMatcher } from './product-matching-module';
 
 /**
  * Context provider for CSV data access throughout the application
@@ -23,7 +24,16 @@ export const CSVDataContext = React.createContext({
   availableVendors: [],
   availableMaterials: [],
   availableColors: [],
-  availableThicknesses: []
+  availableThicknesses: [],
+  importReports: [],
+  getImportJobs: () => [],
+  rollbackSource: () => {},
+  getHeldImports: () => [],
+  releaseHeldImport: () => {},
+  productMatcher: null,
+  productGroups: [],
+  aliasVersion: 0,
+  addProductAlias: () => {}
 });
 
 /**
@@ -34,12 +44,15 @@ export const CSVDataContext = React.createContext({
  */
 export function CSVDataProvider({ csvConfig, children }) {
   const [csvModule] = useState(() => new CSVIngestionModule(csvConfig));
+  const [productMatcher] = useState(() => new ProductMatcher(csvConfig.matching));
+  const [aliasVersion, setAliasVersion] = useState(0);
   const [allData, setAllData] = useState([]);
   const [vendorData, setVendorData] = useState({});
   const [currentVendor, setCurrentVendor] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [availableVendors, setAvailableVendors] = useState([]);
+  const [importReports, setImportReports] = useState([]);
   
   // Initialize CSV sources
   useEffect(() => {
@@ -107,6 +120,9 @@ export function CSVDataProvider({ csvConfig, children }) {
       });
       setVendorData(vendorDataMap);
       
+      // Rejected rows and broken sheets, so they are seen before a customer sees them
+      setImportReports(csvModule.getImportReports());
+      
       setError(null);
     } catch (err) {
       console.error('Failed to refresh data:', err);
@@ -130,6 +146,34 @@ export function CSVDataProvider({ csvConfig, children }) {
     }
   }, [refreshAllData]);
   
+  // Put a vendor's products back to an earlier import; subscribers refresh through the module's listener
+  const rollbackSource = useCallback((sourceId, jobId) => {
+    try {
+      csvModule.rollbackSource(sourceId, jobId);
+    } catch (err) {
+      console.error('Failed to roll back source:', err);
+      setError(`Failed to roll back product data: ${err.message}`);
+    }
+  }, []);
+  
+  // Let uploads held back by a rollback in again; nothing is re-fetched, so re-render through state
+  const [heldVersion, setHeldVersion] = useState(0);
+  const releaseHeldImport = useCallback((sourceId, contentHash) => {
+    csvModule.releaseHeldImport(sourceId, contentHash);
+    setHeldVersion(version => version + 1);
+  }, []);
+  
+  // Curate the names that mean the same color across vendors; the version re-groups search results
+  const addProductAlias = useCallback((alias, colorName) => {
+    productMatcher.addAlias(alias, colorName);
+    setAliasVersion(version => version + 1);
+  }, []);
+  
+  // The whole catalog grouped once per data or alias change; searches filter these groups
+  const productGroups = useMemo(() => {
+    return productMatcher.groupProducts(allData);
+  }, [allData, aliasVersion]);
+  
   // Compute available materials, colors, and thicknesses based on current vendor
   const availableMaterials = useMemo(() => {
     if (!currentVendor || !vendorData[currentVendor]) return ['All Materials'];
@@ -188,7 +232,17 @@ export function CSVDataProvider({ csvConfig, children }) {
     availableVendors,
     availableMaterials,
     availableColors,
-    availableThicknesses
+    availableThicknesses,
+    importReports,
+    getImportJobs: csvModule.getImportJobs,
+    rollbackSource,
+    getHeldImports: csvModule.getHeldImports,
+    releaseHeldImport,
+    heldVersion,
+    productMatcher,
+    productGroups,
+    aliasVersion,
+    addProductAlias
   };
   
   return (
@@ -221,10 +275,13 @@ export function ProductSearch({ onProductSelect }) {
     setCurrentVendor,
     isLoading, 
     error,
+    refreshData,
     availableVendors,
     availableMaterials,
     availableColors,
-    availableThicknesses
+    availableThicknesses,
+    productMatcher,
+    productGroups: catalogGroups
   } = useCSVData();
   
   const [searchQuery, setSearchQuery] = useState('');
@@ -289,6 +346,15 @@ export function ProductSearch({ onProductSelect }) {
     return products;
   }, [allData, vendorData, filters, searchQuery]);
   
+  // Each color once, with every vendor offering it
+  const productGroups = useMemo(() => {
+    if (!productMatcher) return [];
+    if (filteredProducts === allData) return catalogGroups;
+    
+    const shown = new Set(filteredProducts.map(product => product.id));
+    return productMatcher.filterGroups(catalogGroups, product => shown.has(product.id));
+  }, [productMatcher, catalogGroups, filteredProducts, allData]);
+  
   // Count active filters
   const activeFiltersCount = useMemo(() => {
     let count = 0;
@@ -420,15 +486,14 @@ export function ProductSearch({ onProductSelect }) {
         ) : (
           <>
             <p className="results-count">
-              Found {filteredProducts.length} product{filteredProducts.length !== 1 ? 's' : ''}
+              Found {productGroups.length} color{productGroups.length !== 1 ? 's' : ''} in {filteredProducts.length} product{filteredProducts.length !== 1 ? 's' : ''}
             </p>
             <div className="product-grid">
-              {filteredProducts.map(product => (
-                <ProductCard 
-                  key={product.id} 
-                  product={product} 
+              {productGroups.map(group => (
+                <ProductComparison 
+                  key={group.id} 
+                  group={group} 
                   onSelect={onProductSelect}
-                  highlightText={searchQuery}
                 />
               ))}
             </div>
@@ -514,6 +579,83 @@ export function ProductCard({ product, onSelect, highlightText }) {
   );
 }
 
+/**
+ * Product Comparison component
+ *
+ * Shows one color with each vendor's price per thickness side by side, the
+ * cheapest offer for each thickness marked. A vendor with several products
+ * of one thickness, such as two finishes, has each listed by name.
+ */
+export function ProductComparison({ group, onSelect }) {
+  const formatPrice = (product) => {
+    return typeof product.installedPricePerSqFt === 'number' && !isNaN(product.installedPricePerSqFt)
+      ? `$${product.installedPricePerSqFt.toFixed(2)}/sq ft`
+      : 'Call for price';
+  };
+  
+  return (
+    <div className="product-comparison">
+      <div className="product-header">
+        <h3 className="product-title">{group.colorName}</h3>
+        <span className="product-material">{group.material}</span>
+      </div>
+      
+      {group.names.length > 1 && (
+        <p className="product-aliases">
+          Also sold as: {group.names.filter(name => name !== group.colorName).join(', ')}
+        </p>
+      )}
+      
+      <table className="vendor-comparison">
+        <thead>
+          <tr>
+            <th scope="col">Vendor</th>
+            {group.thicknesses.map(thickness => (
+              <th scope="col" key={String(thickness)}>{thickness || 'N/A'}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {group.vendors.map(vendor => (
+            <tr key={vendor.sourceId || vendor.vendorName}>
+              <th scope="row">{vendor.vendorName}</th>
+              {group.thicknesses.map(thickness => {
+                const offers = vendor.products[thickness] || [];
+                
+                if (offers.length === 0) {
+                  return <td key={String(thickness)} className="not-offered">—</td>;
+                }
+                
+                return (
+                  <td key={String(thickness)}>
+                    {offers.map(product => {
+                      const isCheapest = group.products.length > 1 && group.cheapest[thickness] === product;
+                      
+                      return (
+                        <div key={product.id} className={isCheapest ? 'vendor-offer cheapest' : 'vendor-offer'}>
+                          {offers.length > 1 && <span className="offer-name">{product.colorName}</span>}
+                          <button 
+                            className="select-button"
+                            onClick={() => onSelect(product)}
+                            aria-label={`Select ${product.colorName} ${thickness || ''} from ${vendor.vendorName}`}
+                          >
+                            {formatPrice(product)}
+                          </button>
+                          {isCheapest && <span className="cheapest-badge">Lowest</span>}
+                        </div>
+                      );
+                    })}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 /**
  * Data Refresh Indicator component
  */
@@ -567,11 +709,198 @@ export function CSVDataStatistics() {
   );
 }
 
+/**
+ * Import History component
+ *
+ * Lists each vendor's CSV imports with what they changed, and rolls a
+ * vendor back to an earlier import in one click.
+ */
+export function ImportHistory({ sourceId }) {
+  const {
+    availableVendors,
+    getImportJobs,
+    rollbackSource,
+    getHeldImports,
+    releaseHeldImport
+  } = useCSVData();
+  
+  const vendors = sourceId
+    ? availableVendors.filter(vendor => vendor.id === sourceId)
+    : availableVendors;
+  
+  const describeChanges = (job) => {
+    if (!job.diff) return '—';
+    const { added, removed, repriced } = job.diff.counts;
+    return `+${added} / −${removed} / ${repriced} repriced`;
+  };
+  
+  return (
+    <div className="import-history">
+      <h3>Import History</h3>
+      
+      {vendors.map(vendor => {
+        const jobs = getImportJobs(vendor.id);
+        const held = getHeldImports(vendor.id);
+        
+        // Jobs are newest first; the first with a snapshot is the data in effect
+        const current = jobs.find(job => job.snapshotId);
+        const previous = current && jobs.find(job => job.snapshotId && job.snapshotId !== current.snapshotId);
+        
+        return (
+          <section key={vendor.id} className="import-history-vendor">
+            <div className="import-history-header">
+              <h4>{vendor.name}</h4>
+              {previous && (
+                <button 
+                  className="rollback-button"
+                  onClick={() => rollbackSource(vendor.id, previous.id)}
+                >
+                  Undo last import
+                </button>
+              )}
+            </div>
+            
+            {held.length > 0 && (
+              <p className="held-imports">
+                {held.length} rolled-back upload{held.length !== 1 ? 's are' : ' is'} kept out of refreshes.
+                <button onClick={() => releaseHeldImport(vendor.id)}>Allow again</button>
+              </p>
+            )}
+            
+            {jobs.length === 0 ? (
+              <p className="no-results">No imports yet.</p>
+            ) : (
+              <table className="import-jobs">
+                <thead>
+                  <tr>
+                    <th scope="col">Date</th>
+                    <th scope="col">Job</th>
+                    <th scope="col">Rows</th>
+                    <th scope="col">Products</th>
+                    <th scope="col">Changes</th>
+                    <th scope="col"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map(job => (
+                    <tr key={job.id} className={`import-job ${job.status}`}>
+                      <td>
+                        {new Date(job.createdAt).toLocaleString()}
+                        {job.lastCheckedAt && (
+                          <small className="last-checked">
+                            Checked again {new Date(job.lastCheckedAt).toLocaleString()}
+                          </small>
+                        )}
+                      </td>
+                      <td>{job.type === 'rollback' ? 'Rollback' : 'Import'} ({job.status})</td>
+                      <td>{job.counts ? `${job.counts.accepted} of ${job.counts.total} accepted` : '—'}</td>
+                      <td>{job.itemCount !== null ? job.itemCount : '—'}</td>
+                      <td>{describeChanges(job)}</td>
+                      <td>
+                        {job.snapshotId && current && job.snapshotId === current.snapshotId ? (
+                          <span className="current-badge">Current</span>
+                        ) : job.snapshotId ? (
+                          <button 
+                            className="rollback-button"
+                            onClick={() => rollbackSource(vendor.id, job.id)}
+                          >
+                            Roll back to this
+                          </button>
+                        ) : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Import Report component
+ *
+ * Shows what each vendor's latest CSV import left out or flagged: problems
+ * with the sheet as a whole, then every rejected and warning row with its
+ * line number, so the sheet can be fixed before customers see the gaps.
+ */
+export function ImportReport({ sourceId }) {
+  const { importReports } = useCSVData();
+  
+  const reports = sourceId
+    ? importReports.filter(report => report.sourceId === sourceId)
+    : importReports;
+  
+  const describeIssues = (issues) => issues.map(issue => {
+    return issue.column ? `${issue.column}: ${issue.message}` : issue.message;
+  }).join('; ');
+  
+  const renderRows = (rows, title, className) => rows.length > 0 && (
+    <table className={`import-report-rows ${className}`}>
+      <caption>{title}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Line</th>
+          <th scope="col">Problem</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.line}>
+            <td>{row.line}</td>
+            <td>{describeIssues(row.issues)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+  
+  return (
+    <div className="import-report">
+      <h3>Import Report</h3>
+      
+      {reports.length === 0 ? (
+        <p className="no-results">No imports yet.</p>
+      ) : reports.map(report => (
+        <section key={report.sourceId} className={`import-report-vendor ${report.status}`}>
+          <h4>{report.sourceName}</h4>
+          <p className="import-report-summary">
+            {new Date(report.importedAt).toLocaleString()}: {report.summary}
+          </p>
+          
+          {report.fileIssues.length > 0 && (
+            <ul className="import-report-file-issues">
+              {report.fileIssues.map(issue => (
+                <li key={`${issue.field}-${issue.message}`} className={issue.severity}>{issue.message}</li>
+              ))}
+            </ul>
+          )}
+          
+          {renderRows(report.rejected, 'Rejected rows', 'rejected')}
+          {renderRows(report.warnings, 'Rows imported with warnings', 'warnings')}
+          
+          {report.truncated && (
+            <p className="import-report-truncated">
+              Only the first rows of each list are shown.
+            </p>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
+
 export default {
   CSVDataProvider,
   useCSVData,
   ProductSearch,
   ProductCard,
+  ProductComparison,
   DataRefreshIndicator,
-  CSVDataStatistics
+  CSVDataStatistics,
+  ImportHistory,
+  ImportReport
 };
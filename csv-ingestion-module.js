@@ -6,6 +6,36 @@
  * and extensible data transformations.
  */
 
+/**
+ * Schema applied to every source. A source's own schema adds fields or
+ * overrides these rules. Each rule may give:
+ * - required: rows without a value are rejected
+ * - type: 'string', 'number', 'price' or 'boolean'
+ * - allowedValues: accepted values, matched without regard to case
+ * - min / max: range for numbers and prices
+ * - pattern: regular expression a string must match
+ * - severity: 'error' rejects the row, 'warning' keeps it; defaults to
+ *   'error' for required fields and 'warning' otherwise
+ */
+const DEFAULT_SOURCE_SCHEMA = {
+  fields: {
+    colorName: { required: true, type: 'string' },
+    material: { required: true, type: 'string' },
+    installedPricePerSqFt: { type: 'price', min: 0 }
+  }
+};
+
+// Fields identifying a product when a source does not name its own, such as a SKU column
+const DEFAULT_NATURAL_KEY = ['material', 'normalizedColorName', 'thickness'];
+
+// Price change event types passed to subscribe() listeners
+const PRICE_EVENTS = {
+  INCREASED: 'price-increased',
+  DECREASED: 'price-decreased',
+  DISCONTINUED: 'item-discontinued',
+  NEW_ITEM: 'new-item'
+};
+
 class CSVIngestionModule {
   /**
    * Initialize the CSV Ingestion Module
@@ -17,25 +47,40 @@ class CSVIngestionModule {
       cacheExpiration: 86400000, // 24 hours in milliseconds
       maxRetries: 3,
       retryDelay: 2000,
+      maxReportRows: 500, // Rejected and warning rows kept per import report
+      maxImportJobs: 20, // Jobs that put data in place, and their snapshots, kept per source
+      priceChangeThreshold: 0.01, // Smallest price change reported to listeners, as a fraction
       ...config
     };
     
     this.sources = {};
     this.cache = {};
+    this.reports = {}; // Latest import report per source
+    this.history = {}; // Import jobs per source, newest last, with the content hashes in effect
+    this.itemAliases = {}; // Earlier item ids mapped to the id the same product has now
     this.listeners = [];
     this.fetchQueue = [];
     this.isFetching = false;
     
     // Initialize cache from localStorage
     this._initializeCache();
+    this._initializeReports();
+    this._initializeHistory();
+    this._initializeAliases();
     
     // Bind methods
     this.registerSource = this.registerSource.bind(this);
     this.fetchData = this.fetchData.bind(this);
     this.getDataForVendor = this.getDataForVendor.bind(this);
     this.getAllData = this.getAllData.bind(this);
+    this.getItem = this.getItem.bind(this);
     this.subscribe = this.subscribe.bind(this);
     this.unsubscribe = this.unsubscribe.bind(this);
+    this.getImportReport = this.getImportReport.bind(this);
+    this.getImportJobs = this.getImportJobs.bind(this);
+    this.rollbackSource = this.rollbackSource.bind(this);
+    this.releaseHeldImport = this.releaseHeldImport.bind(this);
+    this.getHeldImports = this.getHeldImports.bind(this);
   }
   
   /**
@@ -78,6 +123,84 @@ class CSVIngestionModule {
     }
   }
   
+  /**
+   * Load import reports from localStorage
+   * @private
+   */
+  _initializeReports() {
+    try {
+      const savedReports = localStorage.getItem('csvImportReports');
+      this.reports = savedReports ? JSON.parse(savedReports) : {};
+    } catch (error) {
+      console.error('Failed to load import reports:', error);
+      this.reports = {};
+    }
+  }
+  
+  /**
+   * Save import reports to localStorage
+   * @private
+   */
+  _saveReports() {
+    try {
+      localStorage.setItem('csvImportReports', JSON.stringify(this.reports));
+    } catch (error) {
+      console.error('Failed to save import reports:', error);
+    }
+  }
+  
+  /**
+   * Load import job history from localStorage
+   * @private
+   */
+  _initializeHistory() {
+    try {
+      const savedHistory = localStorage.getItem('csvImportHistory');
+      this.history = savedHistory ? JSON.parse(savedHistory) : {};
+    } catch (error) {
+      console.error('Failed to load import history:', error);
+      this.history = {};
+    }
+  }
+  
+  /**
+   * Save import job history to localStorage
+   * @private
+   */
+  _saveHistory() {
+    try {
+      localStorage.setItem('csvImportHistory', JSON.stringify(this.history));
+    } catch (error) {
+      console.error('Failed to save import history:', error);
+    }
+  }
+  
+  /**
+   * Load item id aliases from localStorage
+   * @private
+   */
+  _initializeAliases() {
+    try {
+      const savedAliases = localStorage.getItem('csvItemAliases');
+      this.itemAliases = savedAliases ? JSON.parse(savedAliases) : {};
+    } catch (error) {
+      console.error('Failed to load item aliases:', error);
+      this.itemAliases = {};
+    }
+  }
+  
+  /**
+   * Save item id aliases to localStorage
+   * @private
+   */
+  _saveAliases() {
+    try {
+      localStorage.setItem('csvItemAliases', JSON.stringify(this.itemAliases));
+    } catch (error) {
+      console.error('Failed to save item aliases:', error);
+    }
+  }
+  
   /**
    * Register a CSV data source
    * @param {Object} source - Source configuration
@@ -87,6 +210,9 @@ class CSVIngestionModule {
    * @param {number} [source.refreshInterval] - Refresh interval in milliseconds
    * @param {Object} [source.fieldMapping] - Mapping of app fields to CSV fields
    * @param {Object} [source.transformations] - Custom transformations for fields
+   * @param {Object} [source.schema] - Field rules checked on every row, see DEFAULT_SOURCE_SCHEMA
+   * @param {Array<string>} [source.naturalKey] - App fields identifying a product, such as ['sku'];
+   *   item ids are built from them, so they stay the same when the sheet is reordered
    * @returns {string} - The source ID
    */
   registerSource(source) {
@@ -101,6 +227,13 @@ class CSVIngestionModule {
       refreshInterval: source.refreshInterval || this.config.defaultRefreshInterval,
       fieldMapping: source.fieldMapping || {},
       transformations: source.transformations || {},
+      naturalKey: source.naturalKey || DEFAULT_NATURAL_KEY,
+      schema: {
+        fields: {
+          ...DEFAULT_SOURCE_SCHEMA.fields,
+          ...(source.schema && source.schema.fields)
+        }
+      },
       lastFetched: 0
     };
     
@@ -174,15 +307,70 @@ class CSVIngestionModule {
       }
       
       const csvText = await response.text();
+      const contentHash = this._hashContent(csvText);
+      const history = this._getHistory(sourceId);
+      
+      // An upload that was rolled back stays out until it is released
+      if (history.heldHashes.includes(contentHash)) {
+        this._recordCheck(sourceId);
+        this.sources[sourceId].lastFetched = Date.now();
+        return this.cache[sourceId] ? this.cache[sourceId].data : [];
+      }
       
       // Parse CSV using Papa Parse
       return new Promise((resolve, reject) => {
         Papa.parse(csvText, {
-          header: true,
-          skipEmptyLines: true,
+          // Headers are matched and empty lines skipped later, so every row keeps its line number
+          header: false,
+          skipEmptyLines: false,
           complete: (results) => {
             try {
-              const processedData = this._processData(results.data, source);
+              const { data: processedData, report } = this._processData(results.data, source);
+              
+              this.reports[sourceId] = report;
+              this._saveReports();
+              
+              // A sheet with nothing usable must not replace the products already loaded
+              if (report.status === 'failed') {
+                // The same broken upload fetched again is not a new job
+                const last = history.jobs[history.jobs.length - 1];
+                if (last && last.status === 'failed' && last.contentHash === contentHash) {
+                  this._recordCheck(sourceId);
+                } else {
+                  this._recordJob(sourceId, { status: 'failed', contentHash, counts: report.counts });
+                }
+                this._notifyListeners(sourceId);
+                const error = new Error(`Import of ${source.name} failed: ${report.summary}`);
+                error.report = report;
+                throw error;
+              }
+              
+              if (report.counts.rejected > 0 || report.fileIssues.length > 0) {
+                console.warn(`Import of ${source.name}: ${report.summary}`);
+              }
+              
+              // Record what changed before the previous version is replaced; an expired cache is compared by its snapshot
+              const latest = history.jobs.filter(job => job.snapshotId).pop();
+              const previousData = this.cache[sourceId] ? this.cache[sourceId].data
+                : (latest && this._loadSnapshot(latest.snapshotId)) || [];
+              const matched = this._matchItems(previousData, processedData);
+              const events = this._detectPriceChanges(sourceId, matched, previousData.length > 0);
+              this._updateAliases(previousData, processedData);
+              
+              // A refresh that leaves the data as it was only updates when it was last checked
+              if (contentHash === history.currentHash && JSON.stringify(processedData) === JSON.stringify(previousData)) {
+                this._recordCheck(sourceId);
+              } else {
+                this._recordJob(sourceId, {
+                  status: 'applied',
+                  contentHash,
+                  counts: report.counts,
+                  itemCount: processedData.length,
+                  diff: this._diffData(matched)
+                }, processedData);
+              }
+              history.currentHash = contentHash;
+              this._saveHistory();
               
               // Update cache
               this.cache[sourceId] = {
@@ -195,7 +383,7 @@ class CSVIngestionModule {
               this.sources[sourceId].lastFetched = Date.now();
               
               // Notify subscribers
-              this._notifyListeners(sourceId);
+              this._notifyListeners(sourceId, events);
               
               resolve(processedData);
             } catch (error) {
@@ -228,23 +416,64 @@ class CSVIngestionModule {
   }
   
   /**
-   * Process raw CSV data according to source configuration
-   * @param {Array} rawData - Raw data from CSV
+   * Process raw CSV rows according to source configuration
+   * @param {Array<Array<string>>} rows - Parsed CSV rows, the header row first
    * @param {Object} source - Source configuration
-   * @returns {Array} - Processed data
+   * @returns {Object} - Processed data and the import report
    * @private
    */
-  _processData(rawData, source) {
-    if (!Array.isArray(rawData)) {
+  _processData(rows, source) {
+    if (!Array.isArray(rows)) {
       throw new Error('Raw data must be an array');
     }
     
-    return rawData.map((item, index) => {
+    const { headers, records } = this._readRows(rows);
+    const { fields } = source.schema;
+    const report = {
+      sourceId: source.id,
+      sourceName: source.name,
+      url: source.url,
+      importedAt: new Date().toISOString(),
+      status: 'ok',
+      summary: '',
+      counts: { total: records.length, accepted: 0, rejected: 0, warnings: 0, duplicates: 0 },
+      fileIssues: [], // Problems with the sheet as a whole, such as a missing column
+      rejected: [], // { line, issues, values } for each rejected row
+      warnings: [], // { line, issues } for each accepted row with warnings
+      truncated: false
+    };
+    
+    // A missing required column fails every row, so it is reported once for the sheet
+    Object.keys(fields).filter(field => fields[field].required).forEach(field => {
+      const column = source.fieldMapping[field];
+      
+      if (!column) {
+        report.fileIssues.push({ severity: 'error', field, message: `No column is mapped to the required field ${field}` });
+      } else if (!headers.includes(column)) {
+        report.fileIssues.push({ severity: 'error', field, column, message: `Required column "${column}" is missing` });
+      }
+    });
+    
+    const data = [];
+    const keyLines = new Map(); // Natural key to the lines of the rows that used it
+    
+    records.forEach(({ line, values, item }) => {
+      const issues = [];
       const processedItem = {
-        id: `${source.id}_${index}`,
+        sourceId: source.id,
         vendorName: source.name
       };
       
+      if (values.length !== headers.length) {
+        issues.push({
+          field: null,
+          column: null,
+          severity: 'warning',
+          value: null,
+          message: `Row has ${values.length} fields but the header has ${headers.length}`
+        });
+      }
+      
       // Apply field mapping
       Object.keys(source.fieldMapping).forEach(appField => {
         const csvField = source.fieldMapping[appField];
@@ -254,24 +483,252 @@ class CSVIngestionModule {
       // Apply transformations
       Object.keys(source.transformations).forEach(field => {
         if (processedItem[field] !== undefined) {
-          processedItem[field] = source.transformations[field](processedItem[field], item);
+          try {
+            processedItem[field] = source.transformations[field](processedItem[field], item);
+          } catch (error) {
+            issues.push(this._createIssue(source, field, 'error', processedItem[field], `Transformation failed: ${error.message}`));
+          }
         }
       });
       
+      issues.push(...this._validateItem(processedItem, source));
+      
       // Apply standard transformations
       if (processedItem.colorName) {
         processedItem.normalizedColorName = this._normalizeColorName(processedItem.colorName);
       }
       
-      if (processedItem.installedPricePerSqFt) {
-        processedItem.installedPricePerSqFt = this._parsePrice(processedItem.installedPricePerSqFt);
+      let naturalKey = this._buildNaturalKey(processedItem, source.naturalKey);
+      const lines = keyLines.get(naturalKey) || [];
+      
+      // Rows sharing a key, such as finishes or sizes of one color, are kept as separate
+      // products numbered in sheet order, so each keeps its id while the rows stay in order
+      if (!issues.some(issue => issue.severity === 'error')) {
+        if (!naturalKey.replace(/\|/g, '')) {
+          issues.push(this._createIssue(source, 'naturalKey', 'error', null, `No value for the product key (${source.naturalKey.join(', ')})`));
+        } else if (lines.length > 0) {
+          report.counts.duplicates++;
+          issues.push(this._createIssue(source, 'naturalKey', 'warning', naturalKey,
+            `Same product key as line ${lines[0]}, kept as a separate product; add a column such as finish or SKU to the key to tell them apart`));
+        }
       }
       
-      return processedItem;
-    }).filter(item => {
-      // Filter out invalid items (must have at least colorName and material)
-      return item.colorName && item.material;
+      if (issues.some(issue => issue.severity === 'error')) {
+        report.counts.rejected++;
+        this._addReportRow(report.rejected, { line, issues, values: item }, report);
+        return;
+      }
+      
+      report.counts.accepted++;
+      if (issues.length > 0) {
+        report.counts.warnings++;
+        this._addReportRow(report.warnings, { line, issues }, report);
+      }
+      
+      keyLines.set(naturalKey, [...lines, line]);
+      if (lines.length > 0) {
+        naturalKey = `${naturalKey}|${lines.length + 1}`;
+      }
+      data.push(this._assignItemId(processedItem, source, naturalKey));
     });
+    
+    const { accepted, rejected, warnings } = report.counts;
+    if (records.length > 0 && accepted === 0) {
+      report.status = 'failed';
+    } else if (rejected > 0 || warnings > 0 || report.fileIssues.length > 0) {
+      report.status = 'warnings';
+    }
+    
+    report.summary = [
+      `${accepted} of ${records.length} rows accepted`,
+      `${rejected} rejected`,
+      `${warnings} with warnings`,
+      ...(report.counts.duplicates > 0 ? [`${report.counts.duplicates} sharing a product key with an earlier row`] : []),
+      ...report.fileIssues.map(issue => issue.message)
+    ].join(', ');
+    
+    return { data, report };
+  }
+  
+  /**
+   * Build the value identifying a product from its natural key fields
+   * @param {Object} item - Processed item
+   * @param {Array<string>} fields - Natural key fields
+   * @returns {string} - Natural key
+   * @private
+   */
+  _buildNaturalKey(item, fields) {
+    return fields
+      .map(field => String(item[field] === undefined || item[field] === null ? '' : item[field]).trim().toLowerCase())
+      .join('|');
+  }
+  
+  /**
+   * Give an item an id built from its natural key
+   * @param {Object} item - Processed item
+   * @param {Object} source - Source configuration
+   * @param {string} naturalKey - The item's natural key
+   * @returns {Object} - The item with id and naturalKey set
+   * @private
+   */
+  _assignItemId(item, source, naturalKey) {
+    const parts = naturalKey.split('|');
+    const slug = parts.map(part => part.replace(/[^a-z0-9]+/g, '-')).join('_');
+    
+    // Keys with punctuation could share a slug, so their ids also carry a hash of the whole key
+    const readable = parts.every(part => /^([a-z0-9]+( [a-z0-9]+)*)?$/.test(part));
+    const id = readable ? `${source.id}_${slug}` : `${source.id}_${slug}_${this._hashContent(naturalKey)}`;
+    
+    return { ...item, id, naturalKey };
+  }
+  
+  /**
+   * Pair each row with the header and the line it starts on
+   * @param {Array<Array<string>>} rows - Parsed CSV rows, the header row first
+   * @returns {Object} - Headers, and records with line, values and item
+   * @private
+   */
+  _readRows(rows) {
+    const [headerRow = [], ...dataRows] = rows;
+    const headers = headerRow.map(header => String(header).trim());
+    const lineBreaks = row => row.reduce((count, value) => count + String(value).split('\n').length - 1, 0);
+    
+    // Quoted values can span lines, so count the line breaks inside them too
+    let line = 2 + lineBreaks(headerRow);
+    const records = [];
+    
+    dataRows.forEach(values => {
+      if (values.some(value => String(value).trim() !== '')) {
+        const item = {};
+        headers.forEach((header, index) => {
+          item[header] = values[index];
+        });
+        records.push({ line, values, item });
+      }
+      line += 1 + lineBreaks(values);
+    });
+    
+    return { headers, records };
+  }
+  
+  /**
+   * Check a processed item against its source's schema, converting values to their types
+   * @param {Object} item - Processed item, changed in place
+   * @param {Object} source - Source configuration
+   * @returns {Array<Object>} - Issues found
+   * @private
+   */
+  _validateItem(item, source) {
+    const { fields } = source.schema;
+    const issues = [];
+    
+    Object.keys(fields).forEach(field => {
+      const rule = fields[field];
+      const severity = rule.severity || (rule.required ? 'error' : 'warning');
+      const value = item[field];
+      const issue = message => issues.push(this._createIssue(source, field, severity, value, message));
+      
+      if (value === undefined || value === null || String(value).trim() === '') {
+        if (rule.required) {
+          issues.push(this._createIssue(source, field, 'error', value, 'Value is required'));
+        }
+        return;
+      }
+      
+      const converted = this._convertValue(value, rule.type);
+      if (converted === null) {
+        issue(`"${value}" is not a valid ${rule.type}`);
+        // Garbage is dropped rather than passed on as a made-up number
+        item[field] = null;
+        return;
+      }
+      item[field] = converted;
+      
+      if (rule.allowedValues) {
+        const match = rule.allowedValues.find(allowed => String(allowed).toLowerCase() === String(converted).toLowerCase());
+        if (match === undefined) {
+          issue(`"${value}" is not one of ${rule.allowedValues.join(', ')}`);
+        } else {
+          item[field] = match;
+        }
+      }
+      
+      if (rule.min !== undefined && converted < rule.min) {
+        issue(`${converted} is below the minimum of ${rule.min}`);
+      }
+      if (rule.max !== undefined && converted > rule.max) {
+        issue(`${converted} is above the maximum of ${rule.max}`);
+      }
+      if (rule.pattern && !new RegExp(rule.pattern).test(String(converted))) {
+        issue(`"${value}" does not match the expected format`);
+      }
+    });
+    
+    return issues;
+  }
+  
+  /**
+   * Convert a CSV value to a schema type
+   * @param {*} value - Value from the sheet or a transformation
+   * @param {string} type - 'string', 'number', 'price' or 'boolean'
+   * @returns {*} - Converted value, or null when it is not valid
+   * @private
+   */
+  _convertValue(value, type) {
+    switch (type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        return Number.isFinite(number) ? number : null;
+      }
+      case 'price':
+        return this._parsePrice(value);
+      case 'boolean': {
+        const text = String(value).trim().toLowerCase();
+        if (['true', 'yes', 'y', '1'].includes(text)) return true;
+        if (['false', 'no', 'n', '0'].includes(text)) return false;
+        return null;
+      }
+      case 'string':
+      case undefined:
+        return typeof value === 'string' ? value.trim() : value;
+      default:
+        throw new Error(`Unknown schema type: ${type}`);
+    }
+  }
+  
+  /**
+   * Describe a problem with one field of a row
+   * @param {Object} source - Source configuration
+   * @param {string} field - App field
+   * @param {string} severity - 'error' or 'warning'
+   * @param {*} value - Offending value
+   * @param {string} message - What is wrong
+   * @returns {Object} - Issue
+   * @private
+   */
+  _createIssue(source, field, severity, value, message) {
+    return {
+      field,
+      column: source.fieldMapping[field] || null,
+      severity,
+      value: value === undefined ? null : value,
+      message
+    };
+  }
+  
+  /**
+   * Add a row to a report list, up to the configured limit
+   * @param {Array} list - Report list
+   * @param {Object} row - Row entry
+   * @param {Object} report - Report, marked truncated when the limit is reached
+   * @private
+   */
+  _addReportRow(list, row, report) {
+    if (list.length < this.config.maxReportRows) {
+      list.push(row);
+    } else {
+      report.truncated = true;
+    }
   }
   
   /**
@@ -288,24 +745,24 @@ class CSVIngestionModule {
   /**
    * Parse a price value to ensure it's a valid number
    * @param {string|number} price - The price to parse
-   * @returns {number} - Parsed price
+   * @returns {number|null} - Parsed price, or null when the value is not a price
    * @private
    */
   _parsePrice(price) {
-    if (typeof price === 'number' && !isNaN(price)) {
-      return price;
+    if (typeof price === 'number') {
+      return Number.isFinite(price) ? price : null;
     }
     
     if (typeof price === 'string') {
-      // Remove currency symbols and commas
-      const cleanPrice = price.replace(/[$,]/g, '');
-      const parsedPrice = parseFloat(cleanPrice);
-      if (!isNaN(parsedPrice)) {
+      // Remove currency symbols, commas and spaces; anything else left over is not a price
+      const cleanPrice = price.replace(/[$,\s]/g, '');
+      const parsedPrice = Number(cleanPrice);
+      if (cleanPrice !== '' && Number.isFinite(parsedPrice)) {
         return parsedPrice;
       }
     }
     
-    return 0;
+    return null;
   }
   
   /**
@@ -328,6 +785,426 @@ class CSVIngestionModule {
     return [];
   }
   
+  /**
+   * Get a source's import history, creating it on first use
+   * @param {string} sourceId - ID of the source
+   * @returns {Object} - Jobs, the content hash in effect and the held hashes
+   * @private
+   */
+  _getHistory(sourceId) {
+    if (!this.history[sourceId]) {
+      this.history[sourceId] = { jobs: [], currentHash: null, heldHashes: [] };
+    }
+    
+    // History saved when only one upload could be held
+    const history = this.history[sourceId];
+    if (!history.heldHashes) {
+      history.heldHashes = history.heldHash ? [history.heldHash] : [];
+      delete history.heldHash;
+    }
+    
+    return history;
+  }
+  
+  /**
+   * Record an import job, keeping a snapshot of the data it put in place
+   * @param {string} sourceId - ID of the source
+   * @param {Object} details - Status, content hash, row counts and diff
+   * @param {Array} [data] - Data now in effect, saved so the source can be rolled back to it
+   * @returns {Object} - The job
+   * @private
+   */
+  _recordJob(sourceId, details, data = null) {
+    const history = this._getHistory(sourceId);
+    const id = `job_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    
+    const job = {
+      id,
+      sourceId,
+      type: 'import',
+      createdAt: new Date().toISOString(),
+      counts: null,
+      itemCount: data ? data.length : null,
+      diff: null,
+      snapshotId: null,
+      rolledBackTo: null,
+      lastCheckedAt: null,
+      ...details
+    };
+    
+    if (data) {
+      try {
+        localStorage.setItem(`csvImportSnapshot_${id}`, JSON.stringify(data));
+        job.snapshotId = id;
+      } catch (error) {
+        console.error('Failed to save import snapshot:', error);
+      }
+    }
+    
+    history.jobs.push(job);
+    
+    // Only jobs that put data in place count against the limit; failed jobs older
+    // than the oldest one kept go with it, as do snapshots no remaining job uses
+    const withData = history.jobs.filter(entry => entry.snapshotId);
+    const excess = withData.length - this.config.maxImportJobs;
+    const dropped = excess > 0 ? history.jobs.splice(0, history.jobs.indexOf(withData[excess - 1]) + 1) : [];
+    const kept = new Set(history.jobs.map(entry => entry.snapshotId));
+    dropped.forEach(entry => {
+      if (entry.snapshotId && !kept.has(entry.snapshotId)) {
+        localStorage.removeItem(`csvImportSnapshot_${entry.snapshotId}`);
+      }
+    });
+    
+    this._saveHistory();
+    return job;
+  }
+  
+  /**
+   * Note on the latest job that a fetch found nothing new, instead of recording
+   * a job, so scheduled refreshes do not push real imports out of the history
+   * @param {string} sourceId - ID of the source
+   * @private
+   */
+  _recordCheck(sourceId) {
+    const history = this._getHistory(sourceId);
+    const latest = history.jobs[history.jobs.length - 1];
+    
+    if (latest) {
+      latest.lastCheckedAt = new Date().toISOString();
+      this._saveHistory();
+    }
+  }
+  
+  /**
+   * Load the data saved with an import job
+   * @param {string} snapshotId - ID of the job that saved the snapshot
+   * @returns {Array|null} - Saved data, or null when missing
+   * @private
+   */
+  _loadSnapshot(snapshotId) {
+    try {
+      const savedData = localStorage.getItem(`csvImportSnapshot_${snapshotId}`);
+      return savedData ? JSON.parse(savedData) : null;
+    } catch (error) {
+      console.error('Failed to load import snapshot:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Hash CSV content so identical uploads can be recognized
+   * @param {string} text - CSV text
+   * @returns {string} - 32-bit FNV-1a hash in hex
+   * @private
+   */
+  _hashContent(text) {
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * Key matching the same product across versions of a sheet
+   * @param {Object} item - Processed item
+   * @returns {string} - The item's natural key
+   */
+  getItemKey(item) {
+    if (item.naturalKey !== undefined) {
+      return item.naturalKey;
+    }
+    
+    // Items cached before natural keys were added
+    const source = this.sources[item.sourceId];
+    return this._buildNaturalKey(item, source ? source.naturalKey : DEFAULT_NATURAL_KEY);
+  }
+  
+  /**
+   * Point the ids a source's products had in its previous data at their current ids
+   * @param {Array} previousData - Data before the update
+   * @param {Array} nextData - Data after the update
+   * @private
+   */
+  _updateAliases(previousData, nextData) {
+    const current = new Map(nextData.map(item => [this.getItemKey(item), item.id]));
+    const liveIds = new Set(current.values());
+    let changed = false;
+    
+    previousData.forEach(item => {
+      const id = current.get(this.getItemKey(item));
+      
+      if (id && id !== item.id) {
+        this.itemAliases[item.id] = id;
+        changed = true;
+      }
+    });
+    
+    // Ids in use again must not redirect, and older aliases follow their product to its new id
+    Object.keys(this.itemAliases).forEach(alias => {
+      if (liveIds.has(alias)) {
+        delete this.itemAliases[alias];
+        changed = true;
+      } else if (this.itemAliases[this.itemAliases[alias]]) {
+        this.itemAliases[alias] = this.itemAliases[this.itemAliases[alias]];
+        changed = true;
+      }
+    });
+    
+    if (changed) {
+      this._saveAliases();
+    }
+  }
+  
+  /**
+   * Find a product by id, including ids it had before its source was re-imported
+   *
+   * Saved quotes keep the id a product had when they were created, which
+   * for sheets imported before natural keys was its row number.
+   * @param {string} itemId - Item ID
+   * @returns {Object|null} - The item, or null when no source has it
+   */
+  getItem(itemId) {
+    const allData = this.getAllData();
+    const find = id => allData.find(item => item.id === id) || null;
+    
+    return find(itemId) || (this.itemAliases[itemId] ? find(this.itemAliases[itemId]) : null);
+  }
+  
+  /**
+   * Match the items of two versions of a source's data by item key
+   * @param {Array} previousData - Data before the import
+   * @param {Array} nextData - Data after the import
+   * @returns {Object} - Added and removed items, and repriced items with their previous version
+   * @private
+   */
+  _matchItems(previousData, nextData) {
+    const before = new Map(previousData.map(item => [this.getItemKey(item), item]));
+    const after = new Map(nextData.map(item => [this.getItemKey(item), item]));
+    const matched = { added: [], removed: [], repriced: [] };
+    
+    after.forEach((item, key) => {
+      const previous = before.get(key);
+      
+      if (!previous) {
+        matched.added.push(item);
+      } else if (previous.installedPricePerSqFt !== item.installedPricePerSqFt) {
+        matched.repriced.push({ item, previous });
+      }
+    });
+    
+    before.forEach((item, key) => {
+      if (!after.has(key)) {
+        matched.removed.push(item);
+      }
+    });
+    
+    return matched;
+  }
+  
+  /**
+   * Compare two versions of a source's data
+   * @param {Object} matched - Items matched by _matchItems()
+   * @returns {Object} - Counts, and added, removed and repriced items
+   * @private
+   */
+  _diffData(matched) {
+    const summarize = item => ({
+      key: this.getItemKey(item),
+      colorName: item.colorName,
+      material: item.material,
+      thickness: item.thickness,
+      installedPricePerSqFt: item.installedPricePerSqFt
+    });
+    const diff = {
+      counts: { added: matched.added.length, removed: matched.removed.length, repriced: matched.repriced.length },
+      added: [],
+      removed: [],
+      repriced: [],
+      truncated: false
+    };
+    
+    matched.added.forEach(item => this._addReportRow(diff.added, summarize(item), diff));
+    matched.removed.forEach(item => this._addReportRow(diff.removed, summarize(item), diff));
+    matched.repriced.forEach(({ item, previous }) => {
+      this._addReportRow(diff.repriced, { ...summarize(item), previousPricePerSqFt: previous.installedPricePerSqFt }, diff);
+    });
+    
+    return diff;
+  }
+  
+  /**
+   * Describe how a new version of a source changes its catalog
+   *
+   * Price changes smaller than priceChangeThreshold are left out. Nothing is
+   * reported for a source's first import, when every item would be new.
+   * @param {string} sourceId - ID of the source
+   * @param {Object} matched - Items matched by _matchItems()
+   * @param {boolean} hadPreviousData - Whether the source had data before
+   * @returns {Array<Object>} - Price change events
+   * @private
+   */
+  _detectPriceChanges(sourceId, matched, hadPreviousData) {
+    if (!hadPreviousData) {
+      return [];
+    }
+    
+    const detectedAt = new Date().toISOString();
+    const createEvent = (type, item, previous) => ({
+      type,
+      sourceId,
+      key: this.getItemKey(item),
+      itemId: previous ? null : item.id,
+      previousItemId: previous ? previous.id : null,
+      colorName: item.colorName,
+      material: item.material,
+      thickness: item.thickness,
+      previousPrice: previous ? previous.installedPricePerSqFt : null,
+      price: item.installedPricePerSqFt,
+      percentChange: null,
+      detectedAt
+    });
+    const events = [];
+    
+    matched.repriced.forEach(({ item, previous }) => {
+      const from = previous.installedPricePerSqFt;
+      const to = item.installedPricePerSqFt;
+      
+      // Items without a price are never quoted, so gaining or losing one is left to the import diff
+      if (!from || to === null || to === undefined) {
+        return;
+      }
+      
+      const change = (to - from) / from;
+      if (Math.abs(change) < this.config.priceChangeThreshold) {
+        return;
+      }
+      
+      events.push({
+        ...createEvent(to > from ? PRICE_EVENTS.INCREASED : PRICE_EVENTS.DECREASED, item, previous),
+        itemId: item.id,
+        percentChange: Math.round(change * 10000) / 100
+      });
+    });
+    
+    matched.removed.forEach(item => {
+      events.push({ ...createEvent(PRICE_EVENTS.DISCONTINUED, item, item), price: null });
+    });
+    
+    matched.added.forEach(item => {
+      events.push(createEvent(PRICE_EVENTS.NEW_ITEM, item, null));
+    });
+    
+    return events;
+  }
+  
+  /**
+   * Get a source's import jobs
+   * @param {string} sourceId - ID of the source
+   * @returns {Array<Object>} - Jobs, newest first
+   */
+  getImportJobs(sourceId) {
+    return this.history[sourceId] ? [...this.history[sourceId].jobs].reverse() : [];
+  }
+  
+  /**
+   * Put a source's data back to the version an earlier import job left in place
+   *
+   * When the data being replaced came from a fetched upload, that upload is
+   * held back from later refreshes until releaseHeldImport() lets it in, so
+   * a rollback is not undone by the next scheduled fetch. Rolling back from
+   * an earlier rollback holds nothing, as that data was not a new upload.
+   * @param {string} sourceId - ID of the source
+   * @param {string} jobId - Job whose snapshot to restore
+   * @returns {Array} - The restored data
+   */
+  rollbackSource(sourceId, jobId) {
+    const history = this._getHistory(sourceId);
+    const target = history.jobs.find(job => job.id === jobId);
+    
+    if (!target) {
+      throw new Error(`Unknown import job for ${sourceId}: ${jobId}`);
+    }
+    if (!target.snapshotId) {
+      throw new Error(`Import job ${jobId} has no snapshot to roll back to`);
+    }
+    
+    const data = this._loadSnapshot(target.snapshotId);
+    if (!data) {
+      throw new Error(`The snapshot for import job ${jobId} is no longer available`);
+    }
+    
+    const currentData = this.cache[sourceId] ? this.cache[sourceId].data : [];
+    const matched = this._matchItems(currentData, data);
+    this._updateAliases(currentData, data);
+    
+    const inEffect = history.jobs.filter(job => job.snapshotId).pop();
+    if (inEffect && inEffect.type === 'import' && history.currentHash !== target.contentHash &&
+        !history.heldHashes.includes(history.currentHash)) {
+      history.heldHashes.push(history.currentHash);
+    }
+    history.currentHash = target.contentHash;
+    
+    this._recordJob(sourceId, {
+      type: 'rollback',
+      status: 'applied',
+      contentHash: target.contentHash,
+      itemCount: data.length,
+      diff: this._diffData(matched),
+      snapshotId: target.snapshotId,
+      rolledBackTo: target.id
+    });
+    
+    this.cache[sourceId] = {
+      data,
+      timestamp: Date.now()
+    };
+    this._saveCache();
+    this._notifyListeners(sourceId, this._detectPriceChanges(sourceId, matched, currentData.length > 0));
+    
+    return data;
+  }
+  
+  /**
+   * Let uploads held back by rollbacks be imported on the next fetch
+   * @param {string} sourceId - ID of the source
+   * @param {string} [contentHash] - Hash of the upload to release, or every held upload if omitted
+   */
+  releaseHeldImport(sourceId, contentHash) {
+    const history = this._getHistory(sourceId);
+    history.heldHashes = contentHash ? history.heldHashes.filter(hash => hash !== contentHash) : [];
+    this._saveHistory();
+  }
+  
+  /**
+   * Get the content hashes of uploads held back by rollbacks
+   * @param {string} sourceId - ID of the source
+   * @returns {Array<string>} - Held content hashes
+   */
+  getHeldImports(sourceId) {
+    return [...this._getHistory(sourceId).heldHashes];
+  }
+  
+  /**
+   * Get the report from a source's latest import
+   * @param {string} sourceId - ID of the source
+   * @returns {Object|null} - Accepted, rejected and warning rows with line numbers and reasons
+   */
+  getImportReport(sourceId) {
+    return this.reports[sourceId] || null;
+  }
+  
+  /**
+   * Get the latest import report of every source
+   * @returns {Array<Object>} - Import reports
+   */
+  getImportReports() {
+    return Object.values(this.reports);
+  }
+  
   /**
    * Get all data from all sources
    * @returns {Array} - Combined data from all sources
@@ -344,6 +1221,9 @@ class CSVIngestionModule {
   
   /**
    * Subscribe to data updates
+   *
+   * Listeners are called with the source ID and the price change events
+   * found in the update, which is an empty array when nothing was detected.
    * @param {Function} listener - Callback function
    * @returns {Function} - Unsubscribe function
    */
@@ -370,12 +1250,13 @@ class CSVIngestionModule {
   /**
    * Notify listeners of data updates
    * @param {string} sourceId - ID of the updated source
+   * @param {Array<Object>} [events] - Price change events
    * @private
    */
-  _notifyListeners(sourceId) {
+  _notifyListeners(sourceId, events = []) {
     this.listeners.forEach(listener => {
       try {
-        listener(sourceId);
+        listener(sourceId, events);
       } catch (error) {
         console.error('Error in listener:', error);
       }
@@ -410,4 +1291,5 @@ class CSVIngestionModule {
 }
 
 // Export the module
+export { PRICE_EVENTS };
 export default CSVIngestionModule;
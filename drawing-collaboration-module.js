@@ -0,0 +1,885 @@
+/**
+ * Drawing Collaboration Module
+ *
+ * This module lets several people edit one drawing at the same time, such as
+ * a salesperson measuring on site while an estimator works in the office.
+ * Every change committed on the canvas is sent as operations on individual
+ * shapes, carrying only the fields that changed. A server puts all clients'
+ * operations in one order and each client replays that order, so every copy
+ * of the drawing ends up the same. Other people's cursors and selections are
+ * drawn over the canvas. The transport is pluggable: an in-process server for
+ * tests and demos, or a WebSocket connection to a server that relays the same
+ * messages.
+ */
+
+import { Shape, Wall, CabinetRun } from './interactive-drawing-module';
+
+const PRESENCE_COLORS = ['#e74c3c', '#8e44ad', '#16a085', '#d35400', '#2980b9', '#c0392b', '#27ae60'];
+const PRESENCE_INTERVAL = 50; // Minimum milliseconds between cursor updates
+
+const SAVED_DATA = { shape: data => data, wall: data => data, cabinetRun: data => data };
+const DRAWING_OBJECTS = {
+  shape: data => Shape.fromJSON(data),
+  wall: data => Wall.fromJSON(data),
+  cabinetRun: data => CabinetRun.fromJSON(data)
+};
+
+/**
+ * Deep copy plain data
+ * @param {Object} data - Data
+ * @returns {Object} - Copy
+ */
+function copy(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Apply one operation to a drawing
+ *
+ * The server and every client apply operations with these rules in the order
+ * the server assigned, which is what keeps the copies identical: updates only
+ * touch the fields they changed, so edits to different parts of a shape are
+ * all kept, the later change to the same field wins, and a change to a shape
+ * that is gone is dropped.
+ * @param {Object} drawing - Shapes, walls and cabinet runs, as saved data or drawing objects
+ * @param {Object} operation - 'add', 'update' or 'remove' for a shape, or 'walls' or 'cabinets'
+ * @param {Object} build - Turns saved data into the drawing's entries
+ */
+function applyOperation(drawing, operation, build = SAVED_DATA) {
+  const index = drawing.shapes.findIndex(shape => shape.id === operation.shapeId);
+
+  switch (operation.type) {
+    case 'add':
+      if (index !== -1) {
+        drawing.shapes[index] = build.shape(operation.shape);
+      } else {
+        drawing.shapes.push(build.shape(operation.shape));
+      }
+      break;
+    case 'update':
+      if (index === -1) break;
+
+      // Updates from clients that send whole shapes replace them
+      drawing.shapes[index] = build.shape(operation.changes
+        ? mergeShape(copy(drawing.shapes[index]), operation.changes)
+        : operation.shape);
+      break;
+    case 'remove':
+      if (index !== -1) {
+        drawing.shapes.splice(index, 1);
+      }
+      break;
+    case 'walls':
+      drawing.walls = operation.walls.map(wall => build.wall(wall));
+      break;
+    case 'cabinets':
+      drawing.cabinetRuns = operation.cabinetRuns.map(run => build.cabinetRun(run));
+      break;
+    default:
+      throw new Error(`Unknown drawing operation: ${operation.type}`);
+  }
+}
+
+/**
+ * List the fields of a saved shape that changed
+ *
+ * Properties and edges are compared one key at a time, since a move and a
+ * resize, or two different edges, are often changed by different people.
+ * Cutouts and seams have no ids and go as whole lists.
+ * @param {Object} before - Saved shape
+ * @param {Object} after - Saved shape
+ * @returns {Object} - Changed fields, with null for cleared edges
+ */
+function diffShape(before, after) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const changes = {};
+
+  // A new type has a different set of properties, which go as a whole
+  const beforeKeys = Object.keys(before.properties).sort();
+  const afterKeys = Object.keys(after.properties).sort();
+  if (before.type !== after.type || !same(beforeKeys, afterKeys)) {
+    changes.type = after.type;
+    changes.properties = after.properties;
+  } else {
+    afterKeys.forEach(key => {
+      if (!same(before.properties[key], after.properties[key])) {
+        changes.properties = { ...changes.properties, [key]: after.properties[key] };
+      }
+    });
+  }
+
+  const edges = {};
+  new Set([...Object.keys(before.edges || {}), ...Object.keys(after.edges || {})]).forEach(index => {
+    const edge = (after.edges || {})[index] || null;
+    if (!same((before.edges || {})[index] || null, edge)) {
+      edges[index] = edge;
+    }
+  });
+  if (Object.keys(edges).length > 0) {
+    changes.edges = edges;
+  }
+
+  ['rotation', 'groupId', 'cutouts', 'seams'].forEach(field => {
+    if (!same(before[field], after[field])) {
+      changes[field] = after[field] === undefined ? null : after[field];
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Apply changed fields from diffShape() to a saved shape
+ * @param {Object} data - Saved shape, changed in place
+ * @param {Object} changes - Changed fields
+ * @returns {Object} - The shape
+ */
+function mergeShape(data, changes) {
+  Object.keys(changes).forEach(field => {
+    if (field === 'properties' && changes.type === undefined) {
+      data.properties = { ...data.properties, ...copy(changes.properties) };
+    } else if (field === 'edges') {
+      data.edges = { ...data.edges };
+      Object.keys(changes.edges).forEach(index => {
+        if (changes.edges[index]) {
+          data.edges[index] = copy(changes.edges[index]);
+        } else {
+          delete data.edges[index];
+        }
+      });
+    } else {
+      data[field] = copy(changes[field]);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Describe an updated shape as a move, a resize or another change
+ * @param {Object} before - Saved shape
+ * @param {Object} after - Saved shape
+ * @returns {string} - 'resize', 'move' or 'modify'
+ */
+function describeUpdate(before, after) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  // Custom shapes store absolute points, so their size is the points relative to the first
+  const size = ({ type, properties }) => {
+    if (type === 'custom') {
+      const [first] = properties.points;
+      return properties.points.map(point => ({ ...point, x: point.x - first.x, y: point.y - first.y }));
+    }
+    return { ...properties, x: 0, y: 0 };
+  };
+  const position = ({ type, properties, rotation }) => {
+    const { x, y } = type === 'custom' ? properties.points[0] : properties;
+    return { x, y, rotation: rotation || 0 };
+  };
+
+  if (before.type !== after.type || !same(size(before), size(after))) {
+    return 'resize';
+  }
+  return same(position(before), position(after)) ? 'modify' : 'move';
+}
+
+/**
+ * List the operations that turn one drawing into another
+ * @param {Object} before - Saved shapes, walls and cabinet runs
+ * @param {Object} after - Saved shapes, walls and cabinet runs
+ * @returns {Array<Object>} - Operations
+ */
+function diffDrawings(before, after) {
+  const operations = [];
+  const previous = new Map(before.shapes.map(shape => [shape.id, shape]));
+  const current = new Set(after.shapes.map(shape => shape.id));
+
+  before.shapes.forEach(shape => {
+    if (!current.has(shape.id)) {
+      operations.push({ type: 'remove', shapeId: shape.id });
+    }
+  });
+
+  after.shapes.forEach(shape => {
+    const old = previous.get(shape.id);
+
+    if (!old) {
+      operations.push({ type: 'add', shapeId: shape.id, shape });
+    } else if (JSON.stringify(old) !== JSON.stringify(shape)) {
+      operations.push({
+        type: 'update',
+        shapeId: shape.id,
+        changes: diffShape(old, shape),
+        shape, // The sender's copy, for showing what changed
+        change: describeUpdate(old, shape)
+      });
+    }
+  });
+
+  if (JSON.stringify(before.walls) !== JSON.stringify(after.walls)) {
+    operations.push({ type: 'walls', walls: after.walls });
+  }
+
+  // Cabinet runs, like walls, go as a whole
+  if (JSON.stringify(before.cabinetRuns || []) !== JSON.stringify(after.cabinetRuns || [])) {
+    operations.push({ type: 'cabinets', cabinetRuns: after.cabinetRuns || [] });
+  }
+
+  return operations;
+}
+
+/*
+ * Orders operations and relays presence between the clients of one drawing.
+ * It runs in process for tests, or behind a WebSocket server that forwards
+ * each socket's parsed messages to connect()'s receive function.
+ */
+class CollaborationServer {
+  constructor(options = {}) {
+    this.drawing = options.drawing ? copy(options.drawing) : null; // Set by the first client to join otherwise
+    this.seq = 0;
+    this.connections = new Set();
+  }
+
+  /**
+   * Open a connection for one client
+   * @param {Function} send - Delivers a message to the client
+   * @returns {Object} - receive(message) for the client's messages, and close()
+   */
+  connect(send) {
+    const connection = { send, clientId: null, presence: null };
+    this.connections.add(connection);
+
+    return {
+      receive: message => this.receive(connection, message),
+      close: () => this.disconnect(connection)
+    };
+  }
+
+  /**
+   * Handle a message from a client
+   * @param {Object} connection - Client connection
+   * @param {Object} message - Message
+   */
+  receive(connection, message) {
+    switch (message.type) {
+      case 'join':
+        // The first client's drawing becomes the shared one
+        if (!this.drawing) {
+          this.drawing = copy(message.drawing || { shapes: [], walls: [], cabinetRuns: [] });
+        }
+        connection.clientId = message.clientId;
+        connection.presence = { type: 'presence', clientId: message.clientId, user: message.user, cursor: null, selection: [] };
+
+        connection.send({
+          type: 'welcome',
+          seq: this.seq,
+          drawing: this.drawing,
+          peers: this.getPeers(connection)
+        });
+        this.broadcast(connection.presence, connection);
+        break;
+      case 'operations':
+        message.operations.forEach(operation => applyOperation(this.drawing, operation));
+        this.seq++;
+
+        // The sender gets its own batch back as confirmation of where it was ordered
+        this.broadcast({ ...message, seq: this.seq });
+        break;
+      case 'presence':
+        connection.presence = message;
+        this.broadcast(message, connection);
+        break;
+      case 'leave':
+        this.disconnect(connection);
+        break;
+      default:
+        console.warn(`Ignoring unknown collaboration message: ${message.type}`);
+    }
+  }
+
+  /**
+   * Get the presence of every client except one
+   * @param {Object} connection - Client to leave out
+   * @returns {Array<Object>} - Presence messages
+   */
+  getPeers(connection) {
+    return Array.from(this.connections)
+      .filter(entry => entry !== connection && entry.presence)
+      .map(entry => entry.presence);
+  }
+
+  /**
+   * Send a message to every joined client
+   * @param {Object} message - Message
+   * @param {Object} except - Connection to skip
+   */
+  broadcast(message, except = null) {
+    this.connections.forEach(connection => {
+      if (connection !== except && connection.clientId) {
+        connection.send(message);
+      }
+    });
+  }
+
+  /**
+   * Close a client's connection and tell the others
+   * @param {Object} connection - Client connection
+   */
+  disconnect(connection) {
+    if (!this.connections.delete(connection)) return;
+
+    if (connection.clientId) {
+      this.broadcast({ type: 'leave', clientId: connection.clientId });
+    }
+  }
+}
+
+/*
+ * Connects a session to a CollaborationServer in the same page or test.
+ * Messages are copied and delivered asynchronously, as over a network.
+ */
+class LocalTransport {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.latency = options.latency || 0; // Milliseconds, to try out conflicting edits
+    this.connection = null;
+    this.handlers = null;
+  }
+
+  /**
+   * Connect to the server
+   * @param {Object} handlers - onMessage(message) and onClose()
+   */
+  connect(handlers) {
+    this.handlers = handlers;
+    this.connection = this.server.connect(message => {
+      const data = copy(message);
+      this.deliver(() => {
+        if (this.handlers === handlers) {
+          handlers.onMessage(data);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a message to the server
+   * @param {Object} message - Message
+   */
+  send(message) {
+    if (!this.connection) {
+      throw new Error('Not connected to the collaboration server');
+    }
+
+    const { connection } = this;
+    const data = copy(message);
+    this.deliver(() => connection.receive(data));
+  }
+
+  /**
+   * Close the connection
+   */
+  disconnect() {
+    if (!this.connection) return;
+
+    const { connection, handlers } = this;
+    this.connection = null;
+    this.handlers = null;
+    this.deliver(() => connection.close());
+    handlers.onClose();
+  }
+
+  deliver(callback) {
+    setTimeout(callback, this.latency);
+  }
+}
+
+/*
+ * Connects a session to a collaboration server over a WebSocket, sending
+ * each message as JSON.
+ */
+class WebSocketTransport {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.protocols = options.protocols;
+    this.socket = null;
+    this.queue = []; // Messages sent before the socket opened
+  }
+
+  /**
+   * Open the socket
+   * @param {Object} handlers - onMessage(message) and onClose()
+   */
+  connect(handlers) {
+    const socket = new WebSocket(this.url, this.protocols);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.queue.forEach(data => socket.send(data));
+      this.queue = [];
+    });
+
+    socket.addEventListener('message', event => {
+      try {
+        handlers.onMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error handling collaboration message:', error);
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.queue = [];
+      }
+      handlers.onClose();
+    });
+  }
+
+  /**
+   * Send a message, queueing it until the socket is open
+   * @param {Object} message - Message
+   */
+  send(message) {
+    if (!this.socket) {
+      throw new Error('Not connected to the collaboration server');
+    }
+
+    const data = JSON.stringify(message);
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(data);
+    } else {
+      this.queue.push(data);
+    }
+  }
+
+  /**
+   * Close the socket
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+/*
+ * Shares one DrawingManager's canvas with the other clients of a server.
+ *
+ * Local changes are sent when they are committed to the undo history, and
+ * stay pending until the server echoes them back in its order. Incoming
+ * changes are replayed on the last confirmed drawing, with pending ones on
+ * top. They are also applied to every step of the local undo history, so
+ * undo only takes back this user's own changes: if someone else has changed
+ * a shape since, their later change is kept.
+ */
+class CollaborationSession {
+  constructor(options = {}) {
+    if (!options.drawingManager || !options.transport) {
+      throw new Error('A collaboration session needs a drawing manager and a transport');
+    }
+
+    this.drawingManager = options.drawingManager;
+    this.canvas = this.drawingManager.canvas;
+    this.transport = options.transport;
+    this.clientId = options.clientId || `client_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    this.user = {
+      name: options.userName || 'Guest',
+      color: options.color || PRESENCE_COLORS[Math.floor(Math.random() * PRESENCE_COLORS.length)]
+    };
+    this.onRemoteChange = options.onRemoteChange || (() => {}); // Called with the user and operations applied
+    this.onPresenceChange = options.onPresenceChange || (() => {}); // Called with the other users present
+    this.onStatusChange = options.onStatusChange || (() => {}); // 'connecting', 'connected' or 'disconnected'
+    this.status = 'disconnected';
+    this.confirmed = null; // Drawing after the last batch the server ordered
+    this.pending = []; // Local batches the server has not echoed yet
+    this.synced = null; // Drawing the canvas showed after the last local or remote change
+    this.held = []; // Server messages held while a pointer is down
+    this.peers = new Map(); // Other users' presence by client ID
+    this.batchCount = 0;
+    this.cursor = null;
+    this.lastPresence = 0;
+    this.presenceTimer = null;
+    this.overlay = new PresenceOverlay(this);
+
+    this.handleCommit = this.handleCommit.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+  }
+
+  /**
+   * Join the shared drawing. The server's drawing replaces the canvas unless this is the first client.
+   */
+  connect() {
+    if (this.status !== 'disconnected') return;
+
+    this.setStatus('connecting');
+    this.transport.connect({
+      onMessage: message => this.receive(message),
+      onClose: () => this.handleClose()
+    });
+    this.transport.send({ type: 'join', clientId: this.clientId, user: this.user, drawing: this.serialize() });
+
+    this.canvas.addCommitListener(this.handleCommit);
+    this.canvas.addOverlay(this.overlay);
+
+    const element = this.canvas.canvas;
+    element.addEventListener('pointermove', this.handlePointerMove);
+    element.addEventListener('pointerup', this.handlePointerUp);
+    element.addEventListener('pointercancel', this.handlePointerUp);
+    element.addEventListener('pointerleave', this.handlePointerLeave);
+    element.addEventListener('keyup', this.handleKeyUp);
+  }
+
+  /**
+   * Leave the shared drawing, keeping the current drawing on the canvas
+   */
+  disconnect() {
+    if (this.status === 'disconnected') return;
+
+    this.transport.send({ type: 'leave', clientId: this.clientId });
+    this.transport.disconnect();
+    this.handleClose();
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.onStatusChange(status);
+  }
+
+  /**
+   * Clean up after the connection closed
+   */
+  handleClose() {
+    if (this.status === 'disconnected') return;
+
+    this.canvas.removeCommitListener(this.handleCommit);
+    this.canvas.removeOverlay(this.overlay);
+
+    const element = this.canvas.canvas;
+    element.removeEventListener('pointermove', this.handlePointerMove);
+    element.removeEventListener('pointerup', this.handlePointerUp);
+    element.removeEventListener('pointercancel', this.handlePointerUp);
+    element.removeEventListener('pointerleave', this.handlePointerLeave);
+    element.removeEventListener('keyup', this.handleKeyUp);
+
+    clearTimeout(this.presenceTimer);
+    this.presenceTimer = null;
+    this.confirmed = null;
+    this.synced = null;
+    this.pending = [];
+    this.held = [];
+    this.peers.clear();
+    this.onPresenceChange([]);
+    this.setStatus('disconnected');
+  }
+
+  /**
+   * Get the drawing on the canvas as saved data
+   * @returns {Object} - Shapes, walls and cabinet runs
+   */
+  serialize() {
+    return copy({
+      shapes: this.canvas.shapes.map(shape => shape.toJSON()),
+      walls: this.canvas.walls.map(wall => wall.toJSON()),
+      cabinetRuns: this.canvas.cabinetRuns.map(run => run.toJSON())
+    });
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {Object} message - Message
+   */
+  receive(message) {
+    // Shapes being dragged must not be swapped out underneath the tool
+    if ((message.type === 'welcome' || message.type === 'operations') && this.isBusy()) {
+      this.held.push(message);
+      return;
+    }
+
+    switch (message.type) {
+      case 'welcome':
+        this.handleWelcome(message);
+        break;
+      case 'operations':
+        this.handleOperations(message);
+        break;
+      case 'presence':
+        this.peers.set(message.clientId, message);
+        this.handlePresenceChange();
+        break;
+      case 'leave':
+        this.peers.delete(message.clientId);
+        this.handlePresenceChange();
+        break;
+      default:
+        console.warn(`Ignoring unknown collaboration message: ${message.type}`);
+    }
+  }
+
+  isBusy() {
+    return this.canvas.pointers.size > 0;
+  }
+
+  /**
+   * Apply the server messages held during a drag
+   */
+  releaseHeld() {
+    if (this.isBusy()) return;
+
+    const held = this.held;
+    this.held = [];
+    held.forEach(message => this.receive(message));
+  }
+
+  /**
+   * Start from the server's drawing
+   * @param {Object} message - Welcome message with the drawing and the users present
+   */
+  handleWelcome(message) {
+    const { canvas } = this;
+
+    this.confirmed = message.drawing;
+    this.synced = copy(message.drawing);
+    this.pending = [];
+
+    canvas.clearSelection();
+    canvas.shapes = message.drawing.shapes.map(data => Shape.fromJSON(data));
+    canvas.walls = message.drawing.walls.map(data => Wall.fromJSON(data));
+    canvas.cabinetRuns = (message.drawing.cabinetRuns || []).map(data => CabinetRun.fromJSON(data));
+
+    // Undoing past the join would take back the shared drawing
+    canvas.history = [canvas.createSnapshot()];
+    canvas.historyIndex = 0;
+
+    this.peers = new Map(message.peers.map(peer => [peer.clientId, peer]));
+    this.setStatus('connected');
+    this.handlePresenceChange();
+    canvas.onChange();
+    canvas.render();
+  }
+
+  /**
+   * Apply a batch of operations in the server's order
+   * @param {Object} message - Batch with its sender and operations
+   */
+  handleOperations(message) {
+    if (!this.confirmed) return;
+
+    const own = message.clientId === this.clientId;
+    message.operations.forEach(operation => applyOperation(this.confirmed, operation));
+
+    if (own) {
+      this.pending = this.pending.filter(batch => batch.batchId !== message.batchId);
+    } else {
+      // Earlier undo steps get the change too, so undo never reverts someone else's work
+      const { history, historyIndex } = this.canvas;
+      history.forEach((snapshot, index) => {
+        if (index !== historyIndex) {
+          message.operations.forEach(operation => applyOperation(snapshot, operation, DRAWING_OBJECTS));
+        }
+      });
+    }
+
+    // Pending local changes were ordered after this batch, so they go on top
+    const target = copy(this.confirmed);
+    this.pending.forEach(batch => {
+      batch.operations.forEach(operation => applyOperation(target, operation));
+    });
+
+    const operations = diffDrawings(this.serialize(), target);
+    this.synced = target;
+
+    if (operations.length === 0) return;
+
+    this.applyToCanvas(operations);
+
+    if (!own) {
+      const peer = this.peers.get(message.clientId);
+      this.onRemoteChange({ user: peer ? peer.user : null, operations });
+    }
+  }
+
+  /**
+   * Bring the canvas and its current undo step up to date, keeping the selection
+   * @param {Array<Object>} operations - Operations
+   */
+  applyToCanvas(operations) {
+    const { canvas } = this;
+    const selectedIds = canvas.selectedShapes.map(shape => shape.id);
+    const primaryId = canvas.selectedShape ? canvas.selectedShape.id : null;
+
+    canvas.clearSelection();
+    operations.forEach(operation => applyOperation(canvas, operation, DRAWING_OBJECTS));
+    canvas.history[canvas.historyIndex] = canvas.createSnapshot();
+
+    canvas.shapes.forEach(shape => {
+      if (selectedIds.includes(shape.id)) {
+        shape.selected = true;
+        canvas.selectedShapes.push(shape);
+      }
+    });
+    canvas.selectedShape = canvas.selectedShapes.find(shape => shape.id === primaryId) ||
+      canvas.selectedShapes[canvas.selectedShapes.length - 1] || null;
+
+    canvas.onChange();
+    canvas.render();
+  }
+
+  /**
+   * Send the changes in the step just committed on the canvas
+   */
+  handleCommit() {
+    if (!this.synced) return;
+
+    const drawing = this.serialize();
+    const operations = diffDrawings(this.synced, drawing);
+
+    if (operations.length > 0) {
+      // One undo step is one batch, so nobody sees half of it
+      const batch = {
+        type: 'operations',
+        clientId: this.clientId,
+        batchId: `${this.clientId}_${++this.batchCount}`,
+        operations
+      };
+
+      this.pending.push(batch);
+      this.synced = drawing;
+      this.transport.send(batch);
+    }
+
+    this.sendPresence(true);
+  }
+
+  handlePointerMove(event) {
+    this.cursor = this.canvas.getCanvasPoint(event);
+    this.sendPresence();
+  }
+
+  handlePointerUp() {
+    this.releaseHeld();
+    this.sendPresence(true);
+  }
+
+  handlePointerLeave() {
+    this.cursor = null;
+    this.sendPresence(true);
+  }
+
+  handleKeyUp() {
+    // Keyboard selection changes show up for the others too
+    this.sendPresence(true);
+  }
+
+  /**
+   * Tell the others where this user's cursor is and what is selected
+   * @param {boolean} force - Send even if an update went out moments ago
+   */
+  sendPresence(force = false) {
+    if (this.status !== 'connected') return;
+
+    // Updates that come too fast are folded into one sent at the end of the interval
+    const wait = this.lastPresence + PRESENCE_INTERVAL - Date.now();
+    if (!force && wait > 0) {
+      if (!this.presenceTimer) {
+        this.presenceTimer = setTimeout(() => this.sendPresence(true), wait);
+      }
+      return;
+    }
+
+    clearTimeout(this.presenceTimer);
+    this.presenceTimer = null;
+    this.lastPresence = Date.now();
+
+    this.transport.send({
+      type: 'presence',
+      clientId: this.clientId,
+      user: this.user,
+      cursor: this.cursor,
+      selection: this.canvas.selectedShapes.map(shape => shape.id)
+    });
+  }
+
+  handlePresenceChange() {
+    this.onPresenceChange(Array.from(this.peers.values()).map(({ clientId, user, selection }) => ({
+      clientId,
+      user,
+      selection
+    })));
+    this.canvas.render();
+  }
+}
+
+/*
+ * Draws the other users' cursors and selections over the drawing
+ */
+class PresenceOverlay {
+  constructor(session) {
+    this.session = session;
+  }
+
+  /**
+   * Draw the overlay
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} scale - Canvas zoom
+   * @param {Object} offset - Canvas pan offset
+   */
+  draw(ctx, scale, offset) {
+    const { shapes } = this.session.canvas;
+    const toScreen = point => ({ x: offset.x + point.x * scale, y: offset.y + point.y * scale });
+
+    ctx.font = '12px Arial';
+    ctx.textBaseline = 'top';
+
+    this.session.peers.forEach(({ user, cursor, selection }) => {
+      ctx.strokeStyle = user.color;
+      ctx.fillStyle = user.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 3]);
+
+      shapes.filter(shape => selection.includes(shape.id)).forEach(shape => {
+        const center = shape.getCenter();
+        const points = shape.getOutline().map(point => toScreen(shape.toWorld(point, center)));
+
+        ctx.beginPath();
+        points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+        ctx.stroke();
+      });
+
+      if (!cursor) return;
+
+      // Arrow pointer with the user's name beside it
+      const { x, y } = toScreen(cursor);
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x, y + 16);
+      ctx.lineTo(x + 4, y + 12);
+      ctx.lineTo(x + 11, y + 11);
+      ctx.closePath();
+      ctx.fill();
+
+      const width = ctx.measureText(user.name).width + 8;
+      ctx.fillRect(x + 12, y + 14, width, 18);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(user.name, x + 16, y + 17);
+    });
+  }
+}
+
+// Export the module
+export {
+  CollaborationSession,
+  CollaborationServer,
+  LocalTransport,
+  WebSocketTransport,
+  PresenceOverlay,
+  applyOperation,
+  diffDrawings,
+  diffShape,
+  mergeShape
+};
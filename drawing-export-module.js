@@ -0,0 +1,718 @@
+/**
+ * Drawing Export Module
+ *
+ * This module writes the countertop drawing to true-scale SVG and DXF files
+ * for CNC and fabrication partners, and reads closed DXF polylines back in
+ * as custom shapes so templates digitized in the shop can be quoted.
+ */
+
+import { Shape, CustomShape } from './interactive-drawing-module';
+
+// DXF $INSUNITS codes and their size in inches
+const DXF_UNITS = {
+  1: 1,
+  2: 12,
+  4: 1 / 25.4,
+  5: 1 / 2.54,
+  6: 1 / 0.0254
+};
+
+// Layer names and AutoCAD color numbers
+const DXF_LAYERS = {
+  OUTLINE: 7,
+  CUTOUTS: 1,
+  DIMENSIONS: 3,
+  SEAMS: 5
+};
+
+class DrawingExporter {
+  constructor(options = {}) {
+    this.drawingManager = options.drawingManager || null;
+    this.config = {
+      margin: 2, // Space around the drawing, in inches
+      precision: 4, // Decimal places written to the file
+      dimensionOffset: 3, // Distance from an edge to its dimension line, in inches
+      textHeight: 1, // Dimension text height, in inches
+      minDimensionLength: 2, // Edges shorter than this are not dimensioned, in inches
+      ...options.config
+    };
+  }
+
+  /**
+   * Get the measurement manager that converts drawing pixels to inches
+   * @returns {MeasurementManager} - Measurement manager
+   */
+  getMeasurementManager() {
+    if (!this.drawingManager) {
+      throw new Error('A DrawingManager is required to export drawings');
+    }
+    return this.drawingManager.measurementManager;
+  }
+
+  /**
+   * Collect the drawing as plain geometry in inches
+   * @param {Array<Shape>} shapes - Shapes to export, defaults to the whole canvas
+   * @returns {Object} - Outlines, cutouts, seams, dimensions and overall bounds
+   */
+  collectGeometry(shapes = this.drawingManager.canvas.shapes) {
+    const measurementManager = this.getMeasurementManager();
+    const toInches = point => ({
+      x: measurementManager.pixelsToInches(point.x),
+      y: measurementManager.pixelsToInches(point.y)
+    });
+
+    const geometry = { outlines: [], cutouts: [], seams: [], dimensions: [] };
+
+    shapes.forEach(shape => {
+      const center = shape.getCenter();
+      const toWorld = point => toInches(shape.toWorld(point, center));
+
+      // Rotation keeps arcs as arcs, so bulges carry over unchanged. Each point also
+      // records the edge its segment belongs to; rounded corners belong to none.
+      const path = (shape.type === 'custom' ? shape.getPath() : shape.getPoints()).map((point, index) => ({
+        ...toWorld(point),
+        bulge: point.bulge || 0,
+        edge: point.source ? (point.source.startsWith('edge:') ? parseInt(point.source.slice(5), 10) : null) : index
+      }));
+
+      if (path.length < 2) return;
+
+      geometry.outlines.push({ shapeType: shape.type, path, edges: { ...shape.edges } });
+      geometry.dimensions.push(...this.getEdgeDimensions(path));
+
+      const origin = shape.getOrigin();
+      shape.cutouts.forEach(cutout => {
+        const bounds = cutout.getBounds(origin);
+
+        if (cutout.type === 'faucet') {
+          geometry.cutouts.push({
+            type: cutout.type,
+            center: toWorld({ x: bounds.x + bounds.width / 2, y: bounds.y + bounds.depth / 2 }),
+            radius: measurementManager.pixelsToInches(bounds.width / 2)
+          });
+        } else {
+          geometry.cutouts.push({
+            type: cutout.type,
+            points: [
+              { x: bounds.x, y: bounds.y },
+              { x: bounds.x + bounds.width, y: bounds.y },
+              { x: bounds.x + bounds.width, y: bounds.y + bounds.depth },
+              { x: bounds.x, y: bounds.y + bounds.depth }
+            ].map(toWorld)
+          });
+        }
+      });
+
+      shape.seams.forEach(seam => {
+        const chord = shape.getSeamChord(seam);
+        if (!chord) return;
+
+        geometry.seams.push({
+          start: toWorld(chord.start.point),
+          end: toWorld(chord.end.point)
+        });
+      });
+    });
+
+    geometry.bounds = this.getBounds(geometry);
+    return geometry;
+  }
+
+  /**
+   * Build a dimension for every straight edge and arc of an outline
+   * @param {Array<Object>} path - Outline in inches with bulges
+   * @returns {Array<Object>} - Dimension lines and labels
+   */
+  getEdgeDimensions(path) {
+    const measurementManager = this.getMeasurementManager();
+    const { dimensionOffset, textHeight, minDimensionLength } = this.config;
+
+    // Outward is to the right of travel for outlines with a positive signed area
+    const signedArea = path.reduce((total, point, index) => {
+      const next = path[(index + 1) % path.length];
+      return total + point.x * next.y - next.x * point.y;
+    }, 0);
+    const outward = signedArea >= 0 ? 1 : -1;
+
+    const dimensions = [];
+
+    path.forEach((start, index) => {
+      const end = path[(index + 1) % path.length];
+      const dx = end.x - start.x;
+      const dy = end.y - start.y;
+      const chord = Math.hypot(dx, dy);
+
+      if (chord === 0) return;
+
+      const normal = { x: dy / chord * outward, y: -dx / chord * outward };
+
+      if (start.bulge) {
+        // Arcs are labelled with their length at the middle of the curve
+        const arc = Shape.arcFromBulge(start, end, start.bulge);
+        const middle = arc.startAngle + arc.sweep / 2;
+        const radial = { x: Math.cos(middle), y: Math.sin(middle) };
+        const direction = Math.sign(radial.x * normal.x + radial.y * normal.y) || 1;
+        const distance = arc.radius + direction * (dimensionOffset + textHeight);
+
+        if (arc.length < minDimensionLength) return;
+
+        dimensions.push({
+          line: null,
+          text: measurementManager.formatMeasurement(arc.length),
+          position: {
+            x: arc.center.x + radial.x * distance,
+            y: arc.center.y + radial.y * distance
+          },
+          angle: 0
+        });
+        return;
+      }
+
+      if (chord < minDimensionLength) return;
+
+      const offset = { x: normal.x * dimensionOffset, y: normal.y * dimensionOffset };
+      let angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+      // Keep text readable rather than upside down
+      if (angle > 90) angle -= 180;
+      if (angle <= -90) angle += 180;
+
+      dimensions.push({
+        line: {
+          start: { x: start.x + offset.x, y: start.y + offset.y },
+          end: { x: end.x + offset.x, y: end.y + offset.y }
+        },
+        text: measurementManager.formatMeasurement(chord),
+        position: {
+          x: (start.x + end.x) / 2 + normal.x * (dimensionOffset + textHeight),
+          y: (start.y + end.y) / 2 + normal.y * (dimensionOffset + textHeight)
+        },
+        angle
+      });
+    });
+
+    return dimensions;
+  }
+
+  /**
+   * Get the overall extents of the exported geometry, including margins
+   * @param {Object} geometry - Geometry from collectGeometry()
+   * @returns {Object} - Bounds with x, y, width and height in inches
+   */
+  getBounds(geometry) {
+    const points = [];
+
+    geometry.outlines.forEach(outline => {
+      outline.path.forEach((start, index) => {
+        points.push(start);
+
+        if (start.bulge) {
+          const end = outline.path[(index + 1) % outline.path.length];
+          points.push(...Shape.getArcExtremes(Shape.arcFromBulge(start, end, start.bulge)));
+        }
+      });
+    });
+    geometry.dimensions.forEach(dimension => {
+      points.push(dimension.position);
+      if (dimension.line) {
+        points.push(dimension.line.start, dimension.line.end);
+      }
+    });
+
+    if (points.length === 0) {
+      return { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    const { margin } = this.config;
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs) - margin;
+    const minY = Math.min(...ys) - margin;
+
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(...xs) + margin - minX,
+      height: Math.max(...ys) + margin - minY
+    };
+  }
+
+  /**
+   * Format a number for output
+   * @param {number} value - Number to format
+   * @returns {string} - Number rounded to the configured precision
+   */
+  formatNumber(value) {
+    const factor = Math.pow(10, this.config.precision);
+    const rounded = Math.round(value * factor) / factor;
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+  }
+
+  /**
+   * Export the drawing as an SVG document measured in inches
+   * @param {Array<Shape>} shapes - Shapes to export, defaults to the whole canvas
+   * @returns {string} - SVG markup
+   */
+  toSVG(shapes) {
+    const geometry = this.collectGeometry(shapes);
+    const { bounds } = geometry;
+    const n = value => this.formatNumber(value);
+    const { textHeight } = this.config;
+
+    const outlinePaths = geometry.outlines.map(outline => {
+      return `    <path d="${this.toSVGPath(outline.path)}"/>`;
+    });
+
+    const cutoutPaths = geometry.cutouts.map(cutout => {
+      if (cutout.center) {
+        return `    <circle cx="${n(cutout.center.x)}" cy="${n(cutout.center.y)}" r="${n(cutout.radius)}"/>`;
+      }
+      return `    <path d="${this.toSVGPath(cutout.points)}"/>`;
+    });
+
+    const seamLines = geometry.seams.map(seam => {
+      return `    <line x1="${n(seam.start.x)}" y1="${n(seam.start.y)}" x2="${n(seam.end.x)}" y2="${n(seam.end.y)}"/>`;
+    });
+
+    const dimensionElements = [];
+    geometry.dimensions.forEach(dimension => {
+      if (dimension.line) {
+        const { start, end } = dimension.line;
+        dimensionElements.push(`    <line x1="${n(start.x)}" y1="${n(start.y)}" x2="${n(end.x)}" y2="${n(end.y)}"/>`);
+      }
+
+      const { x, y } = dimension.position;
+      dimensionElements.push(
+        `    <text x="${n(x)}" y="${n(y)}" transform="rotate(${n(dimension.angle)} ${n(x)} ${n(y)})">${this.escapeXML(dimension.text)}</text>`
+      );
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${n(bounds.width)}in" height="${n(bounds.height)}in" viewBox="${n(bounds.x)} ${n(bounds.y)} ${n(bounds.width)} ${n(bounds.height)}">`,
+      '  <g id="outline" fill="none" stroke="#000000" stroke-width="0.05">',
+      ...outlinePaths,
+      '  </g>',
+      '  <g id="cutouts" fill="none" stroke="#ff0000" stroke-width="0.05">',
+      ...cutoutPaths,
+      '  </g>',
+      '  <g id="seams" fill="none" stroke="#0000ff" stroke-width="0.05" stroke-dasharray="1 0.5">',
+      ...seamLines,
+      '  </g>',
+      `  <g id="dimensions" fill="#008000" stroke="#008000" stroke-width="0.02" font-family="Arial" font-size="${n(textHeight)}" text-anchor="middle" dominant-baseline="middle">`,
+      ...dimensionElements,
+      '  </g>',
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Convert a closed path with bulges into SVG path data
+   * @param {Array<Object>} path - Points in inches, optionally with bulges
+   * @returns {string} - SVG path data
+   */
+  toSVGPath(path) {
+    const n = value => this.formatNumber(value);
+    const commands = [`M ${n(path[0].x)} ${n(path[0].y)}`];
+
+    path.forEach((start, index) => {
+      const end = path[(index + 1) % path.length];
+
+      if (start.bulge) {
+        // Positive sweeps run from +x towards +y, which is SVG's sweep flag 1
+        const arc = Shape.arcFromBulge(start, end, start.bulge);
+        const largeArc = Math.abs(arc.sweep) > Math.PI ? 1 : 0;
+        const sweep = arc.sweep > 0 ? 1 : 0;
+        commands.push(`A ${n(arc.radius)} ${n(arc.radius)} 0 ${largeArc} ${sweep} ${n(end.x)} ${n(end.y)}`);
+      } else if (index < path.length - 1) {
+        commands.push(`L ${n(end.x)} ${n(end.y)}`);
+      }
+    });
+
+    commands.push('Z');
+    return commands.join(' ');
+  }
+
+  /**
+   * Escape text for use inside SVG markup
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeXML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Export the drawing as an ASCII R12 DXF file in inches
+   *
+   * R12 needs no entity handles or objects section, so old and new CAD and
+   * CAM programs alike read it, and its POLYLINE entities keep arcs as bulges.
+   * @param {Array<Shape>} shapes - Shapes to export, defaults to the whole canvas
+   * @returns {string} - DXF file contents
+   */
+  toDXF(shapes) {
+    const geometry = this.collectGeometry(shapes);
+    const n = value => this.formatNumber(value);
+
+    // DXF's Y axis points up, so flip around the bottom of the drawing
+    const top = geometry.bounds.y + geometry.bounds.height;
+    const flip = point => ({ x: point.x, y: top - point.y });
+
+    const lines = [];
+    const write = (...pairs) => {
+      for (let i = 0; i < pairs.length; i += 2) {
+        lines.push(String(pairs[i]), String(pairs[i + 1]));
+      }
+    };
+
+    write(0, 'SECTION', 2, 'HEADER');
+    write(9, '$ACADVER', 1, 'AC1009');
+    // Not part of R12, but read by newer programs and parseDXF() instead of asking for units
+    write(9, '$INSUNITS', 70, 1);
+    write(9, '$EXTMIN', 10, n(geometry.bounds.x), 20, 0, 30, 0);
+    write(9, '$EXTMAX', 10, n(geometry.bounds.x + geometry.bounds.width), 20, n(geometry.bounds.height), 30, 0);
+    write(0, 'ENDSEC');
+
+    write(0, 'SECTION', 2, 'TABLES');
+    write(0, 'TABLE', 2, 'LTYPE', 70, 1);
+    write(0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0);
+    write(0, 'ENDTAB');
+    write(0, 'TABLE', 2, 'LAYER', 70, Object.keys(DXF_LAYERS).length);
+    Object.keys(DXF_LAYERS).forEach(layer => {
+      write(0, 'LAYER', 2, layer, 70, 0, 62, DXF_LAYERS[layer], 6, 'CONTINUOUS');
+    });
+    write(0, 'ENDTAB');
+    write(0, 'ENDSEC');
+
+    write(0, 'SECTION', 2, 'ENTITIES');
+
+    const writePolyline = (layer, path) => {
+      // Closed polyline with its vertices following as separate entities
+      write(0, 'POLYLINE', 8, layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, 1);
+      path.forEach(point => {
+        const flipped = flip(point);
+        write(0, 'VERTEX', 8, layer, 10, n(flipped.x), 20, n(flipped.y), 30, 0);
+
+        // Flipping Y reverses the direction of every arc
+        if (point.bulge) {
+          write(42, n(-point.bulge));
+        }
+      });
+      write(0, 'SEQEND', 8, layer);
+    };
+
+    geometry.outlines.forEach(outline => writePolyline('OUTLINE', outline.path));
+
+    geometry.cutouts.forEach(cutout => {
+      if (cutout.center) {
+        const center = flip(cutout.center);
+        write(0, 'CIRCLE', 8, 'CUTOUTS', 10, n(center.x), 20, n(center.y), 30, 0, 40, n(cutout.radius));
+      } else {
+        writePolyline('CUTOUTS', cutout.points);
+      }
+    });
+
+    geometry.seams.forEach(seam => {
+      const start = flip(seam.start);
+      const end = flip(seam.end);
+      write(0, 'LINE', 8, 'SEAMS', 10, n(start.x), 20, n(start.y), 30, 0, 11, n(end.x), 21, n(end.y), 31, 0);
+    });
+
+    geometry.dimensions.forEach(dimension => {
+      if (dimension.line) {
+        const start = flip(dimension.line.start);
+        const end = flip(dimension.line.end);
+        write(0, 'LINE', 8, 'DIMENSIONS', 10, n(start.x), 20, n(start.y), 30, 0, 11, n(end.x), 21, n(end.y), 31, 0);
+      }
+
+      const position = flip(dimension.position);
+      write(
+        0, 'TEXT', 8, 'DIMENSIONS',
+        10, n(position.x), 20, n(position.y), 30, 0,
+        40, n(this.config.textHeight),
+        1, dimension.text,
+        50, n(-dimension.angle),
+        72, 1,
+        11, n(position.x), 21, n(position.y), 31, 0,
+        73, 2
+      );
+    });
+
+    write(0, 'ENDSEC');
+    write(0, 'EOF');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Read closed polylines from a DXF file as custom shapes
+   * @param {string} text - DXF file contents
+   * @param {Object} options - Import options
+   * @param {Object} options.position - Where the top-left of the template goes, in drawing pixels
+   * @param {Array<string>} options.layers - Layers to read, defaults to all but the exported detail layers
+   * @returns {Object} - Imported shapes and warnings about skipped entities
+   */
+  parseDXF(text, options = {}) {
+    const measurementManager = this.getMeasurementManager();
+    const pairs = this.readDXFPairs(text);
+    const warnings = [];
+
+    // Header units, inches unless the file says otherwise
+    let unitSize = 1;
+    const unitsIndex = pairs.findIndex(pair => pair.code === 9 && pair.value === '$INSUNITS');
+    if (unitsIndex !== -1 && pairs[unitsIndex + 1]) {
+      const code = parseInt(pairs[unitsIndex + 1].value, 10);
+      if (DXF_UNITS[code]) {
+        unitSize = DXF_UNITS[code];
+      } else if (code !== 0) {
+        warnings.push(`Unsupported drawing units (${code}), reading values as inches`);
+      }
+    }
+
+    // Cutouts, dimensions and seams written by toDXF() are not countertop outlines
+    const isIncluded = layer => {
+      if (options.layers) {
+        return options.layers.includes(layer);
+      }
+      return !['CUTOUTS', 'DIMENSIONS', 'SEAMS'].includes(layer);
+    };
+
+    const polylines = this.readPolylines(pairs, warnings, isIncluded);
+
+    if (polylines.length === 0) {
+      return { shapes: [], warnings: warnings.concat('No closed polylines found') };
+    }
+
+    // Flip Y back to screen coordinates and move the template to the requested position
+    const all = [].concat(...polylines);
+    const minX = Math.min(...all.map(point => point.x));
+    const maxY = Math.max(...all.map(point => point.y));
+    const position = options.position || { x: 0, y: 0 };
+
+    const shapes = polylines.map(points => {
+      return new CustomShape(points.map(point => {
+        const converted = {
+          x: position.x + measurementManager.inchesToPixels((point.x - minX) * unitSize),
+          y: position.y + measurementManager.inchesToPixels((maxY - point.y) * unitSize)
+        };
+
+        if (point.bulge) {
+          converted.bulge = -point.bulge;
+        }
+
+        return converted;
+      }));
+    });
+
+    return { shapes, warnings };
+  }
+
+  /**
+   * Split DXF text into group code/value pairs
+   * @param {string} text - DXF file contents
+   * @returns {Array<Object>} - Pairs with numeric code and trimmed value
+   */
+  readDXFPairs(text) {
+    const lines = String(text).split(/\r?\n/);
+    const pairs = [];
+
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+      const code = parseInt(lines[i].trim(), 10);
+      if (isNaN(code)) {
+        throw new Error(`Invalid DXF group code on line ${i + 1}`);
+      }
+      pairs.push({ code, value: lines[i + 1].trim() });
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Collect closed LWPOLYLINE and POLYLINE entities from the ENTITIES section
+   * @param {Array<Object>} pairs - DXF group code pairs
+   * @param {Array<string>} warnings - Receives messages about skipped entities
+   * @param {Function} isIncluded - Returns whether entities on a layer should be read
+   * @returns {Array<Array<Object>>} - Polylines as points with optional bulges
+   */
+  readPolylines(pairs, warnings, isIncluded = () => true) {
+    const start = pairs.findIndex((pair, index) => {
+      return pair.code === 2 && pair.value === 'ENTITIES' && pairs[index - 1] && pairs[index - 1].value === 'SECTION';
+    });
+
+    if (start === -1) {
+      throw new Error('DXF file has no ENTITIES section');
+    }
+
+    const polylines = [];
+    const skipped = {};
+    let entity = null;
+    let vertex = null;
+
+    const finishEntity = () => {
+      if (!entity || !isIncluded(entity.layer)) return;
+
+      if (entity.type === 'LWPOLYLINE') {
+        this.addPolyline(polylines, entity, warnings);
+      } else if (entity.type !== 'POLYLINE' && entity.type !== 'VERTEX' && entity.type !== 'SEQEND') {
+        skipped[entity.type] = (skipped[entity.type] || 0) + 1;
+      }
+    };
+
+    for (let i = start + 1; i < pairs.length; i++) {
+      const { code, value } = pairs[i];
+
+      if (code === 0) {
+        if (value === 'VERTEX' && entity && entity.type === 'POLYLINE') {
+          // Old-style polylines list their vertices as separate entities
+          vertex = { x: 0, y: 0, bulge: 0 };
+          entity.points.push(vertex);
+          continue;
+        }
+
+        if (value === 'SEQEND' && entity && entity.type === 'POLYLINE') {
+          if (isIncluded(entity.layer)) {
+            this.addPolyline(polylines, entity, warnings);
+          }
+          entity = null;
+          vertex = null;
+          continue;
+        }
+
+        finishEntity();
+
+        if (value === 'ENDSEC' || value === 'EOF') {
+          entity = null;
+          break;
+        }
+
+        entity = { type: value, layer: '0', points: [], closed: false };
+        vertex = null;
+        continue;
+      }
+
+      if (!entity) continue;
+
+      if (code === 8 && !vertex) {
+        entity.layer = value;
+      }
+
+      if (entity.type === 'LWPOLYLINE') {
+        if (code === 70) entity.closed = (parseInt(value, 10) & 1) === 1;
+        if (code === 10) entity.points.push({ x: parseFloat(value), y: 0, bulge: 0 });
+        const last = entity.points[entity.points.length - 1];
+        if (code === 20 && last) last.y = parseFloat(value);
+        if (code === 42 && last) last.bulge = parseFloat(value);
+      } else if (entity.type === 'POLYLINE') {
+        if (vertex) {
+          if (code === 10) vertex.x = parseFloat(value);
+          if (code === 20) vertex.y = parseFloat(value);
+          if (code === 42) vertex.bulge = parseFloat(value);
+        } else if (code === 70) {
+          entity.closed = (parseInt(value, 10) & 1) === 1;
+        }
+      }
+    }
+
+    Object.keys(skipped).forEach(type => {
+      warnings.push(`Skipped ${skipped[type]} ${type} ${skipped[type] === 1 ? 'entity' : 'entities'}`);
+    });
+
+    return polylines;
+  }
+
+  /**
+   * Add a polyline if it describes a closed outline
+   * @param {Array<Array<Object>>} polylines - Collected polylines
+   * @param {Object} entity - Parsed polyline entity
+   * @param {Array<string>} warnings - Receives messages about skipped polylines
+   */
+  addPolyline(polylines, entity, warnings) {
+    const points = entity.points.slice();
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    // Some programs close outlines by repeating the first point instead of setting the flag
+    const repeatsStart = points.length > 2 && first.x === last.x && first.y === last.y;
+    if (repeatsStart) {
+      points.pop();
+    }
+
+    if (!entity.closed && !repeatsStart) {
+      warnings.push(`Skipped an open ${entity.type} with ${entity.points.length} points`);
+      return;
+    }
+
+    if (points.length < 3 && !points.some(point => point.bulge)) {
+      warnings.push(`Skipped a ${entity.type} with fewer than 3 points`);
+      return;
+    }
+
+    polylines.push(points);
+  }
+
+  /**
+   * Import DXF polylines onto the canvas as one undoable step
+   * @param {string} text - DXF file contents
+   * @param {Object} options - Import options, see parseDXF()
+   * @returns {Object} - Imported shapes and warnings
+   */
+  importDXF(text, options = {}) {
+    const result = this.parseDXF(text, options);
+    const { canvas } = this.drawingManager;
+
+    if (result.shapes.length > 0) {
+      canvas.shapes.push(...result.shapes);
+      canvas.saveState();
+      canvas.selectShapes(result.shapes);
+      canvas.render();
+    }
+
+    result.warnings.forEach(warning => console.warn(warning));
+    return result;
+  }
+
+  /**
+   * Offer exported content to the user as a file download
+   * @param {string} content - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type of the file
+   */
+  download(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download the drawing as an SVG file
+   * @param {string} filename - Suggested file name
+   */
+  downloadSVG(filename = 'countertop-layout.svg') {
+    this.download(this.toSVG(), filename, 'image/svg+xml');
+  }
+
+  /**
+   * Download the drawing as a DXF file
+   * @param {string} filename - Suggested file name
+   */
+  downloadDXF(filename = 'countertop-layout.dxf') {
+    this.download(this.toDXF(), filename, 'application/dxf');
+  }
+}
+
+// Export the module
+export {
+  DrawingExporter
+};
@@ -0,0 +1,468 @@
+/**
+ * Drawing Project Module
+ *
+ * This module groups several countertop drawings into one project document,
+ * so a remodel covering a kitchen, baths and a laundry room is quoted and
+ * saved as a whole. Each room keeps its own shapes, walls, undo history,
+ * material selection, notes, underlay and drawing scale. The drawing canvas
+ * shows one room at a time.
+ */
+
+import { Shape, Wall, CabinetRun } from './interactive-drawing-module';
+import { DrawingSchema, DOCUMENT_FORMAT, DOCUMENT_VERSION } from './drawing-schema-module';
+
+const DEFAULT_LEVEL = 'Main level';
+const DEFAULT_PIXELS_PER_INCH = 10;
+
+class DrawingProject {
+  constructor(options = {}) {
+    this.drawingManager = options.drawingManager || null;
+    this.id = options.id || this.generateId('project');
+    this.name = options.name || 'Untitled project';
+    this.notes = options.notes || '';
+    this.rooms = [];
+    this.activeRoomId = null;
+    this.onChange = options.onChange || (() => {});
+    this.schema = options.schema || new DrawingSchema();
+    this.importErrors = []; // Problems found in the last document that failed to load
+
+    if (this.drawingManager) {
+      this.drawingManager.setProject(this);
+
+      // Whatever is already on the canvas becomes the first room
+      const room = this.createRoom({ name: options.roomName || 'Room 1' });
+      room.state = this.drawingManager.canvas.getState();
+      this.rooms.push(room);
+      this.activeRoomId = room.id;
+    }
+  }
+
+  /**
+   * Generate a unique id
+   * @param {string} prefix - Id prefix
+   * @returns {string} - Unique id
+   */
+  generateId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Create a room record with an empty drawing
+   * @param {Object} details - Room name, type, level, material, notes and drawing scale
+   * @returns {Object} - Room
+   */
+  createRoom(details = {}) {
+    return {
+      id: details.id || this.generateId('room'),
+      name: details.name || `Room ${this.rooms.length + 1}`,
+      type: details.type || 'kitchen',
+      level: details.level || DEFAULT_LEVEL,
+      material: details.material || null,
+      notes: details.notes || '',
+      // Rooms traced from different plans are calibrated separately, new rooms start at the current scale
+      pixelsPerInch: details.pixelsPerInch ||
+        (this.drawingManager ? this.drawingManager.measurementManager.pixelsPerInch : DEFAULT_PIXELS_PER_INCH),
+      // Start the history with the empty drawing so the first shape can be undone
+      state: {
+        shapes: [],
+        walls: [],
+        cabinetRuns: [],
+        history: [{ shapes: [], walls: [], cabinetRuns: [] }],
+        historyIndex: 0
+      }
+    };
+  }
+
+  /**
+   * Add a room to the project
+   * @param {Object} details - Room name, type, level, material and notes
+   * @returns {Object} - The new room
+   */
+  addRoom(details = {}) {
+    const room = this.createRoom(details);
+    this.rooms.push(room);
+
+    if (!this.activeRoomId) {
+      this.switchRoom(room.id);
+    }
+
+    this.onChange();
+    return room;
+  }
+
+  /**
+   * Remove a room and its drawing
+   * @param {string} roomId - Room ID
+   */
+  removeRoom(roomId) {
+    const index = this.rooms.findIndex(room => room.id === roomId);
+
+    if (index === -1) {
+      throw new Error(`Room not found: ${roomId}`);
+    }
+    if (this.rooms.length === 1) {
+      throw new Error('A project needs at least one room');
+    }
+
+    if (roomId === this.activeRoomId) {
+      const neighbour = this.rooms[index + 1] || this.rooms[index - 1];
+      this.switchRoom(neighbour.id);
+    }
+
+    this.rooms.splice(index, 1);
+    this.onChange();
+  }
+
+  /**
+   * Get a room by ID
+   * @param {string} roomId - Room ID
+   * @returns {Object} - Room
+   */
+  getRoom(roomId) {
+    const room = this.rooms.find(entry => entry.id === roomId);
+
+    if (!room) {
+      throw new Error(`Room not found: ${roomId}`);
+    }
+
+    return room;
+  }
+
+  /**
+   * Get the room shown on the canvas
+   * @returns {Object|null} - Active room
+   */
+  getActiveRoom() {
+    return this.rooms.find(room => room.id === this.activeRoomId) || null;
+  }
+
+  /**
+   * Change a room's name, type, level, material or notes
+   * @param {string} roomId - Room ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object} - Updated room
+   */
+  updateRoom(roomId, changes) {
+    const room = this.getRoom(roomId);
+
+    ['name', 'type', 'level', 'material', 'notes'].forEach(field => {
+      if (changes[field] !== undefined) {
+        room[field] = changes[field];
+      }
+    });
+
+    this.onChange();
+    return room;
+  }
+
+  /**
+   * Set the material selected for a room
+   * @param {string} roomId - Room ID
+   * @param {Object} material - Product id, color name, material and thickness
+   * @returns {Object} - Updated room
+   */
+  setRoomMaterial(roomId, material) {
+    return this.updateRoom(roomId, { material });
+  }
+
+  /**
+   * Show another room on the canvas, keeping each room's undo history, underlay and scale
+   * @param {string} roomId - Room ID
+   * @returns {Object} - The room now shown
+   */
+  switchRoom(roomId) {
+    const room = this.getRoom(roomId);
+    const { canvas, measurementManager } = this.drawingManager;
+
+    if (roomId === this.activeRoomId) {
+      return room;
+    }
+
+    // The canvas hands its live arrays back, so nothing is copied or lost
+    const current = this.getActiveRoom();
+    if (current) {
+      current.state = canvas.getState();
+      current.pixelsPerInch = measurementManager.pixelsPerInch;
+    }
+
+    this.activeRoomId = room.id;
+    measurementManager.setScale(room.pixelsPerInch);
+    canvas.setState(room.state);
+    this.onChange();
+
+    return room;
+  }
+
+  /**
+   * Get the shapes drawn in a room
+   * @param {Object} room - Room
+   * @returns {Array<Shape>} - Shapes
+   */
+  getRoomShapes(room) {
+    // The active room's drawing lives on the canvas until the next switch
+    if (room.id === this.activeRoomId && this.drawingManager) {
+      return this.drawingManager.canvas.shapes;
+    }
+    return room.state.shapes;
+  }
+
+  /**
+   * Get the walls drawn in a room
+   * @param {Object} room - Room
+   * @returns {Array<Wall>} - Walls
+   */
+  getRoomWalls(room) {
+    if (room.id === this.activeRoomId && this.drawingManager) {
+      return this.drawingManager.canvas.walls;
+    }
+    return room.state.walls;
+  }
+
+  /**
+   * Get the cabinet runs drawn in a room
+   * @param {Object} room - Room
+   * @returns {Array<CabinetRun>} - Cabinet runs
+   */
+  getRoomCabinetRuns(room) {
+    if (room.id === this.activeRoomId && this.drawingManager) {
+      return this.drawingManager.canvas.cabinetRuns;
+    }
+    return room.state.cabinetRuns || [];
+  }
+
+  /**
+   * Get the drawing scale of a room
+   * @param {Object} room - Room
+   * @returns {number} - Pixels per inch
+   */
+  getRoomScale(room) {
+    // Calibrating changes the active room's scale on the measurement manager until the next switch
+    if (room.id === this.activeRoomId && this.drawingManager) {
+      return this.drawingManager.measurementManager.pixelsPerInch;
+    }
+    return room.pixelsPerInch;
+  }
+
+  /**
+   * Get a measurement manager that converts a room's pixels at that room's scale
+   * @param {Object} room - Room
+   * @returns {MeasurementManager} - The drawing's measurement manager, or a view of it at the room's scale
+   */
+  getRoomMeasurements(room) {
+    const { measurementManager } = this.drawingManager;
+    const pixelsPerInch = this.getRoomScale(room);
+
+    if (pixelsPerInch === measurementManager.pixelsPerInch) {
+      return measurementManager;
+    }
+    return Object.create(measurementManager, { pixelsPerInch: { value: pixelsPerInch } });
+  }
+
+  /**
+   * Get the level names in the order rooms were added
+   * @returns {Array<string>} - Level names
+   */
+  getLevels() {
+    return this.rooms.reduce((levels, room) => {
+      if (!levels.includes(room.level)) {
+        levels.push(room.level);
+      }
+      return levels;
+    }, []);
+  }
+
+  /**
+   * Calculate area, edge and cutout totals for one room
+   * @param {string} roomId - Room ID
+   * @returns {Object} - Room totals
+   */
+  calculateRoomTotals(roomId) {
+    const room = this.getRoom(roomId);
+    const measurementManager = this.getRoomMeasurements(room);
+    const shapes = this.getRoomShapes(room);
+
+    return {
+      roomId: room.id,
+      name: room.name,
+      level: room.level,
+      shapeCount: shapes.length,
+      area: measurementManager.calculateTotalArea(shapes),
+      finishedEdge: measurementManager.calculateFinishedEdgeLength(shapes),
+      edges: measurementManager.calculateEdgeTotals(shapes),
+      cutouts: measurementManager.countCutouts(shapes)
+    };
+  }
+
+  /**
+   * Calculate totals for every room, every level and the whole project
+   * @returns {Object} - Room, level and project totals
+   */
+  calculateTotals() {
+    const measurementManager = this.drawingManager.measurementManager;
+    const rooms = this.rooms.map(room => this.calculateRoomTotals(room.id));
+
+    const levelInches = {};
+    let squareInches = 0;
+    let finishedInches = 0;
+    const cutouts = {};
+
+    rooms.forEach(totals => {
+      levelInches[totals.level] = (levelInches[totals.level] || 0) + totals.area.squareInches;
+      squareInches += totals.area.squareInches;
+      finishedInches += totals.finishedEdge.inches;
+
+      Object.keys(totals.cutouts).forEach(type => {
+        cutouts[type] = (cutouts[type] || 0) + totals.cutouts[type];
+      });
+    });
+
+    const levels = {};
+    Object.keys(levelInches).forEach(level => {
+      levels[level] = measurementManager.toArea(levelInches[level]);
+    });
+
+    return {
+      rooms,
+      levels,
+      area: measurementManager.toArea(squareInches),
+      finishedEdge: measurementManager.toLength(finishedInches),
+      cutouts
+    };
+  }
+
+  /**
+   * Convert the project to a plain object for saving
+   * @returns {Object} - Project document
+   */
+  toJSON() {
+    return {
+      format: DOCUMENT_FORMAT,
+      version: DOCUMENT_VERSION,
+      id: this.id,
+      name: this.name,
+      notes: this.notes,
+      // Readers older than per-room scales take the active room's scale from here
+      pixelsPerInch: this.drawingManager.measurementManager.pixelsPerInch,
+      activeRoomId: this.activeRoomId,
+      rooms: this.rooms.map(room => ({
+        id: room.id,
+        name: room.name,
+        type: room.type,
+        level: room.level,
+        material: room.material,
+        notes: room.notes,
+        pixelsPerInch: this.getRoomScale(room),
+        shapes: this.getRoomShapes(room).map(shape => shape.toJSON()),
+        walls: this.getRoomWalls(room).map(wall => wall.toJSON()),
+        cabinetRuns: this.getRoomCabinetRuns(room).map(run => run.toJSON())
+      })),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Serialize the project
+   * @returns {string} - Project document as JSON
+   */
+  exportToJSON() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  /**
+   * Load a project document, upgrading files saved by older versions
+   * @param {string|Object} json - Project document or legacy drawing
+   * @returns {boolean} - Whether the document was loaded, see importErrors when not
+   */
+  importFromJSON(json) {
+    try {
+      const data = this.schema.parseDocument(json);
+      // Documents saved before rooms had their own scale use the project scale for every room
+      const rooms = data.rooms.map(roomData => this.restoreRoom({
+        ...roomData,
+        pixelsPerInch: roomData.pixelsPerInch || data.pixelsPerInch
+      }));
+
+      this.id = data.id || this.id;
+      this.name = data.name || this.name;
+      this.notes = data.notes || '';
+      this.rooms = rooms;
+      this.activeRoomId = null;
+      this.importErrors = [];
+
+      // Shapes are stored in pixels, so switching applies the room's calibrated scale
+      this.switchRoom(data.activeRoomId || rooms[0].id);
+      this.onChange();
+      return true;
+    } catch (error) {
+      this.importErrors = error.errors || [{ path: '', message: error.message }];
+      console.error('Error importing project data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Rebuild a room and start its undo history from the saved drawing
+   * @param {Object} roomData - Saved room
+   * @returns {Object} - Room
+   */
+  restoreRoom(roomData) {
+    const room = this.createRoom(roomData);
+    const shapes = (roomData.shapes || []).map(shapeData => Shape.fromJSON(shapeData));
+    const walls = (roomData.walls || []).map(wallData => Wall.fromJSON(wallData));
+    const cabinetRuns = (roomData.cabinetRuns || []).map(runData => CabinetRun.fromJSON(runData));
+
+    room.state = {
+      shapes,
+      walls,
+      cabinetRuns,
+      history: [{
+        shapes: shapes.map(shape => shape.clone()),
+        walls: walls.map(wall => wall.clone()),
+        cabinetRuns: cabinetRuns.map(run => run.clone())
+      }],
+      historyIndex: 0
+    };
+
+    return room;
+  }
+
+  /**
+   * Describe the rooms in the dashboard's project record format
+   * @returns {Array<Object>} - Rooms for a dashboard project's rooms array
+   */
+  toDashboardRooms() {
+    return this.rooms.map(room => {
+      const measurementManager = this.getRoomMeasurements(room);
+      const shapes = this.getRoomShapes(room);
+      const points = [];
+      shapes.forEach(shape => points.push(...shape.getWorldPoints()));
+
+      // Room dimensions are the extents of its countertops
+      const bounds = points.length > 0 ? Shape.polygonBounds(points) : { width: 0, depth: 0 };
+      const area = measurementManager.calculateTotalArea(shapes);
+
+      return {
+        id: room.id,
+        name: room.name,
+        type: room.type,
+        level: room.level,
+        dimensions: {
+          length: measurementManager.pixelsToInches(bounds.width),
+          width: measurementManager.pixelsToInches(bounds.depth),
+          height: null,
+          unit: 'in'
+        },
+        components: [],
+        countertopArea: area.value,
+        countertopAreaFormatted: area.formatted,
+        material: room.material,
+        notes: room.notes
+      };
+    });
+  }
+}
+
+// Export the module
+export {
+  DrawingProject
+};
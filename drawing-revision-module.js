@@ -0,0 +1,552 @@
+/**
+ * Drawing Revision Module
+ *
+ * This module keeps named revisions of a drawing for each quote in local
+ * storage, so revisions survive a reload. Two revisions can be compared
+ * shape by shape. The comparison lists shapes that were added, removed,
+ * resized or moved, gives the area and price change between them, and can
+ * be drawn over the canvas.
+ */
+
+import { Shape } from './interactive-drawing-module';
+import { DrawingSchema } from './drawing-schema-module';
+
+// Overlay colors for each kind of change
+const CHANGE_COLORS = {
+  added: '#27ae60',
+  removed: '#c0392b',
+  resized: '#e67e22',
+  moved: '#2980b9',
+  modified: '#8e44ad'
+};
+
+// Quote total categories compared between revisions
+const PRICE_CATEGORIES = ['material', 'waste', 'edge', 'cutout', 'labor', 'tax'];
+
+class RevisionManager {
+  constructor(options = {}) {
+    this.drawingManager = options.drawingManager || null;
+    this.storage = options.storage || localStorage;
+    this.storagePrefix = options.storagePrefix || 'drawing_revisions_';
+    this.maxRevisions = options.maxRevisions || 50;
+    this.schema = options.schema || new DrawingSchema();
+    this.priceMonitor = options.priceMonitor || null; // QuotePriceMonitor watching saved quotes
+    this.overlay = null;
+  }
+
+  /**
+   * Get the storage key holding a quote's revisions
+   * @param {string} quoteId - Quote ID
+   * @returns {string} - Storage key
+   */
+  getStorageKey(quoteId) {
+    if (!quoteId) {
+      throw new Error('A quote ID is required for drawing revisions');
+    }
+    return `${this.storagePrefix}${quoteId}`;
+  }
+
+  /**
+   * List a quote's revisions, oldest first
+   * @param {string} quoteId - Quote ID
+   * @returns {Array<Object>} - Revisions
+   */
+  listRevisions(quoteId) {
+    const stored = this.storage.getItem(this.getStorageKey(quoteId));
+
+    if (!stored) {
+      return [];
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.error(`Error reading drawing revisions for quote ${quoteId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Write a quote's revisions back to storage
+   * @param {string} quoteId - Quote ID
+   * @param {Array<Object>} revisions - Revisions
+   */
+  writeRevisions(quoteId, revisions) {
+    try {
+      this.storage.setItem(this.getStorageKey(quoteId), JSON.stringify(revisions));
+    } catch (error) {
+      throw new Error(`Could not save drawing revisions for quote ${quoteId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the current drawing as a new revision of a quote
+   * @param {string} quoteId - Quote ID
+   * @param {Object} details - Revision details
+   * @param {string} details.name - Revision name, defaults to "Revision N"
+   * @param {Object} details.quote - Quote from EstimationEngine.createQuote() for this drawing
+   * @param {string} details.notes - Notes about what changed
+   * @returns {Object} - The saved revision
+   */
+  saveRevision(quoteId, details = {}) {
+    const revisions = this.listRevisions(quoteId);
+    const number = revisions.reduce((highest, revision) => Math.max(highest, revision.number), 0) + 1;
+    const document = this.schema.parseDocument(this.drawingManager.exportDrawing());
+
+    // Drawings outside a project are saved without their scale
+    document.pixelsPerInch = this.drawingManager.measurementManager.pixelsPerInch;
+
+    const revision = {
+      id: `rev_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      number,
+      name: details.name || `Revision ${number}`,
+      notes: details.notes || '',
+      createdAt: new Date().toISOString(),
+      document,
+      quote: details.quote ? this.summarizeQuote(details.quote) : null
+    };
+
+    revisions.push(revision);
+
+    // Drop the oldest revisions once the limit is reached
+    this.writeRevisions(quoteId, revisions.slice(-this.maxRevisions));
+
+    if (details.quote && this.priceMonitor) {
+      this.priceMonitor.trackQuote(quoteId, details.quote);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Keep the parts of a quote needed to explain price changes
+   * @param {Object} quote - Quote from EstimationEngine.createQuote()
+   * @returns {Object} - Quote summary
+   */
+  summarizeQuote(quote) {
+    return {
+      currency: quote.currency,
+      product: quote.product,
+      totals: quote.totals,
+      lineItems: quote.lineItems
+    };
+  }
+
+  /**
+   * Get a revision by ID or number
+   * @param {string} quoteId - Quote ID
+   * @param {string|number} revisionId - Revision ID or number
+   * @returns {Object} - Revision
+   */
+  getRevision(quoteId, revisionId) {
+    const revision = this.listRevisions(quoteId).find(entry => {
+      return entry.id === revisionId || entry.number === revisionId;
+    });
+
+    if (!revision) {
+      throw new Error(`Revision ${revisionId} not found for quote ${quoteId}`);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Rename a revision
+   * @param {string} quoteId - Quote ID
+   * @param {string|number} revisionId - Revision ID or number
+   * @param {string} name - New name
+   * @returns {Object} - Updated revision
+   */
+  renameRevision(quoteId, revisionId, name) {
+    const revisions = this.listRevisions(quoteId);
+    const revision = revisions.find(entry => entry.id === revisionId || entry.number === revisionId);
+
+    if (!revision) {
+      throw new Error(`Revision ${revisionId} not found for quote ${quoteId}`);
+    }
+
+    revision.name = name;
+    this.writeRevisions(quoteId, revisions);
+    return revision;
+  }
+
+  /**
+   * Delete a revision
+   * @param {string} quoteId - Quote ID
+   * @param {string|number} revisionId - Revision ID or number
+   */
+  deleteRevision(quoteId, revisionId) {
+    const revisions = this.listRevisions(quoteId);
+    const remaining = revisions.filter(entry => entry.id !== revisionId && entry.number !== revisionId);
+
+    if (remaining.length === revisions.length) {
+      throw new Error(`Revision ${revisionId} not found for quote ${quoteId}`);
+    }
+
+    this.writeRevisions(quoteId, remaining);
+  }
+
+  /**
+   * Load a revision's drawing onto the canvas
+   * @param {string} quoteId - Quote ID
+   * @param {string|number} revisionId - Revision ID or number
+   * @returns {boolean} - Whether the drawing was loaded
+   */
+  restoreRevision(quoteId, revisionId) {
+    const document = this.schema.parseDocument(this.getRevision(quoteId, revisionId).document);
+
+    if (this.drawingManager.project) {
+      return this.drawingManager.project.importFromJSON(document);
+    }
+
+    // Without a project the canvas holds a single room
+    const room = document.rooms[0];
+    if (room.pixelsPerInch || document.pixelsPerInch) {
+      this.drawingManager.setScale(room.pixelsPerInch || document.pixelsPerInch);
+    }
+    return this.drawingManager.canvas.importFromJSON(JSON.stringify({ shapes: room.shapes, walls: room.walls, cabinetRuns: room.cabinetRuns }));
+  }
+
+  /**
+   * Compare two revisions of a quote
+   * @param {string} quoteId - Quote ID
+   * @param {string|number} fromId - Earlier revision ID or number
+   * @param {string|number} toId - Later revision ID or number
+   * @returns {Object} - Shape changes with area and price deltas
+   */
+  compareRevisions(quoteId, fromId, toId) {
+    const from = this.getRevision(quoteId, fromId);
+    const to = this.getRevision(quoteId, toId);
+
+    return {
+      from: { id: from.id, number: from.number, name: from.name },
+      to: { id: to.id, number: to.number, name: to.name },
+      ...this.compareDocuments(from.document, to.document),
+      price: this.comparePrices(from.quote, to.quote)
+    };
+  }
+
+  /**
+   * Compare two drawing documents shape by shape
+   * @param {Object} fromDocument - Earlier document
+   * @param {Object} toDocument - Later document
+   * @returns {Object} - Changes, counts per kind of change and the area delta
+   */
+  compareDocuments(fromDocument, toDocument) {
+    const measurementManager = this.drawingManager.measurementManager;
+    const before = this.collectShapes(this.schema.parseDocument(fromDocument));
+    const after = this.collectShapes(this.schema.parseDocument(toDocument));
+
+    const changes = [];
+    const areaOf = entry => entry.shape.getArea() / Math.pow(entry.pixelsPerInch, 2);
+
+    after.forEach((entry, id) => {
+      const previous = before.get(id);
+
+      if (!previous) {
+        changes.push(this.createChange('added', null, entry, 0, areaOf(entry)));
+        return;
+      }
+
+      const change = this.classifyChange(previous.data, entry.data);
+      if (change) {
+        changes.push(this.createChange(change, previous, entry, areaOf(previous), areaOf(entry)));
+      }
+    });
+
+    before.forEach((entry, id) => {
+      if (!after.has(id)) {
+        changes.push(this.createChange('removed', entry, null, areaOf(entry), 0));
+      }
+    });
+
+    const total = entries => Array.from(entries.values()).reduce((sum, entry) => sum + areaOf(entry), 0);
+    const fromArea = total(before);
+    const toArea = total(after);
+
+    const counts = { added: 0, removed: 0, resized: 0, moved: 0, modified: 0 };
+    changes.forEach(change => {
+      counts[change.change]++;
+    });
+
+    return {
+      changes,
+      counts,
+      area: {
+        from: measurementManager.toArea(fromArea),
+        to: measurementManager.toArea(toArea),
+        delta: this.formatAreaDelta(toArea - fromArea)
+      }
+    };
+  }
+
+  /**
+   * Index a document's shapes by ID
+   * @param {Object} document - Current-version document
+   * @returns {Map<string, Object>} - Saved data, built shape and room for each shape ID
+   */
+  collectShapes(document) {
+    const shapes = new Map();
+
+    // Each revision, and each room in it, may have been drawn at a different calibrated scale
+    const documentScale = document.pixelsPerInch || this.drawingManager.measurementManager.pixelsPerInch;
+
+    document.rooms.forEach(room => {
+      const pixelsPerInch = room.pixelsPerInch || documentScale;
+
+      room.shapes.forEach(data => {
+        shapes.set(data.id, {
+          data,
+          shape: Shape.fromJSON(data),
+          roomId: room.id,
+          roomName: room.name,
+          pixelsPerInch
+        });
+      });
+    });
+
+    return shapes;
+  }
+
+  /**
+   * Decide how a shape changed between two revisions
+   * @param {Object} before - Earlier shape data
+   * @param {Object} after - Later shape data
+   * @returns {string|null} - 'resized', 'modified' or 'moved', or null if unchanged
+   */
+  classifyChange(before, after) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const shapeOf = data => this.getShapeGeometry(data);
+    const geometryBefore = shapeOf(before);
+    const geometryAfter = shapeOf(after);
+
+    if (before.type !== after.type || !same(geometryBefore.size, geometryAfter.size)) {
+      return 'resized';
+    }
+    if (!same(before.edges || {}, after.edges || {}) || !same(before.cutouts || [], after.cutouts || []) ||
+        !same(before.seams || [], after.seams || [])) {
+      return 'modified';
+    }
+    if (!same(geometryBefore.position, geometryAfter.position) || (before.rotation || 0) !== (after.rotation || 0)) {
+      return 'moved';
+    }
+
+    return null;
+  }
+
+  /**
+   * Split shape properties into size and position so moves are not reported as resizes
+   * @param {Object} data - Saved shape
+   * @returns {Object} - Size and position
+   */
+  getShapeGeometry(data) {
+    const round = value => Math.round(value * 1000) / 1000;
+
+    if (data.type === 'custom') {
+      // Custom shapes store absolute points, so compare them relative to the first one
+      const [first] = data.properties.points;
+      return {
+        position: { x: round(first.x), y: round(first.y) },
+        size: data.properties.points.map(point => ({
+          ...point,
+          x: round(point.x - first.x),
+          y: round(point.y - first.y)
+        }))
+      };
+    }
+
+    const { x, y, ...size } = data.properties;
+    return { position: { x: round(x), y: round(y) }, size };
+  }
+
+  /**
+   * Build a change record
+   * @param {string} change - Kind of change
+   * @param {Object|null} before - Earlier shape entry
+   * @param {Object|null} after - Later shape entry
+   * @param {number} fromArea - Earlier area in square inches
+   * @param {number} toArea - Later area in square inches
+   * @returns {Object} - Change record
+   */
+  createChange(change, before, after, fromArea, toArea) {
+    const entry = after || before;
+
+    return {
+      id: entry.data.id,
+      change,
+      type: entry.data.type,
+      roomId: entry.roomId,
+      roomName: entry.roomName,
+      from: before ? before.data : null,
+      to: after ? after.data : null,
+      area: {
+        from: this.drawingManager.measurementManager.toArea(fromArea),
+        to: this.drawingManager.measurementManager.toArea(toArea),
+        delta: this.formatAreaDelta(toArea - fromArea)
+      }
+    };
+  }
+
+  /**
+   * Format a signed area change
+   * @param {number} squareInches - Change in square inches
+   * @returns {Object} - Area with a signed formatted value
+   */
+  formatAreaDelta(squareInches) {
+    const area = this.drawingManager.measurementManager.toArea(squareInches);
+    return {
+      ...area,
+      formatted: squareInches > 0 ? `+${area.formatted}` : area.formatted
+    };
+  }
+
+  /**
+   * Compare the quotes saved with two revisions
+   * @param {Object|null} before - Earlier quote summary
+   * @param {Object|null} after - Later quote summary
+   * @returns {Object|null} - Total and per-category price changes, or null without both quotes
+   */
+  comparePrices(before, after) {
+    if (!before || !after) {
+      return null;
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const delta = (a, b) => ({ from: a || 0, to: b || 0, delta: round((b || 0) - (a || 0)) });
+    const categories = {};
+
+    PRICE_CATEGORIES.forEach(category => {
+      const change = delta(before.totals[category], after.totals[category]);
+      if (change.from !== 0 || change.to !== 0) {
+        categories[category] = change;
+      }
+    });
+
+    const productChanged = before.product && after.product && before.product.id !== after.product.id;
+
+    return {
+      currency: after.currency,
+      total: delta(before.totals.total, after.totals.total),
+      categories,
+      pricePerSqFt: before.product && after.product
+        ? delta(before.product.installedPricePerSqFt, after.product.installedPricePerSqFt)
+        : null,
+      productChanged: Boolean(productChanged)
+    };
+  }
+
+  /**
+   * Draw a comparison over the canvas
+   * @param {Object} diff - Result of compareRevisions() or compareDocuments()
+   * @param {Object} options - Overlay options
+   * @param {string} options.roomId - Only show changes in this room, defaults to the active room
+   * @returns {RevisionDiffOverlay} - The overlay now shown
+   */
+  showDiff(diff, options = {}) {
+    this.hideDiff();
+
+    const project = this.drawingManager.project;
+    const roomId = options.roomId || (project ? project.activeRoomId : null);
+    const changes = diff.changes.filter(change => !roomId || !project || change.roomId === roomId);
+
+    this.overlay = new RevisionDiffOverlay(changes);
+    this.drawingManager.canvas.addOverlay(this.overlay);
+    return this.overlay;
+  }
+
+  /**
+   * Remove the comparison overlay
+   */
+  hideDiff() {
+    if (this.overlay) {
+      this.drawingManager.canvas.removeOverlay(this.overlay);
+      this.overlay = null;
+    }
+  }
+}
+
+class RevisionDiffOverlay {
+  constructor(changes) {
+    // Shapes are built once, since the overlay redraws with every render
+    this.items = changes.map(change => ({
+      change,
+      before: change.from ? Shape.fromJSON(change.from) : null,
+      after: change.to ? Shape.fromJSON(change.to) : null
+    }));
+  }
+
+  /**
+   * Draw the overlay
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} scale - Canvas zoom
+   * @param {Object} offset - Canvas pan offset
+   */
+  draw(ctx, scale, offset) {
+    ctx.lineWidth = 2;
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    this.items.forEach(({ change, before, after }) => {
+      const color = CHANGE_COLORS[change.change];
+
+      // Earlier outlines are dashed, later ones solid
+      if (before) {
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = change.change === 'removed' ? color : '#7f8c8d';
+        this.traceShape(ctx, before, scale, offset);
+        ctx.stroke();
+      }
+
+      if (after) {
+        ctx.setLineDash([]);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = `${color}33`;
+        this.traceShape(ctx, after, scale, offset);
+        ctx.fill();
+        ctx.stroke();
+      }
+
+      const center = (after || before).getCenter();
+      const label = change.area.delta.value !== 0
+        ? `${change.change} ${change.area.delta.formatted}`
+        : change.change;
+
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      ctx.fillText(label, offset.x + center.x * scale, offset.y + center.y * scale);
+    });
+  }
+
+  /**
+   * Trace a shape's rotated outline in screen coordinates
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Shape} shape - Shape to trace
+   * @param {number} scale - Canvas zoom
+   * @param {Object} offset - Canvas pan offset
+   */
+  traceShape(ctx, shape, scale, offset) {
+    const center = shape.getCenter();
+    const points = shape.getOutline().map(point => shape.toWorld(point, center));
+
+    ctx.beginPath();
+    points.forEach((point, index) => {
+      const x = offset.x + point.x * scale;
+      const y = offset.y + point.y * scale;
+
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.closePath();
+  }
+}
+
+// Export the module
+export {
+  RevisionManager,
+  RevisionDiffOverlay,
+  CHANGE_COLORS
+};
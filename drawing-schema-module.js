@@ -0,0 +1,633 @@
+/**
+ * Drawing Schema Module
+ *
+ * This module checks saved drawing and project documents before they reach
+ * the canvas, and upgrades documents saved by older versions of the app.
+ * Validation reports every problem with the path to the offending value, so
+ * a corrupt or hand-edited file can be explained instead of half-loading.
+ */
+
+import { Shape, EDGE_TYPES, EDGE_PROFILES, CUTOUT_TYPES, CABINET_TYPES, SHAPE_DIMENSIONS } from './interactive-drawing-module';
+
+// Identifies saved project documents and the layout version written today
+const DOCUMENT_FORMAT = 'countertop-project';
+const DOCUMENT_VERSION = 2;
+
+// Read when validating, as the drawing module also imports this one and may not have loaded yet
+const getShapeTypes = () => [...Object.keys(SHAPE_DIMENSIONS), 'custom'];
+
+// Top-level fields of an unversioned drawing, as DrawingCanvas.exportToJSON() writes it
+const LEGACY_FIELDS = ['shapes', 'walls', 'cabinetRuns'];
+
+/**
+ * Upgrades keyed by the version they start from. Each returns a document one
+ * version newer and must not modify its input.
+ */
+const MIGRATIONS = {
+  // Unversioned files hold a single drawing, written before rooms existed and
+  // possibly before cutouts, seams, rotation, groups or walls
+  0: data => ({
+    format: DOCUMENT_FORMAT,
+    version: 1,
+    activeRoomId: 'room_1',
+    rooms: [{
+      id: 'room_1',
+      name: 'Room 1',
+      type: 'kitchen',
+      level: 'Main level',
+      material: null,
+      notes: '',
+      shapes: (data.shapes || []).map(shape => ({
+        edges: {},
+        cutouts: [],
+        seams: [],
+        rotation: 0,
+        groupId: null,
+        ...shape
+      })),
+      walls: data.walls || [],
+      cabinetRuns: data.cabinetRuns || []
+    }]
+  }),
+
+  // Version 2 gives every shape an id so revisions can be compared shape by shape
+  1: data => ({
+    ...data,
+    version: 2,
+    // Malformed rooms and shapes are left for validate() to report
+    rooms: Array.isArray(data.rooms) ? data.rooms.map((room, roomIndex) => {
+      if (!room || !Array.isArray(room.shapes)) {
+        return room;
+      }
+      return {
+        ...room,
+        shapes: room.shapes.map((shape, shapeIndex) => (
+          shape && typeof shape === 'object' ? { id: `shape_${roomIndex + 1}_${shapeIndex + 1}`, ...shape } : shape
+        ))
+      };
+    }) : data.rooms
+  })
+};
+
+class DrawingSchema {
+  constructor(options = {}) {
+    this.migrations = options.migrations || MIGRATIONS;
+    this.version = options.version || DOCUMENT_VERSION;
+  }
+
+  /**
+   * Get the version a document was saved with
+   * @param {Object} data - Parsed document
+   * @returns {number} - Version, 0 for files saved before versioning
+   */
+  getVersion(data) {
+    if (data && data.format === DOCUMENT_FORMAT) {
+      return data.version;
+    }
+    return 0;
+  }
+
+  /**
+   * Check that an unversioned document really is a saved drawing before it is upgraded
+   * @param {Object} data - Parsed document
+   * @returns {Array<Object>} - Errors with paths and messages
+   */
+  validateLegacy(data) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (data.format !== undefined) {
+      error('format', `must be "${DOCUMENT_FORMAT}"`);
+      return errors;
+    }
+
+    Object.keys(data).filter(field => !LEGACY_FIELDS.includes(field)).forEach(field => {
+      error(field, 'is not part of a drawing document');
+    });
+
+    if (!Array.isArray(data.shapes)) {
+      error('shapes', 'must be an array');
+    } else {
+      data.shapes.forEach((shape, index) => {
+        if (!this.isObject(shape)) {
+          error(`shapes[${index}]`, 'must be an object');
+        }
+      });
+    }
+
+    ['walls', 'cabinetRuns'].forEach(field => {
+      if (data[field] !== undefined && !Array.isArray(data[field])) {
+        error(field, 'must be an array');
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Upgrade a document to the current version
+   * @param {Object} data - Parsed document
+   * @returns {Object} - Document at the current version
+   */
+  migrate(data) {
+    let version = this.getVersion(data);
+
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Invalid document version: ${version}`);
+    }
+    if (version > this.version) {
+      throw new Error(`Document version ${version} is newer than this app supports (${this.version})`);
+    }
+
+    let migrated = data;
+    while (version < this.version) {
+      const migration = this.migrations[version];
+      if (!migration) {
+        throw new Error(`No migration from document version ${version}`);
+      }
+
+      migrated = migration(migrated);
+      version++;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Check a current-version document
+   * @param {Object} data - Parsed document
+   * @returns {Object} - Whether the document is valid, and errors with paths and messages
+   */
+  validate(data) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (!this.isObject(data)) {
+      error('', 'Document must be an object');
+      return { valid: false, errors };
+    }
+
+    if (data.format !== DOCUMENT_FORMAT) {
+      error('format', `must be "${DOCUMENT_FORMAT}"`);
+    }
+    if (data.version !== this.version) {
+      error('version', `must be ${this.version}`);
+    }
+    this.checkOptionalString(data, 'name', '', error);
+    this.checkOptionalString(data, 'notes', '', error);
+
+    // Documents saved before scale calibration carry no scale
+    if (data.pixelsPerInch !== undefined) {
+      this.checkNumber(data, 'pixelsPerInch', '', error, { positive: true });
+    }
+
+    if (!Array.isArray(data.rooms)) {
+      error('rooms', 'must be an array');
+      return { valid: false, errors };
+    }
+    if (data.rooms.length === 0) {
+      error('rooms', 'must contain at least one room');
+    }
+
+    const roomIds = new Set();
+    const shapeIds = new Set();
+    data.rooms.forEach((room, index) => {
+      const path = `rooms[${index}]`;
+      this.validateRoom(room, path, error);
+
+      if (this.isObject(room) && Array.isArray(room.shapes)) {
+        room.shapes.forEach((shape, shapeIndex) => {
+          if (!this.isObject(shape) || typeof shape.id !== 'string') {
+            return;
+          }
+
+          if (shapeIds.has(shape.id)) {
+            error(`${path}.shapes[${shapeIndex}].id`, `duplicates shape id "${shape.id}"`);
+          }
+          shapeIds.add(shape.id);
+        });
+      }
+
+      if (this.isObject(room) && typeof room.id === 'string') {
+        if (roomIds.has(room.id)) {
+          error(`${path}.id`, `duplicates room id "${room.id}"`);
+        }
+        roomIds.add(room.id);
+      }
+    });
+
+    if (data.activeRoomId !== undefined && data.activeRoomId !== null && !roomIds.has(data.activeRoomId)) {
+      error('activeRoomId', 'must be the id of one of the rooms');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check one room and its drawing
+   * @param {Object} room - Room to check
+   * @param {string} path - Path to the room
+   * @param {Function} error - Records an error
+   */
+  validateRoom(room, path, error) {
+    if (!this.isObject(room)) {
+      error(path, 'must be an object');
+      return;
+    }
+
+    if (typeof room.id !== 'string' || room.id === '') {
+      error(`${path}.id`, 'must be a non-empty string');
+    }
+    ['name', 'type', 'level', 'notes'].forEach(field => this.checkOptionalString(room, field, path, error));
+
+    if (room.material !== undefined && room.material !== null && !this.isObject(room.material)) {
+      error(`${path}.material`, 'must be an object or null');
+    }
+    // Rooms saved before they were calibrated separately use the document scale
+    if (room.pixelsPerInch !== undefined) {
+      this.checkNumber(room, 'pixelsPerInch', path, error, { positive: true });
+    }
+
+    if (!Array.isArray(room.shapes)) {
+      error(`${path}.shapes`, 'must be an array');
+    } else {
+      room.shapes.forEach((shape, index) => this.validateShape(shape, `${path}.shapes[${index}]`, error));
+    }
+
+    if (room.walls !== undefined && !Array.isArray(room.walls)) {
+      error(`${path}.walls`, 'must be an array');
+    } else {
+      (room.walls || []).forEach((wall, index) => this.validateWall(wall, `${path}.walls[${index}]`, error));
+    }
+
+    if (room.cabinetRuns !== undefined && !Array.isArray(room.cabinetRuns)) {
+      error(`${path}.cabinetRuns`, 'must be an array');
+    } else {
+      (room.cabinetRuns || []).forEach((run, index) => this.validateCabinetRun(run, `${path}.cabinetRuns[${index}]`, error));
+    }
+  }
+
+  /**
+   * Check a shape, its edges, cutouts and seams
+   * @param {Object} shape - Saved shape
+   * @param {string} path - Path to the shape
+   * @param {Function} error - Records an error
+   */
+  validateShape(shape, path, error) {
+    if (!this.isObject(shape)) {
+      error(path, 'must be an object');
+      return;
+    }
+
+    if (typeof shape.id !== 'string' || shape.id === '') {
+      error(`${path}.id`, 'must be a non-empty string');
+    }
+    const shapeTypes = getShapeTypes();
+    if (!shapeTypes.includes(shape.type)) {
+      error(`${path}.type`, `must be one of ${shapeTypes.join(', ')}`);
+      return;
+    }
+    if (!this.isObject(shape.properties)) {
+      error(`${path}.properties`, 'must be an object');
+      return;
+    }
+
+    const propertiesPath = `${path}.properties`;
+
+    // The remaining checks need a shape that can be built from these properties
+    let buildable = true;
+    const propertyError = (errorPath, message) => {
+      buildable = false;
+      error(errorPath, message);
+    };
+
+    if (shape.type === 'custom') {
+      this.validatePoints(shape.properties.points, `${propertiesPath}.points`, propertyError);
+    } else {
+      this.checkNumber(shape.properties, 'x', propertiesPath, propertyError);
+      this.checkNumber(shape.properties, 'y', propertiesPath, propertyError);
+      SHAPE_DIMENSIONS[shape.type].forEach(field => {
+        this.checkNumber(shape.properties, field, propertiesPath, propertyError, { positive: true });
+      });
+    }
+
+    if (shape.rotation !== undefined && !this.isFiniteNumber(shape.rotation)) {
+      error(`${path}.rotation`, 'must be a number of degrees');
+    }
+    if (shape.groupId !== undefined && shape.groupId !== null && typeof shape.groupId !== 'string') {
+      error(`${path}.groupId`, 'must be a string or null');
+    }
+
+    if (!buildable) return;
+
+    const built = Shape.createFromProperties(shape);
+    try {
+      built.validateDimensions(shape.properties);
+    } catch (dimensionError) {
+      error(propertiesPath, dimensionError.message);
+      return;
+    }
+
+    this.validateEdges(shape.edges, built.getPoints().length, `${path}.edges`, error);
+
+    if (shape.cutouts !== undefined && !Array.isArray(shape.cutouts)) {
+      error(`${path}.cutouts`, 'must be an array');
+    } else {
+      (shape.cutouts || []).forEach((cutout, index) => this.validateCutout(cutout, `${path}.cutouts[${index}]`, error));
+    }
+
+    if (shape.seams !== undefined && !Array.isArray(shape.seams)) {
+      error(`${path}.seams`, 'must be an array');
+    } else {
+      (shape.seams || []).forEach((seam, index) => {
+        const seamPath = `${path}.seams[${index}]`;
+        if (!this.isObject(seam) || !this.isObject(seam.properties)) {
+          error(seamPath, 'must have a properties object');
+          return;
+        }
+        ['x1', 'y1', 'x2', 'y2'].forEach(field => this.checkNumber(seam.properties, field, `${seamPath}.properties`, error));
+      });
+    }
+  }
+
+  /**
+   * Check the outline of a custom shape
+   * @param {Array<Object>} points - Saved points
+   * @param {string} path - Path to the points
+   * @param {Function} error - Records an error
+   */
+  validatePoints(points, path, error) {
+    if (!Array.isArray(points)) {
+      error(path, 'must be an array');
+      return;
+    }
+    if (points.length < 3) {
+      error(path, 'must contain at least 3 points');
+    }
+
+    points.forEach((point, index) => {
+      const pointPath = `${path}[${index}]`;
+      if (!this.isObject(point)) {
+        error(pointPath, 'must be an object');
+        return;
+      }
+
+      this.checkNumber(point, 'x', pointPath, error);
+      this.checkNumber(point, 'y', pointPath, error);
+      if (point.bulge !== undefined) {
+        this.checkNumber(point, 'bulge', pointPath, error);
+      }
+      if (point.radius !== undefined) {
+        this.checkNumber(point, 'radius', pointPath, error, { minimum: 0 });
+      }
+    });
+  }
+
+  /**
+   * Check edge settings against the number of edges the shape has
+   * @param {Object} edges - Edge settings keyed by edge index
+   * @param {number} edgeCount - Number of edges on the shape
+   * @param {string} path - Path to the edges
+   * @param {Function} error - Records an error
+   */
+  validateEdges(edges, edgeCount, path, error) {
+    if (edges === undefined) return;
+
+    if (!this.isObject(edges)) {
+      error(path, 'must be an object keyed by edge index');
+      return;
+    }
+
+    Object.keys(edges).forEach(key => {
+      const edgePath = `${path}.${key}`;
+      const index = Number(key);
+      const settings = edges[key];
+
+      if (!Number.isInteger(index) || index < 0 || index >= edgeCount) {
+        error(edgePath, `is not an edge of this shape (0-${edgeCount - 1})`);
+        return;
+      }
+      if (!this.isObject(settings)) {
+        error(edgePath, 'must be an object');
+        return;
+      }
+      if (!EDGE_TYPES.includes(settings.type)) {
+        error(`${edgePath}.type`, `must be one of ${EDGE_TYPES.join(', ')}`);
+        return;
+      }
+
+      if (settings.type === 'finished' && !EDGE_PROFILES.includes(settings.profile)) {
+        error(`${edgePath}.profile`, `must be one of ${EDGE_PROFILES.join(', ')}`);
+      }
+      if (settings.type === 'backsplash') {
+        this.checkNumber(settings, 'height', edgePath, error, { positive: true });
+      }
+    });
+  }
+
+  /**
+   * Check a cutout
+   * @param {Object} cutout - Saved cutout
+   * @param {string} path - Path to the cutout
+   * @param {Function} error - Records an error
+   */
+  validateCutout(cutout, path, error) {
+    if (!this.isObject(cutout)) {
+      error(path, 'must be an object');
+      return;
+    }
+
+    if (!Object.keys(CUTOUT_TYPES).includes(cutout.type)) {
+      error(`${path}.type`, `must be one of ${Object.keys(CUTOUT_TYPES).join(', ')}`);
+    }
+    if (!this.isObject(cutout.properties)) {
+      error(`${path}.properties`, 'must be an object');
+      return;
+    }
+
+    const propertiesPath = `${path}.properties`;
+    this.checkNumber(cutout.properties, 'x', propertiesPath, error);
+    this.checkNumber(cutout.properties, 'y', propertiesPath, error);
+    this.checkNumber(cutout.properties, 'width', propertiesPath, error, { positive: true });
+    this.checkNumber(cutout.properties, 'depth', propertiesPath, error, { positive: true });
+    if (cutout.fromCabinet !== undefined && typeof cutout.fromCabinet !== 'boolean') {
+      error(`${path}.fromCabinet`, 'must be true or false');
+    }
+  }
+
+  /**
+   * Check a wall
+   * @param {Object} wall - Saved wall
+   * @param {string} path - Path to the wall
+   * @param {Function} error - Records an error
+   */
+  validateWall(wall, path, error) {
+    if (!this.isObject(wall) || !this.isObject(wall.properties)) {
+      error(path, 'must have a properties object');
+      return;
+    }
+
+    const propertiesPath = `${path}.properties`;
+    ['x1', 'y1', 'x2', 'y2'].forEach(field => this.checkNumber(wall.properties, field, propertiesPath, error));
+    if (wall.properties.thickness !== undefined) {
+      this.checkNumber(wall.properties, 'thickness', propertiesPath, error, { positive: true });
+    }
+  }
+
+  /**
+   * Check a cabinet run and its cabinets
+   * @param {Object} run - Saved cabinet run
+   * @param {string} path - Path to the run
+   * @param {Function} error - Records an error
+   */
+  validateCabinetRun(run, path, error) {
+    if (!this.isObject(run) || !this.isObject(run.properties)) {
+      error(path, 'must have a properties object');
+      return;
+    }
+
+    const propertiesPath = `${path}.properties`;
+    ['x', 'y', 'rotation'].forEach(field => this.checkNumber(run.properties, field, propertiesPath, error));
+    this.checkNumber(run.properties, 'depth', propertiesPath, error, { positive: true });
+
+    if (!Array.isArray(run.properties.cabinets) || run.properties.cabinets.length === 0) {
+      error(`${propertiesPath}.cabinets`, 'must be a non-empty array');
+    } else {
+      run.properties.cabinets.forEach((cabinet, index) => {
+        const cabinetPath = `${propertiesPath}.cabinets[${index}]`;
+
+        if (!this.isObject(cabinet)) {
+          error(cabinetPath, 'must be an object');
+          return;
+        }
+        if (!CABINET_TYPES[cabinet.type]) {
+          error(`${cabinetPath}.type`, `must be one of ${Object.keys(CABINET_TYPES).join(', ')}`);
+        }
+        this.checkNumber(cabinet, 'width', cabinetPath, error, { positive: true });
+      });
+    }
+
+    if (run.properties.ends !== undefined) {
+      if (!this.isObject(run.properties.ends)) {
+        error(`${propertiesPath}.ends`, 'must be an object');
+      } else {
+        ['left', 'right'].forEach(side => {
+          const end = run.properties.ends[side];
+          if (end !== undefined && end !== 'open' && end !== 'wall') {
+            error(`${propertiesPath}.ends.${side}`, 'must be open or wall');
+          }
+        });
+      }
+    }
+
+    if (run.countertopIds !== undefined &&
+        (!Array.isArray(run.countertopIds) || run.countertopIds.some(id => typeof id !== 'string'))) {
+      error(`${path}.countertopIds`, 'must be an array of shape ids');
+    }
+  }
+
+  /**
+   * Check that a field holds a finite number
+   * @param {Object} object - Object holding the field
+   * @param {string} field - Field name
+   * @param {string} path - Path to the object
+   * @param {Function} error - Records an error
+   * @param {Object} options - positive, or a minimum value
+   */
+  checkNumber(object, field, path, error, options = {}) {
+    const value = object[field];
+    const fieldPath = path ? `${path}.${field}` : field;
+
+    if (!this.isFiniteNumber(value)) {
+      error(fieldPath, 'must be a number');
+    } else if (options.positive && value <= 0) {
+      error(fieldPath, 'must be greater than 0');
+    } else if (options.minimum !== undefined && value < options.minimum) {
+      error(fieldPath, `must be at least ${options.minimum}`);
+    }
+  }
+
+  /**
+   * Check that a field is a string when present
+   * @param {Object} object - Object holding the field
+   * @param {string} field - Field name
+   * @param {string} path - Path to the object
+   * @param {Function} error - Records an error
+   */
+  checkOptionalString(object, field, path, error) {
+    if (object[field] !== undefined && object[field] !== null && typeof object[field] !== 'string') {
+      error(path ? `${path}.${field}` : field, 'must be a string');
+    }
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  /**
+   * Parse, upgrade and validate a saved document
+   * @param {string|Object} json - Document as JSON or already parsed
+   * @returns {Object} - Valid document at the current version
+   */
+  parseDocument(json) {
+    let data = json;
+
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (parseError) {
+        throw this.createValidationError([{ path: '', message: `Not valid JSON (${parseError.message})` }]);
+      }
+    }
+
+    if (!this.isObject(data)) {
+      throw this.createValidationError([{ path: '', message: 'Document must be an object' }]);
+    }
+
+    // Anything without the project format would otherwise be taken for an old drawing
+    if (this.getVersion(data) === 0) {
+      const legacyErrors = this.validateLegacy(data);
+      if (legacyErrors.length > 0) {
+        throw this.createValidationError(legacyErrors);
+      }
+    }
+
+    let migrated;
+    try {
+      migrated = this.migrate(data);
+    } catch (migrationError) {
+      throw this.createValidationError([{ path: 'version', message: migrationError.message }]);
+    }
+
+    const result = this.validate(migrated);
+    if (!result.valid) {
+      throw this.createValidationError(result.errors);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Build an error that lists every validation problem
+   * @param {Array<Object>} errors - Errors with path and message
+   * @returns {Error} - Error whose errors property holds the list
+   */
+  createValidationError(errors) {
+    const details = errors.map(entry => entry.path ? `${entry.path}: ${entry.message}` : entry.message);
+    const error = new Error(`Invalid drawing document: ${details.join('; ')}`);
+    error.errors = errors;
+    return error;
+  }
+}
+
+// Export the module
+export {
+  DrawingSchema,
+  DOCUMENT_FORMAT,
+  DOCUMENT_VERSION,
+  MIGRATIONS
+};
@@ -0,0 +1,687 @@
+/**
+ * Estimation Module
+ *
+ * This module joins the interactive drawing, the vendor CSV catalog and the
+ * labor pricing sheet into an itemized countertop quote, so estimators no
+ * longer have to re-type drawing areas into a spreadsheet for every job.
+ */
+
+import { PRICE_EVENTS } from './csv-ingestion-module';
+
+class EstimationEngine {
+  constructor(options = {}) {
+    this.drawingManager = options.drawingManager || null;
+    this.csvModule = options.csvModule || null;
+    this.apiManager = options.apiManager || null;
+    this.config = {
+      wasteFactor: 0.1, // 10% of the material cost
+      taxRate: 0,
+      currency: 'USD',
+      laborFieldMapping: {
+        name: 'Service',
+        unit: 'Unit',
+        rate: 'Price'
+      },
+      // Labor sheet rows used to price edge profiles and cutouts
+      edgeLabor: {
+        eased: 'Eased Edge',
+        bevel: 'Bevel Edge',
+        bullnose: 'Bullnose Edge',
+        ogee: 'Ogee Edge',
+        waterfall: 'Waterfall Edge'
+      },
+      cutoutLabor: {
+        sink: 'Sink Cutout',
+        cooktop: 'Cooktop Cutout',
+        faucet: 'Faucet Hole'
+      },
+      seamLabor: 'Seam',
+      ...options.config
+    };
+    this.laborRates = [];
+  }
+
+  /**
+   * Load labor rates from the labor pricing sheet
+   * @param {boolean} forceRefresh - Whether to bypass the API cache
+   * @returns {Promise<Array<Object>>} - Normalized labor rates
+   */
+  async loadLaborRates(forceRefresh = false) {
+    if (!this.apiManager) {
+      throw new Error('An APIConnectionManager is required to load labor rates');
+    }
+
+    const rows = await this.apiManager.fetchData('labor', forceRefresh);
+    this.laborRates = (Array.isArray(rows) ? rows : [])
+      .map(row => this.normalizeLaborRow(row))
+      .filter(rate => rate.name);
+
+    return this.laborRates;
+  }
+
+  /**
+   * Convert a raw labor CSV row into a labor rate
+   * @param {Object} row - Raw labor row
+   * @returns {Object} - Labor rate with name, unit and rate
+   */
+  normalizeLaborRow(row) {
+    const mapping = this.config.laborFieldMapping;
+
+    return {
+      name: String(this.getField(row, mapping.name) || '').trim(),
+      unit: this.normalizeUnit(this.getField(row, mapping.unit)),
+      rate: this.parseAmount(this.getField(row, mapping.rate))
+    };
+  }
+
+  /**
+   * Read a field from a row, ignoring header case and surrounding spaces
+   * @param {Object} row - The row to read from
+   * @param {string} field - The field name
+   * @returns {any} - The field value or undefined
+   */
+  getField(row, field) {
+    if (!row || !field) {
+      return undefined;
+    }
+
+    if (row[field] !== undefined) {
+      return row[field];
+    }
+
+    const wanted = field.trim().toLowerCase();
+    const key = Object.keys(row).find(k => k.trim().toLowerCase() === wanted);
+
+    return key !== undefined ? row[key] : undefined;
+  }
+
+  /**
+   * Normalize a pricing unit to one of the units the engine understands
+   * @param {string} unit - Unit as written in the pricing sheet
+   * @returns {string} - 'sqft', 'lf' or 'each'
+   */
+  normalizeUnit(unit) {
+    const value = String(unit || '').trim().toLowerCase().replace(/[\s.]/g, '');
+
+    if (['sqft', 'sf', 'persqft', 'squarefoot', 'squarefeet', 'ft2'].includes(value)) {
+      return 'sqft';
+    }
+
+    if (['lf', 'linft', 'linearft', 'linearfoot', 'linearfeet', 'perlf'].includes(value)) {
+      return 'lf';
+    }
+
+    return 'each';
+  }
+
+  /**
+   * Parse a currency amount
+   * @param {string|number} value - The value to parse
+   * @returns {number} - Parsed amount, 0 when unparseable
+   */
+  parseAmount(value) {
+    if (typeof value === 'number') {
+      return isNaN(value) ? 0 : value;
+    }
+
+    const parsed = parseFloat(String(value || '').replace(/[$,]/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  /**
+   * Find a catalog item by id in the CSV catalog
+   * @param {string} productId - The catalog item id, or the id a saved quote has for it
+   * @returns {Object|null} - The catalog item or null
+   */
+  findProduct(productId) {
+    if (!this.csvModule) {
+      return null;
+    }
+
+    return this.csvModule.getItem(productId);
+  }
+
+  /**
+   * Measure the drawing in the imperial units the pricing sheets use
+   * @param {Array<Shape>} [shapes] - Shapes to measure, defaults to the canvas shapes
+   * @returns {Object} - Area in square feet, edge lengths in linear feet and cutout and seam counts
+   */
+  measureDrawing(shapes) {
+    if (!this.drawingManager) {
+      throw new Error('A DrawingManager is required to measure the drawing');
+    }
+
+    const measurementManager = this.drawingManager.measurementManager;
+    const shapeList = shapes || this.drawingManager.canvas.shapes;
+
+    const measuredShapes = shapeList.map((shape, index) => ({
+      index,
+      type: shape.type,
+      area: measurementManager.pixelsToSquareInches(shape.getArea()) / 144
+    }));
+
+    const edgeTotals = measurementManager.calculateEdgeTotals(shapeList);
+    const cutoutCounts = measurementManager.countCutouts(shapeList);
+    const seams = measurementManager.calculateSeams(shapeList);
+
+    const cutouts = {};
+    Object.keys(cutoutCounts).forEach(type => {
+      if (cutoutCounts[type] > 0) {
+        cutouts[type] = cutoutCounts[type];
+      }
+    });
+
+    return {
+      shapeCount: measuredShapes.length,
+      shapes: measuredShapes,
+      area: measuredShapes.reduce((sum, shape) => sum + shape.area, 0),
+      edges: edgeTotals.profiles,
+      finishedEdgeLength: edgeTotals.finished,
+      backsplashArea: edgeTotals.backsplash.squareFeet,
+      cutouts,
+      seams: {
+        count: seams.count,
+        length: seams.totalLength / 12
+      }
+    };
+  }
+
+  /**
+   * Get the quantity a labor rate applies to
+   * @param {Object} rate - Labor rate
+   * @param {Object} measurements - Drawing measurements
+   * @param {number} [quantity] - Explicit quantity for the rate
+   * @returns {number} - Quantity to charge
+   */
+  getLaborQuantity(rate, measurements, quantity) {
+    if (typeof quantity === 'number') {
+      return quantity;
+    }
+
+    switch (rate.unit) {
+      case 'sqft':
+        return measurements.area;
+      case 'lf':
+        return measurements.finishedEdgeLength;
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * Create an itemized quote for the current drawing
+   * @param {Object} options - Quote options
+   * @param {Object|string} options.product - Catalog item or catalog item id
+   * @param {Array<string|Object>} [options.labor] - Labor rate names, or { name, quantity } objects
+   * @param {number} [options.wasteFactor] - Waste factor override
+   * @param {number} [options.taxRate] - Tax rate override
+   * @param {Array<Shape>} [options.shapes] - Shapes to quote, defaults to the canvas shapes
+   * @returns {Promise<Object>} - The itemized quote
+   */
+  async createQuote(options = {}) {
+    const product = typeof options.product === 'string'
+      ? this.findProduct(options.product)
+      : options.product;
+
+    if (!product) {
+      throw new Error(`Unknown catalog item: ${options.product}`);
+    }
+
+    if (options.labor && options.labor.length > 0 && this.laborRates.length === 0) {
+      await this.loadLaborRates();
+    }
+
+    const measurements = this.measureDrawing(options.shapes);
+    const wasteFactor = options.wasteFactor !== undefined ? options.wasteFactor : this.config.wasteFactor;
+    const taxRate = options.taxRate !== undefined ? options.taxRate : this.config.taxRate;
+    const pricePerSqFt = this.parseAmount(product.installedPricePerSqFt);
+
+    const lineItems = [];
+    const warnings = [];
+
+    // Material
+    lineItems.push(this.createLineItem(
+      'material',
+      `${product.colorName} ${product.material}${product.thickness ? ` (${product.thickness})` : ''}`,
+      measurements.area,
+      'sqft',
+      pricePerSqFt
+    ));
+
+    // Waste
+    if (wasteFactor > 0) {
+      lineItems.push(this.createLineItem(
+        'waste',
+        `Material waste (${Math.round(wasteFactor * 100)}%)`,
+        measurements.area * wasteFactor,
+        'sqft',
+        pricePerSqFt
+      ));
+    }
+
+    // Backsplash is cut from the same material
+    if (measurements.backsplashArea > 0) {
+      lineItems.push(this.createLineItem(
+        'material',
+        'Backsplash',
+        measurements.backsplashArea,
+        'sqft',
+        pricePerSqFt
+      ));
+    }
+
+    if (Object.keys(measurements.edges).length > 0 || Object.keys(measurements.cutouts).length > 0 ||
+        measurements.seams.count > 0) {
+      if (this.laborRates.length === 0 && this.apiManager) {
+        await this.loadLaborRates();
+      }
+
+      lineItems.push(...this.createFabricationItems(measurements, warnings));
+    }
+
+    // Labor
+    (options.labor || []).forEach(selection => {
+      const name = typeof selection === 'string' ? selection : selection.name;
+      const rate = this.findLaborRate(name);
+
+      if (!rate) {
+        warnings.push(`No labor rate found for ${name}, it is left out of the quote`);
+        return;
+      }
+
+      const quantity = this.getLaborQuantity(rate, measurements, selection.quantity);
+      lineItems.push(this.createLineItem('labor', rate.name, quantity, rate.unit, rate.rate));
+    });
+
+    const totals = this.calculateTotals(lineItems, taxRate);
+
+    return {
+      createdAt: new Date().toISOString(),
+      currency: this.config.currency,
+      product: {
+        id: product.id,
+        // Source and item key find the product again after the vendor sheet changes
+        sourceId: product.sourceId || null,
+        key: this.csvModule && product.normalizedColorName ? this.csvModule.getItemKey(product) : null,
+        colorName: product.colorName,
+        material: product.material,
+        thickness: product.thickness || null,
+        vendorName: product.vendorName,
+        installedPricePerSqFt: pricePerSqFt
+      },
+      measurements: {
+        ...measurements,
+        area: this.round(measurements.area),
+        finishedEdgeLength: this.round(measurements.finishedEdgeLength),
+        backsplashArea: this.round(measurements.backsplashArea),
+        seams: {
+          count: measurements.seams.count,
+          length: this.round(measurements.seams.length)
+        },
+        edges: Object.keys(measurements.edges).reduce((edges, profile) => {
+          edges[profile] = this.round(measurements.edges[profile]);
+          return edges;
+        }, {}),
+        shapes: measurements.shapes.map(shape => ({ ...shape, area: this.round(shape.area) }))
+      },
+      wasteFactor,
+      taxRate,
+      lineItems,
+      totals,
+      // Labor rates that could not be found, so the quote is missing or underpricing work
+      warnings
+    };
+  }
+
+  /**
+   * Create line items for finished edge profiles, cutouts and seams
+   * @param {Object} measurements - Drawing measurements
+   * @param {Array<string>} [warnings] - Collects a warning for each line priced at 0 for lack of a labor rate
+   * @returns {Array<Object>} - Edge, cutout and seam line items
+   */
+  createFabricationItems(measurements, warnings = []) {
+    const items = [];
+    const findRate = (name, line) => {
+      const rate = this.findLaborRate(name);
+
+      if (!rate) {
+        warnings.push(`No labor rate found for ${name}, the ${line} line is priced at 0`);
+      }
+
+      return rate;
+    };
+
+    Object.keys(measurements.edges).forEach(profile => {
+      const rateName = this.config.edgeLabor[profile] || profile;
+      const rate = findRate(rateName, 'edge');
+
+      items.push(this.createLineItem(
+        'edge',
+        rateName,
+        measurements.edges[profile],
+        'lf',
+        rate ? rate.rate : 0
+      ));
+    });
+
+    Object.keys(measurements.cutouts).forEach(type => {
+      const rateName = this.config.cutoutLabor[type] || type;
+      const rate = findRate(rateName, 'cutout');
+
+      items.push(this.createLineItem(
+        'cutout',
+        rateName,
+        measurements.cutouts[type],
+        'each',
+        rate ? rate.rate : 0
+      ));
+    });
+
+    if (measurements.seams.count > 0) {
+      const rate = findRate(this.config.seamLabor, 'seam');
+
+      items.push(this.createLineItem(
+        'labor',
+        this.config.seamLabor,
+        measurements.seams.count,
+        'each',
+        rate ? rate.rate : 0
+      ));
+    }
+
+    return items;
+  }
+
+  /**
+   * Find a loaded labor rate by name
+   * @param {string} name - Labor rate name
+   * @returns {Object|null} - The labor rate or null
+   */
+  findLaborRate(name) {
+    const wanted = String(name).toLowerCase();
+    const rate = this.laborRates.find(r => r.name.toLowerCase() === wanted);
+
+    return rate || null;
+  }
+
+  /**
+   * Create a quote line item
+   * @param {string} category - Line item category
+   * @param {string} description - Line item description
+   * @param {number} quantity - Quantity
+   * @param {string} unit - Quantity unit
+   * @param {number} unitPrice - Price per unit
+   * @returns {Object} - Line item
+   */
+  createLineItem(category, description, quantity, unit, unitPrice) {
+    return {
+      category,
+      description,
+      quantity: this.round(quantity),
+      unit,
+      unitPrice: this.round(unitPrice),
+      total: this.round(quantity * unitPrice)
+    };
+  }
+
+  /**
+   * Sum line items into quote totals
+   * @param {Array<Object>} lineItems - Quote line items
+   * @param {number} taxRate - Tax rate
+   * @returns {Object} - Totals per category, subtotal, tax and total
+   */
+  calculateTotals(lineItems, taxRate) {
+    const totals = {
+      material: 0,
+      waste: 0,
+      edge: 0,
+      cutout: 0,
+      labor: 0
+    };
+
+    lineItems.forEach(item => {
+      totals[item.category] = (totals[item.category] || 0) + item.total;
+    });
+
+    Object.keys(totals).forEach(category => {
+      totals[category] = this.round(totals[category]);
+    });
+
+    const subtotal = this.round(lineItems.reduce((sum, item) => sum + item.total, 0));
+    const tax = this.round(subtotal * taxRate);
+
+    return {
+      ...totals,
+      subtotal,
+      tax,
+      total: this.round(subtotal + tax)
+    };
+  }
+
+  /**
+   * Round a value to cents
+   * @param {number} value - The value to round
+   * @returns {number} - Rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+/**
+ * Flags saved quotes whose material price changed in the vendor catalog.
+ *
+ * Quotes are tracked by their catalog item. When the CSV module reports a
+ * price change or a discontinued item, every tracked quote for that item is
+ * flagged until sales re-confirms its pricing.
+ */
+class QuotePriceMonitor {
+  constructor(options = {}) {
+    this.csvModule = options.csvModule || null;
+    this.storage = options.storage || localStorage;
+    this.storageKey = options.storageKey || 'quote_price_watch';
+    this.onFlag = options.onFlag || (() => {});
+    this.quotes = this.loadQuotes();
+    this.unsubscribe = this.csvModule
+      ? this.csvModule.subscribe((sourceId, events) => this.handlePriceEvents(events))
+      : null;
+  }
+
+  /**
+   * Load tracked quotes from storage
+   * @returns {Object} - Tracked quotes by quote ID
+   */
+  loadQuotes() {
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error loading tracked quotes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save tracked quotes to storage
+   */
+  saveQuotes() {
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.quotes));
+    } catch (error) {
+      console.error('Error saving tracked quotes:', error);
+    }
+  }
+
+  /**
+   * Watch a saved quote's material price, replacing any earlier version of the quote
+   * @param {string} quoteId - Quote ID
+   * @param {Object} quote - Quote from EstimationEngine.createQuote()
+   * @returns {Object} - The tracked quote
+   */
+  trackQuote(quoteId, quote) {
+    if (!quoteId) {
+      throw new Error('A quote ID is required to track quote pricing');
+    }
+    if (!quote || !quote.product) {
+      throw new Error(`Quote ${quoteId} has no product to track`);
+    }
+
+    // Quotes saved before products had keys get them from the catalog item
+    let { product } = quote;
+    const item = !product.key && this.csvModule ? this.csvModule.getItem(product.id) : null;
+    if (item) {
+      product = { ...product, sourceId: item.sourceId, key: this.csvModule.getItemKey(item) };
+    }
+
+    // A newly saved quote carries the current price, so earlier flags no longer apply
+    this.quotes[quoteId] = {
+      quoteId,
+      product,
+      quotedPrice: quote.product.installedPricePerSqFt,
+      quotedAt: quote.createdAt || new Date().toISOString(),
+      flags: []
+    };
+    this.saveQuotes();
+
+    return this.quotes[quoteId];
+  }
+
+  /**
+   * Stop watching a quote
+   * @param {string} quoteId - Quote ID
+   */
+  untrackQuote(quoteId) {
+    delete this.quotes[quoteId];
+    this.saveQuotes();
+  }
+
+  /**
+   * Check whether a price event is about a quote's product
+   * @param {Object} tracked - Tracked quote
+   * @param {Object} event - Price change event
+   * @returns {boolean} - Whether the event applies
+   */
+  matchesEvent(tracked, event) {
+    const { product } = tracked;
+
+    if (product.key && product.sourceId) {
+      return product.sourceId === event.sourceId && product.key === event.key;
+    }
+
+    // Item ids follow row order, so quotes saved before products had keys must also match by color
+    return product.id === event.previousItemId && product.colorName === event.colorName;
+  }
+
+  /**
+   * Flag tracked quotes affected by price change events
+   * @param {Array<Object>} events - Events from the CSV module
+   * @returns {Array<Object>} - Quotes flagged by these events
+   */
+  handlePriceEvents(events = []) {
+    const flagged = [];
+
+    events.forEach(event => {
+      Object.values(this.quotes).forEach(tracked => {
+        if (!this.matchesEvent(tracked, event)) {
+          return;
+        }
+
+        // Item ids can change, so a quote matched by id keeps the product's key from now on
+        if (!tracked.product.key) {
+          tracked.product = { ...tracked.product, sourceId: event.sourceId, key: event.key };
+        }
+
+        // A price that went back to the quoted one, after a rollback say, leaves nothing to re-confirm
+        if (event.price === tracked.quotedPrice) {
+          tracked.flags = [];
+          return;
+        }
+        if (event.type === PRICE_EVENTS.NEW_ITEM) {
+          return;
+        }
+
+        tracked.flags.push({
+          type: event.type,
+          previousPrice: event.previousPrice,
+          price: event.price,
+          quotedPrice: tracked.quotedPrice,
+          percentChange: event.percentChange,
+          detectedAt: event.detectedAt
+        });
+
+        if (!flagged.includes(tracked)) {
+          flagged.push(tracked);
+        }
+      });
+    });
+
+    if (events.length > 0) {
+      this.saveQuotes();
+    }
+    if (flagged.length > 0) {
+      this.onFlag(flagged);
+    }
+
+    return flagged;
+  }
+
+  /**
+   * Get the price flags raised on a quote
+   * @param {string} quoteId - Quote ID
+   * @returns {Array<Object>} - Flags, oldest first
+   */
+  getQuoteFlags(quoteId) {
+    return this.quotes[quoteId] ? [...this.quotes[quoteId].flags] : [];
+  }
+
+  /**
+   * Get the quotes whose pricing needs re-confirming
+   * @returns {Array<Object>} - Flagged quotes
+   */
+  getFlaggedQuotes() {
+    return Object.values(this.quotes).filter(tracked => tracked.flags.length > 0);
+  }
+
+  /**
+   * Clear a quote's flags once sales has re-confirmed its pricing
+   * @param {string} quoteId - Quote ID
+   * @param {number} [price] - Confirmed price per square foot, defaults to the latest catalog price
+   * @returns {Object} - The tracked quote
+   */
+  confirmPricing(quoteId, price) {
+    const tracked = this.quotes[quoteId];
+
+    if (!tracked) {
+      throw new Error(`Quote ${quoteId} is not tracked`);
+    }
+
+    const latest = tracked.flags[tracked.flags.length - 1];
+    if (price !== undefined) {
+      tracked.quotedPrice = price;
+    } else if (latest && latest.price !== null) {
+      tracked.quotedPrice = latest.price;
+    }
+
+    tracked.flags = [];
+    tracked.confirmedAt = new Date().toISOString();
+    this.saveQuotes();
+
+    return tracked;
+  }
+
+  /**
+   * Stop listening to the CSV module
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+// Export the module
+export {
+  EstimationEngine,
+  QuotePriceMonitor
+};
@@ -0,0 +1,23 @@
+/**
+ * Extension Resolver
+ *
+ * The modules import each other without file extensions, the way the
+ * browser bundle expects. Node needs the extension, so when running the
+ * tests this hook retries a relative import that cannot be found with
+ * ".js" added.
+ */
+
+import { register } from 'node:module';
+
+register(import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier.startsWith('.') && !specifier.endsWith('.js')) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
@@ -6,6 +6,8 @@
  * layouts directly on screen.
  */
 
+import { DrawingSchema } from './drawing-schema-module';
+
 class DrawingCanvas {
   constructor(canvasElement, options = {}) {
     this.canvas = canvasElement;
@@ -14,16 +16,37 @@ class DrawingCanvas {
     this.height = options.height || window.innerHeight;
     this.scale = options.scale || 1;
     this.offset = options.offset || { x: 0, y: 0 };
+    this.minScale = options.minScale || 0.1;
+    this.maxScale = options.maxScale || 8;
     this.gridSize = options.gridSize || 20;
     this.showGrid = options.showGrid !== undefined ? options.showGrid : true;
     this.shapes = [];
+    this.walls = [];
+    this.showWalls = options.showWalls !== undefined ? options.showWalls : true;
+    this.cabinetRuns = [];
+    this.showCabinets = options.showCabinets !== undefined ? options.showCabinets : true;
+    this.guides = []; // Alignment guides shown while drawing or dragging
+    this.overlays = []; // Extra layers drawn over the shapes, each with draw(ctx, scale, offset)
+    this.commitListeners = []; // Called after each change that becomes an undo step, and after undo and redo
+    this.underlay = null; // Photo or plan traced over, drawn under everything and never selectable, kept per room
+    this.schema = options.schema || new DrawingSchema();
+    this.importErrors = []; // Problems found in the last drawing that failed to load
     this.selectedShape = null;
+    this.selectedShapes = [];
     this.activeTool = null;
     this.tools = {};
     this.history = [];
     this.historyIndex = -1;
     this.maxHistorySteps = options.maxHistorySteps || 20;
     this.onChange = options.onChange || (() => {});
+    this.onViewChange = options.onViewChange || (() => {}); // Called with the scale and offset after zooming or panning
+    this.onContextMenu = options.onContextMenu || (() => {}); // Right-click or long press, with the shape underneath
+    this.longPressDelay = options.longPressDelay || 500;
+    this.pointers = new Map(); // Pointers that are down, by pointer ID
+    this.gesture = null; // Two-finger pan and pinch in progress
+    this.longPress = null;
+    this.dimensionFormatter = options.dimensionFormatter || null;
+    this.snapManager = new SnapManager(this, options.snapping);
     
     this.initialize();
   }
@@ -50,18 +73,25 @@ class DrawingCanvas {
   }
   
   setupEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-    this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-    
-    // Touch events
-    this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-    this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-    this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
-    
-    // Prevent context menu on right-click
-    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    // Pointer events cover mouse, touch and stylus alike
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    this.canvas.addEventListener('pointercancel', this.handlePointerCancel.bind(this));
+    
+    // Trackpad pinches arrive as wheel events with the control key held
+    this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+    
+    // Fingers on the drawing must not scroll or zoom the page
+    this.canvas.style.touchAction = 'none';
+    
+    // Replace the browser's context menu with the shape menu; touches open it by long press instead
+    this.canvas.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      if (!this.hasTouchPointers()) {
+        this.openContextMenu(e);
+      }
+    });
   }
   
   handleMouseDown(event) {
@@ -105,40 +135,234 @@ class DrawingCanvas {
     this.render();
   }
   
-  handleTouchStart(event) {
-    event.preventDefault();
+  handlePointerDown(event) {
+    // Only the primary button draws, right-click opens the context menu
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
     
-    const touch = event.touches[0];
-    const simulatedEvent = {
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      preventDefault: () => {}
-    };
+    // Palm rejection: touches are ignored while the stylus is down
+    if (event.pointerType === 'touch' && this.isPenDown()) return;
+    
+    this.canvas.setPointerCapture(event.pointerId);
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, type: event.pointerType });
+    
+    const touches = this.getTouchPointers();
+    if (touches.length === 2) {
+      this.startGesture();
+      return;
+    }
+    if (this.gesture || touches.length > 2) return;
+    
+    if (event.pointerType !== 'mouse') {
+      this.startLongPress(event);
+    }
+    this.handleMouseDown(event);
+  }
+  
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    
+    if (pointer) {
+      pointer.x = event.clientX;
+      pointer.y = event.clientY;
+    }
+    
+    // Fingers left after a pinch keep navigating until all of them lift
+    if (this.gesture) {
+      if (pointer && this.getTouchPointers().length === 2) {
+        this.updateGesture();
+      }
+      return;
+    }
+    
+    // Mouse and stylus hover still reach the tools, stray touches do not
+    if (event.pointerType === 'touch' && !pointer) return;
+    
+    if (this.longPress) {
+      const { start } = this.longPress;
+      if (Math.sqrt(Math.pow(event.clientX - start.clientX, 2) + Math.pow(event.clientY - start.clientY, 2)) > 10) {
+        this.cancelLongPress();
+      }
+    }
+    
+    this.handleMouseMove(event);
+  }
+  
+  handlePointerUp(event) {
+    if (!this.pointers.has(event.pointerId)) return;
+    
+    this.pointers.delete(event.pointerId);
+    const longPressed = this.longPress && this.longPress.fired;
+    this.cancelLongPress();
+    
+    if (this.gesture) {
+      if (!this.hasTouchPointers()) {
+        this.gesture = null;
+      }
+      return;
+    }
+    
+    // The long press already cancelled the tool and opened the menu
+    if (!longPressed) {
+      this.handleMouseUp(event);
+    }
+  }
+  
+  handlePointerCancel(event) {
+    if (!this.pointers.has(event.pointerId)) return;
     
-    this.handleMouseDown(simulatedEvent);
+    this.pointers.delete(event.pointerId);
+    this.cancelLongPress();
+    
+    if (this.gesture) {
+      if (!this.hasTouchPointers()) {
+        this.gesture = null;
+      }
+    } else {
+      this.cancelToolAction();
+    }
+    this.render();
   }
   
-  handleTouchMove(event) {
+  handleWheel(event) {
+    // Plain scrolling is left to the page
+    if (!event.ctrlKey) return;
+    
     event.preventDefault();
+    const rect = this.canvas.getBoundingClientRect();
+    this.zoomAt(this.scale * Math.exp(-event.deltaY / 100), {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top
+    });
+  }
+  
+  getTouchPointers() {
+    return Array.from(this.pointers.values()).filter(pointer => pointer.type === 'touch');
+  }
+  
+  hasTouchPointers() {
+    return this.getTouchPointers().length > 0;
+  }
+  
+  isPenDown() {
+    return Array.from(this.pointers.values()).some(pointer => pointer.type === 'pen');
+  }
+  
+  startGesture() {
+    // The second finger turns whatever the first one started into navigation
+    this.cancelLongPress();
+    this.cancelToolAction();
+    
+    const [a, b] = this.getTouchPointers();
+    const rect = this.canvas.getBoundingClientRect();
     
-    const touch = event.touches[0];
-    const simulatedEvent = {
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      preventDefault: () => {}
+    this.gesture = {
+      distance: Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2)) || 1,
+      center: { x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top },
+      scale: this.scale,
+      offset: { ...this.offset }
+    };
+    this.render();
+  }
+  
+  updateGesture() {
+    const [a, b] = this.getTouchPointers();
+    const rect = this.canvas.getBoundingClientRect();
+    const start = this.gesture;
+    const distance = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+    const center = { x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top };
+    const scale = this.clampScale(start.scale * distance / start.distance);
+    
+    // The drawing point that was between the fingers stays between them, which pans and zooms at once
+    const world = {
+      x: (start.center.x - start.offset.x) / start.scale,
+      y: (start.center.y - start.offset.y) / start.scale
     };
     
-    this.handleMouseMove(simulatedEvent);
+    this.setView(scale, { x: center.x - world.x * scale, y: center.y - world.y * scale });
   }
   
-  handleTouchEnd(event) {
-    event.preventDefault();
+  startLongPress(event) {
+    this.cancelLongPress();
+    
+    const start = { clientX: event.clientX, clientY: event.clientY };
+    this.longPress = {
+      start,
+      fired: false,
+      timer: setTimeout(() => {
+        this.longPress.fired = true;
+        this.cancelToolAction();
+        this.openContextMenu(start);
+      }, this.longPressDelay)
+    };
+  }
+  
+  cancelLongPress() {
+    if (this.longPress) {
+      clearTimeout(this.longPress.timer);
+      this.longPress = null;
+    }
+  }
+  
+  openContextMenu(event) {
+    const point = this.getCanvasPoint(event);
+    const shape = this.findShapeAt(point);
+    
+    if (shape && !this.selectedShapes.includes(shape)) {
+      this.selectShape(shape);
+    }
+    this.render();
+    
+    this.onContextMenu({ shape, point, clientX: event.clientX, clientY: event.clientY });
+  }
+  
+  cancelToolAction() {
+    if (this.activeTool) {
+      this.activeTool.cancel();
+    }
+    this.guides = [];
     
-    const simulatedEvent = {
-      preventDefault: () => {}
+    // Shapes dragged part way go back to where they were
+    const saved = this.history[this.historyIndex];
+    if (saved && !this.matchesSnapshot(saved)) {
+      this.clearSelection();
+      this.restoreSnapshot(saved);
+      this.onChange();
+    }
+  }
+  
+  matchesSnapshot(snapshot) {
+    const serialize = ({ shapes, walls, cabinetRuns = [] }) => JSON.stringify({
+      shapes: shapes.map(shape => shape.toJSON()),
+      walls: walls.map(wall => wall.toJSON()),
+      cabinetRuns: cabinetRuns.map(run => run.toJSON())
+    });
+    return serialize(snapshot) === serialize(this);
+  }
+  
+  clampScale(scale) {
+    return Math.min(this.maxScale, Math.max(this.minScale, scale));
+  }
+  
+  setView(scale, offset) {
+    this.scale = this.clampScale(scale);
+    this.offset = { x: offset.x, y: offset.y };
+    this.onViewChange({ scale: this.scale, offset: { ...this.offset } });
+    this.render();
+  }
+  
+  zoomAt(scale, point) {
+    // Keep the drawing point under the given screen point in place
+    const next = this.clampScale(scale);
+    const world = {
+      x: (point.x - this.offset.x) / this.scale,
+      y: (point.y - this.offset.y) / this.scale
     };
     
-    this.handleMouseUp(simulatedEvent);
+    this.setView(next, { x: point.x - world.x * next, y: point.y - world.y * next });
+  }
+  
+  panBy(dx, dy) {
+    this.setView(this.scale, { x: this.offset.x + dx, y: this.offset.y + dy });
   }
   
   getCanvasPoint(event) {
@@ -152,30 +376,88 @@ class DrawingCanvas {
   findShapeAt(point) {
     // Search in reverse order to find top-most shape first
     for (let i = this.shapes.length - 1; i >= 0; i--) {
-      if (this.shapes[i].contains(point)) {
+      if (this.shapes[i].hitTest(point)) {
         return this.shapes[i];
       }
     }
     return null;
   }
   
-  selectShape(shape) {
-    this.deselectShape();
+  getGroupMembers(shape) {
+    if (!shape.groupId) {
+      return [shape];
+    }
+    return this.shapes.filter(member => member.groupId === shape.groupId);
+  }
+  
+  selectShape(shape, additive = false) {
+    if (!additive) {
+      this.clearSelection();
+    }
+    
+    // Selecting one member of a group selects the whole group
+    this.getGroupMembers(shape).forEach(member => {
+      if (!this.selectedShapes.includes(member)) {
+        this.selectedShapes.push(member);
+        member.selected = true;
+      }
+    });
+    
     this.selectedShape = shape;
-    shape.selected = true;
     this.onChange();
   }
   
+  selectShapes(shapes, additive = false) {
+    if (!additive) {
+      this.clearSelection();
+    }
+    
+    shapes.forEach(shape => {
+      this.getGroupMembers(shape).forEach(member => {
+        if (!this.selectedShapes.includes(member)) {
+          this.selectedShapes.push(member);
+          member.selected = true;
+        }
+      });
+    });
+    
+    this.selectedShape = this.selectedShapes[this.selectedShapes.length - 1] || null;
+    this.onChange();
+  }
+  
+  toggleShape(shape) {
+    if (!this.selectedShapes.includes(shape)) {
+      this.selectShape(shape, true);
+      return;
+    }
+    
+    const members = this.getGroupMembers(shape);
+    members.forEach(member => {
+      member.selected = false;
+    });
+    this.selectedShapes = this.selectedShapes.filter(selected => !members.includes(selected));
+    this.selectedShape = this.selectedShapes[this.selectedShapes.length - 1] || null;
+    this.onChange();
+  }
+  
+  clearSelection() {
+    this.selectedShapes.forEach(shape => {
+      shape.selected = false;
+    });
+    this.selectedShapes = [];
+    this.selectedShape = null;
+  }
+  
   deselectShape() {
-    if (this.selectedShape) {
-      this.selectedShape.selected = false;
-      this.selectedShape = null;
+    if (this.selectedShapes.length > 0) {
+      this.clearSelection();
       this.onChange();
     }
   }
   
   addShape(shape) {
     this.shapes.push(shape);
+    this.anchorToWalls(shape);
     this.saveState();
     this.onChange();
   }
@@ -184,8 +466,9 @@ class DrawingCanvas {
     const index = this.shapes.indexOf(shape);
     if (index !== -1) {
       this.shapes.splice(index, 1);
+      this.selectedShapes = this.selectedShapes.filter(selected => selected !== shape);
       if (this.selectedShape === shape) {
-        this.selectedShape = null;
+        this.selectedShape = this.selectedShapes[this.selectedShapes.length - 1] || null;
       }
       this.saveState();
       this.onChange();
@@ -194,11 +477,78 @@ class DrawingCanvas {
   
   clearShapes() {
     this.shapes = [];
-    this.selectedShape = null;
+    this.clearSelection();
+    this.saveState();
+    this.onChange();
+  }
+  
+  addWall(wall) {
+    this.walls.push(wall);
+    this.shapes.forEach(shape => this.anchorToWalls(shape));
+    this.saveState();
+    this.onChange();
+  }
+  
+  removeWall(wall) {
+    const index = this.walls.indexOf(wall);
+    if (index !== -1) {
+      this.walls.splice(index, 1);
+      this.shapes.forEach(shape => this.anchorToWalls(shape));
+      this.saveState();
+      this.onChange();
+    }
+  }
+  
+  clearWalls() {
+    this.walls = [];
+    this.shapes.forEach(shape => this.anchorToWalls(shape));
+    this.saveState();
+    this.onChange();
+  }
+  
+  addCabinetRun(run) {
+    this.cabinetRuns.push(run);
     this.saveState();
     this.onChange();
   }
   
+  removeCabinetRun(run) {
+    const index = this.cabinetRuns.indexOf(run);
+    if (index !== -1) {
+      this.cabinetRuns.splice(index, 1);
+      this.saveState();
+      this.onChange();
+    }
+  }
+  
+  findCabinetRunAt(point) {
+    for (let i = this.cabinetRuns.length - 1; i >= 0; i--) {
+      if (this.cabinetRuns[i].contains(point)) {
+        return this.cabinetRuns[i];
+      }
+    }
+    return null;
+  }
+  
+  anchorToWalls(shape) {
+    if (!this.snapManager.anchorToWalls) return;
+    
+    const flushEdges = this.snapManager.getFlushEdges(shape);
+    
+    // Only unassigned edges are anchored, so edges the user set are left alone
+    shape.getEdges().forEach(edge => {
+      const settings = shape.edges[edge.index];
+      
+      if (flushEdges.includes(edge.index)) {
+        if (!settings) {
+          shape.setEdge(edge.index, { type: 'wall', anchored: true });
+        }
+      } else if (settings && settings.anchored) {
+        shape.clearEdge(edge.index);
+      }
+    });
+  }
+  
   setActiveTool(toolName) {
     if (this.activeTool) {
       this.activeTool.deactivate();
@@ -221,11 +571,8 @@ class DrawingCanvas {
       this.history = this.history.slice(0, this.historyIndex + 1);
     }
     
-    // Create a deep copy of shapes for history
-    const shapesCopy = this.shapes.map(shape => shape.clone());
-    
-    // Add to history
-    this.history.push(shapesCopy);
+    // Add a deep copy of the drawing to history
+    this.history.push(this.createSnapshot());
     this.historyIndex++;
     
     // Limit history size
@@ -233,13 +580,42 @@ class DrawingCanvas {
       this.history.shift();
       this.historyIndex--;
     }
+    
+    this.notifyCommit();
+  }
+  
+  addCommitListener(listener) {
+    this.commitListeners.push(listener);
+  }
+  
+  removeCommitListener(listener) {
+    this.commitListeners = this.commitListeners.filter(entry => entry !== listener);
+  }
+  
+  notifyCommit() {
+    this.commitListeners.forEach(listener => listener());
+  }
+  
+  createSnapshot() {
+    return {
+      shapes: this.shapes.map(shape => shape.clone()),
+      walls: this.walls.map(wall => wall.clone()),
+      cabinetRuns: this.cabinetRuns.map(run => run.clone())
+    };
+  }
+  
+  restoreSnapshot(snapshot) {
+    this.shapes = snapshot.shapes.map(shape => shape.clone());
+    this.walls = snapshot.walls.map(wall => wall.clone());
+    this.cabinetRuns = (snapshot.cabinetRuns || []).map(run => run.clone());
   }
   
   undo() {
     if (this.historyIndex > 0) {
       this.historyIndex--;
-      this.shapes = this.history[this.historyIndex].map(shape => shape.clone());
-      this.selectedShape = null;
+      this.restoreSnapshot(this.history[this.historyIndex]);
+      this.clearSelection();
+      this.notifyCommit();
       this.onChange();
       this.render();
     }
@@ -248,13 +624,38 @@ class DrawingCanvas {
   redo() {
     if (this.historyIndex < this.history.length - 1) {
       this.historyIndex++;
-      this.shapes = this.history[this.historyIndex].map(shape => shape.clone());
-      this.selectedShape = null;
+      this.restoreSnapshot(this.history[this.historyIndex]);
+      this.clearSelection();
+      this.notifyCommit();
       this.onChange();
       this.render();
     }
   }
   
+  getState() {
+    // The live drawing and its undo history, handed over when switching rooms
+    return {
+      shapes: this.shapes,
+      walls: this.walls,
+      cabinetRuns: this.cabinetRuns,
+      underlay: this.underlay,
+      history: this.history,
+      historyIndex: this.historyIndex
+    };
+  }
+  
+  setState(state) {
+    this.shapes = state.shapes;
+    this.walls = state.walls;
+    this.cabinetRuns = state.cabinetRuns || [];
+    this.underlay = state.underlay || null;
+    this.history = state.history;
+    this.historyIndex = state.historyIndex;
+    this.clearSelection();
+    this.onChange();
+    this.render();
+  }
+  
   drawGrid() {
     const { ctx, gridSize, width, height, offset, scale } = this;
     
@@ -285,15 +686,136 @@ class DrawingCanvas {
     ctx.restore();
   }
   
+  formatDimension(pixels) {
+    if (this.dimensionFormatter) {
+      return this.dimensionFormatter(pixels);
+    }
+    return `${Math.round(pixels)}px`;
+  }
+  
   drawShapes() {
+    const formatDimension = pixels => this.formatDimension(pixels);
+    
     this.shapes.forEach(shape => {
-      shape.draw(this.ctx, this.scale, this.offset);
+      this.ctx.save();
+      
+      // Shapes draw in their own unrotated coordinates, so rotate the canvas around the center
+      if (shape.rotation) {
+        const center = shape.getCenter();
+        const x = this.offset.x + center.x * this.scale;
+        const y = this.offset.y + center.y * this.scale;
+        
+        this.ctx.translate(x, y);
+        this.ctx.rotate(shape.rotation * Math.PI / 180);
+        this.ctx.translate(-x, -y);
+      }
+      
+      shape.draw(this.ctx, this.scale, this.offset, formatDimension);
+      shape.drawDetails(this.ctx, this.scale, this.offset);
+      
+      this.ctx.restore();
+    });
+  }
+  
+  drawWalls() {
+    this.walls.forEach(wall => wall.draw(this.ctx, this.scale, this.offset));
+  }
+  
+  drawCabinets() {
+    const formatDimension = pixels => this.formatDimension(pixels);
+    this.cabinetRuns.forEach(run => run.draw(this.ctx, this.scale, this.offset, formatDimension));
+  }
+  
+  setUnderlay(underlay) {
+    // Position and size are in drawing pixels, one per image pixel unless given
+    this.underlay = {
+      image: underlay.image,
+      x: underlay.x || 0,
+      y: underlay.y || 0,
+      width: underlay.width || underlay.image.width,
+      height: underlay.height || underlay.image.height,
+      opacity: underlay.opacity !== undefined ? underlay.opacity : 0.5,
+      visible: underlay.visible !== undefined ? underlay.visible : true
+    };
+    this.render();
+  }
+  
+  clearUnderlay() {
+    this.underlay = null;
+    this.render();
+  }
+  
+  drawUnderlay() {
+    const { ctx, underlay, offset, scale } = this;
+    
+    if (!underlay || !underlay.visible) return;
+    
+    ctx.save();
+    ctx.globalAlpha = underlay.opacity;
+    ctx.drawImage(
+      underlay.image,
+      offset.x + underlay.x * scale,
+      offset.y + underlay.y * scale,
+      underlay.width * scale,
+      underlay.height * scale
+    );
+    ctx.restore();
+  }
+  
+  addOverlay(overlay) {
+    this.overlays.push(overlay);
+    this.render();
+  }
+  
+  removeOverlay(overlay) {
+    this.overlays = this.overlays.filter(entry => entry !== overlay);
+    this.render();
+  }
+  
+  drawOverlays() {
+    this.overlays.forEach(overlay => {
+      this.ctx.save();
+      overlay.draw(this.ctx, this.scale, this.offset);
+      this.ctx.restore();
+    });
+  }
+  
+  drawGuides() {
+    const { ctx, guides, width, height, offset, scale } = this;
+    
+    if (guides.length === 0) return;
+    
+    ctx.save();
+    ctx.strokeStyle = '#e84393';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    
+    // Guides span the whole canvas so distant alignments are visible
+    guides.forEach(guide => {
+      ctx.beginPath();
+      if (guide.axis === 'x') {
+        const x = offset.x + guide.value * scale;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+      } else {
+        const y = offset.y + guide.value * scale;
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+      }
+      ctx.stroke();
     });
+    
+    ctx.restore();
   }
   
   drawToolPreview() {
     if (this.activeTool) {
+      // Tools preview in drawing coordinates
+      this.ctx.save();
+      this.ctx.translate(this.offset.x, this.offset.y);
+      this.ctx.scale(this.scale, this.scale);
       this.activeTool.drawPreview(this.ctx);
+      this.ctx.restore();
     }
   }
   
@@ -301,1229 +823,4979 @@ class DrawingCanvas {
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     
+    // Draw the traced photo or plan under the grid
+    this.drawUnderlay();
+    
     // Draw grid if enabled
     if (this.showGrid) {
       this.drawGrid();
     }
     
+    // Draw walls underneath the countertops
+    if (this.showWalls) {
+      this.drawWalls();
+    }
+    
     // Draw all shapes
     this.drawShapes();
     
+    // Outline the cabinets over the countertops so both can be seen
+    if (this.showCabinets) {
+      this.drawCabinets();
+    }
+    
+    // Draw overlays such as revision comparisons
+    this.drawOverlays();
+    
+    // Draw alignment guides
+    this.drawGuides();
+    
     // Draw current tool preview
     this.drawToolPreview();
   }
   
   exportToJSON() {
     return JSON.stringify({
-      shapes: this.shapes.map(shape => shape.toJSON())
+      shapes: this.shapes.map(shape => shape.toJSON()),
+      walls: this.walls.map(wall => wall.toJSON()),
+      cabinetRuns: this.cabinetRuns.map(run => run.toJSON())
     });
   }
   
   importFromJSON(json) {
     try {
-      const data = JSON.parse(json);
-      this.shapes = data.shapes.map(shapeData => {
-        return Shape.fromJSON(shapeData);
-      });
-      this.selectedShape = null;
+      // Checked and upgraded like a project file; of a project, the active room is loaded
+      const document = this.schema.parseDocument(json);
+      const room = document.rooms.find(entry => entry.id === document.activeRoomId) || document.rooms[0];
+      
+      // Build everything before touching the canvas so a bad file leaves the drawing intact
+      const shapes = room.shapes.map(shapeData => Shape.fromJSON(shapeData));
+      const walls = (room.walls || []).map(wallData => Wall.fromJSON(wallData));
+      const cabinetRuns = (room.cabinetRuns || []).map(runData => CabinetRun.fromJSON(runData));
+      
+      this.importErrors = [];
+      this.shapes = shapes;
+      this.walls = walls;
+      this.cabinetRuns = cabinetRuns;
+      this.clearSelection();
       this.saveState();
       this.onChange();
       this.render();
       return true;
     } catch (error) {
+      this.importErrors = error.errors || [{ path: '', message: error.message }];
       console.error('Error importing drawing data:', error);
       return false;
     }
   }
 }
 
-class Shape {
-  constructor(type, properties) {
-    this.type = type; // 'rectangle', 'L-shape', 'U-shape', 'island', 'custom'
-    this.properties = properties;
-    this.selected = false;
-  }
-  
-  draw(ctx, scale, offset) {
-    // Drawing logic based on shape type
-    console.warn('Draw method not implemented for base Shape class');
-  }
-  
-  contains(point) {
-    // Hit testing logic
-    console.warn('Contains method not implemented for base Shape class');
-    return false;
+class SnapManager {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.snapToGrid = options.grid !== undefined ? options.grid : true;
+    this.snapToShapes = options.shapes !== undefined ? options.shapes : true;
+    this.snapToAngles = options.angles !== undefined ? options.angles : true;
+    this.anchorToWalls = options.walls !== undefined ? options.walls : true;
+    this.threshold = options.threshold || 8; // Screen pixels
+    this.angleStep = options.angleStep || 45; // Degrees
+    this.angleTolerance = options.angleTolerance || 7; // Degrees
+    this.wallTolerance = options.wallTolerance || 1; // Drawing pixels
   }
   
-  getArea() {
-    // Calculate area based on shape type and properties
-    console.warn('GetArea method not implemented for base Shape class');
-    return 0;
+  configure(options = {}) {
+    if (options.grid !== undefined) this.snapToGrid = options.grid;
+    if (options.shapes !== undefined) this.snapToShapes = options.shapes;
+    if (options.angles !== undefined) this.snapToAngles = options.angles;
+    if (options.walls !== undefined) this.anchorToWalls = options.walls;
   }
   
-  getBoundingBox() {
-    // Return bounding box for selection
-    console.warn('GetBoundingBox method not implemented for base Shape class');
-    return { x: 0, y: 0, width: 0, height: 0 };
+  getTargets(exclude = []) {
+    const xs = [];
+    const ys = [];
+    
+    if (!this.snapToShapes) {
+      return { xs, ys };
+    }
+    
+    // Corners of other shapes give both the corner and the lines through their edges
+    this.canvas.shapes.forEach(shape => {
+      if (exclude.includes(shape)) return;
+      
+      shape.getWorldPoints().forEach(point => {
+        xs.push(point.x);
+        ys.push(point.y);
+      });
+    });
+    
+    // Walls contribute their ends and, when axis-aligned, both faces
+    this.canvas.walls.forEach(wall => {
+      const { start, end } = wall.getLine();
+      const half = wall.thickness / 2;
+      
+      xs.push(start.x, end.x);
+      ys.push(start.y, end.y);
+      
+      if (start.x === end.x) {
+        xs.push(start.x - half, start.x + half);
+      } else if (start.y === end.y) {
+        ys.push(start.y - half, start.y + half);
+      }
+    });
+    
+    return { xs, ys };
   }
   
-  clone() {
-    // Create a deep copy of this shape
-    console.warn('Clone method not implemented for base Shape class');
-    return new Shape(this.type, JSON.parse(JSON.stringify(this.properties)));
+  findClosest(values, targets, threshold) {
+    let best = null;
+    
+    values.forEach(value => {
+      targets.forEach(target => {
+        const distance = Math.abs(target - value);
+        if (distance <= threshold && (!best || distance < best.distance)) {
+          best = { distance, adjustment: target - value, target };
+        }
+      });
+    });
+    
+    return best;
   }
   
-  toJSON() {
-    return {
-      type: this.type,
-      properties: this.properties
-    };
+  snapToGridValue(value) {
+    const { gridSize } = this.canvas;
+    return Math.round(value / gridSize) * gridSize;
   }
   
-  static fromJSON(data) {
-    switch (data.type) {
-      case 'rectangle':
-        return new Rectangle(
-          data.properties.x,
-          data.properties.y,
-          data.properties.width,
-          data.properties.depth
-        );
-      case 'L-shape':
-        return new LShape(
-          data.properties.x,
-          data.properties.y,
-          data.properties.width,
-          data.properties.depth,
-          data.properties.cutoutWidth,
-          data.properties.cutoutDepth
-        );
-      case 'U-shape':
-        return new UShape(
-          data.properties.x,
-          data.properties.y,
-          data.properties.width,
-          data.properties.depth,
-          data.properties.leftCutoutWidth,
-          data.properties.rightCutoutWidth,
-          data.properties.cutoutDepth
-        );
-      case 'island':
-        return new Island(
-          data.properties.x,
-          data.properties.y,
-          data.properties.width,
-          data.properties.depth
-        );
-      case 'custom':
-        return new CustomShape(
-          data.properties.points
-        );
-      default:
-        console.error('Unknown shape type:', data.type);
-        return new Shape(data.type, data.properties);
+  snapMove(points, dx, dy, exclude = []) {
+    // Returns the adjusted offset for points moved by dx/dy, plus guides to show
+    if (points.length === 0) {
+      return { dx, dy, guides: [] };
     }
-  }
-}
-
-class Rectangle extends Shape {
-  constructor(x, y, width, depth) {
-    super('rectangle', { x, y, width, depth });
-  }
-  
-  draw(ctx, scale, offset) {
-    const { x, y, width, depth } = this.properties;
-    
-    ctx.save();
-    ctx.translate(offset.x, offset.y);
-    ctx.scale(scale, scale);
     
-    ctx.beginPath();
-    ctx.rect(x, y, width, depth);
-    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2 / scale;
-    ctx.stroke();
+    const threshold = this.threshold / this.canvas.scale;
+    const targets = this.getTargets(exclude);
+    const useGrid = this.snapToGrid && this.canvas.showGrid;
+    const guides = [];
+    
+    const xMatch = this.findClosest(points.map(point => point.x + dx), targets.xs, threshold);
+    const yMatch = this.findClosest(points.map(point => point.y + dy), targets.ys, threshold);
+    
+    // Shape and wall alignments win over the grid
+    if (xMatch) {
+      dx += xMatch.adjustment;
+      guides.push({ axis: 'x', value: xMatch.target });
+    } else if (useGrid) {
+      const x = points[0].x + dx;
+      dx += this.snapToGridValue(x) - x;
+    }
     
-    // Draw dimensions
-    this.drawDimensions(ctx, scale);
+    if (yMatch) {
+      dy += yMatch.adjustment;
+      guides.push({ axis: 'y', value: yMatch.target });
+    } else if (useGrid) {
+      const y = points[0].y + dy;
+      dy += this.snapToGridValue(y) - y;
+    }
     
-    ctx.restore();
-  }
-  
-  contains(point) {
-    const { x, y, width, depth } = this.properties;
-    return (
-      point.x >= x && 
-      point.x <= x + width && 
-      point.y >= y && 
-      point.y <= y + depth
-    );
+    return { dx, dy, guides };
   }
   
-  getArea() {
-    return this.properties.width * this.properties.depth;
+  snapPoint(point, exclude = []) {
+    const { dx, dy, guides } = this.snapMove([point], 0, 0, exclude);
+    
+    return {
+      point: { x: point.x + dx, y: point.y + dy },
+      guides
+    };
   }
   
-  getBoundingBox() {
-    const { x, y, width, depth } = this.properties;
-    return { x, y, width, depth };
+  snapAngle(start, end) {
+    if (!this.snapToAngles) return end;
+    
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    
+    if (length === 0) return end;
+    
+    const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+    const snapped = Math.round(angle / this.angleStep) * this.angleStep;
+    
+    if (Math.abs(angle - snapped) > this.angleTolerance) return end;
+    
+    const radians = snapped * Math.PI / 180;
+    return {
+      x: start.x + Math.cos(radians) * length,
+      y: start.y + Math.sin(radians) * length
+    };
   }
   
-  drawDimensions(ctx, scale) {
-    const { x, y, width, depth } = this.properties;
-    const padding = 10 / scale;
-    const fontSize = 14 / scale;
+  straightenPolygon(points) {
+    // Snap each segment to the nearest 45 degree step, working from the first point
+    if (!this.snapToAngles || points.length < 2) return points;
     
-    ctx.fillStyle = '#2c3e50';
-    ctx.font = `${fontSize}px Arial`;
-    ctx.textAlign = 'center';
+    const result = [{ x: points[0].x, y: points[0].y }];
     
-    // Width dimension
-    ctx.fillText(`${Math.round(width)}px`, x + width / 2, y - padding);
+    for (let i = 1; i < points.length; i++) {
+      result.push(this.snapAngle(result[i - 1], points[i]));
+    }
     
-    // Depth dimension
-    ctx.save();
-    ctx.translate(x - padding, y + depth / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${Math.round(depth)}px`, 0, 0);
-    ctx.restore();
+    return result;
   }
   
-  clone() {
-    return new Rectangle(
-      this.properties.x,
-      this.properties.y,
-      this.properties.width,
-      this.properties.depth
-    );
+  getFlushEdges(shape) {
+    // Edges that lie along a wall face, parallel and within the wall's length
+    const flush = [];
+    
+    shape.getEdges().forEach(edge => {
+      if (edge.length === 0) return;
+      
+      const start = shape.toWorld(edge.start);
+      const end = shape.toWorld(edge.end);
+      const midpoint = {
+        x: (start.x + end.x) / 2,
+        y: (start.y + end.y) / 2
+      };
+      const edgeDirection = {
+        x: (end.x - start.x) / edge.length,
+        y: (end.y - start.y) / edge.length
+      };
+      
+      const isFlush = this.canvas.walls.some(wall => {
+        const { start } = wall.getLine();
+        const length = wall.getLength();
+        if (length === 0) return false;
+        
+        const direction = wall.getDirection();
+        const cross = edgeDirection.x * direction.y - edgeDirection.y * direction.x;
+        if (Math.abs(cross) > 0.01) return false;
+        
+        const relative = { x: midpoint.x - start.x, y: midpoint.y - start.y };
+        const along = relative.x * direction.x + relative.y * direction.y;
+        const across = Math.abs(relative.x * direction.y - relative.y * direction.x);
+        
+        return along >= 0 && along <= length &&
+          Math.abs(across - wall.thickness / 2) <= this.wallTolerance;
+      });
+      
+      if (isFlush) {
+        flush.push(edge.index);
+      }
+    });
+    
+    return flush;
   }
 }
 
-class LShape extends Shape {
-  constructor(x, y, width, depth, cutoutWidth, cutoutDepth) {
-    super('L-shape', { x, y, width, depth, cutoutWidth, cutoutDepth });
+const EDGE_TYPES = ['finished', 'wall', 'backsplash'];
+const EDGE_PROFILES = ['eased', 'bevel', 'bullnose', 'ogee', 'waterfall'];
+
+const EDGE_COLORS = {
+  eased: '#27ae60',
+  bevel: '#8e44ad',
+  bullnose: '#2980b9',
+  ogee: '#d35400',
+  waterfall: '#c0392b',
+  backsplash: '#7f8c8d',
+  wall: '#95a5a6'
+};
+
+// Editable dimensions per shape type, in the order they are entered
+const SHAPE_DIMENSIONS = {
+  rectangle: ['width', 'depth'],
+  island: ['width', 'depth'],
+  'L-shape': ['width', 'depth', 'cutoutWidth', 'cutoutDepth'],
+  'U-shape': ['width', 'depth', 'leftCutoutWidth', 'rightCutoutWidth', 'cutoutDepth']
+};
+
+const DIMENSION_LABELS = {
+  width: 'Width',
+  depth: 'Depth',
+  cutoutWidth: 'Cutout width',
+  cutoutDepth: 'Cutout depth',
+  leftCutoutWidth: 'Left leg width',
+  rightCutoutWidth: 'Right leg width',
+  openingWidth: 'Opening width'
+};
+
+const SHAPE_NAMES = {
+  rectangle: 'Rectangle',
+  island: 'Island',
+  'L-shape': 'L-shape',
+  'U-shape': 'U-shape',
+  custom: 'Custom shape'
+};
+
+// Keys that pick each tool registered in DrawingManager.registerTools()
+const TOOL_SHORTCUTS = {
+  r: 'rectangle',
+  l: 'l-shape',
+  u: 'u-shape',
+  i: 'island',
+  f: 'freehand',
+  v: 'selection',
+  s: 'seam',
+  d: 'dimensions',
+  w: 'wall',
+  c: 'calibrate',
+  k: 'cabinet'
+};
+
+const TOOL_NAMES = {
+  rectangle: 'Rectangle',
+  'l-shape': 'L-shape',
+  'u-shape': 'U-shape',
+  island: 'Island',
+  freehand: 'Freehand',
+  selection: 'Selection',
+  seam: 'Seam',
+  dimensions: 'Dimension entry',
+  wall: 'Wall',
+  calibrate: 'Scale calibration',
+  cabinet: 'Cabinet run'
+};
+
+// Smallest width or depth a shape can be resized to, in drawing pixels
+const MIN_SHAPE_SIZE = 10;
+
+class Shape {
+  constructor(type, properties) {
+    this.id = Shape.generateId(); // Stable across undo, saves and revisions
+    this.type = type; // 'rectangle', 'L-shape', 'U-shape', 'island', 'custom'
+    this.properties = properties;
+    this.selected = false;
+    this.edges = {}; // Edge settings keyed by edge index
+    this.cutouts = [];
+    this.seams = [];
+    this.rotation = 0; // Degrees clockwise around the center of the bounding box
+    this.groupId = null;
   }
   
-  draw(ctx, scale, offset) {
-    const { x, y, width, depth, cutoutWidth, cutoutDepth } = this.properties;
-    
-    ctx.save();
-    ctx.translate(offset.x, offset.y);
-    ctx.scale(scale, scale);
-    
-    // Draw L-shape using path
-    ctx.beginPath();
-    ctx.moveTo(x, y);
-    ctx.lineTo(x + width, y);
-    ctx.lineTo(x + width, y + depth);
-    ctx.lineTo(x + width - cutoutWidth, y + depth);
-    ctx.lineTo(x + width - cutoutWidth, y + depth - cutoutDepth);
-    ctx.lineTo(x, y + depth - cutoutDepth);
-    ctx.closePath();
-    
-    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2 / scale;
-    ctx.stroke();
-    
-    // Draw dimensions
-    this.drawDimensions(ctx, scale);
-    
-    ctx.restore();
+  draw(ctx, scale, offset, formatDimension) {
+    // Drawing logic based on shape type
+    console.warn('Draw method not implemented for base Shape class');
   }
   
   contains(point) {
-    const { x, y, width, depth, cutoutWidth, cutoutDepth } = this.properties;
-    
-    // Check if point is in the main rectangle
-    if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + depth) {
-      // Check if point is NOT in the cutout rectangle
-      if (point.x >= x + width - cutoutWidth && point.x <= x + width && 
-          point.y >= y + depth - cutoutDepth && point.y <= y + depth) {
-        return false;
-      }
-      return true;
-    }
+    // Hit testing logic
+    console.warn('Contains method not implemented for base Shape class');
     return false;
   }
   
   getArea() {
-    const { width, depth, cutoutWidth, cutoutDepth } = this.properties;
-    return (width * depth) - (cutoutWidth * cutoutDepth);
+    // Calculate area based on shape type and properties
+    console.warn('GetArea method not implemented for base Shape class');
+    return 0;
   }
   
   getBoundingBox() {
-    const { x, y, width, depth } = this.properties;
-    return { x, y, width, depth };
+    // Return bounding box for selection
+    console.warn('GetBoundingBox method not implemented for base Shape class');
+    return { x: 0, y: 0, width: 0, height: 0 };
   }
   
-  drawDimensions(ctx, scale) {
-    const { x, y, width, depth, cutoutWidth, cutoutDepth } = this.properties;
-    const padding = 10 / scale;
-    const fontSize = 14 / scale;
+  getPoints() {
+    // Outline vertices in drawing order, edge i runs from point i to point i + 1
+    return [];
+  }
+  
+  getOutline() {
+    // Polygon used for seams and pieces, curved shapes return a flattened outline
+    return this.getPoints();
+  }
+  
+  toCustomShape() {
+    // Rounded corners and curved edges are only available on custom shapes
+    return new CustomShape(this.getPoints()).copyDetailsFrom(this);
+  }
+  
+  getOrigin() {
+    // Cutouts are positioned relative to the top-left of the bounding box
+    const { x, y } = this.getBoundingBox();
+    return { x, y };
+  }
+  
+  getEdges() {
+    const points = this.getPoints();
     
-    ctx.fillStyle = '#2c3e50';
-    ctx.font = `${fontSize}px Arial`;
-    ctx.textAlign = 'center';
+    return points.map((start, index) => {
+      const end = points[(index + 1) % points.length];
+      return {
+        index,
+        start,
+        end,
+        length: Math.hypot(end.x - start.x, end.y - start.y),
+        settings: this.edges[index] || null
+      };
+    });
+  }
+  
+  setEdge(index, settings) {
+    const edgeCount = this.getPoints().length;
     
-    // Width dimension
-    ctx.fillText(`${Math.round(width)}px`, x + width / 2, y - padding);
+    if (index < 0 || index >= edgeCount) {
+      throw new Error(`Edge ${index} does not exist on ${this.type}`);
+    }
     
-    // Depth dimension
-    ctx.save();
-    ctx.translate(x - padding, y + (depth - cutoutDepth) / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${Math.round(depth - cutoutDepth)}px`, 0, 0);
-    ctx.restore();
+    if (!EDGE_TYPES.includes(settings.type)) {
+      throw new Error(`Unknown edge type: ${settings.type}`);
+    }
     
-    // Cutout width dimension
-    ctx.fillText(`${Math.round(cutoutWidth)}px`, x + width - cutoutWidth / 2, y + depth + padding);
+    if (settings.type === 'finished' && !EDGE_PROFILES.includes(settings.profile)) {
+      throw new Error(`Unknown edge profile: ${settings.profile}`);
+    }
     
-    // Cutout depth dimension
-    ctx.save();
-    ctx.translate(x + width + padding, y + depth - cutoutDepth / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${Math.round(cutoutDepth)}px`, 0, 0);
-    ctx.restore();
+    const edge = { type: settings.type };
+    
+    if (settings.type === 'finished') {
+      edge.profile = settings.profile;
+    } else if (settings.type === 'wall' && settings.anchored) {
+      // Set automatically because the edge sits against a wall
+      edge.anchored = true;
+    } else if (settings.type === 'backsplash') {
+      // Backsplash height is kept in inches, like the backsplash option in the form
+      edge.height = settings.height || 4;
+    }
+    
+    this.edges[index] = edge;
   }
   
-  clone() {
-    return new LShape(
-      this.properties.x,
-      this.properties.y,
-      this.properties.width,
-      this.properties.depth,
-      this.properties.cutoutWidth,
-      this.properties.cutoutDepth
-    );
+  clearEdge(index) {
+    delete this.edges[index];
   }
-}
-
-class UShape extends Shape {
-  constructor(x, y, width, depth, leftCutoutWidth, rightCutoutWidth, cutoutDepth) {
-    super('U-shape', { 
-      x, y, width, depth, 
-      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
+  
+  addCutout(cutout) {
+    this.cutouts.push(cutout);
+  }
+  
+  removeCutout(cutout) {
+    const index = this.cutouts.indexOf(cutout);
+    if (index !== -1) {
+      this.cutouts.splice(index, 1);
+    }
+  }
+  
+  addSeam(seam) {
+    this.seams.push(seam);
+  }
+  
+  removeSeam(seam) {
+    const index = this.seams.indexOf(seam);
+    if (index !== -1) {
+      this.seams.splice(index, 1);
+    }
+  }
+  
+  getSeamChord(seam) {
+    const { start, end } = seam.getLine(this.getOrigin());
+    return Shape.findChord(this.getOutline(), start, end);
+  }
+  
+  getSeamLength(seam) {
+    const chord = this.getSeamChord(seam);
+    return chord ? Math.hypot(chord.end.point.x - chord.start.point.x, chord.end.point.y - chord.start.point.y) : 0;
+  }
+  
+  isSeamOverCutout(seam, clearance = 0) {
+    const chord = this.getSeamChord(seam);
+    if (!chord) return false;
+    
+    const origin = this.getOrigin();
+    return this.cutouts.some(cutout => {
+      const bounds = cutout.getBounds(origin);
+      return Shape.segmentIntersectsRect(chord.start.point, chord.end.point, {
+        x: bounds.x - clearance,
+        y: bounds.y - clearance,
+        width: bounds.width + clearance * 2,
+        depth: bounds.depth + clearance * 2
+      });
     });
   }
   
-  draw(ctx, scale, offset) {
-    const { 
-      x, y, width, depth, 
-      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
-    } = this.properties;
-    
-    ctx.save();
-    ctx.translate(offset.x, offset.y);
-    ctx.scale(scale, scale);
-    
-    // Draw U-shape using path
-    ctx.beginPath();
-    ctx.moveTo(x, y);
-    ctx.lineTo(x + width, y);
-    ctx.lineTo(x + width, y + depth);
-    ctx.lineTo(x, y + depth);
-    ctx.lineTo(x, y + depth - cutoutDepth);
-    ctx.lineTo(x + leftCutoutWidth, y + depth - cutoutDepth);
-    ctx.lineTo(x + leftCutoutWidth, y + depth - 2);
-    ctx.lineTo(x + width - rightCutoutWidth, y + depth - 2);
-    ctx.lineTo(x + width - rightCutoutWidth, y + depth - cutoutDepth);
-    ctx.lineTo(x + width, y + depth - cutoutDepth);
-    ctx.lineTo(x + width, y);
-    ctx.closePath();
-    
-    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2 / scale;
-    ctx.stroke();
+  getPieces() {
+    // Split the outline along each seam into the pieces that get fabricated
+    const origin = this.getOrigin();
+    let pieces = [this.getOutline()];
     
-    // Draw dimensions
-    this.drawDimensions(ctx, scale);
+    this.seams.forEach(seam => {
+      const { start, end } = seam.getLine(origin);
+      
+      pieces = pieces.reduce((result, piece) => {
+        const chord = Shape.findChord(piece, start, end);
+        return result.concat(chord ? Shape.splitPolygon(piece, chord) : [piece]);
+      }, []);
+    });
     
-    ctx.restore();
+    return pieces;
   }
   
-  contains(point) {
-    const { 
-      x, y, width, depth, 
-      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
-    } = this.properties;
+  findCutoutAt(point) {
+    const origin = this.getOrigin();
     
-    // Check if point is in the main rectangle
-    if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + depth) {
-      // Check if point is NOT in the cutout rectangle
-      if (point.x >= x + leftCutoutWidth && point.x <= x + width - rightCutoutWidth && 
-          point.y >= y + depth - cutoutDepth && point.y <= y + depth) {
-        return false;
+    for (let i = this.cutouts.length - 1; i >= 0; i--) {
+      if (this.cutouts[i].contains(point, origin)) {
+        return this.cutouts[i];
       }
-      return true;
     }
-    return false;
+    return null;
   }
   
-  getArea() {
-    const { 
-      width, depth, 
-      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
-    } = this.properties;
-    
-    const cutoutWidth = width - leftCutoutWidth - rightCutoutWidth;
-    return (width * depth) - (cutoutWidth * cutoutDepth);
+  moveBy(dx, dy) {
+    this.properties.x += dx;
+    this.properties.y += dy;
   }
   
-  getBoundingBox() {
-    const { x, y, width, depth } = this.properties;
-    return { x, y, width, depth };
+  resize(bounds) {
+    // Bounds are the new unrotated bounding box
+    this.properties.x = bounds.x;
+    this.properties.y = bounds.y;
+    this.properties.width = bounds.width;
+    this.properties.depth = bounds.depth;
   }
   
-  drawDimensions(ctx, scale) {
-    const { 
-      x, y, width, depth, 
-      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
-    } = this.properties;
-    
-    const padding = 10 / scale;
+  getMinimumSize() {
+    return { width: MIN_SHAPE_SIZE, depth: MIN_SHAPE_SIZE };
+  }
+  
+  getCenter() {
+    const box = this.getBoundingBox();
+    const depth = box.depth !== undefined ? box.depth : box.height;
+    return { x: box.x + box.width / 2, y: box.y + depth / 2 };
+  }
+  
+  rotateBy(degrees) {
+    this.rotation = ((this.rotation + degrees) % 360 + 360) % 360;
+  }
+  
+  toWorld(point, center = this.getCenter()) {
+    return Shape.rotatePoint(point, center, this.rotation);
+  }
+  
+  toLocal(point, center = this.getCenter()) {
+    return Shape.rotatePoint(point, center, -this.rotation);
+  }
+  
+  getWorldPoints() {
+    const center = this.getCenter();
+    return this.getPoints().map(point => this.toWorld(point, center));
+  }
+  
+  hitTest(point) {
+    // contains() works in the shape's own unrotated coordinates
+    return this.contains(this.toLocal(point));
+  }
+  
+  getDimensionLabels(scale = 1) {
+    // Labels are { key, value, x, y, vertical, editable } in drawing coordinates
+    return [];
+  }
+  
+  drawDimensions(ctx, scale, formatDimension) {
+    const format = formatDimension || (value => `${Math.round(value)}px`);
     const fontSize = 14 / scale;
     
     ctx.fillStyle = '#2c3e50';
     ctx.font = `${fontSize}px Arial`;
     ctx.textAlign = 'center';
     
-    // Width dimension
-    ctx.fillText(`${Math.round(width)}px`, x + width / 2, y - padding);
+    this.getDimensionLabels(scale).forEach(label => {
+      if (label.vertical) {
+        ctx.save();
+        ctx.translate(label.x, label.y);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(format(label.value), 0, 0);
+        ctx.restore();
+      } else {
+        ctx.fillText(format(label.value), label.x, label.y);
+      }
+    });
+  }
+  
+  setDimensions(dimensions) {
+    const keys = SHAPE_DIMENSIONS[this.type];
     
-    // Left section width
-    ctx.fillText(`${Math.round(leftCutoutWidth)}px`, x + leftCutoutWidth / 2, y + depth - cutoutDepth / 2);
+    if (!keys) {
+      throw new Error(`Dimensions cannot be typed for a ${this.type} shape`);
+    }
     
-    // Middle cutout width
-    ctx.fillText(`${Math.round(width - leftCutoutWidth - rightCutoutWidth)}px`, 
-      x + leftCutoutWidth + (width - leftCutoutWidth - rightCutoutWidth) / 2, 
-      y + depth + padding);
+    const properties = { ...this.properties };
     
-    // Right section width
-    ctx.fillText(`${Math.round(rightCutoutWidth)}px`, 
-      x + width - rightCutoutWidth / 2, 
-      y + depth - cutoutDepth / 2);
+    Object.keys(dimensions).forEach(key => {
+      const value = dimensions[key];
+      
+      if (!keys.includes(key)) {
+        throw new Error(`Unknown dimension for ${this.type}: ${key}`);
+      }
+      
+      if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+        throw new Error(`${DIMENSION_LABELS[key]} must be greater than zero`);
+      }
+      
+      properties[key] = value;
+    });
     
-    // Depth dimension
-    ctx.save();
-    ctx.translate(x - padding, y + depth / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${Math.round(depth)}px`, 0, 0);
-    ctx.restore();
+    // Validate the complete set before touching the shape
+    this.validateDimensions(properties);
+    Object.assign(this.properties, properties);
     
-    // Cutout depth dimension
-    ctx.save();
-    ctx.translate(x + leftCutoutWidth + padding, y + depth - cutoutDepth / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${Math.round(cutoutDepth)}px`, 0, 0);
-    ctx.restore();
+    return this;
   }
   
-  clone() {
-    return new UShape(
-      this.properties.x,
-      this.properties.y,
-      this.properties.width,
-      this.properties.depth,
-      this.properties.leftCutoutWidth,
-      this.properties.rightCutoutWidth,
-      this.properties.cutoutDepth
-    );
+  validateDimensions(properties) {
+    // Overridden by shapes whose dimensions depend on each other
   }
-}
-
-class Island extends Shape {
-  constructor(x, y, width, depth) {
-    super('island', { x, y, width, depth });
+  
+  traceOutline(ctx) {
+    const points = this.getPoints();
+    
+    ctx.beginPath();
+    points.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.closePath();
   }
   
-  draw(ctx, scale, offset) {
-    const { x, y, width, depth } = this.properties;
+  drawDetails(ctx, scale, offset) {
+    const hasEdges = Object.keys(this.edges).length > 0;
+    if (!hasEdges && this.cutouts.length === 0 && this.seams.length === 0) return;
     
     ctx.save();
     ctx.translate(offset.x, offset.y);
     ctx.scale(scale, scale);
     
-    ctx.beginPath();
-    ctx.rect(x, y, width, depth);
-    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2 / scale;
-    ctx.stroke();
+    // Highlight marked edges
+    this.getEdges().forEach(edge => {
+      if (!edge.settings) return;
+      
+      const { type, profile } = edge.settings;
+      
+      ctx.beginPath();
+      ctx.moveTo(edge.start.x, edge.start.y);
+      if (edge.bulge) {
+        const arc = Shape.arcFromBulge(edge.start, edge.end, edge.bulge);
+        ctx.arc(arc.center.x, arc.center.y, arc.radius, arc.startAngle, arc.startAngle + arc.sweep, arc.sweep < 0);
+      } else {
+        ctx.lineTo(edge.end.x, edge.end.y);
+      }
+      ctx.strokeStyle = EDGE_COLORS[type === 'finished' ? profile : type];
+      ctx.lineWidth = (type === 'backsplash' ? 6 : 4) / scale;
+      ctx.setLineDash(type === 'wall' ? [6 / scale, 4 / scale] : []);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
     
-    // Add island indicator
-    ctx.beginPath();
-    ctx.moveTo(x + width / 4, y + depth / 2);
-    ctx.lineTo(x + width * 3 / 4, y + depth / 2);
-    ctx.moveTo(x + width / 2, y + depth / 4);
-    ctx.lineTo(x + width / 2, y + depth * 3 / 4);
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 1 / scale;
-    ctx.stroke();
+    // Draw cutouts
+    const origin = this.getOrigin();
+    this.cutouts.forEach(cutout => {
+      cutout.draw(ctx, origin, scale);
+    });
     
-    // Draw dimensions
-    this.drawDimensions(ctx, scale);
+    // Draw seams, flagging the ones that run through a cutout
+    this.seams.forEach(seam => {
+      const chord = this.getSeamChord(seam);
+      if (!chord) return;
+      
+      ctx.beginPath();
+      ctx.moveTo(chord.start.point.x, chord.start.point.y);
+      ctx.lineTo(chord.end.point.x, chord.end.point.y);
+      ctx.strokeStyle = this.isSeamOverCutout(seam) ? '#e74c3c' : '#34495e';
+      ctx.lineWidth = 2 / scale;
+      ctx.setLineDash([8 / scale, 4 / scale]);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
     
     ctx.restore();
   }
   
-  contains(point) {
-    const { x, y, width, depth } = this.properties;
-    return (
-      point.x >= x && 
-      point.x <= x + width && 
-      point.y >= y && 
-      point.y <= y + depth
-    );
+  copyDetailsFrom(shape) {
+    this.id = shape.id;
+    this.edges = JSON.parse(JSON.stringify(shape.edges));
+    this.cutouts = shape.cutouts.map(cutout => cutout.clone());
+    this.seams = shape.seams.map(seam => seam.clone());
+    this.rotation = shape.rotation;
+    this.groupId = shape.groupId;
+    return this;
   }
   
-  getArea() {
-    return this.properties.width * this.properties.depth;
+  clone() {
+    // Create a deep copy of this shape
+    console.warn('Clone method not implemented for base Shape class');
+    return new Shape(this.type, JSON.parse(JSON.stringify(this.properties))).copyDetailsFrom(this);
   }
   
-  getBoundingBox() {
-    const { x, y, width, depth } = this.properties;
-    return { x, y, width, depth };
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      properties: this.properties,
+      rotation: this.rotation,
+      groupId: this.groupId,
+      edges: this.edges,
+      cutouts: this.cutouts.map(cutout => cutout.toJSON()),
+      seams: this.seams.map(seam => seam.toJSON())
+    };
   }
   
-  drawDimensions(ctx, scale) {
-    const { x, y, width, depth } = this.properties;
-    const padding = 10 / scale;
-    const fontSize = 14 / scale;
+  static fromJSON(data) {
+    const shape = Shape.createFromProperties(data);
+    
+    if (data.id) {
+      shape.id = data.id;
+    }
+    shape.edges = JSON.parse(JSON.stringify(data.edges || {}));
+    shape.cutouts = (data.cutouts || []).map(cutoutData => Cutout.fromJSON(cutoutData));
+    shape.seams = (data.seams || []).map(seamData => Seam.fromJSON(seamData));
+    shape.rotation = data.rotation || 0;
+    shape.groupId = data.groupId || null;
+    
+    return shape;
+  }
+  
+  static generateId() {
+    return `shape_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+  
+  static arcFromBulge(start, end, bulge) {
+    // Bulge is tan(sweep / 4) as in DXF, positive sweeps turn from +x towards +y
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const chord = Math.hypot(dx, dy);
+    const sweep = 4 * Math.atan(bulge);
+    const radius = chord / (2 * Math.abs(Math.sin(sweep / 2)));
+    
+    // Signed distance from the chord midpoint to the center, along the chord's left normal
+    const offset = chord / 2 * (1 - bulge * bulge) / (2 * bulge);
+    const center = {
+      x: (start.x + end.x) / 2 - dy / chord * offset,
+      y: (start.y + end.y) / 2 + dx / chord * offset
+    };
+    
+    return {
+      center,
+      radius,
+      startAngle: Math.atan2(start.y - center.y, start.x - center.x),
+      sweep,
+      length: radius * Math.abs(sweep)
+    };
+  }
+  
+  static isInArcSegment(point, start, end, bulge) {
+    // True inside the region between a chord and its arc
+    const arc = Shape.arcFromBulge(start, end, bulge);
+    
+    if (Math.hypot(point.x - arc.center.x, point.y - arc.center.y) > arc.radius) {
+      return false;
+    }
+    
+    // The arc lies to the right of the chord for positive bulges
+    const side = (end.x - start.x) * (point.y - start.y) - (end.y - start.y) * (point.x - start.x);
+    return side * bulge < 0;
+  }
+  
+  static getArcExtremes(arc) {
+    // Points where the arc reaches furthest left, right, up or down
+    const extremes = [];
+    const fullTurn = Math.PI * 2;
+    
+    [0, Math.PI / 2, Math.PI, Math.PI * 3 / 2].forEach(angle => {
+      const delta = arc.sweep >= 0
+        ? ((angle - arc.startAngle) % fullTurn + fullTurn) % fullTurn
+        : ((arc.startAngle - angle) % fullTurn + fullTurn) % fullTurn;
+      
+      if (delta <= Math.abs(arc.sweep)) {
+        extremes.push({
+          x: arc.center.x + Math.cos(angle) * arc.radius,
+          y: arc.center.y + Math.sin(angle) * arc.radius
+        });
+      }
+    });
+    
+    return extremes;
+  }
+  
+  static rotatePoint(point, center, degrees) {
+    if (!degrees) {
+      return { x: point.x, y: point.y };
+    }
+    
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+    
+    return {
+      x: center.x + dx * cos - dy * sin,
+      y: center.y + dx * sin + dy * cos
+    };
+  }
+  
+  static intersectLine(points, start, end) {
+    // Intersections of the infinite line through start/end with the polygon outline,
+    // sorted by position t along the line (t = 0 at start, t = 1 at end)
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const hits = [];
+    
+    points.forEach((p1, index) => {
+      const p2 = points[(index + 1) % points.length];
+      const ex = p2.x - p1.x;
+      const ey = p2.y - p1.y;
+      const denominator = dx * ey - dy * ex;
+      
+      // Parallel edges never cross the line
+      if (Math.abs(denominator) < 1e-9) return;
+      
+      const t = ((p1.x - start.x) * ey - (p1.y - start.y) * ex) / denominator;
+      const u = ((p1.x - start.x) * dy - (p1.y - start.y) * dx) / denominator;
+      
+      if (u >= 0 && u < 1) {
+        hits.push({
+          t,
+          edgeIndex: index,
+          point: { x: start.x + dx * t, y: start.y + dy * t }
+        });
+      }
+    });
+    
+    return hits.sort((a, b) => a.t - b.t);
+  }
+  
+  static findChord(points, start, end) {
+    // The chord of the polygon cut by the segment start/end, with the largest overlap.
+    // A seam from an inside corner runs through the corner and along an edge, so the
+    // chord is built from the stretches of the line that lie inside the polygon
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    
+    if (lengthSquared < 1e-12) return null;
+    
+    const stops = Shape.intersectLine(points, start, end);
+    
+    // Corners on the line, which are missed next to edges that run along it
+    points.forEach((point, index) => {
+      const offset = (point.x - start.x) * dy - (point.y - start.y) * dx;
+      
+      if (Math.abs(offset) / Math.sqrt(lengthSquared) < 1e-6) {
+        stops.push({
+          t: ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared,
+          edgeIndex: index,
+          point: { x: point.x, y: point.y }
+        });
+      }
+    });
+    stops.sort((a, b) => a.t - b.t);
+    
+    let best = null;
+    let bestOverlap = 1e-6;
+    let chord = null;
+    
+    const closeChord = () => {
+      if (!chord) return;
+      
+      const overlap = Math.min(chord.end.t, 1) - Math.max(chord.start.t, 0);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        best = chord;
+      }
+      chord = null;
+    };
+    
+    for (let i = 0; i + 1 < stops.length; i++) {
+      // Stops at the same place, such as a corner found twice, neither open nor close a chord
+      if (stops[i + 1].t - stops[i].t < 1e-9) continue;
+      
+      const t = (stops[i].t + stops[i + 1].t) / 2;
+      
+      if (Shape.isPointInPolygon(points, { x: start.x + dx * t, y: start.y + dy * t })) {
+        chord = chord ? { start: chord.start, end: stops[i + 1] } : { start: stops[i], end: stops[i + 1] };
+      } else {
+        closeChord();
+      }
+    }
+    closeChord();
+    
+    return best;
+  }
+  
+  static isPointInPolygon(points, point) {
+    // Strictly inside, points on the outline count as outside
+    let inside = false;
+    
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[j];
+      const b = points[i];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const lengthSquared = ex * ex + ey * ey;
+      
+      if (lengthSquared > 0) {
+        const along = ((point.x - a.x) * ex + (point.y - a.y) * ey) / lengthSquared;
+        const offset = ((point.x - a.x) * ey - (point.y - a.y) * ex) / Math.sqrt(lengthSquared);
+        
+        if (along >= 0 && along <= 1 && Math.abs(offset) < 1e-6) return false;
+      }
+      
+      if ((a.y > point.y) !== (b.y > point.y) && point.x < a.x + (point.y - a.y) * ex / ey) {
+        inside = !inside;
+      }
+    }
+    
+    return inside;
+  }
+  
+  static splitPolygon(points, chord) {
+    let first = chord.start;
+    let second = chord.end;
+    
+    if (first.edgeIndex === second.edgeIndex) {
+      return [points];
+    }
+    
+    if (first.edgeIndex > second.edgeIndex) {
+      [first, second] = [second, first];
+    }
+    
+    const pieceA = [first.point];
+    for (let i = first.edgeIndex + 1; i <= second.edgeIndex; i++) {
+      pieceA.push(points[i]);
+    }
+    pieceA.push(second.point);
+    
+    const pieceB = [second.point];
+    for (let i = second.edgeIndex + 1; i < points.length + first.edgeIndex + 1; i++) {
+      pieceB.push(points[i % points.length]);
+    }
+    pieceB.push(first.point);
+    
+    return [pieceA, pieceB].map(piece => Shape.removeDuplicatePoints(piece));
+  }
+  
+  static removeDuplicatePoints(points) {
+    return points.filter((point, index) => {
+      const next = points[(index + 1) % points.length];
+      return Math.hypot(next.x - point.x, next.y - point.y) > 1e-6;
+    });
+  }
+  
+  static polygonArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+    }
+    return Math.abs(area / 2);
+  }
+  
+  static polygonBounds(points) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    
+    return {
+      x,
+      y,
+      width: Math.max(...xs) - x,
+      depth: Math.max(...ys) - y
+    };
+  }
+  
+  static segmentIntersectsRect(start, end, rect) {
+    // Liang-Barsky clipping of the segment against the rectangle
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const checks = [
+      [-dx, start.x - rect.x],
+      [dx, rect.x + rect.width - start.x],
+      [-dy, start.y - rect.y],
+      [dy, rect.y + rect.depth - start.y]
+    ];
+    let t0 = 0;
+    let t1 = 1;
+    
+    for (const [p, q] of checks) {
+      if (p === 0) {
+        if (q < 0) return false;
+      } else {
+        const t = q / p;
+        if (p < 0) {
+          t0 = Math.max(t0, t);
+        } else {
+          t1 = Math.min(t1, t);
+        }
+      }
+    }
+    
+    return t0 <= t1;
+  }
+  
+  static createFromProperties(data) {
+    switch (data.type) {
+      case 'rectangle':
+        return new Rectangle(
+          data.properties.x,
+          data.properties.y,
+          data.properties.width,
+          data.properties.depth
+        );
+      case 'L-shape':
+        return new LShape(
+          data.properties.x,
+          data.properties.y,
+          data.properties.width,
+          data.properties.depth,
+          data.properties.cutoutWidth,
+          data.properties.cutoutDepth
+        );
+      case 'U-shape':
+        return new UShape(
+          data.properties.x,
+          data.properties.y,
+          data.properties.width,
+          data.properties.depth,
+          data.properties.leftCutoutWidth,
+          data.properties.rightCutoutWidth,
+          data.properties.cutoutDepth
+        );
+      case 'island':
+        return new Island(
+          data.properties.x,
+          data.properties.y,
+          data.properties.width,
+          data.properties.depth
+        );
+      case 'custom':
+        return new CustomShape(
+          data.properties.points
+        );
+      default:
+        throw new Error(`Unknown shape type: ${data.type}`);
+    }
+  }
+}
+
+class Rectangle extends Shape {
+  constructor(x, y, width, depth) {
+    super('rectangle', { x, y, width, depth });
+  }
+  
+  draw(ctx, scale, offset, formatDimension) {
+    const { x, y, width, depth } = this.properties;
+    
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    ctx.beginPath();
+    ctx.rect(x, y, width, depth);
+    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2 / scale;
+    ctx.stroke();
+    
+    // Draw dimensions
+    this.drawDimensions(ctx, scale, formatDimension);
+    
+    ctx.restore();
+  }
+  
+  contains(point) {
+    const { x, y, width, depth } = this.properties;
+    return (
+      point.x >= x && 
+      point.x <= x + width && 
+      point.y >= y && 
+      point.y <= y + depth
+    );
+  }
+  
+  getArea() {
+    return this.properties.width * this.properties.depth;
+  }
+  
+  getBoundingBox() {
+    const { x, y, width, depth } = this.properties;
+    return { x, y, width, depth };
+  }
+  
+  getPoints() {
+    const { x, y, width, depth } = this.properties;
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + depth },
+      { x, y: y + depth }
+    ];
+  }
+  
+  getDimensionLabels(scale = 1) {
+    const { x, y, width, depth } = this.properties;
+    const padding = 10 / scale;
+    
+    return [
+      { key: 'width', value: width, x: x + width / 2, y: y - padding, vertical: false, editable: true },
+      { key: 'depth', value: depth, x: x - padding, y: y + depth / 2, vertical: true, editable: true }
+    ];
+  }
+  
+  clone() {
+    return new Rectangle(
+      this.properties.x,
+      this.properties.y,
+      this.properties.width,
+      this.properties.depth
+    ).copyDetailsFrom(this);
+  }
+}
+
+class LShape extends Shape {
+  constructor(x, y, width, depth, cutoutWidth, cutoutDepth) {
+    super('L-shape', { x, y, width, depth, cutoutWidth, cutoutDepth });
+  }
+  
+  draw(ctx, scale, offset, formatDimension) {
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    // Draw L-shape using path
+    this.traceOutline(ctx);
+    
+    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2 / scale;
+    ctx.stroke();
+    
+    // Draw dimensions
+    this.drawDimensions(ctx, scale, formatDimension);
+    
+    ctx.restore();
+  }
+  
+  contains(point) {
+    const { x, y, width, depth, cutoutWidth, cutoutDepth } = this.properties;
+    
+    // Check if point is in the main rectangle
+    if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + depth) {
+      // Check if point is NOT in the cutout rectangle
+      if (point.x >= x + width - cutoutWidth && point.x <= x + width && 
+          point.y >= y + depth - cutoutDepth && point.y <= y + depth) {
+        return false;
+      }
+      return true;
+    }
+    return false;
+  }
+  
+  getArea() {
+    const { width, depth, cutoutWidth, cutoutDepth } = this.properties;
+    return (width * depth) - (cutoutWidth * cutoutDepth);
+  }
+  
+  getBoundingBox() {
+    const { x, y, width, depth } = this.properties;
+    return { x, y, width, depth };
+  }
+  
+  getPoints() {
+    // The cutout is the bottom-right notch, matching contains() and getArea()
+    const { x, y, width, depth, cutoutWidth, cutoutDepth } = this.properties;
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + depth - cutoutDepth },
+      { x: x + width - cutoutWidth, y: y + depth - cutoutDepth },
+      { x: x + width - cutoutWidth, y: y + depth },
+      { x, y: y + depth }
+    ];
+  }
+  
+  getDimensionLabels(scale = 1) {
+    const { x, y, width, depth, cutoutWidth, cutoutDepth } = this.properties;
+    const padding = 10 / scale;
+    
+    return [
+      { key: 'width', value: width, x: x + width / 2, y: y - padding, vertical: false, editable: true },
+      { key: 'depth', value: depth, x: x - padding, y: y + depth / 2, vertical: true, editable: true },
+      {
+        key: 'cutoutWidth',
+        value: cutoutWidth,
+        x: x + width - cutoutWidth / 2,
+        y: y + depth - cutoutDepth + padding * 2,
+        vertical: false,
+        editable: true
+      },
+      {
+        key: 'cutoutDepth',
+        value: cutoutDepth,
+        x: x + width - cutoutWidth + padding * 2,
+        y: y + depth - cutoutDepth / 2,
+        vertical: true,
+        editable: true
+      }
+    ];
+  }
+  
+  getMinimumSize() {
+    const { cutoutWidth, cutoutDepth } = this.properties;
+    return {
+      width: cutoutWidth + MIN_SHAPE_SIZE,
+      depth: cutoutDepth + MIN_SHAPE_SIZE
+    };
+  }
+  
+  validateDimensions(properties) {
+    if (properties.cutoutWidth >= properties.width) {
+      throw new Error('Cutout width must be less than the overall width');
+    }
+    
+    if (properties.cutoutDepth >= properties.depth) {
+      throw new Error('Cutout depth must be less than the overall depth');
+    }
+  }
+  
+  clone() {
+    return new LShape(
+      this.properties.x,
+      this.properties.y,
+      this.properties.width,
+      this.properties.depth,
+      this.properties.cutoutWidth,
+      this.properties.cutoutDepth
+    ).copyDetailsFrom(this);
+  }
+}
+
+class UShape extends Shape {
+  constructor(x, y, width, depth, leftCutoutWidth, rightCutoutWidth, cutoutDepth) {
+    super('U-shape', { 
+      x, y, width, depth, 
+      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
+    });
+  }
+  
+  draw(ctx, scale, offset, formatDimension) {
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    // Draw U-shape using path
+    this.traceOutline(ctx);
+    
+    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2 / scale;
+    ctx.stroke();
+    
+    // Draw dimensions
+    this.drawDimensions(ctx, scale, formatDimension);
+    
+    ctx.restore();
+  }
+  
+  contains(point) {
+    const { 
+      x, y, width, depth, 
+      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
+    } = this.properties;
+    
+    // Check if point is in the main rectangle
+    if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + depth) {
+      // Check if point is NOT in the cutout rectangle
+      if (point.x >= x + leftCutoutWidth && point.x <= x + width - rightCutoutWidth && 
+          point.y >= y + depth - cutoutDepth && point.y <= y + depth) {
+        return false;
+      }
+      return true;
+    }
+    return false;
+  }
+  
+  getArea() {
+    const { 
+      width, depth, 
+      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
+    } = this.properties;
+    
+    const cutoutWidth = width - leftCutoutWidth - rightCutoutWidth;
+    return (width * depth) - (cutoutWidth * cutoutDepth);
+  }
+  
+  getBoundingBox() {
+    const { x, y, width, depth } = this.properties;
+    return { x, y, width, depth };
+  }
+  
+  getPoints() {
+    const { 
+      x, y, width, depth, 
+      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
+    } = this.properties;
+    
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + depth },
+      { x: x + width - rightCutoutWidth, y: y + depth },
+      { x: x + width - rightCutoutWidth, y: y + depth - cutoutDepth },
+      { x: x + leftCutoutWidth, y: y + depth - cutoutDepth },
+      { x: x + leftCutoutWidth, y: y + depth },
+      { x, y: y + depth }
+    ];
+  }
+  
+  getDimensionLabels(scale = 1) {
+    const { 
+      x, y, width, depth, 
+      leftCutoutWidth, rightCutoutWidth, cutoutDepth 
+    } = this.properties;
+    
+    const padding = 10 / scale;
+    const openingWidth = width - leftCutoutWidth - rightCutoutWidth;
+    
+    return [
+      { key: 'width', value: width, x: x + width / 2, y: y - padding, vertical: false, editable: true },
+      {
+        key: 'leftCutoutWidth',
+        value: leftCutoutWidth,
+        x: x + leftCutoutWidth / 2,
+        y: y + depth - cutoutDepth / 2,
+        vertical: false,
+        editable: true
+      },
+      {
+        // The opening follows from the overall and leg widths
+        key: 'openingWidth',
+        value: openingWidth,
+        x: x + leftCutoutWidth + openingWidth / 2,
+        y: y + depth + padding,
+        vertical: false,
+        editable: false
+      },
+      {
+        key: 'rightCutoutWidth',
+        value: rightCutoutWidth,
+        x: x + width - rightCutoutWidth / 2,
+        y: y + depth - cutoutDepth / 2,
+        vertical: false,
+        editable: true
+      },
+      { key: 'depth', value: depth, x: x - padding, y: y + depth / 2, vertical: true, editable: true },
+      {
+        key: 'cutoutDepth',
+        value: cutoutDepth,
+        x: x + leftCutoutWidth + padding,
+        y: y + depth - cutoutDepth / 2,
+        vertical: true,
+        editable: true
+      }
+    ];
+  }
+  
+  getMinimumSize() {
+    const { leftCutoutWidth, rightCutoutWidth, cutoutDepth } = this.properties;
+    return {
+      width: leftCutoutWidth + rightCutoutWidth + MIN_SHAPE_SIZE,
+      depth: cutoutDepth + MIN_SHAPE_SIZE
+    };
+  }
+  
+  validateDimensions(properties) {
+    if (properties.leftCutoutWidth + properties.rightCutoutWidth >= properties.width) {
+      throw new Error('The leg widths must add up to less than the overall width');
+    }
+    
+    if (properties.cutoutDepth >= properties.depth) {
+      throw new Error('Cutout depth must be less than the overall depth');
+    }
+  }
+  
+  clone() {
+    return new UShape(
+      this.properties.x,
+      this.properties.y,
+      this.properties.width,
+      this.properties.depth,
+      this.properties.leftCutoutWidth,
+      this.properties.rightCutoutWidth,
+      this.properties.cutoutDepth
+    ).copyDetailsFrom(this);
+  }
+}
+
+class Island extends Shape {
+  constructor(x, y, width, depth) {
+    super('island', { x, y, width, depth });
+  }
+  
+  draw(ctx, scale, offset, formatDimension) {
+    const { x, y, width, depth } = this.properties;
+    
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    ctx.beginPath();
+    ctx.rect(x, y, width, depth);
+    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2 / scale;
+    ctx.stroke();
+    
+    // Add island indicator
+    ctx.beginPath();
+    ctx.moveTo(x + width / 4, y + depth / 2);
+    ctx.lineTo(x + width * 3 / 4, y + depth / 2);
+    ctx.moveTo(x + width / 2, y + depth / 4);
+    ctx.lineTo(x + width / 2, y + depth * 3 / 4);
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 1 / scale;
+    ctx.stroke();
+    
+    // Draw dimensions
+    this.drawDimensions(ctx, scale, formatDimension);
+    
+    ctx.restore();
+  }
+  
+  contains(point) {
+    const { x, y, width, depth } = this.properties;
+    return (
+      point.x >= x && 
+      point.x <= x + width && 
+      point.y >= y && 
+      point.y <= y + depth
+    );
+  }
+  
+  getArea() {
+    return this.properties.width * this.properties.depth;
+  }
+  
+  getBoundingBox() {
+    const { x, y, width, depth } = this.properties;
+    return { x, y, width, depth };
+  }
+  
+  getPoints() {
+    const { x, y, width, depth } = this.properties;
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + depth },
+      { x, y: y + depth }
+    ];
+  }
+  
+  getDimensionLabels(scale = 1) {
+    const { x, y, width, depth } = this.properties;
+    const padding = 10 / scale;
+    
+    return [
+      { key: 'width', value: width, x: x + width / 2, y: y - padding, vertical: false, editable: true },
+      { key: 'depth', value: depth, x: x - padding, y: y + depth / 2, vertical: true, editable: true }
+    ];
+  }
+  
+  clone() {
+    return new Island(
+      this.properties.x,
+      this.properties.y,
+      this.properties.width,
+      this.properties.depth
+    ).copyDetailsFrom(this);
+  }
+}
+
+class CustomShape extends Shape {
+  constructor(points) {
+    // Points may carry a bulge (arc to the next point, as in DXF) and a corner radius
+    super('custom', { points: points || [] });
+  }
+  
+  draw(ctx, scale, offset, formatDimension) {
+    if (!this.hasOutline()) return;
+    
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    this.traceOutline(ctx);
+    
+    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2 / scale;
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+  
+  hasOutline() {
+    // Two points joined by arcs already enclose an area, such as a round table top
+    const { points } = this.properties;
+    return points.length >= 3 || (points.length === 2 && points.some(point => point.bulge));
+  }
+  
+  getPath() {
+    // Resolves corner radii into tangent points. Each entry is { x, y, bulge, source }
+    // where bulge describes the segment to the next entry and source names the
+    // original edge or corner it came from.
+    const { points } = this.properties;
+    const path = [];
+    
+    points.forEach((point, index) => {
+      const bulge = point.bulge || 0;
+      const fillet = point.radius > 0 && points.length >= 3 ? this.getFillet(index) : null;
+      
+      if (fillet) {
+        path.push({ x: fillet.start.x, y: fillet.start.y, bulge: fillet.bulge, source: `corner:${index}` });
+        path.push({ x: fillet.end.x, y: fillet.end.y, bulge, source: `edge:${index}` });
+      } else {
+        path.push({ x: point.x, y: point.y, bulge, source: `edge:${index}` });
+      }
+    });
+    
+    return path;
+  }
+  
+  getFillet(index) {
+    const { points } = this.properties;
+    const previous = points[(index - 1 + points.length) % points.length];
+    const corner = points[index];
+    const next = points[(index + 1) % points.length];
+    
+    const toPrevious = { x: previous.x - corner.x, y: previous.y - corner.y };
+    const toNext = { x: next.x - corner.x, y: next.y - corner.y };
+    const previousLength = Math.hypot(toPrevious.x, toPrevious.y);
+    const nextLength = Math.hypot(toNext.x, toNext.y);
+    
+    if (previousLength === 0 || nextLength === 0) return null;
+    
+    const cos = (toPrevious.x * toNext.x + toPrevious.y * toNext.y) / (previousLength * nextLength);
+    const angle = Math.acos(Math.max(-1, Math.min(1, cos)));
+    
+    // Straight-through or folded-back corners can't be rounded
+    if (angle < 1e-6 || Math.PI - angle < 1e-6) return null;
+    
+    // Keep the tangent points within half of each neighbouring edge
+    const tangent = Math.min(
+      corner.radius / Math.tan(angle / 2),
+      previousLength / 2,
+      nextLength / 2
+    );
+    
+    const turn = (corner.x - previous.x) * (next.y - corner.y) - (corner.y - previous.y) * (next.x - corner.x);
+    
+    return {
+      start: {
+        x: corner.x + toPrevious.x / previousLength * tangent,
+        y: corner.y + toPrevious.y / previousLength * tangent
+      },
+      end: {
+        x: corner.x + toNext.x / nextLength * tangent,
+        y: corner.y + toNext.y / nextLength * tangent
+      },
+      bulge: Math.sign(turn) * Math.tan((Math.PI - angle) / 4)
+    };
+  }
+  
+  getEdges() {
+    const path = this.getPath();
+    
+    return path.map((start, index) => {
+      const end = path[(index + 1) % path.length];
+      const arc = start.bulge ? Shape.arcFromBulge(start, end, start.bulge) : null;
+      
+      return {
+        index,
+        start: { x: start.x, y: start.y },
+        end: { x: end.x, y: end.y },
+        bulge: start.bulge,
+        length: arc ? arc.length : Math.hypot(end.x - start.x, end.y - start.y),
+        settings: this.edges[index] || null
+      };
+    });
+  }
+  
+  traceOutline(ctx) {
+    const path = this.getPath();
+    
+    ctx.beginPath();
+    path.forEach((start, index) => {
+      const end = path[(index + 1) % path.length];
+      
+      if (index === 0) {
+        ctx.moveTo(start.x, start.y);
+      }
+      
+      if (start.bulge) {
+        const arc = Shape.arcFromBulge(start, end, start.bulge);
+        ctx.arc(arc.center.x, arc.center.y, arc.radius, arc.startAngle, arc.startAngle + arc.sweep, arc.sweep < 0);
+      } else {
+        ctx.lineTo(end.x, end.y);
+      }
+    });
+    ctx.closePath();
+  }
+  
+  contains(point) {
+    if (!this.hasOutline()) return false;
+    
+    const path = this.getPath();
+    
+    // Test against the straight chords first
+    let inside = false;
+    for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+      const xi = path[i].x, yi = path[i].y;
+      const xj = path[j].x, yj = path[j].y;
+      
+      const intersect = ((yi > point.y) !== (yj > point.y))
+          && (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+      if (intersect) inside = !inside;
+    }
+    
+    // Each arc adds or removes the circular segment between its chord and the curve
+    path.forEach((start, index) => {
+      if (!start.bulge) return;
+      
+      const end = path[(index + 1) % path.length];
+      if (Shape.isInArcSegment(point, start, end, start.bulge)) {
+        inside = !inside;
+      }
+    });
+    
+    return inside;
+  }
+  
+  getArea() {
+    if (!this.hasOutline()) return 0;
+    
+    const path = this.getPath();
+    let area = 0;
+    
+    path.forEach((start, index) => {
+      const end = path[(index + 1) % path.length];
+      
+      area += start.x * end.y - end.x * start.y;
+      
+      if (start.bulge) {
+        // Signed circular segment area, which carries the same sign convention as the chords
+        const arc = Shape.arcFromBulge(start, end, start.bulge);
+        const sweep = Math.abs(arc.sweep);
+        area += Math.sign(start.bulge) * arc.radius * arc.radius * (sweep - Math.sin(sweep));
+      }
+    });
+    
+    return Math.abs(area / 2);
+  }
+  
+  getBoundingBox() {
+    const path = this.getPath();
+    
+    if (path.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+    
+    let minX = path[0].x;
+    let minY = path[0].y;
+    let maxX = path[0].x;
+    let maxY = path[0].y;
+    
+    const include = point => {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    };
+    
+    path.forEach((start, index) => {
+      include(start);
+      
+      // Arcs can reach past their end points wherever they cross an axis direction
+      if (start.bulge) {
+        const end = path[(index + 1) % path.length];
+        Shape.getArcExtremes(Shape.arcFromBulge(start, end, start.bulge)).forEach(include);
+      }
+    });
+    
+    return {
+      x: minX,
+      y: minY,
+      width: maxX - minX,
+      height: maxY - minY
+    };
+  }
+  
+  getPoints() {
+    return this.getPath().map(point => ({ x: point.x, y: point.y }));
+  }
+  
+  getOutline() {
+    // Arcs are flattened so seams and pieces can use the polygon helpers
+    const path = this.getPath();
+    const outline = [];
+    
+    path.forEach((start, index) => {
+      outline.push({ x: start.x, y: start.y });
+      
+      if (start.bulge) {
+        const end = path[(index + 1) % path.length];
+        const arc = Shape.arcFromBulge(start, end, start.bulge);
+        const steps = Math.max(2, Math.ceil(Math.abs(arc.sweep) / (Math.PI / 36)));
+        
+        for (let step = 1; step < steps; step++) {
+          const angle = arc.startAngle + arc.sweep * step / steps;
+          outline.push({
+            x: arc.center.x + Math.cos(angle) * arc.radius,
+            y: arc.center.y + Math.sin(angle) * arc.radius
+          });
+        }
+      }
+    });
+    
+    return outline;
+  }
+  
+  setCornerRadius(index, radius) {
+    const { points } = this.properties;
+    
+    if (index < 0 || index >= points.length) {
+      throw new Error(`Corner ${index} does not exist on this shape`);
+    }
+    
+    if (typeof radius !== 'number' || !isFinite(radius) || radius < 0) {
+      throw new Error('Corner radius must be zero or more');
+    }
+    
+    const sources = this.getPath().map(entry => entry.source);
+    
+    if (radius > 0) {
+      points[index].radius = radius;
+    } else {
+      delete points[index].radius;
+    }
+    
+    this.remapEdges(sources);
+  }
+  
+  setEdgeCurve(index, bulge) {
+    // Positive bulges curve the edge outward, 1 is a half circle
+    const { points } = this.properties;
+    
+    if (index < 0 || index >= points.length) {
+      throw new Error(`Edge ${index} does not exist on this shape`);
+    }
+    
+    if (typeof bulge !== 'number' || !isFinite(bulge)) {
+      throw new Error('Edge curve must be a number');
+    }
+    
+    // Which side is outward depends on the direction the outline was drawn in
+    const orientation = points.reduce((total, point, i) => {
+      const next = points[(i + 1) % points.length];
+      return total + point.x * next.y - next.x * point.y;
+    }, 0);
+    
+    if (bulge !== 0) {
+      points[index].bulge = bulge * (orientation < 0 ? -1 : 1);
+    } else {
+      delete points[index].bulge;
+    }
+  }
+  
+  remapEdges(previousSources) {
+    // Rounding a corner adds a segment, so keep edge settings on the edge they were set on
+    const sources = this.getPath().map(entry => entry.source);
+    const edges = {};
+    
+    Object.keys(this.edges).forEach(index => {
+      const newIndex = sources.indexOf(previousSources[index]);
+      if (newIndex !== -1) {
+        edges[newIndex] = this.edges[index];
+      }
+    });
+    
+    this.edges = edges;
+  }
+  
+  moveBy(dx, dy) {
+    this.properties.points.forEach(point => {
+      point.x += dx;
+      point.y += dy;
+    });
+  }
+  
+  resize(bounds) {
+    // Scale the outline so its bounding box matches the new bounds
+    const box = this.getBoundingBox();
+    const scaleX = box.width > 0 ? bounds.width / box.width : 1;
+    const scaleY = box.height > 0 ? bounds.depth / box.height : 1;
+    
+    this.properties.points.forEach(point => {
+      point.x = bounds.x + (point.x - box.x) * scaleX;
+      point.y = bounds.y + (point.y - box.y) * scaleY;
+      
+      if (point.radius) {
+        point.radius *= Math.min(scaleX, scaleY);
+      }
+    });
+  }
+  
+  toCustomShape() {
+    return this.clone();
+  }
+  
+  clone() {
+    return new CustomShape(
+      JSON.parse(JSON.stringify(this.properties.points))
+    ).copyDetailsFrom(this);
+  }
+}
+
+// Default cutout sizes in inches
+const CUTOUT_TYPES = {
+  sink: { width: 33, depth: 22 },
+  cooktop: { width: 30, depth: 21 },
+  faucet: { width: 1.375, depth: 1.375 }
+};
+
+class Cutout {
+  constructor(type, x, y, width, depth) {
+    this.type = type; // 'sink', 'cooktop', 'faucet'
+    // Position is relative to the parent shape's origin
+    this.properties = { x, y, width, depth };
+    this.fromCabinet = false; // Placed over a sink or cooktop base, moves with the cabinet run
+  }
+  
+  getBounds(origin) {
+    const { x, y, width, depth } = this.properties;
+    return { x: origin.x + x, y: origin.y + y, width, depth };
+  }
+  
+  draw(ctx, origin, scale) {
+    const { x, y, width, depth } = this.getBounds(origin);
+    
+    ctx.beginPath();
+    
+    if (this.type === 'faucet') {
+      ctx.arc(x + width / 2, y + depth / 2, width / 2, 0, Math.PI * 2);
+    } else {
+      ctx.rect(x, y, width, depth);
+    }
+    
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 1.5 / scale;
+    ctx.stroke();
+    
+    if (this.type === 'cooktop') {
+      // Burner indicators
+      const radius = Math.min(width, depth) / 6;
+      ctx.beginPath();
+      [[0.25, 0.3], [0.75, 0.3], [0.25, 0.7], [0.75, 0.7]].forEach(([fx, fy]) => {
+        ctx.moveTo(x + width * fx + radius, y + depth * fy);
+        ctx.arc(x + width * fx, y + depth * fy, radius, 0, Math.PI * 2);
+      });
+      ctx.lineWidth = 1 / scale;
+      ctx.stroke();
+    } else if (this.type === 'sink') {
+      // Drain indicator
+      ctx.beginPath();
+      ctx.arc(x + width / 2, y + depth / 2, Math.min(width, depth) / 10, 0, Math.PI * 2);
+      ctx.lineWidth = 1 / scale;
+      ctx.stroke();
+    }
+  }
+  
+  contains(point, origin) {
+    const { x, y, width, depth } = this.getBounds(origin);
+    return (
+      point.x >= x && 
+      point.x <= x + width && 
+      point.y >= y && 
+      point.y <= y + depth
+    );
+  }
+  
+  clone() {
+    const cutout = new Cutout(
+      this.type,
+      this.properties.x,
+      this.properties.y,
+      this.properties.width,
+      this.properties.depth
+    );
+    cutout.fromCabinet = this.fromCabinet;
+    return cutout;
+  }
+  
+  toJSON() {
+    const data = {
+      type: this.type,
+      properties: this.properties
+    };
+    
+    if (this.fromCabinet) {
+      data.fromCabinet = true;
+    }
+    return data;
+  }
+  
+  static fromJSON(data) {
+    const cutout = new Cutout(
+      data.type,
+      data.properties.x,
+      data.properties.y,
+      data.properties.width,
+      data.properties.depth
+    );
+    cutout.fromCabinet = data.fromCabinet === true;
+    return cutout;
+  }
+}
+
+class Seam {
+  constructor(x1, y1, x2, y2) {
+    // Endpoints are relative to the parent shape's origin
+    this.properties = { x1, y1, x2, y2 };
+  }
+  
+  getLine(origin) {
+    const { x1, y1, x2, y2 } = this.properties;
+    return {
+      start: { x: origin.x + x1, y: origin.y + y1 },
+      end: { x: origin.x + x2, y: origin.y + y2 }
+    };
+  }
+  
+  clone() {
+    return new Seam(
+      this.properties.x1,
+      this.properties.y1,
+      this.properties.x2,
+      this.properties.y2
+    );
+  }
+  
+  toJSON() {
+    return {
+      properties: this.properties
+    };
+  }
+  
+  static fromJSON(data) {
+    return new Seam(
+      data.properties.x1,
+      data.properties.y1,
+      data.properties.x2,
+      data.properties.y2
+    );
+  }
+}
+
+class Wall {
+  constructor(x1, y1, x2, y2, thickness) {
+    this.type = 'wall';
+    this.x1 = x1;
+    this.y1 = y1;
+    this.x2 = x2;
+    this.y2 = y2;
+    this.thickness = thickness || 45; // Drawing pixels, 4.5" at the default scale
+  }
+  
+  getLine() {
+    return {
+      start: { x: this.x1, y: this.y1 },
+      end: { x: this.x2, y: this.y2 }
+    };
+  }
+  
+  getLength() {
+    return Math.sqrt(Math.pow(this.x2 - this.x1, 2) + Math.pow(this.y2 - this.y1, 2));
+  }
+  
+  getDirection() {
+    const length = this.getLength();
+    return {
+      x: (this.x2 - this.x1) / length,
+      y: (this.y2 - this.y1) / length
+    };
+  }
+  
+  contains(point) {
+    const length = this.getLength();
+    if (length === 0) return false;
+    
+    const direction = this.getDirection();
+    const relative = { x: point.x - this.x1, y: point.y - this.y1 };
+    const along = relative.x * direction.x + relative.y * direction.y;
+    const across = Math.abs(relative.x * direction.y - relative.y * direction.x);
+    
+    return along >= 0 && along <= length && across <= this.thickness / 2;
+  }
+  
+  draw(ctx, scale, offset) {
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    ctx.beginPath();
+    ctx.moveTo(this.x1, this.y1);
+    ctx.lineTo(this.x2, this.y2);
+    ctx.strokeStyle = '#bdc3c7';
+    ctx.lineWidth = this.thickness;
+    ctx.lineCap = 'square';
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+  
+  clone() {
+    return new Wall(this.x1, this.y1, this.x2, this.y2, this.thickness);
+  }
+  
+  toJSON() {
+    return {
+      type: this.type,
+      properties: {
+        x1: this.x1,
+        y1: this.y1,
+        x2: this.x2,
+        y2: this.y2,
+        thickness: this.thickness
+      }
+    };
+  }
+  
+  static fromJSON(data) {
+    return new Wall(
+      data.properties.x1,
+      data.properties.y1,
+      data.properties.x2,
+      data.properties.y2,
+      data.properties.thickness
+    );
+  }
+}
+
+// Standard cabinet and appliance widths in inches, smallest first. Appliances
+// that stand on their own break the countertop, the rest sit under it.
+const CABINET_TYPES = {
+  base: { name: 'Base cabinet', code: 'B', widths: [9, 12, 15, 18, 21, 24, 27, 30, 33, 36], underCountertop: true },
+  'sink-base': { name: 'Sink base', code: 'SB', widths: [30, 33, 36], underCountertop: true, cutout: 'sink' },
+  'cooktop-base': { name: 'Cooktop base', code: 'CB', widths: [30, 36], underCountertop: true, cutout: 'cooktop' },
+  dishwasher: { name: 'Dishwasher', code: 'DW', widths: [18, 24], underCountertop: true },
+  range: { name: 'Range', code: 'R', widths: [30, 36], underCountertop: false },
+  fridge: { name: 'Refrigerator', code: 'REF', widths: [30, 33, 36], underCountertop: false }
+};
+
+// Cabinet depth and countertop overhangs, in inches
+const CABINET_DEPTH = 24;
+const COUNTERTOP_OVERHANG = { front: 1.5, side: 1 };
+
+// Space left either side of an automatic sink or cooktop cutout, in inches
+const CUTOUT_SIDE_CLEARANCE = 1.5;
+
+class CabinetRun {
+  constructor(x, y, rotation, depth, cabinets = []) {
+    this.id = `run_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    this.type = 'cabinet-run';
+    // Back left corner; the run extends along its rotation with the fronts on the right-hand side
+    this.x = x;
+    this.y = y;
+    this.rotation = rotation || 0; // Degrees clockwise
+    this.depth = depth;
+    this.cabinets = cabinets; // { type, width } from left to right, widths in drawing pixels
+    this.ends = { left: 'open', right: 'open' }; // 'wall' ends get no side overhang
+    this.countertopIds = []; // Shapes generated from this run, updated in place when it changes
+  }
+  
+  getLength() {
+    return this.cabinets.reduce((sum, cabinet) => sum + cabinet.width, 0);
+  }
+  
+  toWorld(point) {
+    return Shape.rotatePoint({ x: this.x + point.x, y: this.y + point.y }, { x: this.x, y: this.y }, this.rotation);
+  }
+  
+  toLocal(point) {
+    const local = Shape.rotatePoint(point, { x: this.x, y: this.y }, -this.rotation);
+    return { x: local.x - this.x, y: local.y - this.y };
+  }
+  
+  getCabinetStart(index) {
+    return this.cabinets.slice(0, index).reduce((sum, cabinet) => sum + cabinet.width, 0);
+  }
+  
+  findCabinetAt(point) {
+    const local = this.toLocal(point);
+    if (local.y < 0 || local.y > this.depth) return -1;
+    
+    let start = 0;
+    return this.cabinets.findIndex(cabinet => {
+      const inside = local.x >= start && local.x <= start + cabinet.width;
+      start += cabinet.width;
+      return inside;
+    });
+  }
+  
+  contains(point) {
+    return this.findCabinetAt(point) !== -1;
+  }
+  
+  getCountertopSpans() {
+    // Runs of cabinets the countertop continues over, split by freestanding appliances
+    const spans = [];
+    let start = 0;
+    
+    this.cabinets.forEach((cabinet, index) => {
+      const end = start + cabinet.width;
+      
+      if (CABINET_TYPES[cabinet.type].underCountertop) {
+        const last = spans[spans.length - 1];
+        if (last && last.end === start && last.indices[last.indices.length - 1] === index - 1) {
+          last.end = end;
+          last.indices.push(index);
+        } else {
+          spans.push({ start, end, indices: [index] });
+        }
+      }
+      start = end;
+    });
+    
+    return spans.map(span => ({
+      ...span,
+      atLeftEnd: span.indices[0] === 0,
+      atRightEnd: span.indices[span.indices.length - 1] === this.cabinets.length - 1
+    }));
+  }
+  
+  draw(ctx, scale, offset, formatDimension) {
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    this.drawCabinets(ctx, scale, formatDimension);
+    ctx.restore();
+  }
+  
+  drawCabinets(ctx, scale, formatDimension) {
+    // Drawn in drawing coordinates, also used for the cabinet tool preview
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation * Math.PI / 180);
+    
+    ctx.lineWidth = 1 / scale;
+    ctx.setLineDash([4 / scale, 3 / scale]);
+    ctx.font = `${11 / scale}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    let start = 0;
+    this.cabinets.forEach(cabinet => {
+      const info = CABINET_TYPES[cabinet.type];
+      
+      ctx.beginPath();
+      ctx.rect(start, 0, cabinet.width, this.depth);
+      ctx.strokeStyle = info.underCountertop ? '#8e6e53' : '#7f8c8d';
+      ctx.stroke();
+      
+      // Freestanding appliances are crossed out, since nothing is cut for them
+      if (!info.underCountertop) {
+        ctx.beginPath();
+        ctx.moveTo(start, 0);
+        ctx.lineTo(start + cabinet.width, this.depth);
+        ctx.moveTo(start + cabinet.width, 0);
+        ctx.lineTo(start, this.depth);
+        ctx.stroke();
+      }
+      
+      ctx.fillStyle = '#5d4037';
+      ctx.fillText(`${info.code} ${formatDimension(cabinet.width)}`, start + cabinet.width / 2, this.depth / 2);
+      
+      start += cabinet.width;
+    });
+    
+    ctx.restore();
+  }
+  
+  clone() {
+    const run = new CabinetRun(this.x, this.y, this.rotation, this.depth, this.cabinets.map(cabinet => ({ ...cabinet })));
+    run.id = this.id;
+    run.ends = { ...this.ends };
+    run.countertopIds = [...this.countertopIds];
+    return run;
+  }
+  
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      properties: {
+        x: this.x,
+        y: this.y,
+        rotation: this.rotation,
+        depth: this.depth,
+        cabinets: this.cabinets,
+        ends: this.ends
+      },
+      countertopIds: this.countertopIds
+    };
+  }
+  
+  static fromJSON(data) {
+    const { x, y, rotation, depth, cabinets, ends } = data.properties;
+    const run = new CabinetRun(x, y, rotation, depth, cabinets.map(cabinet => ({ ...cabinet })));
+    
+    if (data.id) {
+      run.id = data.id;
+    }
+    run.ends = { ...run.ends, ...ends };
+    run.countertopIds = [...(data.countertopIds || [])];
+    return run;
+  }
+}
+
+class DrawingTool {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.active = false;
+    this.startPoint = null;
+    this.currentPoint = null;
+  }
+  
+  activate() {
+    this.active = true;
+  }
+  
+  deactivate() {
+    this.active = false;
+    this.startPoint = null;
+    this.currentPoint = null;
+  }
+  
+  cancel() {
+    // Drop a stroke or drag in progress without completing it
+    this.startPoint = null;
+    this.currentPoint = null;
+  }
+  
+  getSnappedPoint(event) {
+    const snap = this.canvas.snapManager.snapPoint(this.canvas.getCanvasPoint(event));
+    this.canvas.guides = snap.guides;
+    return snap.point;
+  }
+  
+  handleMouseDown(event) {
+    if (!this.active) return;
+    
+    this.startPoint = this.getSnappedPoint(event);
+  }
+  
+  handleMouseMove(event) {
+    if (!this.active || !this.startPoint) return;
+    
+    this.currentPoint = this.getSnappedPoint(event);
+    this.canvas.render();
+  }
+  
+  handleMouseUp(event) {
+    if (!this.active || !this.startPoint) return;
+    
+    const endPoint = this.getSnappedPoint(event);
+    this.canvas.guides = [];
+    this.complete(endPoint);
+    
+    this.startPoint = null;
+    this.currentPoint = null;
+    this.canvas.render();
+  }
+  
+  complete(endPoint) {
+    // To be implemented by subclasses
+    console.warn('Complete method not implemented for base DrawingTool class');
+  }
+  
+  drawPreview(ctx) {
+    // To be implemented by subclasses
+    console.warn('DrawPreview method not implemented for base DrawingTool class');
+  }
+}
+
+class RectangleTool extends DrawingTool {
+  complete(endPoint) {
+    const x = Math.min(this.startPoint.x, endPoint.x);
+    const y = Math.min(this.startPoint.y, endPoint.y);
+    const width = Math.abs(endPoint.x - this.startPoint.x);
+    const depth = Math.abs(endPoint.y - this.startPoint.y);
+    
+    if (width > 10 && depth > 10) {
+      const rectangle = new Rectangle(x, y, width, depth);
+      this.canvas.addShape(rectangle);
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const x = Math.min(this.startPoint.x, this.currentPoint.x);
+    const y = Math.min(this.startPoint.y, this.currentPoint.y);
+    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
+    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, depth);
+    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.stroke();
+    
+    // Draw dimensions
+    if (width > 30 && depth > 30) {
+      const padding = 10;
+      const fontSize = 14;
+      
+      ctx.fillStyle = '#2c3e50';
+      ctx.font = `${fontSize}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.setLineDash([]);
+      
+      // Width dimension
+      ctx.fillText(this.canvas.formatDimension(width), x + width / 2, y - padding);
+      
+      // Depth dimension
+      ctx.save();
+      ctx.translate(x - padding, y + depth / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(this.canvas.formatDimension(depth), 0, 0);
+      ctx.restore();
+    }
+    
+    ctx.restore();
+  }
+}
+
+class LShapeTool extends DrawingTool {
+  complete(endPoint) {
+    const x = Math.min(this.startPoint.x, endPoint.x);
+    const y = Math.min(this.startPoint.y, endPoint.y);
+    const width = Math.abs(endPoint.x - this.startPoint.x);
+    const depth = Math.abs(endPoint.y - this.startPoint.y);
+    
+    if (width > 20 && depth > 20) {
+      // Default cutout is 1/3 of the total size
+      const cutoutWidth = width / 3;
+      const cutoutDepth = depth / 3;
+      
+      const lShape = new LShape(x, y, width, depth, cutoutWidth, cutoutDepth);
+      this.canvas.addShape(lShape);
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const x = Math.min(this.startPoint.x, this.currentPoint.x);
+    const y = Math.min(this.startPoint.y, this.currentPoint.y);
+    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
+    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    
+    if (width < 20 || depth < 20) return;
+    
+    // Default cutout is 1/3 of the total size
+    const cutoutWidth = width / 3;
+    const cutoutDepth = depth / 3;
+    
+    ctx.save();
+    
+    // Draw L-shape using path
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + width, y);
+    ctx.lineTo(x + width, y + depth - cutoutDepth);
+    ctx.lineTo(x + width - cutoutWidth, y + depth - cutoutDepth);
+    ctx.lineTo(x + width - cutoutWidth, y + depth);
+    ctx.lineTo(x, y + depth);
+    ctx.closePath();
+    
+    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+}
+
+class UShapeTool extends DrawingTool {
+  complete(endPoint) {
+    const x = Math.min(this.startPoint.x, endPoint.x);
+    const y = Math.min(this.startPoint.y, endPoint.y);
+    const width = Math.abs(endPoint.x - this.startPoint.x);
+    const depth = Math.abs(endPoint.y - this.startPoint.y);
+    
+    if (width > 30 && depth > 30) {
+      // Default cutouts
+      const leftCutoutWidth = width / 4;
+      const rightCutoutWidth = width / 4;
+      const cutoutDepth = depth / 3;
+      
+      const uShape = new UShape(
+        x, y, width, depth, 
+        leftCutoutWidth, rightCutoutWidth, cutoutDepth
+      );
+      this.canvas.addShape(uShape);
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const x = Math.min(this.startPoint.x, this.currentPoint.x);
+    const y = Math.min(this.startPoint.y, this.currentPoint.y);
+    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
+    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    
+    if (width < 30 || depth < 30) return;
+    
+    // Default cutouts
+    const leftCutoutWidth = width / 4;
+    const rightCutoutWidth = width / 4;
+    const cutoutDepth = depth / 3;
+    
+    ctx.save();
+    
+    // Draw U-shape using path
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + width, y);
+    ctx.lineTo(x + width, y + depth);
+    ctx.lineTo(x + width - rightCutoutWidth, y + depth);
+    ctx.lineTo(x + width - rightCutoutWidth, y + depth - cutoutDepth);
+    ctx.lineTo(x + leftCutoutWidth, y + depth - cutoutDepth);
+    ctx.lineTo(x + leftCutoutWidth, y + depth);
+    ctx.lineTo(x, y + depth);
+    ctx.closePath();
+    
+    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+}
+
+class IslandTool extends DrawingTool {
+  complete(endPoint) {
+    const x = Math.min(this.startPoint.x, endPoint.x);
+    const y = Math.min(this.startPoint.y, endPoint.y);
+    const width = Math.abs(endPoint.x - this.startPoint.x);
+    const depth = Math.abs(endPoint.y - this.startPoint.y);
+    
+    if (width > 10 && depth > 10) {
+      const island = new Island(x, y, width, depth);
+      this.canvas.addShape(island);
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const x = Math.min(this.startPoint.x, this.currentPoint.x);
+    const y = Math.min(this.startPoint.y, this.currentPoint.y);
+    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
+    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    
+    ctx.save();
+    
+    // Draw rectangle
+    ctx.beginPath();
+    ctx.rect(x, y, width, depth);
+    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.stroke();
+    
+    // Add island indicator
+    if (width > 30 && depth > 30) {
+      ctx.beginPath();
+      ctx.moveTo(x + width / 4, y + depth / 2);
+      ctx.lineTo(x + width * 3 / 4, y + depth / 2);
+      ctx.moveTo(x + width / 2, y + depth / 4);
+      ctx.lineTo(x + width / 2, y + depth * 3 / 4);
+      ctx.strokeStyle = '#2c3e50';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([]);
+      ctx.stroke();
+    }
+    
+    ctx.restore();
+  }
+}
+
+class FreehandTool extends DrawingTool {
+  constructor(canvas) {
+    super(canvas);
+    this.points = [];
+    this.minDistance = 10; // Minimum distance between points
+    this.minPressure = 0.05; // Lighter stylus contact is a pen resting on the glass, not a stroke
+    this.cornerPressure = 0.7; // Pressing this hard pins a point as a corner through simplification
+  }
+  
+  cancel() {
+    super.cancel();
+    this.points = [];
+  }
+  
+  getStrokePoint(event) {
+    const point = this.canvas.getCanvasPoint(event);
+    
+    // Only a stylus reports real pressure, mouse and touch always draw at full weight
+    point.pressure = event.pointerType === 'pen' ? event.pressure : 1;
+    return point;
+  }
+  
+  handleMouseDown(event) {
+    if (!this.active) return;
+    
+    const point = this.getStrokePoint(event);
+    if (point.pressure < this.minPressure) return;
+    
+    this.startPoint = point;
+    this.points = [this.startPoint];
+  }
+  
+  handleMouseMove(event) {
+    if (!this.active) return;
+    
+    const point = this.getStrokePoint(event);
+    
+    // A stylus can start its stroke once it presses hard enough
+    if (!this.startPoint) {
+      if (event.pointerType === 'pen' && event.buttons && point.pressure >= this.minPressure) {
+        this.startPoint = point;
+        this.points = [point];
+      }
+      return;
+    }
+    
+    this.currentPoint = point;
+    
+    // Add point if it's far enough from the last point, closer for a stylus
+    const lastPoint = this.points[this.points.length - 1];
+    const dx = this.currentPoint.x - lastPoint.x;
+    const dy = this.currentPoint.y - lastPoint.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) * this.canvas.scale;
+    const minDistance = event.pointerType === 'pen' ? this.minDistance / 2 : this.minDistance;
+    
+    if (distance >= minDistance) {
+      this.points.push(this.currentPoint);
+    } else if (point.pressure > lastPoint.pressure) {
+      // Pressing harder in place pins the last point as a corner
+      lastPoint.pressure = point.pressure;
+    }
+    
+    this.canvas.render();
+  }
+  
+  complete(endPoint) {
+    if (this.points.length < 3) return;
+    
+    // Simplify the points to reduce complexity
+    const simplifiedPoints = this.canvas.snapManager.straightenPolygon(this.simplifyPoints(this.points, 5));
+    
+    if (simplifiedPoints.length >= 3) {
+      const customShape = new CustomShape(simplifiedPoints);
+      this.canvas.addShape(customShape);
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (this.points.length < 2) return;
+    
+    const { scale } = this.canvas;
+    const points = this.currentPoint ? [...this.points, this.currentPoint] : this.points;
+    
+    ctx.save();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.setLineDash([5 / scale, 5 / scale]);
+    
+    // Line weight follows stylus pressure, and pinned corners are marked
+    for (let i = 1; i < points.length; i++) {
+      ctx.beginPath();
+      ctx.moveTo(points[i - 1].x, points[i - 1].y);
+      ctx.lineTo(points[i].x, points[i].y);
+      ctx.lineWidth = (1 + 2 * points[i].pressure) / scale;
+      ctx.stroke();
+    }
+    
+    ctx.fillStyle = '#2c3e50';
+    this.points.filter(point => point.pressure >= this.cornerPressure).forEach(point => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 4 / scale, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    
+    ctx.restore();
+  }
+  
+  simplifyPoints(points, tolerance) {
+    if (points.length <= 2) return points;
+    
+    // Douglas-Peucker algorithm
+    const findPerpendicularDistance = (p, p1, p2) => {
+      const slope = (p2.y - p1.y) / (p2.x - p1.x);
+      const intercept = p1.y - (slope * p1.x);
+      
+      if (isFinite(slope)) {
+        // For non-vertical lines
+        const a = -slope;
+        const b = 1;
+        const c = -intercept;
+        return Math.abs(a * p.x + b * p.y + c) / Math.sqrt(a * a + b * b);
+      } else {
+        // For vertical lines
+        return Math.abs(p.x - p1.x);
+      }
+    };
+    
+    const douglasPeucker = (points, startIndex, endIndex, tolerance) => {
+      if (endIndex <= startIndex + 1) {
+        return;
+      }
+      
+      let maxDistance = 0;
+      let maxIndex = 0;
+      
+      const startPoint = points[startIndex];
+      const endPoint = points[endIndex];
+      
+      for (let i = startIndex + 1; i < endIndex; i++) {
+        const distance = findPerpendicularDistance(points[i], startPoint, endPoint);
+        
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          maxIndex = i;
+        }
+      }
+      
+      if (maxDistance > tolerance) {
+        // Recursively simplify the two segments
+        douglasPeucker(points, startIndex, maxIndex, tolerance);
+        douglasPeucker(points, maxIndex, endIndex, tolerance);
+      } else {
+        // Mark points between start and end for removal, except pinned corners
+        for (let i = startIndex + 1; i < endIndex; i++) {
+          points[i].remove = !points[i].pinned;
+        }
+      }
+    };
+    
+    // Clone points to avoid modifying the original array
+    const workingPoints = points.map(p => ({
+      x: p.x,
+      y: p.y,
+      remove: false,
+      pinned: p.pressure !== undefined && p.pressure >= this.cornerPressure
+    }));
+    
+    // Apply Douglas-Peucker algorithm
+    douglasPeucker(workingPoints, 0, workingPoints.length - 1, tolerance);
+    
+    // Filter out points marked for removal
+    return workingPoints.filter(p => !p.remove).map(p => ({ x: p.x, y: p.y }));
+  }
+}
+
+class SelectionTool extends DrawingTool {
+  constructor(canvas) {
+    super(canvas);
+    this.mode = null; // 'move', 'resize', 'rotate' or 'band'
+    this.handleSize = 8; // Screen pixels
+    this.rotateHandleOffset = 30; // Screen pixels above the shape
+    this.dragShapes = [];
+    this.dragStartPoints = [];
+    this.dragOrigins = [];
+    this.transformStart = null;
+  }
+  
+  deactivate() {
+    super.deactivate();
+    this.mode = null;
+  }
+  
+  cancel() {
+    super.cancel();
+    this.mode = null;
+    this.transformStart = null;
+  }
+  
+  getHandles(shape) {
+    // Handle positions in the shape's own unrotated coordinates
+    const box = shape.getBoundingBox();
+    const depth = box.depth !== undefined ? box.depth : box.height;
+    const { x, y, width } = box;
+    
+    return [
+      { name: 'nw', x, y },
+      { name: 'n', x: x + width / 2, y },
+      { name: 'ne', x: x + width, y },
+      { name: 'e', x: x + width, y: y + depth / 2 },
+      { name: 'se', x: x + width, y: y + depth },
+      { name: 's', x: x + width / 2, y: y + depth },
+      { name: 'sw', x, y: y + depth },
+      { name: 'w', x, y: y + depth / 2 },
+      { name: 'rotate', x: x + width / 2, y: y - this.rotateHandleOffset / this.canvas.scale }
+    ];
+  }
+  
+  findHandleAt(point) {
+    // Handles are only offered when a single shape (not a group) is selected
+    const shapes = this.canvas.selectedShapes;
+    if (shapes.length !== 1) return null;
+    
+    const shape = shapes[0];
+    const local = shape.toLocal(point);
+    const tolerance = this.handleSize / this.canvas.scale;
+    
+    return this.getHandles(shape).find(handle => {
+      return Math.abs(local.x - handle.x) <= tolerance && Math.abs(local.y - handle.y) <= tolerance;
+    }) || null;
+  }
+  
+  handleMouseDown(event) {
+    if (!this.active) return;
+    
+    this.startPoint = this.canvas.getCanvasPoint(event);
+    this.currentPoint = this.startPoint;
+    
+    const handle = this.findHandleAt(this.startPoint);
+    if (handle) {
+      this.startTransform(this.canvas.selectedShapes[0], handle);
+      return;
+    }
+    
+    // Check if clicked on a shape
+    const clickedShape = this.canvas.findShapeAt(this.startPoint);
+    
+    if (clickedShape) {
+      if (event.shiftKey) {
+        this.canvas.toggleShape(clickedShape);
+      } else if (!this.canvas.selectedShapes.includes(clickedShape)) {
+        this.canvas.selectShape(clickedShape);
+      }
+      
+      if (this.canvas.selectedShapes.includes(clickedShape)) {
+        this.startMove();
+      }
+    } else {
+      // Start a rubber band selection from empty canvas
+      if (!event.shiftKey) {
+        this.canvas.deselectShape();
+      }
+      this.mode = 'band';
+      this.bandAdditive = Boolean(event.shiftKey);
+    }
+  }
+  
+  startMove() {
+    // Snap from where the drag started so shapes don't creep
+    this.mode = 'move';
+    this.dragShapes = this.canvas.selectedShapes.slice();
+    this.dragStartPoints = [];
+    this.dragShapes.forEach(shape => {
+      this.dragStartPoints.push(...shape.getWorldPoints());
+    });
+    this.dragOrigins = this.dragShapes.map(shape => shape.getOrigin());
+  }
+  
+  startTransform(shape, handle) {
+    const box = shape.getBoundingBox();
+    
+    this.mode = handle.name === 'rotate' ? 'rotate' : 'resize';
+    this.transformStart = {
+      shape,
+      handle: handle.name,
+      original: shape.clone(),
+      center: shape.getCenter(),
+      bounds: { x: box.x, y: box.y, width: box.width, depth: box.depth !== undefined ? box.depth : box.height },
+      rotation: shape.rotation
+    };
+  }
+  
+  handleMouseMove(event) {
+    if (!this.active || !this.mode) return;
+    
+    this.currentPoint = this.canvas.getCanvasPoint(event);
+    
+    if (this.mode === 'move') {
+      this.moveShapes();
+    } else if (this.mode === 'resize') {
+      this.resizeShape();
+    } else if (this.mode === 'rotate') {
+      this.rotateShape(event.shiftKey);
+    }
+    
+    this.canvas.render();
+  }
+  
+  moveShapes() {
+    const snap = this.canvas.snapManager.snapMove(
+      this.dragStartPoints,
+      this.currentPoint.x - this.startPoint.x,
+      this.currentPoint.y - this.startPoint.y,
+      this.dragShapes
+    );
+    
+    // Update shape positions
+    this.dragShapes.forEach((shape, index) => {
+      const origin = shape.getOrigin();
+      shape.moveBy(
+        this.dragOrigins[index].x + snap.dx - origin.x,
+        this.dragOrigins[index].y + snap.dy - origin.y
+      );
+    });
+    
+    this.canvas.guides = snap.guides;
+  }
+  
+  resizeShape() {
+    const { shape, handle, original, center, bounds } = this.transformStart;
+    const minimum = original.getMinimumSize();
+    
+    // Work in the shape's unrotated frame as it was when the drag started
+    const pointer = Shape.rotatePoint(this.currentPoint, center, -original.rotation);
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.depth;
+    const next = { ...bounds };
+    
+    if (handle.includes('e')) {
+      next.width = Math.max(minimum.width, pointer.x - bounds.x);
+    }
+    if (handle.includes('w')) {
+      next.x = Math.min(pointer.x, right - minimum.width);
+      next.width = right - next.x;
+    }
+    if (handle.includes('s')) {
+      next.depth = Math.max(minimum.depth, pointer.y - bounds.y);
+    }
+    if (handle.includes('n')) {
+      next.y = Math.min(pointer.y, bottom - minimum.depth);
+      next.depth = bottom - next.y;
+    }
+    
+    // The opposite side stays put, which needs a correction once the center moves
+    const anchor = {
+      x: handle.includes('w') ? right : bounds.x,
+      y: handle.includes('n') ? bottom : bounds.y
+    };
+    const anchorBefore = Shape.rotatePoint(anchor, center, original.rotation);
+    
+    shape.properties = JSON.parse(JSON.stringify(original.properties));
+    shape.resize(next);
+    
+    const anchorAfter = shape.toWorld(anchor);
+    shape.moveBy(anchorBefore.x - anchorAfter.x, anchorBefore.y - anchorAfter.y);
+  }
+  
+  rotateShape(stepped) {
+    const { shape, center, rotation } = this.transformStart;
+    const startAngle = Math.atan2(this.startPoint.y - center.y, this.startPoint.x - center.x);
+    const angle = Math.atan2(this.currentPoint.y - center.y, this.currentPoint.x - center.x);
+    let next = rotation + (angle - startAngle) * 180 / Math.PI;
+    
+    // Shift rotates in 90 degree steps, otherwise square angles are still sticky
+    const square = Math.round(next / 90) * 90;
+    const { snapToAngles, angleTolerance } = this.canvas.snapManager;
+    
+    if (stepped || (snapToAngles && Math.abs(next - square) <= angleTolerance)) {
+      next = square;
+    }
+    
+    shape.rotation = 0;
+    shape.rotateBy(next);
+  }
+  
+  handleMouseUp(event) {
+    if (!this.active || !this.mode) return;
+    
+    const mode = this.mode;
+    this.mode = null;
+    this.canvas.guides = [];
+    
+    if (mode === 'band') {
+      this.selectInBand();
+    } else {
+      this.canvas.selectedShapes.forEach(shape => this.canvas.anchorToWalls(shape));
+      this.canvas.saveState();
+      this.canvas.onChange();
+    }
+    
+    this.startPoint = null;
+    this.currentPoint = null;
+    this.transformStart = null;
+    this.canvas.render();
+  }
+  
+  getBand() {
+    return {
+      x: Math.min(this.startPoint.x, this.currentPoint.x),
+      y: Math.min(this.startPoint.y, this.currentPoint.y),
+      width: Math.abs(this.currentPoint.x - this.startPoint.x),
+      depth: Math.abs(this.currentPoint.y - this.startPoint.y)
+    };
+  }
+  
+  selectInBand() {
+    const band = this.getBand();
+    
+    // Only shapes that are completely inside the band are picked up
+    const shapes = this.canvas.shapes.filter(shape => {
+      return shape.getWorldPoints().every(point => {
+        return point.x >= band.x && point.x <= band.x + band.width &&
+          point.y >= band.y && point.y <= band.y + band.depth;
+      });
+    });
+    
+    if (shapes.length > 0 || !this.bandAdditive) {
+      this.canvas.selectShapes(shapes, this.bandAdditive);
+    }
+  }
+  
+  drawPreview(ctx) {
+    const { scale, selectedShapes } = this.canvas;
+    
+    ctx.save();
+    ctx.lineWidth = 1 / scale;
+    
+    // Outline every selected shape in its rotated position
+    selectedShapes.forEach(shape => {
+      const box = shape.getBoundingBox();
+      const depth = box.depth !== undefined ? box.depth : box.height;
+      const corners = [
+        { x: box.x, y: box.y },
+        { x: box.x + box.width, y: box.y },
+        { x: box.x + box.width, y: box.y + depth },
+        { x: box.x, y: box.y + depth }
+      ].map(point => shape.toWorld(point));
+      
+      ctx.beginPath();
+      corners.forEach((point, index) => {
+        if (index === 0) {
+          ctx.moveTo(point.x, point.y);
+        } else {
+          ctx.lineTo(point.x, point.y);
+        }
+      });
+      ctx.closePath();
+      ctx.strokeStyle = '#3498db';
+      ctx.setLineDash([4 / scale, 4 / scale]);
+      ctx.stroke();
+    });
+    
+    ctx.setLineDash([]);
+    
+    if (selectedShapes.length === 1) {
+      const shape = selectedShapes[0];
+      const size = this.handleSize / scale;
+      const handles = this.getHandles(shape);
+      const top = shape.toWorld(handles[1]);
+      const rotate = shape.toWorld(handles[handles.length - 1]);
+      
+      ctx.beginPath();
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(rotate.x, rotate.y);
+      ctx.strokeStyle = '#3498db';
+      ctx.stroke();
+      
+      handles.forEach(handle => {
+        const point = shape.toWorld(handle);
+        
+        ctx.beginPath();
+        if (handle.name === 'rotate') {
+          ctx.arc(point.x, point.y, size / 2, 0, Math.PI * 2);
+        } else {
+          ctx.rect(point.x - size / 2, point.y - size / 2, size, size);
+        }
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.strokeStyle = '#3498db';
+        ctx.stroke();
+      });
+    }
+    
+    if (this.mode === 'band' && this.currentPoint) {
+      const band = this.getBand();
+      
+      ctx.beginPath();
+      ctx.rect(band.x, band.y, band.width, band.depth);
+      ctx.fillStyle = 'rgba(52, 152, 219, 0.1)';
+      ctx.fill();
+      ctx.strokeStyle = '#3498db';
+      ctx.stroke();
+    }
+    
+    ctx.restore();
+  }
+}
+
+class SeamTool extends DrawingTool {
+  constructor(canvas, measurementManager) {
+    super(canvas);
+    this.measurementManager = measurementManager;
+    this.axisSnapAngle = 10; // Degrees from horizontal/vertical that snap to the axis
+  }
+  
+  getSeamLine(start, end) {
+    const angle = Math.abs(Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI);
+    
+    if (angle < this.axisSnapAngle || angle > 180 - this.axisSnapAngle) {
+      return { start, end: { x: end.x, y: start.y } };
+    }
+    
+    if (Math.abs(angle - 90) < this.axisSnapAngle) {
+      return { start, end: { x: start.x, y: end.y } };
+    }
+    
+    return { start, end };
+  }
+  
+  complete(endPoint) {
+    const line = this.getSeamLine(this.startPoint, endPoint);
+    const midpoint = {
+      x: (line.start.x + line.end.x) / 2,
+      y: (line.start.y + line.end.y) / 2
+    };
+    
+    const shape = this.canvas.findShapeAt(midpoint);
+    if (!shape) return;
+    
+    // Store the seam as the full cut across the piece it was drawn on
+    const chord = Shape.findChord(shape.getOutline(), shape.toLocal(line.start), shape.toLocal(line.end));
+    if (!chord) return;
+    
+    const origin = shape.getOrigin();
+    const seam = new Seam(
+      chord.start.point.x - origin.x,
+      chord.start.point.y - origin.y,
+      chord.end.point.x - origin.x,
+      chord.end.point.y - origin.y
+    );
+    
+    shape.addSeam(seam);
+    this.canvas.saveState();
+    this.canvas.onChange();
+    
+    const validation = this.measurementManager.validateSeams(shape);
+    validation.warnings.forEach(warning => console.warn(warning));
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const { start, end } = this.getSeamLine(this.startPoint, this.currentPoint);
+    
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.strokeStyle = '#34495e';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 4]);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+class WallTool extends DrawingTool {
+  constructor(canvas, measurementManager) {
+    super(canvas);
+    this.measurementManager = measurementManager;
+    this.wallThickness = 4.5; // Inches
+  }
+  
+  getWallEnd(endPoint) {
+    return this.canvas.snapManager.snapAngle(this.startPoint, endPoint);
+  }
+  
+  complete(endPoint) {
+    const end = this.getWallEnd(endPoint);
+    const length = Math.sqrt(Math.pow(end.x - this.startPoint.x, 2) + Math.pow(end.y - this.startPoint.y, 2));
+    
+    if (length > 10) {
+      const wall = new Wall(
+        this.startPoint.x,
+        this.startPoint.y,
+        end.x,
+        end.y,
+        this.measurementManager.inchesToPixels(this.wallThickness)
+      );
+      this.canvas.addWall(wall);
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const start = this.startPoint;
+    const end = this.getWallEnd(this.currentPoint);
+    const length = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
+    
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.strokeStyle = 'rgba(127, 140, 141, 0.6)';
+    ctx.lineWidth = this.measurementManager.inchesToPixels(this.wallThickness);
+    ctx.stroke();
+    
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(this.canvas.formatDimension(length), (start.x + end.x) / 2, (start.y + end.y) / 2 - 10);
+    ctx.restore();
+  }
+}
+
+class CabinetTool extends DrawingTool {
+  constructor(canvas, manager) {
+    super(canvas);
+    this.manager = manager;
+    this.cabinetType = 'base'; // Put in place of the cabinet clicked in an existing run
+  }
+  
+  setCabinetType(type) {
+    if (!CABINET_TYPES[type]) {
+      throw new Error(`Unknown cabinet type: ${type}`);
+    }
+    this.cabinetType = type;
+  }
+  
+  getRunEnd(endPoint) {
+    return this.canvas.snapManager.snapAngle(this.startPoint, endPoint);
+  }
+  
+  getPreviewRun(endPoint) {
+    const start = this.startPoint;
+    const end = this.getRunEnd(endPoint);
+    const length = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
+    const inches = this.manager.measurementManager.pixelsToInches(length);
+    
+    if (inches < CABINET_TYPES.base.widths[0]) {
+      return null;
+    }
+    
+    const rotation = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+    return this.manager.buildCabinetRun(start, rotation, this.manager.fillCabinetRun(inches));
+  }
+  
+  complete(endPoint) {
+    const run = this.getPreviewRun(endPoint);
+    
+    if (run) {
+      this.manager.addCabinetRun(run);
+      return;
+    }
+    
+    // A click rather than a drag swaps the cabinet underneath for the chosen type
+    const existing = this.canvas.findCabinetRunAt(this.startPoint);
+    if (existing) {
+      this.manager.setCabinet(existing, existing.findCabinetAt(this.startPoint), { type: this.cabinetType });
+    }
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const run = this.getPreviewRun(this.currentPoint);
+    if (run) {
+      run.drawCabinets(ctx, this.canvas.scale, pixels => this.canvas.formatDimension(pixels));
+    }
+  }
+}
+
+class CalibrationTool extends DrawingTool {
+  constructor(canvas, manager) {
+    super(canvas);
+    this.manager = manager;
+    this.endPoint = null;
+  }
+  
+  deactivate() {
+    super.deactivate();
+    this.endPoint = null;
+    this.manager.dimensionEditor.close();
+  }
+  
+  cancel() {
+    // A pinch between the two clicks keeps the first point
+    this.currentPoint = this.startPoint;
+  }
+  
+  handleMouseDown(event) {
+    if (!this.active) return;
+    
+    // Points are not snapped, they mark features in the underlay rather than the grid.
+    // The second point is taken on release, so zooming in between the clicks is safe.
+    if (!this.startPoint || this.endPoint) {
+      const point = this.canvas.getCanvasPoint(event);
+      this.manager.dimensionEditor.close();
+      this.startPoint = point;
+      this.currentPoint = point;
+      this.endPoint = null;
+    }
+  }
+  
+  handleMouseMove(event) {
+    if (!this.active || !this.startPoint || this.endPoint) return;
+    
+    this.currentPoint = this.canvas.getCanvasPoint(event);
+    this.canvas.render();
+  }
+  
+  handleMouseUp(event) {
+    if (!this.active || !this.startPoint || this.endPoint) return;
+    
+    // Dragging between the points works as well as clicking each one
+    const point = this.canvas.getCanvasPoint(event);
+    const distance = Math.sqrt(Math.pow(point.x - this.startPoint.x, 2) + Math.pow(point.y - this.startPoint.y, 2));
+    
+    if (distance * this.canvas.scale > 5) {
+      this.complete(point);
+    }
+  }
+  
+  complete(endPoint) {
+    const start = this.startPoint;
+    this.endPoint = endPoint;
+    this.currentPoint = endPoint;
+    
+    const midpoint = { x: (start.x + endPoint.x) / 2, y: (start.y + endPoint.y) / 2 };
+    
+    this.manager.dimensionEditor.open(
+      [{ key: 'distance', label: 'Real distance', value: '' }],
+      midpoint,
+      values => {
+        this.manager.calibrateScale(start, endPoint, values.distance);
+        this.startPoint = null;
+        this.currentPoint = null;
+        this.endPoint = null;
+      }
+    );
+  }
+  
+  drawPreview(ctx) {
+    if (!this.startPoint || !this.currentPoint) return;
+    
+    const { scale } = this.canvas;
+    const start = this.startPoint;
+    const end = this.currentPoint;
+    const size = 6 / scale;
+    
+    ctx.save();
+    ctx.strokeStyle = '#e84393';
+    ctx.lineWidth = 2 / scale;
+    ctx.setLineDash([6 / scale, 4 / scale]);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    
+    // Cross hairs mark the exact points picked
+    ctx.setLineDash([]);
+    [start, end].forEach(point => {
+      ctx.beginPath();
+      ctx.moveTo(point.x - size, point.y);
+      ctx.lineTo(point.x + size, point.y);
+      ctx.moveTo(point.x, point.y - size);
+      ctx.lineTo(point.x, point.y + size);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+}
+
+class DimensionEntryTool extends DrawingTool {
+  constructor(canvas, editor) {
+    super(canvas);
+    this.editor = editor;
+    this.shapeType = 'rectangle'; // Shape created when clicking on empty canvas
+  }
+  
+  setShapeType(type) {
+    if (!SHAPE_DIMENSIONS[type]) {
+      throw new Error(`Dimensions cannot be typed for a ${type} shape`);
+    }
+    this.shapeType = type;
+  }
+  
+  deactivate() {
+    super.deactivate();
+    this.editor.close();
+  }
+  
+  complete(endPoint) {
+    // Clicking a shape edits its dimensions, clicking empty canvas places a new one
+    const shape = this.canvas.findShapeAt(endPoint);
+    
+    if (shape && SHAPE_DIMENSIONS[shape.type]) {
+      this.editor.openShapeForm(shape.type, endPoint, shape);
+    } else {
+      this.editor.openShapeForm(this.shapeType, endPoint);
+    }
+  }
+  
+  drawPreview(ctx) {
+    // The entry form is the preview
+  }
+}
+
+class MeasurementManager {
+  constructor(canvas, unitSystem = 'imperial', options = {}) {
+    this.canvas = canvas;
+    this.unitSystem = unitSystem; // 'imperial' or 'metric'
+    this.pixelsPerInch = 10; // Default scale: 10 pixels = 1 inch
+    this.maxSlabLength = options.maxSlabLength || 120; // Longest piece a slab can yield, in inches
+    this.seamCutoutClearance = options.seamCutoutClearance || 0; // Inches to keep seams away from cutouts
+    this.fractionDenominator = options.fractionDenominator || 16; // Imperial lengths round to 1/16"
+  }
+  
+  setUnitSystem(system) {
+    this.unitSystem = system;
+  }
+  
+  setScale(pixelsPerInch) {
+    this.pixelsPerInch = pixelsPerInch;
+  }
+  
+  pixelsToInches(pixels) {
+    return pixels / this.pixelsPerInch;
+  }
+  
+  inchesToPixels(inches) {
+    return inches * this.pixelsPerInch;
+  }
+  
+  formatMeasurement(inches) {
+    if (this.unitSystem === 'imperial') {
+      // Work in whole fractions so rounding can carry into inches and feet
+      const denominator = this.fractionDenominator;
+      const parts = Math.round(inches * denominator);
+      const feet = Math.floor(parts / (12 * denominator));
+      const remainder = parts - feet * 12 * denominator;
+      const wholeInches = Math.floor(remainder / denominator);
+      const inchText = this.formatFraction(wholeInches, remainder % denominator, denominator, feet > 0);
+      
+      if (feet > 0) {
+        return `${feet}' ${inchText}"`;
+      } else {
+        return `${inchText}"`;
+      }
+    } else {
+      // Convert to centimeters for metric
+      const cm = Math.round(inches * 2.54 * 10) / 10;
+      return `${cm} cm`;
+    }
+  }
+  
+  formatFraction(whole, numerator, denominator, keepZero = false) {
+    if (numerator === 0) {
+      return `${whole}`;
+    }
+    
+    // Reduce 8/16 to 1/2 and so on
+    while (numerator % 2 === 0 && denominator % 2 === 0) {
+      numerator /= 2;
+      denominator /= 2;
+    }
+    
+    // Keep the zero after feet so 8' 0 1/2" doesn't read as half a foot
+    return whole > 0 || keepZero ? `${whole} ${numerator}/${denominator}` : `${numerator}/${denominator}`;
+  }
+  
+  parseMeasurement(text) {
+    // Accepts 96, 96.5, 96 3/8", 8' 3 3/8", 8'-3", 8 ft 3 in, 3/8", 245 cm, 2450 mm and 2.45 m.
+    // Returns inches; plain numbers are read as inches (imperial) or centimeters (metric).
+    if (typeof text === 'number') {
+      if (!isFinite(text)) {
+        throw new Error(`Invalid measurement: ${text}`);
+      }
+      return text;
+    }
+    
+    const input = String(text || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[‘’′]/g, "'")
+      .replace(/[“”″]|''/g, '"');
+    
+    if (!input) {
+      throw new Error('Enter a measurement');
+    }
+    
+    const metric = input.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(mm|cm|m)$/);
+    if (metric) {
+      const value = parseFloat(metric[1]);
+      const centimeters = metric[2] === 'mm' ? value / 10 : metric[2] === 'm' ? value * 100 : value;
+      return centimeters / 2.54;
+    }
+    
+    let rest = input;
+    let feet = 0;
+    let hasUnit = false;
+    
+    const feetMatch = rest.match(/^(\d+(?:\.\d+)?)\s*(?:'|ft\.?|feet|foot)\s*-?\s*/);
+    if (feetMatch) {
+      feet = parseFloat(feetMatch[1]);
+      rest = rest.slice(feetMatch[0].length);
+      hasUnit = true;
+    }
+    
+    const inchMark = rest.match(/\s*(?:"|in\.?|inch|inches)$/);
+    if (inchMark) {
+      rest = rest.slice(0, inchMark.index);
+      hasUnit = true;
+    }
+    
+    let inches = 0;
+    
+    if (rest) {
+      const mixed = rest.match(/^(\d+)(?:\s+|-)(\d+)\/(\d+)$/);
+      const fraction = rest.match(/^(\d+)\/(\d+)$/);
+      const decimal = rest.match(/^(\d+(?:\.\d+)?|\.\d+)$/);
+      
+      if (mixed && parseInt(mixed[3], 10) > 0) {
+        inches = parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+      } else if (fraction && parseInt(fraction[2], 10) > 0) {
+        inches = parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+      } else if (decimal) {
+        inches = parseFloat(decimal[1]);
+      } else {
+        throw new Error(`Could not read measurement: "${text}"`);
+      }
+    } else if (!feetMatch) {
+      throw new Error(`Could not read measurement: "${text}"`);
+    }
+    
+    // A bare number follows the current unit system
+    if (!hasUnit && this.unitSystem === 'metric') {
+      return inches / 2.54;
+    }
+    
+    return feet * 12 + inches;
+  }
+  
+  pixelsToSquareInches(squarePixels) {
+    // Areas scale with the square of the drawing scale
+    return squarePixels / (this.pixelsPerInch * this.pixelsPerInch);
+  }
+  
+  toLength(inches) {
+    // Linear totals are reported in feet (imperial) or meters (metric)
+    if (this.unitSystem === 'imperial') {
+      const feet = inches / 12;
+      return {
+        value: feet,
+        inches,
+        formatted: `${Math.round(feet * 100) / 100} ft`
+      };
+    } else {
+      const meters = inches * 0.0254;
+      return {
+        value: meters,
+        inches,
+        formatted: `${Math.round(meters * 100) / 100} m`
+      };
+    }
+  }
+  
+  toArea(squareInches) {
+    if (this.unitSystem === 'imperial') {
+      const squareFeet = squareInches / 144;
+      return {
+        value: squareFeet,
+        squareInches,
+        formatted: `${Math.round(squareFeet * 100) / 100} sq ft`
+      };
+    } else {
+      const squareMeters = squareInches * 0.00064516;
+      return {
+        value: squareMeters,
+        squareInches,
+        formatted: `${Math.round(squareMeters * 100) / 100} m²`
+      };
+    }
+  }
+  
+  calculateArea(shape) {
+    return this.toArea(this.pixelsToSquareInches(shape.getArea()));
+  }
+  
+  calculateTotalArea(shapes = this.canvas.shapes) {
+    const squareInches = shapes.reduce((total, shape) => {
+      return total + this.pixelsToSquareInches(shape.getArea());
+    }, 0);
+    
+    return this.toArea(squareInches);
+  }
+  
+  getEdgeLengths(shape) {
+    return shape.getEdges().map(edge => {
+      const inches = this.pixelsToInches(edge.length);
+      
+      return {
+        index: edge.index,
+        length: inches,
+        formatted: this.formatMeasurement(inches),
+        settings: edge.settings
+      };
+    });
+  }
+  
+  calculatePerimeter(shape) {
+    const inches = shape.getEdges().reduce((total, edge) => total + this.pixelsToInches(edge.length), 0);
+    return this.toLength(inches);
+  }
+  
+  getShapeMeasurements(shape) {
+    return {
+      type: shape.type,
+      area: this.calculateArea(shape),
+      perimeter: this.calculatePerimeter(shape),
+      edges: this.getEdgeLengths(shape)
+    };
+  }
+  
+  calculateFinishedEdgeLength(shapes = this.canvas.shapes) {
+    // Read off the edge totals so quotes and job sheets report the same linear feet
+    const totals = this.calculateEdgeTotals(shapes);
+    
+    const profiles = {};
+    Object.keys(totals.profiles).forEach(profile => {
+      profiles[profile] = this.toLength(totals.profiles[profile] * 12);
+    });
+    
+    return {
+      ...this.toLength(totals.finished * 12),
+      profiles
+    };
+  }
+  
+  getBreakdownByType(shapes = this.canvas.shapes) {
+    const totals = {};
+    
+    shapes.forEach(shape => {
+      if (!totals[shape.type]) {
+        totals[shape.type] = { count: 0, squareInches: 0, perimeterInches: 0 };
+      }
+      
+      totals[shape.type].count++;
+      totals[shape.type].squareInches += this.pixelsToSquareInches(shape.getArea());
+      totals[shape.type].perimeterInches += this.calculatePerimeter(shape).inches;
+    });
+    
+    const breakdown = {};
+    Object.keys(totals).forEach(type => {
+      breakdown[type] = {
+        count: totals[type].count,
+        area: this.toArea(totals[type].squareInches),
+        perimeter: this.toLength(totals[type].perimeterInches)
+      };
+    });
+    
+    return breakdown;
+  }
+  
+  calculateEdgeTotals(shapes = this.canvas.shapes) {
+    // Linear feet per finished edge profile, plus backsplash and wall runs
+    const totals = {
+      profiles: {},
+      finished: 0,
+      backsplash: { linearFeet: 0, squareFeet: 0 },
+      wall: 0,
+      unassigned: 0
+    };
+    
+    shapes.forEach(shape => {
+      shape.getEdges().forEach(edge => {
+        const inches = this.pixelsToInches(edge.length);
+        const feet = inches / 12;
+        
+        if (!edge.settings) {
+          totals.unassigned += feet;
+          return;
+        }
+        
+        switch (edge.settings.type) {
+          case 'finished':
+            totals.profiles[edge.settings.profile] = (totals.profiles[edge.settings.profile] || 0) + feet;
+            totals.finished += feet;
+            break;
+          case 'backsplash':
+            totals.backsplash.linearFeet += feet;
+            totals.backsplash.squareFeet += inches * edge.settings.height / 144;
+            break;
+          case 'wall':
+            totals.wall += feet;
+            break;
+        }
+      });
+    });
+    
+    return totals;
+  }
+  
+  validateSeams(shape) {
+    const clearance = this.inchesToPixels(this.seamCutoutClearance);
+    const warnings = [];
+    
+    const pieces = shape.getPieces().map((points, index) => {
+      const bounds = Shape.polygonBounds(points);
+      const length = this.pixelsToInches(Math.max(bounds.width, bounds.depth));
+      const fits = length <= this.maxSlabLength;
+      
+      if (!fits) {
+        warnings.push(`Piece ${index + 1} of the ${shape.type} is ${this.formatMeasurement(length)} long and exceeds the ${this.formatMeasurement(this.maxSlabLength)} slab length`);
+      }
+      
+      return { index, points, length, fits };
+    });
+    
+    const seams = shape.seams.map((seam, index) => {
+      const overCutout = shape.isSeamOverCutout(seam, clearance);
+      
+      if (overCutout) {
+        warnings.push(`Seam ${index + 1} of the ${shape.type} falls over a cutout`);
+      }
+      
+      return {
+        index,
+        seam,
+        length: this.pixelsToInches(shape.getSeamLength(seam)),
+        overCutout
+      };
+    });
+    
+    return {
+      valid: warnings.length === 0,
+      pieces,
+      seams,
+      warnings
+    };
+  }
+  
+  calculateSeams(shapes = this.canvas.shapes) {
+    const result = {
+      count: 0,
+      totalLength: 0,
+      seams: [],
+      oversizedPieces: [],
+      warnings: []
+    };
     
-    ctx.fillStyle = '#2c3e50';
-    ctx.font = `${fontSize}px Arial`;
-    ctx.textAlign = 'center';
+    shapes.forEach((shape, shapeIndex) => {
+      const validation = this.validateSeams(shape);
+      
+      validation.seams.forEach(seam => {
+        result.count++;
+        result.totalLength += seam.length;
+        result.seams.push({
+          shapeIndex,
+          seamIndex: seam.index,
+          length: seam.length,
+          formatted: this.formatMeasurement(seam.length),
+          overCutout: seam.overCutout
+        });
+      });
+      
+      validation.pieces.filter(piece => !piece.fits).forEach(piece => {
+        result.oversizedPieces.push({
+          shapeIndex,
+          pieceIndex: piece.index,
+          length: piece.length,
+          formatted: this.formatMeasurement(piece.length)
+        });
+      });
+      
+      result.warnings.push(...validation.warnings);
+    });
     
-    // Width dimension
-    ctx.fillText(`${Math.round(width)}px`, x + width / 2, y - padding);
+    result.formatted = this.formatMeasurement(result.totalLength);
     
-    // Depth dimension
-    ctx.save();
-    ctx.translate(x - padding, y + depth / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`${Math.round(depth)}px`, 0, 0);
-    ctx.restore();
+    return result;
   }
   
-  clone() {
-    return new Island(
-      this.properties.x,
-      this.properties.y,
-      this.properties.width,
-      this.properties.depth
-    );
+  countCutouts(shapes = this.canvas.shapes) {
+    const counts = {};
+    
+    Object.keys(CUTOUT_TYPES).forEach(type => {
+      counts[type] = 0;
+    });
+    
+    shapes.forEach(shape => {
+      shape.cutouts.forEach(cutout => {
+        counts[cutout.type] = (counts[cutout.type] || 0) + 1;
+      });
+    });
+    
+    return counts;
   }
 }
 
-class CustomShape extends Shape {
-  constructor(points) {
-    super('custom', { points: points || [] });
+class DimensionEditor {
+  constructor(drawingManager) {
+    this.manager = drawingManager;
+    this.canvas = drawingManager.canvas;
+    this.element = null;
+    
+    this.canvas.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
   }
   
-  draw(ctx, scale, offset) {
-    const { points } = this.properties;
-    
-    if (points.length < 3) return;
-    
-    ctx.save();
-    ctx.translate(offset.x, offset.y);
-    ctx.scale(scale, scale);
-    
-    ctx.beginPath();
-    ctx.moveTo(points[0].x, points[0].y);
+  handleDoubleClick(event) {
+    const hit = this.findLabelAt(this.canvas.getCanvasPoint(event));
     
-    for (let i = 1; i < points.length; i++) {
-      ctx.lineTo(points[i].x, points[i].y);
+    if (hit) {
+      event.preventDefault();
+      this.openLabel(hit.shape, hit.label);
     }
-    
-    ctx.closePath();
-    ctx.fillStyle = this.selected ? '#a3c2e8' : '#d1e0f3';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2 / scale;
-    ctx.stroke();
-    
-    ctx.restore();
   }
   
-  contains(point) {
-    const { points } = this.properties;
-    
-    if (points.length < 3) return false;
-    
-    let inside = false;
-    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
-      const xi = points[i].x, yi = points[i].y;
-      const xj = points[j].x, yj = points[j].y;
+  findLabelAt(point) {
+    const { scale, shapes } = this.canvas;
+    const halfLength = 40 / scale;
+    const halfHeight = 10 / scale;
+    
+    // Search in reverse order so labels of the top-most shape win
+    for (let i = shapes.length - 1; i >= 0; i--) {
+      const local = shapes[i].toLocal(point);
+      const label = shapes[i].getDimensionLabels(scale).find(candidate => {
+        if (!candidate.editable) return false;
+        
+        const dx = Math.abs(local.x - candidate.x);
+        const dy = Math.abs(local.y - candidate.y);
+        
+        return candidate.vertical
+          ? dx <= halfHeight && dy <= halfLength
+          : dx <= halfLength && dy <= halfHeight;
+      });
       
-      const intersect = ((yi > point.y) !== (yj > point.y))
-          && (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
-      if (intersect) inside = !inside;
+      if (label) {
+        return { shape: shapes[i], label };
+      }
     }
     
-    return inside;
+    return null;
   }
   
-  getArea() {
-    const { points } = this.properties;
-    
-    if (points.length < 3) return 0;
-    
-    let area = 0;
-    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
-      area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
-    }
-    return Math.abs(area / 2);
+  formatValue(pixels) {
+    const { measurementManager } = this.manager;
+    return measurementManager.formatMeasurement(measurementManager.pixelsToInches(pixels));
   }
   
-  getBoundingBox() {
-    const { points } = this.properties;
+  openLabel(shape, label) {
+    this.open(
+      [{ key: label.key, label: DIMENSION_LABELS[label.key], value: this.formatValue(label.value) }],
+      shape.toWorld(label),
+      values => this.manager.resizeShape(shape, values)
+    );
+  }
+  
+  openShapeForm(type, point, shape = null, onDone = () => {}) {
+    const fields = SHAPE_DIMENSIONS[type].map(key => ({
+      key,
+      label: DIMENSION_LABELS[key],
+      value: shape ? this.formatValue(shape.properties[key]) : ''
+    }));
+    
+    this.open(fields, point, values => {
+      if (shape) {
+        onDone(this.manager.resizeShape(shape, values));
+      } else {
+        onDone(this.manager.createShapeFromDimensions(type, values, point));
+      }
+    });
+  }
+  
+  open(fields, point, onSubmit) {
+    this.close();
+    this.returnFocus = document.activeElement;
+    
+    const { canvas, offset, scale } = this.canvas;
+    const form = document.createElement('form');
+    form.className = 'dimension-editor';
+    form.style.position = 'absolute';
+    form.style.left = `${canvas.offsetLeft + offset.x + point.x * scale}px`;
+    form.style.top = `${canvas.offsetTop + offset.y + point.y * scale}px`;
+    
+    const inputs = fields.map(field => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      
+      input.type = 'text';
+      input.name = field.key;
+      input.value = field.value;
+      input.setAttribute('aria-label', field.label);
+      
+      // Only show field names when there is more than one
+      if (fields.length > 1) {
+        label.appendChild(document.createTextNode(field.label));
+      }
+      label.appendChild(input);
+      form.appendChild(label);
+      
+      return input;
+    });
     
-    if (points.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+    const error = document.createElement('div');
+    error.className = 'dimension-editor-error';
+    error.setAttribute('role', 'alert');
+    form.appendChild(error);
     
-    let minX = points[0].x;
-    let minY = points[0].y;
-    let maxX = points[0].x;
-    let maxY = points[0].y;
+    const submit = () => {
+      const values = {};
+      inputs.forEach(input => {
+        if (input.value.trim()) {
+          values[input.name] = input.value;
+        }
+      });
+      
+      try {
+        onSubmit(values);
+        this.close();
+      } catch (submitError) {
+        error.textContent = submitError.message;
+        form.classList.add('invalid');
+      }
+    };
     
-    for (let i = 1; i < points.length; i++) {
-      minX = Math.min(minX, points[i].x);
-      minY = Math.min(minY, points[i].y);
-      maxX = Math.max(maxX, points[i].x);
-      maxY = Math.max(maxY, points[i].y);
-    }
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      submit();
+    });
     
-    return {
-      x: minX,
-      y: minY,
-      width: maxX - minX,
-      height: maxY - minY
-    };
+    form.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        submit();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+      }
+    });
+    
+    // Clicking away cancels the edit
+    form.addEventListener('focusout', event => {
+      if (!form.contains(event.relatedTarget)) {
+        this.close();
+      }
+    });
+    
+    canvas.parentNode.appendChild(form);
+    this.element = form;
+    
+    inputs[0].focus();
+    inputs[0].select();
   }
   
-  clone() {
-    return new CustomShape(
-      JSON.parse(JSON.stringify(this.properties.points))
-    );
+  close() {
+    if (this.element) {
+      const element = this.element;
+      this.element = null;
+      
+      // Submitting or cancelling goes back to where the form was opened from
+      const returnFocus = element.contains(document.activeElement) ? this.returnFocus : null;
+      element.remove();
+      
+      if (returnFocus) {
+        returnFocus.focus();
+      }
+    }
   }
 }
 
-class DrawingTool {
-  constructor(canvas) {
-    this.canvas = canvas;
-    this.active = false;
-    this.startPoint = null;
-    this.currentPoint = null;
+class KeyboardController {
+  constructor(drawingManager, accessibilityManager = null) {
+    this.manager = drawingManager;
+    this.canvas = drawingManager.canvas;
+    this.accessibilityManager = accessibilityManager; // Announces changes through announceToScreenReader()
+    
+    // The canvas takes focus in the tab order and passes keys straight to the drawing
+    const element = this.canvas.canvas;
+    element.setAttribute('tabindex', '0');
+    element.setAttribute('role', 'application');
+    element.setAttribute('aria-roledescription', 'countertop drawing');
+    element.setAttribute('aria-label', 'Countertop drawing. Tab moves between shapes, arrow keys move the selected shape, ' +
+      'Alt with arrow keys resizes it and Enter types its dimensions.');
+    element.addEventListener('keydown', this.handleKeyDown.bind(this));
   }
   
-  activate() {
-    this.active = true;
+  handleKeyDown(event) {
+    const key = event.key;
+    const command = event.ctrlKey || event.metaKey;
+    let handled = true;
+    
+    if (command && key.toLowerCase() === 'z') {
+      this.undoRedo(event.shiftKey ? 'redo' : 'undo');
+    } else if (command && key.toLowerCase() === 'y') {
+      this.undoRedo('redo');
+    } else if (command) {
+      // Leave other browser shortcuts alone
+      handled = false;
+    } else if (key === 'Tab') {
+      handled = this.cycleSelection(event.shiftKey ? -1 : 1);
+    } else if (key.startsWith('Arrow')) {
+      const direction = key.slice(5).toLowerCase();
+      if (event.altKey) {
+        this.resizeSelected(direction, event.shiftKey);
+      } else {
+        this.nudgeSelected(direction, event.shiftKey);
+      }
+    } else if (key === 'Enter') {
+      this.editDimensions();
+    } else if (key === 'Delete' || key === 'Backspace') {
+      this.deleteSelected();
+    } else if (key === 'Escape') {
+      this.canvas.deselectShape();
+      this.announce('Selection cleared');
+    } else if (key === 'R' && event.shiftKey) {
+      this.rotateSelected();
+    } else if (TOOL_SHORTCUTS[key] && !event.altKey) {
+      this.manager.setActiveTool(TOOL_SHORTCUTS[key]);
+      this.announce(`${TOOL_NAMES[TOOL_SHORTCUTS[key]]} tool`);
+    } else {
+      handled = false;
+    }
+    
+    if (handled) {
+      event.preventDefault();
+      this.canvas.render();
+    }
   }
   
-  deactivate() {
-    this.active = false;
-    this.startPoint = null;
-    this.currentPoint = null;
+  announce(message) {
+    if (this.accessibilityManager) {
+      this.accessibilityManager.announceToScreenReader(message);
+    }
   }
   
-  handleMouseDown(event) {
-    if (!this.active) return;
+  undoRedo(action) {
+    const { historyIndex } = this.canvas;
+    this.manager[action]();
     
-    this.startPoint = this.canvas.getCanvasPoint(event);
+    if (this.canvas.historyIndex === historyIndex) {
+      this.announce(action === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+    } else {
+      const count = this.canvas.shapes.length;
+      this.announce(`${action === 'undo' ? 'Undone' : 'Redone'}. ${count} ${count === 1 ? 'shape' : 'shapes'}`);
+    }
   }
   
-  handleMouseMove(event) {
-    if (!this.active || !this.startPoint) return;
+  speakMeasurement(pixels) {
+    // Screen readers read the foot and inch marks as punctuation
+    const { measurementManager } = this.manager;
+    return measurementManager.formatMeasurement(measurementManager.pixelsToInches(pixels))
+      .replace(/'/g, ' ft')
+      .replace(/"/g, ' in');
+  }
+  
+  describeShape(shape) {
+    const dimensions = SHAPE_DIMENSIONS[shape.type]
+      ? SHAPE_DIMENSIONS[shape.type].map(key => {
+        return `${DIMENSION_LABELS[key].toLowerCase()} ${this.speakMeasurement(shape.properties[key])}`;
+      })
+      : [`${shape.getPoints().length} sides`];
+    
+    const parts = [SHAPE_NAMES[shape.type] || shape.type, ...dimensions];
+    parts.push(`area ${this.manager.measurementManager.calculateArea(shape).formatted}`);
+    
+    if (shape.rotation) {
+      parts.push(`rotated ${Math.round(shape.rotation)} degrees`);
+    }
     
-    this.currentPoint = this.canvas.getCanvasPoint(event);
-    this.canvas.render();
+    return parts.join(', ');
   }
   
-  handleMouseUp(event) {
-    if (!this.active || !this.startPoint) return;
+  cycleSelection(step) {
+    const { shapes, selectedShape } = this.canvas;
+    const current = selectedShape ? shapes.indexOf(selectedShape) : (step > 0 ? -1 : shapes.length);
+    const next = current + step;
     
-    const endPoint = this.canvas.getCanvasPoint(event);
-    this.complete(endPoint);
+    // Past the last shape Tab leaves the canvas, so keyboard users are never trapped
+    if (next < 0 || next >= shapes.length) {
+      this.canvas.deselectShape();
+      this.canvas.render();
+      return false;
+    }
     
-    this.startPoint = null;
-    this.currentPoint = null;
-    this.canvas.render();
+    this.canvas.selectShape(shapes[next]);
+    this.announce(`${this.describeShape(shapes[next])}. Shape ${next + 1} of ${shapes.length}`);
+    return true;
   }
   
-  complete(endPoint) {
-    // To be implemented by subclasses
-    console.warn('Complete method not implemented for base DrawingTool class');
+  getStep(large) {
+    // One inch or a foot, one centimeter or ten in metric
+    const metric = this.manager.measurementManager.unitSystem === 'metric';
+    const inches = metric ? (large ? 10 : 1) / 2.54 : (large ? 12 : 1);
+    return this.manager.measurementManager.inchesToPixels(inches);
   }
   
-  drawPreview(ctx) {
-    // To be implemented by subclasses
-    console.warn('DrawPreview method not implemented for base DrawingTool class');
+  nudgeSelected(direction, large) {
+    const shapes = this.canvas.selectedShapes;
+    
+    if (shapes.length === 0) {
+      this.announce('No shape selected');
+      return;
+    }
+    
+    const step = this.getStep(large);
+    const dx = direction === 'left' ? -step : direction === 'right' ? step : 0;
+    const dy = direction === 'up' ? -step : direction === 'down' ? step : 0;
+    
+    shapes.forEach(shape => {
+      shape.moveBy(dx, dy);
+      this.canvas.anchorToWalls(shape);
+    });
+    this.canvas.saveState();
+    this.canvas.onChange();
+    
+    this.announce(`Moved ${direction} ${this.speakMeasurement(step)}. ${this.describeShape(this.canvas.selectedShape)}`);
   }
-}
-
-class RectangleTool extends DrawingTool {
-  complete(endPoint) {
-    const x = Math.min(this.startPoint.x, endPoint.x);
-    const y = Math.min(this.startPoint.y, endPoint.y);
-    const width = Math.abs(endPoint.x - this.startPoint.x);
-    const depth = Math.abs(endPoint.y - this.startPoint.y);
+  
+  resizeSelected(direction, large) {
+    const shape = this.canvas.selectedShape;
     
-    if (width > 10 && depth > 10) {
-      const rectangle = new Rectangle(x, y, width, depth);
-      this.canvas.addShape(rectangle);
+    if (!shape) {
+      this.announce('No shape selected');
+      return;
+    }
+    if (!SHAPE_DIMENSIONS[shape.type]) {
+      this.announce(`${SHAPE_NAMES[shape.type]} cannot be resized from the keyboard`);
+      return;
+    }
+    
+    // Right and down grow the shape, left and up shrink it
+    const key = direction === 'left' || direction === 'right' ? 'width' : 'depth';
+    const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+    const { measurementManager } = this.manager;
+    const pixels = shape.properties[key] + sign * this.getStep(large);
+    
+    try {
+      this.manager.resizeShape(shape, { [key]: measurementManager.pixelsToInches(pixels) });
+      this.announce(this.describeShape(shape));
+    } catch (error) {
+      this.announce(error.message);
     }
   }
   
-  drawPreview(ctx) {
-    if (!this.startPoint || !this.currentPoint) return;
+  rotateSelected() {
+    if (!this.canvas.selectedShape) {
+      this.announce('No shape selected');
+      return;
+    }
     
-    const x = Math.min(this.startPoint.x, this.currentPoint.x);
-    const y = Math.min(this.startPoint.y, this.currentPoint.y);
-    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
-    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    this.manager.rotateSelected(90);
+    this.announce(this.describeShape(this.canvas.selectedShape));
+  }
+  
+  editDimensions() {
+    const shape = this.canvas.selectedShape;
+    const onDone = result => this.announce(this.describeShape(result));
     
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(x, y, width, depth);
-    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.stroke();
+    if (shape) {
+      if (!SHAPE_DIMENSIONS[shape.type]) {
+        this.announce(`${SHAPE_NAMES[shape.type]} dimensions cannot be typed`);
+        return;
+      }
+      this.manager.dimensionEditor.openShapeForm(shape.type, shape.getCenter(), shape, onDone);
+      return;
+    }
     
-    // Draw dimensions
-    if (width > 30 && depth > 30) {
-      const padding = 10;
-      const fontSize = 14;
-      
-      ctx.fillStyle = '#2c3e50';
-      ctx.font = `${fontSize}px Arial`;
-      ctx.textAlign = 'center';
-      ctx.setLineDash([]);
-      
-      // Width dimension
-      ctx.fillText(`${Math.round(width)}px`, x + width / 2, y - padding);
-      
-      // Depth dimension
-      ctx.save();
-      ctx.translate(x - padding, y + depth / 2);
-      ctx.rotate(-Math.PI / 2);
-      ctx.fillText(`${Math.round(depth)}px`, 0, 0);
-      ctx.restore();
+    // With nothing selected, Enter types a new shape of the active drawing tool's type
+    const { gridSize, offset, scale, activeTool, tools } = this.canvas;
+    const shapeTypes = { rectangle: 'rectangle', 'l-shape': 'L-shape', 'u-shape': 'U-shape', island: 'island' };
+    const toolName = Object.keys(tools).find(name => tools[name] === activeTool);
+    const type = shapeTypes[toolName] || tools.dimensions.shapeType;
+    
+    this.manager.dimensionEditor.openShapeForm(type, {
+      x: (gridSize - offset.x) / scale,
+      y: (gridSize - offset.y) / scale
+    }, null, onDone);
+  }
+  
+  deleteSelected() {
+    const count = this.manager.deleteSelected().length;
+    
+    if (count === 0) {
+      this.announce('No shape selected');
+      return;
     }
     
-    ctx.restore();
+    this.announce(`Deleted ${count === 1 ? 'shape' : `${count} shapes`}. ${this.canvas.shapes.length} remaining`);
+  }
+}
+
+class DrawingManager {
+  constructor(canvasElement, options = {}) {
+    this.canvas = new DrawingCanvas(canvasElement, options);
+    this.measurementManager = new MeasurementManager(this.canvas, options.unitSystem, {
+      maxSlabLength: options.maxSlabLength,
+      seamCutoutClearance: options.seamCutoutClearance,
+      fractionDenominator: options.fractionDenominator
+    });
+    
+    // Show dimensions in the current unit system rather than pixels
+    this.canvas.dimensionFormatter = pixels => {
+      return this.measurementManager.formatMeasurement(this.measurementManager.pixelsToInches(pixels));
+    };
+    
+    this.dimensionEditor = new DimensionEditor(this);
+    this.keyboardController = new KeyboardController(this, options.accessibilityManager);
+    this.project = null; // Set by DrawingProject when the drawing is one room of a project
+    // Asked before a cabinet change throws away countertop edits, returns true to go ahead
+    this.confirmDiscard = options.confirmDiscard || (message => window.confirm(message));
+    
+    // Register tools
+    this.registerTools();
+    
+    // Set default tool
+    this.setActiveTool('rectangle');
+  }
+  
+  registerTools() {
+    // Create tools
+    const rectangleTool = new RectangleTool(this.canvas);
+    const lShapeTool = new LShapeTool(this.canvas);
+    const uShapeTool = new UShapeTool(this.canvas);
+    const islandTool = new IslandTool(this.canvas);
+    const freehandTool = new FreehandTool(this.canvas);
+    const selectionTool = new SelectionTool(this.canvas);
+    const seamTool = new SeamTool(this.canvas, this.measurementManager);
+    const dimensionTool = new DimensionEntryTool(this.canvas, this.dimensionEditor);
+    const wallTool = new WallTool(this.canvas, this.measurementManager);
+    const calibrationTool = new CalibrationTool(this.canvas, this);
+    const cabinetTool = new CabinetTool(this.canvas, this);
+    
+    // Register tools with canvas
+    this.canvas.registerTool('rectangle', rectangleTool);
+    this.canvas.registerTool('l-shape', lShapeTool);
+    this.canvas.registerTool('u-shape', uShapeTool);
+    this.canvas.registerTool('island', islandTool);
+    this.canvas.registerTool('freehand', freehandTool);
+    this.canvas.registerTool('selection', selectionTool);
+    this.canvas.registerTool('seam', seamTool);
+    this.canvas.registerTool('dimensions', dimensionTool);
+    this.canvas.registerTool('wall', wallTool);
+    this.canvas.registerTool('calibrate', calibrationTool);
+    this.canvas.registerTool('cabinet', cabinetTool);
   }
-}
-
-class LShapeTool extends DrawingTool {
-  complete(endPoint) {
-    const x = Math.min(this.startPoint.x, endPoint.x);
-    const y = Math.min(this.startPoint.y, endPoint.y);
-    const width = Math.abs(endPoint.x - this.startPoint.x);
-    const depth = Math.abs(endPoint.y - this.startPoint.y);
-    
-    if (width > 20 && depth > 20) {
-      // Default cutout is 1/3 of the total size
-      const cutoutWidth = width / 3;
-      const cutoutDepth = depth / 3;
-      
-      const lShape = new LShape(x, y, width, depth, cutoutWidth, cutoutDepth);
-      this.canvas.addShape(lShape);
-    }
+  
+  setActiveTool(toolName) {
+    this.canvas.setActiveTool(toolName);
   }
   
-  drawPreview(ctx) {
-    if (!this.startPoint || !this.currentPoint) return;
+  undo() {
+    this.canvas.undo();
+  }
+  
+  redo() {
+    this.canvas.redo();
+  }
+  
+  clear() {
+    this.canvas.clearShapes();
+  }
+  
+  deleteSelected() {
+    const selected = this.canvas.selectedShapes;
     
-    const x = Math.min(this.startPoint.x, this.currentPoint.x);
-    const y = Math.min(this.startPoint.y, this.currentPoint.y);
-    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
-    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    if (selected.length === 0) {
+      return [];
+    }
     
-    if (width < 20 || depth < 20) return;
+    this.canvas.shapes = this.canvas.shapes.filter(shape => !selected.includes(shape));
+    this.canvas.clearSelection();
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
     
-    // Default cutout is 1/3 of the total size
-    const cutoutWidth = width / 3;
-    const cutoutDepth = depth / 3;
+    return selected;
+  }
+  
+  getSelectionCenter(shapes) {
+    const points = [];
+    shapes.forEach(shape => points.push(...shape.getWorldPoints()));
     
-    ctx.save();
+    const bounds = Shape.polygonBounds(points);
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.depth / 2 };
+  }
+  
+  rotateSelected(degrees = 90) {
+    const shapes = this.canvas.selectedShapes;
+    if (shapes.length === 0) return;
     
-    // Draw L-shape using path
-    ctx.beginPath();
-    ctx.moveTo(x, y);
-    ctx.lineTo(x + width, y);
-    ctx.lineTo(x + width, y + depth);
-    ctx.lineTo(x + width - cutoutWidth, y + depth);
-    ctx.lineTo(x + width - cutoutWidth, y + depth - cutoutDepth);
-    ctx.lineTo(x, y + depth - cutoutDepth);
-    ctx.closePath();
+    // Turn the selection as one piece around its combined center
+    const pivot = this.getSelectionCenter(shapes);
     
-    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.stroke();
+    shapes.forEach(shape => {
+      const center = shape.getCenter();
+      const moved = Shape.rotatePoint(center, pivot, degrees);
+      
+      shape.moveBy(moved.x - center.x, moved.y - center.y);
+      shape.rotateBy(degrees);
+      this.canvas.anchorToWalls(shape);
+    });
     
-    ctx.restore();
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
   }
-}
-
-class UShapeTool extends DrawingTool {
-  complete(endPoint) {
-    const x = Math.min(this.startPoint.x, endPoint.x);
-    const y = Math.min(this.startPoint.y, endPoint.y);
-    const width = Math.abs(endPoint.x - this.startPoint.x);
-    const depth = Math.abs(endPoint.y - this.startPoint.y);
+  
+  setRotation(shape, degrees) {
+    shape.rotation = 0;
+    shape.rotateBy(degrees);
+    this.canvas.anchorToWalls(shape);
     
-    if (width > 30 && depth > 30) {
-      // Default cutouts
-      const leftCutoutWidth = width / 4;
-      const rightCutoutWidth = width / 4;
-      const cutoutDepth = depth / 3;
-      
-      const uShape = new UShape(
-        x, y, width, depth, 
-        leftCutoutWidth, rightCutoutWidth, cutoutDepth
-      );
-      this.canvas.addShape(uShape);
-    }
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
   }
   
-  drawPreview(ctx) {
-    if (!this.startPoint || !this.currentPoint) return;
-    
-    const x = Math.min(this.startPoint.x, this.currentPoint.x);
-    const y = Math.min(this.startPoint.y, this.currentPoint.y);
-    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
-    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+  convertToCustomShape(shape) {
+    if (shape.type === 'custom') return shape;
     
-    if (width < 30 || depth < 30) return;
-    
-    // Default cutouts
-    const leftCutoutWidth = width / 4;
-    const rightCutoutWidth = width / 4;
-    const cutoutDepth = depth / 3;
+    return this.replaceShape(shape, shape.toCustomShape());
+  }
+  
+  setCornerRadius(shape, index, radius) {
+    // Radius is a typed measurement or inches; other shape types become custom shapes
+    const target = shape.type === 'custom' ? shape : shape.toCustomShape();
+    const pixels = this.measurementManager.inchesToPixels(this.measurementManager.parseMeasurement(radius));
     
-    ctx.save();
+    target.setCornerRadius(index, pixels);
     
-    // Draw U-shape using path
-    ctx.beginPath();
-    ctx.moveTo(x, y);
-    ctx.lineTo(x + width, y);
-    ctx.lineTo(x + width, y + depth);
-    ctx.lineTo(x, y + depth);
-    ctx.lineTo(x, y + depth - cutoutDepth);
-    ctx.lineTo(x + leftCutoutWidth, y + depth - cutoutDepth);
-    ctx.lineTo(x + leftCutoutWidth, y + depth - 2);
-    ctx.lineTo(x + width - rightCutoutWidth, y + depth - 2);
-    ctx.lineTo(x + width - rightCutoutWidth, y + depth - cutoutDepth);
-    ctx.lineTo(x + width, y + depth - cutoutDepth);
-    ctx.lineTo(x + width, y);
-    ctx.closePath();
+    return this.replaceShape(shape, target);
+  }
+  
+  setEdgeCurve(shape, index, bulge) {
+    const target = shape.type === 'custom' ? shape : shape.toCustomShape();
     
-    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.stroke();
+    target.setEdgeCurve(index, bulge);
     
-    ctx.restore();
+    return this.replaceShape(shape, target);
   }
-}
-
-class IslandTool extends DrawingTool {
-  complete(endPoint) {
-    const x = Math.min(this.startPoint.x, endPoint.x);
-    const y = Math.min(this.startPoint.y, endPoint.y);
-    const width = Math.abs(endPoint.x - this.startPoint.x);
-    const depth = Math.abs(endPoint.y - this.startPoint.y);
+  
+  replaceShape(shape, replacement) {
+    const index = this.canvas.shapes.indexOf(shape);
     
-    if (width > 10 && depth > 10) {
-      const island = new Island(x, y, width, depth);
-      this.canvas.addShape(island);
+    if (index !== -1 && replacement !== shape) {
+      this.canvas.shapes[index] = replacement;
+      
+      if (this.canvas.selectedShapes.includes(shape)) {
+        this.canvas.selectShape(replacement);
+      }
     }
+    
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
+    
+    return replacement;
   }
   
-  drawPreview(ctx) {
-    if (!this.startPoint || !this.currentPoint) return;
+  groupSelected() {
+    const shapes = this.canvas.selectedShapes;
+    if (shapes.length < 2) return null;
     
-    const x = Math.min(this.startPoint.x, this.currentPoint.x);
-    const y = Math.min(this.startPoint.y, this.currentPoint.y);
-    const width = Math.abs(this.currentPoint.x - this.startPoint.x);
-    const depth = Math.abs(this.currentPoint.y - this.startPoint.y);
+    const groupId = `group_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    shapes.forEach(shape => {
+      shape.groupId = groupId;
+    });
     
-    ctx.save();
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
     
-    // Draw rectangle
-    ctx.beginPath();
-    ctx.rect(x, y, width, depth);
-    ctx.fillStyle = 'rgba(209, 224, 243, 0.5)';
-    ctx.fill();
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.stroke();
+    return groupId;
+  }
+  
+  ungroupSelected() {
+    const shapes = this.canvas.selectedShapes.filter(shape => shape.groupId);
+    if (shapes.length === 0) return;
     
-    // Add island indicator
-    if (width > 30 && depth > 30) {
-      ctx.beginPath();
-      ctx.moveTo(x + width / 4, y + depth / 2);
-      ctx.lineTo(x + width * 3 / 4, y + depth / 2);
-      ctx.moveTo(x + width / 2, y + depth / 4);
-      ctx.lineTo(x + width / 2, y + depth * 3 / 4);
-      ctx.strokeStyle = '#2c3e50';
-      ctx.lineWidth = 1;
-      ctx.setLineDash([]);
-      ctx.stroke();
-    }
+    shapes.forEach(shape => {
+      shape.groupId = null;
+    });
     
-    ctx.restore();
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
   }
-}
-
-class FreehandTool extends DrawingTool {
-  constructor(canvas) {
-    super(canvas);
-    this.points = [];
-    this.minDistance = 10; // Minimum distance between points
+  
+  zoom(factor) {
+    // Zoom buttons keep the middle of the canvas in place
+    this.canvas.zoomAt(this.canvas.scale * factor, { x: this.canvas.width / 2, y: this.canvas.height / 2 });
   }
   
-  handleMouseDown(event) {
-    if (!this.active) return;
-    
-    this.startPoint = this.canvas.getCanvasPoint(event);
-    this.points = [this.startPoint];
+  resetView() {
+    this.canvas.setView(1, { x: 0, y: 0 });
   }
   
-  handleMouseMove(event) {
-    if (!this.active || !this.startPoint) return;
+  setSnapping(options) {
+    this.canvas.snapManager.configure(options);
+  }
+  
+  setWallsVisible(visible) {
+    this.canvas.showWalls = visible;
+    this.canvas.render();
+  }
+  
+  removeWall(wall) {
+    this.canvas.removeWall(wall);
+    this.canvas.render();
+  }
+  
+  clearWalls() {
+    this.canvas.clearWalls();
+    this.canvas.render();
+  }
+  
+  setCabinetType(type) {
+    this.canvas.tools.cabinet.setCabinetType(type);
+  }
+  
+  setCabinetsVisible(visible) {
+    this.canvas.showCabinets = visible;
+    this.canvas.render();
+  }
+  
+  parseCabinetWidth(type, width) {
+    const info = CABINET_TYPES[type];
     
-    this.currentPoint = this.canvas.getCanvasPoint(event);
+    if (!info) {
+      throw new Error(`Unknown cabinet type: ${type}`);
+    }
     
-    // Add point if it's far enough from the last point
-    const lastPoint = this.points[this.points.length - 1];
-    const dx = this.currentPoint.x - lastPoint.x;
-    const dy = this.currentPoint.y - lastPoint.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    // Without a width, the widest standard size
+    if (width === undefined) {
+      return this.measurementManager.inchesToPixels(info.widths[info.widths.length - 1]);
+    }
     
-    if (distance >= this.minDistance) {
-      this.points.push(this.currentPoint);
+    try {
+      return this.measurementManager.inchesToPixels(this.measurementManager.parseMeasurement(width));
+    } catch (error) {
+      throw new Error(`${info.name} width: ${error.message}`);
+    }
+  }
+  
+  fillCabinetRun(inches) {
+    // Standard base cabinets, widest first, with any remainder left for a filler
+    const widths = [...CABINET_TYPES.base.widths].reverse();
+    const cabinets = [];
+    let remaining = inches;
+    
+    while (remaining >= widths[widths.length - 1]) {
+      const width = widths.find(size => size <= remaining);
+      cabinets.push({ type: 'base', width });
+      remaining -= width;
     }
     
+    return cabinets;
+  }
+  
+  buildCabinetRun(start, rotation, cabinets, options = {}) {
+    // Widths and depth are in inches, or measurement text
+    const specs = cabinets.map(({ type, width }) => ({ type, width: this.parseCabinetWidth(type, width) }));
+    const depth = this.measurementManager.inchesToPixels(
+      options.depth !== undefined ? this.measurementManager.parseMeasurement(options.depth) : CABINET_DEPTH
+    );
+    
+    const run = new CabinetRun(start.x, start.y, rotation, depth, specs);
+    run.ends = { ...run.ends, ...options.ends };
+    return run;
+  }
+  
+  createCabinetRun(start, rotation, cabinets, options = {}) {
+    const run = this.buildCabinetRun(start, rotation, cabinets, options);
+    this.addCabinetRun(run);
+    return run;
+  }
+  
+  addCabinetRun(run) {
+    // The run and its countertops are one undo step
+    this.placeCountertops(run);
+    this.canvas.addCabinetRun(run);
     this.canvas.render();
   }
   
-  complete(endPoint) {
-    if (this.points.length < 3) return;
+  removeCabinetRun(run) {
+    // Edited countertops go with the run only when the user agrees, otherwise they stay as ordinary shapes
+    const removed = this.canvas.shapes.filter(shape => run.countertopIds.includes(shape.id)).filter(shape => {
+      return !this.isCountertopEdited(shape) ||
+        this.confirmDiscard('A countertop with edges, seams or cutouts set by hand sits on this cabinet run. Remove it too?');
+    });
     
-    // Simplify the points to reduce complexity
-    const simplifiedPoints = this.simplifyPoints(this.points, 5);
+    this.canvas.shapes = this.canvas.shapes.filter(shape => !removed.includes(shape));
+    run.countertopIds = [];
+    this.canvas.clearSelection();
+    this.canvas.removeCabinetRun(run);
+    this.canvas.render();
+  }
+  
+  getCabinet(run, index) {
+    const cabinet = run.cabinets[index];
     
-    if (simplifiedPoints.length >= 3) {
-      const customShape = new CustomShape(simplifiedPoints);
-      this.canvas.addShape(customShape);
+    if (!cabinet) {
+      throw new Error(`Cabinet not found: ${index}`);
     }
+    
+    return cabinet;
   }
   
-  drawPreview(ctx) {
-    if (this.points.length < 2) return;
-    
-    ctx.save();
+  setCabinet(run, index, changes) {
+    const cabinet = this.getCabinet(run, index);
+    const type = changes.type || cabinet.type;
+    let width;
     
-    ctx.beginPath();
-    ctx.moveTo(this.points[0].x, this.points[0].y);
+    if (!CABINET_TYPES[type]) {
+      throw new Error(`Unknown cabinet type: ${type}`);
+    }
     
-    for (let i = 1; i < this.points.length; i++) {
-      ctx.lineTo(this.points[i].x, this.points[i].y);
+    if (changes.width !== undefined) {
+      width = this.parseCabinetWidth(type, changes.width);
+    } else {
+      // A new type keeps the width when it comes in that size, otherwise takes the closest standard one
+      const inches = this.measurementManager.pixelsToInches(cabinet.width);
+      const closest = CABINET_TYPES[type].widths.reduce((best, size) => {
+        return Math.abs(size - inches) < Math.abs(best - inches) ? size : best;
+      });
+      width = Math.abs(closest - inches) < 0.01 ? cabinet.width : this.parseCabinetWidth(type, closest);
     }
     
-    if (this.currentPoint && this.points.length > 0) {
-      ctx.lineTo(this.currentPoint.x, this.currentPoint.y);
+    const before = this.getCabinetLayout(run);
+    // Changed in place so countertop edits over the cabinet stay with it
+    Object.assign(cabinet, { type, width });
+    this.refreshCabinetRun(run, before);
+    return cabinet;
+  }
+  
+  insertCabinet(run, index, type, width) {
+    const before = this.getCabinetLayout(run);
+    run.cabinets.splice(index, 0, { type, width: this.parseCabinetWidth(type, width) });
+    this.refreshCabinetRun(run, before);
+    return run.cabinets[index];
+  }
+  
+  removeCabinet(run, index) {
+    this.getCabinet(run, index);
+    
+    if (run.cabinets.length === 1) {
+      this.removeCabinetRun(run);
+      return;
     }
     
-    ctx.strokeStyle = '#2c3e50';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.stroke();
-    
-    ctx.restore();
+    const before = this.getCabinetLayout(run);
+    run.cabinets.splice(index, 1);
+    this.refreshCabinetRun(run, before);
   }
   
-  simplifyPoints(points, tolerance) {
-    if (points.length <= 2) return points;
-    
-    // Douglas-Peucker algorithm
-    const findPerpendicularDistance = (p, p1, p2) => {
-      const slope = (p2.y - p1.y) / (p2.x - p1.x);
-      const intercept = p1.y - (slope * p1.x);
+  setCabinetRunEnds(run, ends) {
+    run.ends = { ...run.ends, ...ends };
+    this.refreshCabinetRun(run);
+  }
+  
+  refreshCabinetRun(run, before) {
+    this.placeCountertops(run, before);
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
+  }
+  
+  placeCountertops(run, before = this.getCabinetLayout(run)) {
+    const { canvas } = this;
+    const moveAlongRun = x => this.moveWithCabinets(run, before, x);
+    const layouts = run.getCountertopSpans().map(span => this.layoutCountertop(run, span));
+    const existing = run.countertopIds
+      .map(id => canvas.shapes.find(shape => shape.id === id))
+      .filter(Boolean);
+    const matches = new Map();
+    const used = new Set();
+    const removed = [];
+    
+    // Each countertop stays with the span it overlaps most, biggest overlaps first
+    const pairs = [];
+    existing.forEach(shape => {
+      const extent = this.getCountertopExtent(run, shape);
+      const start = moveAlongRun(extent.start);
+      const end = moveAlongRun(extent.end);
       
-      if (isFinite(slope)) {
-        // For non-vertical lines
-        const a = -slope;
-        const b = 1;
-        const c = -intercept;
-        return Math.abs(a * p.x + b * p.y + c) / Math.sqrt(a * a + b * b);
-      } else {
-        // For vertical lines
-        return Math.abs(p.x - p1.x);
+      layouts.forEach(layout => {
+        const overlap = Math.min(end, layout.start + layout.width) - Math.max(start, layout.start);
+        if (overlap > 0) pairs.push({ shape, layout, overlap });
+      });
+    });
+    pairs.sort((a, b) => b.overlap - a.overlap).forEach(({ shape, layout }) => {
+      if (!matches.has(layout) && !used.has(shape)) {
+        matches.set(layout, shape);
+        used.add(shape);
       }
-    };
+    });
     
-    const douglasPeucker = (points, startIndex, endIndex, tolerance) => {
-      if (endIndex <= startIndex + 1) {
-        return;
-      }
-      
-      let maxDistance = 0;
-      let maxIndex = 0;
+    const shapes = layouts.map(layout => {
+      const match = matches.get(layout);
       
-      const startPoint = points[startIndex];
-      const endPoint = points[endIndex];
+      if (!match) {
+        return this.fitCountertop(new Rectangle(0, 0, 0, 0), run, layout);
+      }
       
-      for (let i = startIndex + 1; i < endIndex; i++) {
-        const distance = findPerpendicularDistance(points[i], startPoint, endPoint);
-        
-        if (distance > maxDistance) {
-          maxDistance = distance;
-          maxIndex = i;
-        }
+      if (match.type === 'rectangle') {
+        return this.fitCountertop(match, run, layout, moveAlongRun);
       }
       
-      if (maxDistance > tolerance) {
-        // Recursively simplify the two segments
-        douglasPeucker(points, startIndex, maxIndex, tolerance);
-        douglasPeucker(points, maxIndex, endIndex, tolerance);
-      } else {
-        // Mark points between start and end for removal
-        for (let i = startIndex + 1; i < endIndex; i++) {
-          points[i].remove = true;
-        }
+      // Countertops reshaped into custom outlines cannot follow the cabinets, declining keeps them as they are
+      if (!this.confirmDiscard('A countertop on this cabinet run was reshaped by hand. Replace it with one that fits the new cabinets?')) {
+        return null;
+      }
+      removed.push(match);
+      const replacement = this.fitCountertop(new Rectangle(0, 0, 0, 0), run, layout);
+      replacement.id = match.id;
+      return replacement;
+    }).filter(Boolean);
+    
+    // Countertops left without cabinets are removed, edited ones only when the user agrees
+    existing.filter(shape => !used.has(shape)).forEach(shape => {
+      if (!this.isCountertopEdited(shape) ||
+          this.confirmDiscard('A countertop with edges, seams or cutouts set by hand no longer sits on any cabinets. Remove it?')) {
+        removed.push(shape);
       }
+    });
+    
+    const kept = canvas.shapes.filter(shape => !removed.includes(shape));
+    canvas.shapes = [...kept, ...shapes.filter(shape => !kept.includes(shape))];
+    if (canvas.selectedShapes.some(shape => removed.includes(shape))) {
+      canvas.clearSelection();
+    }
+    
+    // Countertops the user chose to keep stay on the drawing as ordinary shapes
+    run.countertopIds = shapes.map(shape => shape.id);
+    return shapes;
+  }
+  
+  layoutCountertop(run, span) {
+    // Where the countertop over a span goes, in run coordinates, and the cutouts its cabinets need
+    const { measurementManager } = this;
+    const front = measurementManager.inchesToPixels(COUNTERTOP_OVERHANG.front);
+    const side = measurementManager.inchesToPixels(COUNTERTOP_OVERHANG.side);
+    const clearance = measurementManager.inchesToPixels(CUTOUT_SIDE_CLEARANCE);
+    
+    // Open ends overhang the cabinet side, ends beside a range or fridge stop flush
+    const left = span.atLeftEnd && run.ends.left === 'open' ? side : 0;
+    const right = span.atRightEnd && run.ends.right === 'open' ? side : 0;
+    const start = span.start - left;
+    const width = span.end + right - start;
+    
+    // Sinks and cooktops are centered over their base, narrowed to fit inside it
+    const cutouts = [];
+    span.indices.forEach(index => {
+      const cabinet = run.cabinets[index];
+      const type = CABINET_TYPES[cabinet.type].cutout;
+      if (!type) return;
+      
+      const cutoutWidth = Math.min(measurementManager.inchesToPixels(CUTOUT_TYPES[type].width), cabinet.width - 2 * clearance);
+      const cutoutDepth = measurementManager.inchesToPixels(CUTOUT_TYPES[type].depth);
+      const middle = run.getCabinetStart(index) + cabinet.width / 2 - start;
+      
+      const cutout = new Cutout(type, middle - cutoutWidth / 2, (run.depth - cutoutDepth) / 2, cutoutWidth, cutoutDepth);
+      cutout.fromCabinet = true;
+      cutouts.push(cutout);
+    });
+    
+    return {
+      start,
+      width,
+      depth: run.depth + front,
+      // Back edge against the wall, side edges only at wall ends
+      wallEdges: {
+        0: true,
+        1: span.atRightEnd && run.ends.right === 'wall',
+        3: span.atLeftEnd && run.ends.left === 'wall'
+      },
+      cutouts
     };
+  }
+  
+  fitCountertop(shape, run, layout, moveAlongRun = x => x) {
+    // Edges, seams and cutouts set by hand survive, cabinet cutouts are laid out again
+    const oldStart = shape.properties.width > 0 ? this.getCountertopExtent(run, shape).start : layout.start;
+    const move = x => moveAlongRun(oldStart + x) - layout.start;
+    
+    // Rotating about the center puts the rectangle back on the run
+    const center = run.toWorld({ x: layout.start + layout.width / 2, y: layout.depth / 2 });
+    shape.resize({
+      x: center.x - layout.width / 2,
+      y: center.y - layout.depth / 2,
+      width: layout.width,
+      depth: layout.depth
+    });
+    shape.rotation = (run.rotation % 360 + 360) % 360;
     
-    // Clone points to avoid modifying the original array
-    const workingPoints = points.map(p => ({ x: p.x, y: p.y, remove: false }));
+    // Hand-placed cutouts and seams stay over the same cabinets
+    shape.cutouts = shape.cutouts.filter(cutout => !cutout.fromCabinet);
+    shape.cutouts.forEach(cutout => {
+      const half = cutout.properties.width / 2;
+      cutout.properties.x = move(cutout.properties.x + half) - half;
+    });
+    shape.seams.forEach(seam => {
+      seam.properties.x1 = move(seam.properties.x1);
+      seam.properties.x2 = move(seam.properties.x2);
+    });
+    layout.cutouts.forEach(cutout => shape.addCutout(cutout));
     
-    // Apply Douglas-Peucker algorithm
-    douglasPeucker(workingPoints, 0, workingPoints.length - 1, tolerance);
+    // Edges the user set to something other than a wall are left alone
+    Object.entries(layout.wallEdges).forEach(([key, wall]) => {
+      const index = Number(key);
+      const settings = shape.edges[index];
+      
+      if (wall && (!settings || settings.anchored)) {
+        shape.setEdge(index, { type: 'wall' });
+      } else if (!wall && settings && settings.type === 'wall' && !settings.anchored) {
+        shape.clearEdge(index);
+      }
+    });
     
-    // Filter out points marked for removal
-    return workingPoints.filter(p => !p.remove);
+    this.canvas.anchorToWalls(shape);
+    return shape;
   }
-}
-
-class SelectionTool extends DrawingTool {
-  constructor(canvas) {
-    super(canvas);
-    this.selectedShape = null;
-    this.dragOffset = { x: 0, y: 0 };
-    this.isDragging = false;
+  
+  getCabinetLayout(run) {
+    // Cabinets with their widths at this moment, to follow them through a change
+    return run.cabinets.map(cabinet => ({ cabinet, width: cabinet.width }));
   }
   
-  handleMouseDown(event) {
-    if (!this.active) return;
+  moveWithCabinets(run, before, x) {
+    // A point along the run keeps its place over the cabinet it was over before the change
+    let start = 0;
+    const previous = before.map(entry => {
+      const placed = { ...entry, start };
+      start += entry.width;
+      return placed;
+    });
     
-    this.startPoint = this.canvas.getCanvasPoint(event);
+    let index = previous.findIndex(entry => x < entry.start + entry.width);
+    if (index === -1) index = previous.length - 1;
     
-    // Check if clicked on a shape
-    const clickedShape = this.canvas.findShapeAt(this.startPoint);
+    // When that cabinet is gone, the nearest one still in the run carries the point
+    const order = [index];
+    for (let i = index - 1; i >= 0; i--) order.push(i);
+    for (let i = index + 1; i < previous.length; i++) order.push(i);
     
-    if (clickedShape) {
-      this.selectedShape = clickedShape;
-      this.canvas.selectShape(clickedShape);
+    for (const i of order) {
+      const { cabinet, width, start: oldStart } = previous[i];
+      const current = run.cabinets.indexOf(cabinet);
+      if (current === -1) continue;
       
-      // Calculate drag offset
-      this.dragOffset = {
-        x: this.startPoint.x - clickedShape.properties.x,
-        y: this.startPoint.y - clickedShape.properties.y
-      };
+      const newStart = run.getCabinetStart(current);
+      const offset = x - oldStart;
       
-      this.isDragging = true;
-    } else {
-      this.canvas.deselectShape();
-      this.selectedShape = null;
-      this.isDragging = false;
+      // Inside the cabinet the point scales with its width, outside it keeps its distance
+      if (offset < 0) return newStart + offset;
+      if (offset > width) return newStart + cabinet.width + offset - width;
+      return newStart + (width > 0 ? offset * cabinet.width / width : 0);
     }
+    
+    return x;
   }
   
-  handleMouseMove(event) {
-    if (!this.active || !this.isDragging || !this.selectedShape) return;
+  getCountertopExtent(run, shape) {
+    // Start and end of a countertop along its run
+    const half = shape.getBoundingBox().width / 2;
+    const middle = run.toLocal(shape.getCenter()).x;
+    return { start: middle - half, end: middle + half };
+  }
+  
+  isCountertopEdited(shape) {
+    return shape.type !== 'rectangle' ||
+      shape.seams.length > 0 ||
+      shape.cutouts.some(cutout => !cutout.fromCabinet) ||
+      Object.values(shape.edges).some(settings => settings.type !== 'wall');
+  }
+  
+  setUnitSystem(system) {
+    this.measurementManager.setUnitSystem(system);
+    this.canvas.render();
+  }
+  
+  setScale(pixelsPerInch) {
+    this.measurementManager.setScale(pixelsPerInch);
+    this.canvas.render();
+  }
+  
+  calibrateScale(start, end, distance) {
+    // The real distance between two points picked on the underlay sets the pixels per inch,
+    // which a project keeps for the current room only
+    if (distance === undefined || distance === '') {
+      throw new Error('Enter the real distance between the two points');
+    }
     
-    this.currentPoint = this.canvas.getCanvasPoint(event);
+    const inches = this.measurementManager.parseMeasurement(distance);
+    const pixels = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
+    
+    if (!(inches > 0)) {
+      throw new Error('The real distance must be greater than 0');
+    }
+    if (pixels === 0) {
+      throw new Error('Pick two different points');
+    }
     
-    // Update shape position
-    this.selectedShape.properties.x = this.currentPoint.x - this.dragOffset.x;
-    this.selectedShape.properties.y = this.currentPoint.y - this.dragOffset.y;
+    this.setScale(pixels / inches);
+    this.canvas.onChange();
     
-    this.canvas.render();
+    return this.measurementManager.pixelsPerInch;
   }
   
-  handleMouseUp(event) {
-    if (!this.active || !this.isDragging) return;
+  async loadUnderlay(file, options = {}) {
+    const image = file.type === 'application/pdf'
+      ? await this.renderPdfPage(file, options)
+      : await createImageBitmap(file);
+    
+    // Start at the top left of the visible area
+    const { offset, scale } = this.canvas;
+    this.canvas.setUnderlay({
+      image,
+      x: options.x !== undefined ? options.x : -offset.x / scale,
+      y: options.y !== undefined ? options.y : -offset.y / scale,
+      opacity: options.opacity
+    });
     
-    this.isDragging = false;
+    return this.canvas.underlay;
+  }
+  
+  async renderPdfPage(file, options = {}) {
+    const pdfjs = options.pdfjsLib || window.pdfjsLib;
     
-    if (this.selectedShape) {
-      this.canvas.saveState();
+    if (!pdfjs) {
+      throw new Error('PDF plans need pdf.js (pdfjsLib) loaded on the page');
+    }
+    
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    const page = await pdf.getPage(options.page || 1);
+    
+    // Render above screen resolution so the plan stays sharp when zoomed in
+    const viewport = page.getViewport({ scale: options.renderScale || 2 });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    pdf.destroy();
+    
+    return canvas;
+  }
+  
+  setUnderlayOpacity(opacity) {
+    if (this.canvas.underlay) {
+      this.canvas.underlay.opacity = Math.min(1, Math.max(0, opacity));
+      this.canvas.render();
     }
   }
   
-  drawPreview(ctx) {
-    // No preview needed for selection tool
+  setUnderlayVisible(visible) {
+    if (this.canvas.underlay) {
+      this.canvas.underlay.visible = visible;
+      this.canvas.render();
+    }
   }
-}
-
-class MeasurementManager {
-  constructor(canvas, unitSystem = 'imperial') {
-    this.canvas = canvas;
-    this.unitSystem = unitSystem; // 'imperial' or 'metric'
-    this.pixelsPerInch = 10; // Default scale: 10 pixels = 1 inch
+  
+  removeUnderlay() {
+    this.canvas.clearUnderlay();
   }
   
-  setUnitSystem(system) {
-    this.unitSystem = system;
+  calculateTotalArea() {
+    return this.measurementManager.calculateTotalArea();
   }
   
-  setScale(pixelsPerInch) {
-    this.pixelsPerInch = pixelsPerInch;
+  calculateEdgeTotals() {
+    return this.measurementManager.calculateEdgeTotals();
   }
   
-  pixelsToInches(pixels) {
-    return pixels / this.pixelsPerInch;
+  calculateFinishedEdgeLength() {
+    return this.measurementManager.calculateFinishedEdgeLength();
   }
   
-  inchesToPixels(inches) {
-    return inches * this.pixelsPerInch;
+  getShapeMeasurements(shape) {
+    return this.measurementManager.getShapeMeasurements(shape);
   }
   
-  formatMeasurement(inches) {
-    if (this.unitSystem === 'imperial') {
-      const feet = Math.floor(inches / 12);
-      const remainingInches = Math.round(inches % 12 * 10) / 10;
-      
-      if (feet > 0) {
-        return `${feet}' ${remainingInches}"`;
-      } else {
-        return `${remainingInches}"`;
-      }
-    } else {
-      // Convert to centimeters for metric
-      const cm = Math.round(inches * 2.54 * 10) / 10;
-      return `${cm} cm`;
-    }
+  getBreakdownByType() {
+    return this.measurementManager.getBreakdownByType();
   }
   
-  calculateArea(shape) {
-    const areaInSquarePixels = shape.getArea();
-    const areaInSquareInches = this.pixelsToInches(Math.sqrt(areaInSquarePixels)) ** 2;
-    
-    if (this.unitSystem === 'imperial') {
-      const areaInSquareFeet = areaInSquareInches / 144;
-      return {
-        value: areaInSquareFeet,
-        formatted: `${Math.round(areaInSquareFeet * 100) / 100} sq ft`
-      };
-    } else {
-      const areaInSquareMeters = areaInSquareInches * 0.00064516;
-      return {
-        value: areaInSquareMeters,
-        formatted: `${Math.round(areaInSquareMeters * 100) / 100} m²`
-      };
-    }
+  countCutouts() {
+    return this.measurementManager.countCutouts();
   }
   
-  calculateTotalArea() {
-    let totalArea = 0;
-    
-    this.canvas.shapes.forEach(shape => {
-      totalArea += this.calculateArea(shape).value;
-    });
-    
-    return {
-      value: totalArea,
-      formatted: this.unitSystem === 'imperial' 
-        ? `${Math.round(totalArea * 100) / 100} sq ft`
-        : `${Math.round(totalArea * 100) / 100} m²`
-    };
+  calculateSeams() {
+    return this.measurementManager.calculateSeams();
   }
-}
-
-class DrawingManager {
-  constructor(canvasElement, options = {}) {
-    this.canvas = new DrawingCanvas(canvasElement, options);
-    this.measurementManager = new MeasurementManager(this.canvas, options.unitSystem);
-    
-    // Register tools
-    this.registerTools();
-    
-    // Set default tool
-    this.setActiveTool('rectangle');
+  
+  setDimensionEntryShape(type) {
+    this.canvas.tools.dimensions.setShapeType(type);
   }
   
-  registerTools() {
-    // Create tools
-    const rectangleTool = new RectangleTool(this.canvas);
-    const lShapeTool = new LShapeTool(this.canvas);
-    const uShapeTool = new UShapeTool(this.canvas);
-    const islandTool = new IslandTool(this.canvas);
-    const freehandTool = new FreehandTool(this.canvas);
-    const selectionTool = new SelectionTool(this.canvas);
+  parseDimensions(dimensions) {
+    // Typed text is parsed as a measurement, numbers are taken as inches
+    const pixels = {};
+    
+    Object.keys(dimensions).forEach(key => {
+      try {
+        const inches = this.measurementManager.parseMeasurement(dimensions[key]);
+        pixels[key] = this.measurementManager.inchesToPixels(inches);
+      } catch (error) {
+        throw new Error(`${DIMENSION_LABELS[key] || key}: ${error.message}`);
+      }
+    });
     
-    // Register tools with canvas
-    this.canvas.registerTool('rectangle', rectangleTool);
-    this.canvas.registerTool('l-shape', lShapeTool);
-    this.canvas.registerTool('u-shape', uShapeTool);
-    this.canvas.registerTool('island', islandTool);
-    this.canvas.registerTool('freehand', freehandTool);
-    this.canvas.registerTool('selection', selectionTool);
+    return pixels;
   }
   
-  setActiveTool(toolName) {
-    this.canvas.setActiveTool(toolName);
+  createShapeFromDimensions(type, dimensions, position = {}) {
+    const pixels = this.parseDimensions(dimensions);
+    const { width, depth } = pixels;
+    
+    if (!width || !depth) {
+      throw new Error('Width and depth are required');
+    }
+    
+    // Place new shapes just inside the visible area unless a position is given
+    const { gridSize, offset, scale } = this.canvas;
+    const x = position.x !== undefined ? position.x : (gridSize - offset.x) / scale;
+    const y = position.y !== undefined ? position.y : (gridSize - offset.y) / scale;
+    
+    // Cutouts default to the same proportions as the drawing tools
+    let shape;
+    switch (type) {
+      case 'rectangle':
+        shape = new Rectangle(x, y, width, depth);
+        break;
+      case 'island':
+        shape = new Island(x, y, width, depth);
+        break;
+      case 'L-shape':
+        shape = new LShape(x, y, width, depth, width / 3, depth / 3);
+        break;
+      case 'U-shape':
+        shape = new UShape(x, y, width, depth, width / 4, width / 4, depth / 3);
+        break;
+      default:
+        throw new Error(`Dimensions cannot be typed for a ${type} shape`);
+    }
+    
+    shape.setDimensions(pixels);
+    
+    this.canvas.addShape(shape);
+    this.canvas.selectShape(shape);
+    this.canvas.render();
+    
+    return shape;
   }
   
-  undo() {
-    this.canvas.undo();
+  resizeShape(shape, dimensions) {
+    shape.setDimensions(this.parseDimensions(dimensions));
+    
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
+    
+    return shape;
   }
   
-  redo() {
-    this.canvas.redo();
+  removeSeam(shape, seam) {
+    shape.removeSeam(seam);
+    
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
   }
   
-  clear() {
-    this.canvas.clearShapes();
+  setEdge(shape, index, settings) {
+    if (settings) {
+      shape.setEdge(index, settings);
+    } else {
+      shape.clearEdge(index);
+    }
+    
+    this.canvas.saveState();
+    this.canvas.onChange();
+    this.canvas.render();
   }
   
-  setUnitSystem(system) {
-    this.measurementManager.setUnitSystem(system);
+  addCutout(shape, type, position = {}) {
+    const defaults = CUTOUT_TYPES[type];
+    
+    if (!defaults) {
+      throw new Error(`Unknown cutout type: ${type}`);
+    }
+    
+    const width = position.width || this.measurementManager.inchesToPixels(defaults.width);
+    const depth = position.depth || this.measurementManager.inchesToPixels(defaults.depth);
+    
+    // Center the cutout on the shape unless a position is given
+    const box = shape.getBoundingBox();
+    const boxDepth = box.depth !== undefined ? box.depth : box.height;
+    const x = position.x !== undefined ? position.x : (box.width - width) / 2;
+    const y = position.y !== undefined ? position.y : (boxDepth - depth) / 2;
+    
+    const cutout = new Cutout(type, x, y, width, depth);
+    shape.addCutout(cutout);
+    
+    this.canvas.saveState();
+    this.canvas.onChange();
     this.canvas.render();
+    
+    return cutout;
   }
   
-  setScale(pixelsPerInch) {
-    this.measurementManager.setScale(pixelsPerInch);
+  removeCutout(shape, cutout) {
+    shape.removeCutout(cutout);
+    
+    this.canvas.saveState();
+    this.canvas.onChange();
     this.canvas.render();
   }
   
-  calculateTotalArea() {
-    return this.measurementManager.calculateTotalArea();
+  setProject(project) {
+    this.project = project;
   }
   
   exportDrawing() {
+    if (this.project) {
+      return this.project.exportToJSON();
+    }
     return this.canvas.exportToJSON();
   }
   
   importDrawing(json) {
+    if (this.project) {
+      return this.project.importFromJSON(json);
+    }
     return this.canvas.importFromJSON(json);
   }
 }
@@ -1531,10 +5803,23 @@ class DrawingManager {
 // Export the module
 export {
   DrawingManager,
+  MeasurementManager,
   Shape,
   Rectangle,
   LShape,
   UShape,
   Island,
-  CustomShape
+  CustomShape,
+  Cutout,
+  Seam,
+  Wall,
+  CabinetRun,
+  EDGE_TYPES,
+  EDGE_PROFILES,
+  EDGE_COLORS,
+  CUTOUT_TYPES,
+  CABINET_TYPES,
+  SHAPE_DIMENSIONS,
+  DIMENSION_LABELS,
+  TOOL_SHORTCUTS
 };
@@ -0,0 +1,214 @@
+/**
+ * Interactive Drawing Module tests
+ *
+ * Measurements of known L and U countertops in imperial and metric units,
+ * written for the built-in node:test runner.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeasurementManager, LShape, UShape, Seam } from './interactive-drawing-module';
+
+const PIXELS_PER_INCH = 10;
+
+// Numbers computed in different orders may differ in the last bits
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, message || `expected ${expected}, got ${actual}`);
+}
+
+function inches(value) {
+  return value * PIXELS_PER_INCH;
+}
+
+// 120" x 84" with a 96" x 56" notch: a 28" deep run along the top and a 24" wide return
+function createLShape() {
+  return new LShape(0, 0, inches(120), inches(84), inches(96), inches(56));
+}
+
+// 144" x 96" with a 96" x 72" opening: 24" legs on both sides of a 24" deep back run
+function createUShape() {
+  return new UShape(0, 0, inches(144), inches(96), inches(24), inches(24), inches(72));
+}
+
+describe('MeasurementManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new MeasurementManager({ shapes: [] });
+  });
+
+  describe('L-shape', () => {
+    it('measures area in square feet and square meters', () => {
+      const shape = createLShape();
+
+      const imperial = manager.calculateArea(shape);
+      assert.equal(imperial.squareInches, 4704);
+      assertClose(imperial.value, 4704 / 144);
+      assert.equal(imperial.formatted, '32.67 sq ft');
+
+      manager.setUnitSystem('metric');
+      const metric = manager.calculateArea(shape);
+      assert.equal(metric.squareInches, 4704);
+      assertClose(metric.value, 4704 * 0.00064516);
+      assert.equal(metric.formatted, '3.03 m²');
+    });
+
+    it('measures every edge and the perimeter', () => {
+      const shape = createLShape();
+
+      assert.deepEqual(manager.getEdgeLengths(shape).map(edge => edge.length), [120, 28, 96, 56, 24, 84]);
+
+      const imperial = manager.calculatePerimeter(shape);
+      assert.equal(imperial.inches, 408);
+      assertClose(imperial.value, 34);
+      assert.equal(imperial.formatted, '34 ft');
+
+      manager.setUnitSystem('metric');
+      const metric = manager.calculatePerimeter(shape);
+      assert.equal(metric.inches, 408);
+      assertClose(metric.value, 408 * 0.0254);
+      assert.equal(metric.formatted, '10.36 m');
+    });
+
+    it('formats edge lengths in the current unit system', () => {
+      const shape = createLShape();
+
+      assert.equal(manager.getEdgeLengths(shape)[0].formatted, manager.formatMeasurement(120));
+
+      manager.setUnitSystem('metric');
+      assert.equal(manager.getEdgeLengths(shape)[0].formatted, manager.formatMeasurement(120));
+    });
+  });
+
+  describe('U-shape', () => {
+    it('measures area in square feet and square meters', () => {
+      const shape = createUShape();
+
+      const imperial = manager.calculateArea(shape);
+      assert.equal(imperial.squareInches, 6912);
+      assertClose(imperial.value, 48);
+      assert.equal(imperial.formatted, '48 sq ft');
+
+      manager.setUnitSystem('metric');
+      const metric = manager.calculateArea(shape);
+      assertClose(metric.value, 6912 * 0.00064516);
+      assert.equal(metric.formatted, '4.46 m²');
+    });
+
+    it('measures every edge and the perimeter', () => {
+      const shape = createUShape();
+
+      assert.deepEqual(manager.getEdgeLengths(shape).map(edge => edge.length), [144, 96, 24, 72, 96, 72, 24, 96]);
+
+      const imperial = manager.calculatePerimeter(shape);
+      assert.equal(imperial.inches, 624);
+      assertClose(imperial.value, 52);
+      assert.equal(imperial.formatted, '52 ft');
+
+      manager.setUnitSystem('metric');
+      const metric = manager.calculatePerimeter(shape);
+      assert.equal(metric.inches, 624);
+      assertClose(metric.value, 624 * 0.0254);
+      assert.equal(metric.formatted, '15.85 m');
+    });
+
+    it('does not change with the drawing scale', () => {
+      manager.setScale(4);
+      const shape = new UShape(0, 0, 144 * 4, 96 * 4, 24 * 4, 24 * 4, 72 * 4);
+
+      assertClose(manager.calculateArea(shape).squareInches, 6912);
+      assertClose(manager.calculatePerimeter(shape).inches, 624);
+    });
+  });
+
+  describe('finished edges', () => {
+    let lShape;
+    let uShape;
+
+    beforeEach(() => {
+      // Inside edges finished, backs against the wall, the rest left unassigned
+      lShape = createLShape();
+      lShape.setEdge(0, { type: 'wall' });
+      lShape.setEdge(2, { type: 'finished', profile: 'eased' });
+      lShape.setEdge(3, { type: 'finished', profile: 'eased' });
+      lShape.setEdge(4, { type: 'finished', profile: 'eased' });
+
+      uShape = createUShape();
+      uShape.setEdge(0, { type: 'wall' });
+      uShape.setEdge(3, { type: 'finished', profile: 'bullnose' });
+      uShape.setEdge(4, { type: 'finished', profile: 'bullnose' });
+      uShape.setEdge(5, { type: 'finished', profile: 'bullnose' });
+      uShape.setEdge(7, { type: 'backsplash', height: 4 });
+    });
+
+    it('totals linear feet per profile', () => {
+      const finished = manager.calculateFinishedEdgeLength([lShape, uShape]);
+
+      // L: 96 + 56 + 24 = 176", U: 72 + 96 + 72 = 240"
+      assertClose(finished.inches, 416);
+      assertClose(finished.value, 416 / 12);
+      assert.equal(finished.formatted, '34.67 ft');
+      assertClose(finished.profiles.eased.value, 176 / 12);
+      assertClose(finished.profiles.bullnose.value, 20);
+
+      manager.setUnitSystem('metric');
+      const metric = manager.calculateFinishedEdgeLength([lShape, uShape]);
+      assertClose(metric.value, 416 * 0.0254);
+      assert.equal(metric.formatted, '10.57 m');
+      assertClose(metric.profiles.eased.value, 176 * 0.0254);
+      assertClose(metric.profiles.bullnose.value, 240 * 0.0254);
+    });
+
+    it('agrees with the edge totals', () => {
+      const shapes = [lShape, uShape];
+      const totals = manager.calculateEdgeTotals(shapes);
+      const finished = manager.calculateFinishedEdgeLength(shapes);
+
+      assertClose(finished.value, totals.finished);
+      Object.keys(totals.profiles).forEach(profile => {
+        assertClose(finished.profiles[profile].value, totals.profiles[profile]);
+      });
+
+      // 120" + 144" of wall, 96" of 4" backsplash
+      assertClose(totals.wall, 22);
+      assertClose(totals.backsplash.linearFeet, 8);
+      assertClose(totals.backsplash.squareFeet, 96 * 4 / 144);
+      assertClose(totals.unassigned, (28 + 84 + 96 + 24 + 24) / 12);
+    });
+  });
+
+  describe('seams', () => {
+    it('measures seams from the inside corner of an L', () => {
+      const shape = createLShape();
+
+      // Along the notch: the return comes off the 28" run
+      shape.addSeam(new Seam(inches(24), inches(28), 0, inches(28)));
+      assertClose(manager.calculateSeams([shape]).totalLength, 24);
+      assert.equal(shape.getPieces().length, 2);
+    });
+
+    it('measures seams from the inside corners of a U', () => {
+      const shape = createUShape();
+      shape.addSeam(new Seam(inches(24), inches(24), inches(24), 0));
+      shape.addSeam(new Seam(inches(120), inches(24), inches(144), inches(24)));
+
+      const seams = manager.calculateSeams([shape]);
+      assert.equal(seams.count, 2);
+      assertClose(seams.totalLength, 48);
+      assert.equal(shape.getPieces().length, 3);
+    });
+  });
+
+  describe('breakdown by type', () => {
+    it('counts shapes and sums area and perimeter per type', () => {
+      const breakdown = manager.getBreakdownByType([createLShape(), createLShape(), createUShape()]);
+
+      assert.equal(breakdown['L-shape'].count, 2);
+      assert.equal(breakdown['L-shape'].area.squareInches, 4704 * 2);
+      assert.equal(breakdown['L-shape'].perimeter.inches, 408 * 2);
+      assert.equal(breakdown['U-shape'].count, 1);
+      assert.equal(breakdown['U-shape'].area.squareInches, 6912);
+      assert.equal(breakdown['U-shape'].perimeter.inches, 624);
+    });
+  });
+});
@@ -0,0 +1,1226 @@
+/**
+ * Job Sheet Module
+ *
+ * This module prints the current drawing and its estimate as a one-page PDF
+ * job sheet. The plan is drawn at a standard scale with dimensions, cutouts
+ * and seams next to a legend, the material swatch and the area totals. The
+ * PDF is written in the browser, so job sheets can be made without a
+ * connection.
+ */
+
+import { Shape, EDGE_COLORS } from './interactive-drawing-module';
+import { DrawingExporter } from './drawing-export-module';
+
+// Page sizes in PDF points (1/72 inch), landscape
+const PAGE_SIZES = {
+  letter: { width: 792, height: 612 },
+  tabloid: { width: 1224, height: 792 }
+};
+
+// Paper inches per real inch, largest first
+const ARCHITECTURAL_SCALES = [
+  { label: '3" = 1\'-0"', ratio: 3 / 12 },
+  { label: '1 1/2" = 1\'-0"', ratio: 1.5 / 12 },
+  { label: '1" = 1\'-0"', ratio: 1 / 12 },
+  { label: '3/4" = 1\'-0"', ratio: 0.75 / 12 },
+  { label: '1/2" = 1\'-0"', ratio: 0.5 / 12 },
+  { label: '3/8" = 1\'-0"', ratio: 0.375 / 12 },
+  { label: '1/4" = 1\'-0"', ratio: 0.25 / 12 },
+  { label: '3/16" = 1\'-0"', ratio: 0.1875 / 12 },
+  { label: '1/8" = 1\'-0"', ratio: 0.125 / 12 },
+  { label: '3/32" = 1\'-0"', ratio: 0.09375 / 12 },
+  { label: '1/16" = 1\'-0"', ratio: 0.0625 / 12 }
+];
+
+const METRIC_SCALES = [5, 10, 20, 25, 50, 100].map(denominator => ({
+  label: `1:${denominator}`,
+  ratio: 1 / denominator
+}));
+
+// What each audience sees on the sheet
+const JOB_SHEET_TEMPLATES = {
+  customer: {
+    title: 'Countertop Plan',
+    dimensions: true,
+    seams: true,
+    pricing: true,
+    edgeSchedule: false,
+    seamSchedule: false,
+    signature: true
+  },
+  shop: {
+    title: 'Fabrication Sheet',
+    dimensions: true,
+    seams: true,
+    pricing: false,
+    edgeSchedule: true,
+    seamSchedule: true,
+    signature: false
+  }
+};
+
+const PLAN_COLORS = {
+  outline: '#000000',
+  fill: '#f2f2f2',
+  cutout: '#ff0000',
+  seam: '#0000ff',
+  dimension: '#008000',
+  frame: '#bbbbbb'
+};
+
+// Standard Helvetica and Helvetica-Bold advance widths for ASCII 32-126, in 1/1000 em
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding places in 128-159
+const WIN_ANSI_EXTRAS = {
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '…': 0x85
+};
+
+/**
+ * Minimal single-page PDF writer with vector paths, the standard Helvetica
+ * fonts and JPEG images
+ */
+class PDFWriter {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.operations = [];
+    this.images = [];
+    this.info = {};
+  }
+
+  /**
+   * Format a number for the content stream
+   * @param {number} value - Number to format
+   * @returns {string} - Number with at most three decimals
+   */
+  formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+  }
+
+  /**
+   * Convert a CSS hex color to PDF color components
+   * @param {string} color - Color such as '#27ae60'
+   * @returns {string} - Red, green and blue between 0 and 1
+   */
+  formatColor(color) {
+    const hex = color.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+
+    return [0, 2, 4]
+      .map(offset => this.formatNumber(parseInt(full.substr(offset, 2), 16) / 255))
+      .join(' ');
+  }
+
+  /**
+   * Append a content stream operation
+   * @param {...(number|string)} parts - Operands followed by the operator
+   */
+  write(...parts) {
+    this.operations.push(parts.map(part => typeof part === 'number' ? this.formatNumber(part) : part).join(' '));
+  }
+
+  setStrokeColor(color) {
+    this.write(this.formatColor(color), 'RG');
+  }
+
+  setFillColor(color) {
+    this.write(this.formatColor(color), 'rg');
+  }
+
+  setLineWidth(width) {
+    this.write(width, 'w');
+  }
+
+  /**
+   * Set the dash pattern for strokes
+   * @param {Array<number>} pattern - Dash and gap lengths, empty for solid lines
+   */
+  setDash(pattern = []) {
+    this.write(`[${pattern.map(value => this.formatNumber(value)).join(' ')}]`, 0, 'd');
+  }
+
+  save() {
+    this.write('q');
+  }
+
+  restore() {
+    this.write('Q');
+  }
+
+  moveTo(x, y) {
+    this.write(x, y, 'm');
+  }
+
+  lineTo(x, y) {
+    this.write(x, y, 'l');
+  }
+
+  curveTo(x1, y1, x2, y2, x3, y3) {
+    this.write(x1, y1, x2, y2, x3, y3, 'c');
+  }
+
+  rect(x, y, width, height) {
+    this.write(x, y, width, height, 're');
+  }
+
+  closePath() {
+    this.write('h');
+  }
+
+  stroke() {
+    this.write('S');
+  }
+
+  fill() {
+    this.write('f');
+  }
+
+  fillAndStroke() {
+    this.write('B');
+  }
+
+  /**
+   * Restrict later drawing to the current path
+   */
+  clip() {
+    this.write('W', 'n');
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   */
+  line(x1, y1, x2, y2) {
+    this.moveTo(x1, y1);
+    this.lineTo(x2, y2);
+    this.stroke();
+  }
+
+  /**
+   * Measure text set in Helvetica
+   * @param {string} text - Text to measure
+   * @param {number} size - Font size in points
+   * @param {boolean} bold - Whether the bold face is used
+   * @returns {number} - Width in points
+   */
+  measureText(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+
+    for (const character of String(text)) {
+      const code = character.charCodeAt(0);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+
+    return total * size / 1000;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text to draw
+   * @param {number} x - Anchor x
+   * @param {number} y - Baseline y
+   * @param {Object} options - Text options
+   * @param {number} options.size - Font size in points
+   * @param {boolean} options.bold - Use Helvetica-Bold
+   * @param {string} options.align - 'left', 'center' or 'right' of the anchor
+   * @param {number} options.angle - Counterclockwise rotation in degrees
+   */
+  text(text, x, y, options = {}) {
+    const size = options.size || 10;
+    const bold = options.bold || false;
+    const angle = (options.angle || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    let shift = 0;
+    if (options.align === 'center') {
+      shift = this.measureText(text, size, bold) / 2;
+    } else if (options.align === 'right') {
+      shift = this.measureText(text, size, bold);
+    }
+
+    this.write('BT');
+    this.write(bold ? '/F2' : '/F1', size, 'Tf');
+    this.write(cos, sin, -sin, cos, x - shift * cos, y - shift * sin, 'Tm');
+    this.write(this.encodeString(text), 'Tj');
+    this.write('ET');
+  }
+
+  /**
+   * Encode text as a PDF literal string in WinAnsiEncoding
+   * @param {string} text - Text to encode
+   * @returns {string} - ASCII-only literal string
+   */
+  encodeString(text) {
+    let encoded = '';
+
+    for (const character of String(text)) {
+      let code = character.charCodeAt(0);
+
+      if (code > 255) {
+        code = WIN_ANSI_EXTRAS[character] || 63; // '?'
+      }
+
+      if (character === '(' || character === ')' || character === '\\') {
+        encoded += `\\${character}`;
+      } else if (code < 32 || code > 126) {
+        encoded += `\\${code.toString(8).padStart(3, '0')}`;
+      } else {
+        encoded += character;
+      }
+    }
+
+    return `(${encoded})`;
+  }
+
+  /**
+   * Add a JPEG image to the document
+   * @param {Uint8Array} bytes - JPEG file contents
+   * @returns {string} - Resource name to pass to drawImage()
+   */
+  addJPEG(bytes) {
+    const info = this.readJPEGInfo(bytes);
+    const name = `Im${this.images.length + 1}`;
+
+    this.images.push({ name, bytes, ...info });
+    return name;
+  }
+
+  /**
+   * Read the size and color components from a JPEG frame header
+   * @param {Uint8Array} bytes - JPEG file contents
+   * @returns {Object} - Width, height and number of color components
+   */
+  readJPEGInfo(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+      throw new Error('Image is not a JPEG');
+    }
+
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xFF) {
+        offset++;
+        continue;
+      }
+
+      const marker = bytes[offset + 1];
+
+      // Start-of-frame markers, excluding DHT, JPG and DAC which share the range
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return {
+          height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+          width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+          components: bytes[offset + 9]
+        };
+      }
+
+      // Fill bytes and markers without a length field
+      if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+        offset += marker === 0xFF ? 1 : 2;
+        continue;
+      }
+
+      offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+
+    throw new Error('JPEG has no frame header');
+  }
+
+  /**
+   * Draw an image added with addJPEG()
+   * @param {string} name - Image resource name
+   * @param {number} x - Left edge
+   * @param {number} y - Bottom edge
+   * @param {number} width - Drawn width
+   * @param {number} height - Drawn height
+   */
+  drawImage(name, x, y, width, height) {
+    this.save();
+    this.write(width, 0, 0, height, x, y, 'cm');
+    this.write(`/${name}`, 'Do');
+    this.restore();
+  }
+
+  /**
+   * Set document properties
+   * @param {Object} info - Title, subject and author
+   */
+  setInfo(info) {
+    this.info = { ...this.info, ...info };
+  }
+
+  /**
+   * Format a date for the document information dictionary
+   * @param {Date} date - Date to format
+   * @returns {string} - PDF date string
+   */
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Write the document
+   * @returns {Uint8Array} - PDF file contents
+   */
+  toBytes() {
+    const toBytes = text => Uint8Array.from(text, character => character.charCodeAt(0) & 0xFF);
+    const objects = [];
+    const addObject = (...parts) => {
+      objects.push(parts);
+      return objects.length;
+    };
+    const stream = (dictionary, data) => {
+      return [`<< ${dictionary} /Length ${data.length} >>\nstream\n`, data, '\nendstream'];
+    };
+
+    const regular = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const imageResources = this.images.map(image => {
+      const colorSpace = { 1: '/DeviceGray', 4: '/DeviceCMYK' }[image.components] || '/DeviceRGB';
+      const id = addObject(...stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+        image.bytes
+      ));
+      return `/${image.name} ${id} 0 R`;
+    });
+
+    const contents = addObject(...stream('', toBytes(this.operations.join('\n'))));
+    const pagesId = objects.length + 2;
+    const page = addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.formatNumber(this.width)} ${this.formatNumber(this.height)}] ` +
+      `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>` +
+      `${imageResources.length > 0 ? ` /XObject << ${imageResources.join(' ')} >>` : ''} >> ` +
+      `/Contents ${contents} 0 R >>`
+    );
+    addObject(`<< /Type /Pages /Kids [${page} 0 R] /Count 1 >>`);
+    const catalog = addObject(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    const infoEntries = [`/Producer ${this.encodeString('Countertop Estimator')}`];
+    if (this.info.title) infoEntries.push(`/Title ${this.encodeString(this.info.title)}`);
+    if (this.info.subject) infoEntries.push(`/Subject ${this.encodeString(this.info.subject)}`);
+    if (this.info.author) infoEntries.push(`/Author ${this.encodeString(this.info.author)}`);
+    infoEntries.push(`/CreationDate ${this.encodeString(this.formatDate(this.info.date || new Date()))}`);
+    const info = addObject(`<< ${infoEntries.join(' ')} >>`);
+
+    // The binary comment tells transfer tools the file is not plain text
+    const chunks = [toBytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+    let length = chunks[0].length;
+    const offsets = [];
+
+    objects.forEach((parts, index) => {
+      offsets.push(length);
+      [`${index + 1} 0 obj\n`, ...parts, '\nendobj\n'].forEach(part => {
+        const bytes = typeof part === 'string' ? toBytes(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      });
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n');
+    chunks.push(toBytes(xref));
+
+    const output = new Uint8Array(length + chunks[chunks.length - 1].length);
+    let position = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, position);
+      position += chunk.length;
+    });
+
+    return output;
+  }
+}
+
+class JobSheetGenerator {
+  constructor(options = {}) {
+    this.drawingManager = options.drawingManager || null;
+    this.apiManager = options.apiManager || null;
+    this.config = {
+      pageSize: 'letter',
+      margin: 36, // Page margin, in points
+      titleHeight: 54, // Height of the title block, in points
+      panelWidth: 180, // Width of the legend and totals column, in points
+      fontSize: 8,
+      dimensionFontSize: 6,
+      swatchSize: 72,
+      companyName: '',
+      ...options.config
+    };
+  }
+
+  /**
+   * Get a template by name
+   * @param {string} name - 'customer' or 'shop'
+   * @returns {Object} - Template settings
+   */
+  getTemplate(name) {
+    const template = JOB_SHEET_TEMPLATES[name];
+    if (!template) {
+      throw new Error(`Unknown job sheet template: ${name}`);
+    }
+    return template;
+  }
+
+  /**
+   * Get the page and the boxes for the title block, plan and side panel
+   * @returns {Object} - Page size and layout boxes in points, origin bottom left
+   */
+  getLayout() {
+    const page = PAGE_SIZES[this.config.pageSize];
+    if (!page) {
+      throw new Error(`Unknown page size: ${this.config.pageSize}`);
+    }
+
+    const { margin, titleHeight, panelWidth } = this.config;
+    const gap = 12;
+    const bodyTop = page.height - margin - titleHeight - gap;
+
+    return {
+      page,
+      title: { x: margin, y: page.height - margin - titleHeight, width: page.width - margin * 2, height: titleHeight },
+      plan: { x: margin, y: margin, width: page.width - margin * 2 - panelWidth - gap, height: bodyTop - margin },
+      panel: { x: page.width - margin - panelWidth, y: margin, width: panelWidth, height: bodyTop - margin }
+    };
+  }
+
+  /**
+   * Create an exporter whose dimension text comes out at the sheet's font size
+   * @param {number} pointsPerInch - Paper points per real inch
+   * @returns {DrawingExporter} - Exporter for the drawing
+   */
+  createExporter(pointsPerInch) {
+    const { dimensionFontSize } = this.config;
+
+    return new DrawingExporter({
+      drawingManager: this.drawingManager,
+      config: {
+        margin: dimensionFontSize / pointsPerInch,
+        textHeight: dimensionFontSize / pointsPerInch,
+        dimensionOffset: dimensionFontSize * 1.5 / pointsPerInch
+      }
+    });
+  }
+
+  /**
+   * Pick the largest standard scale at which the drawing fits the plan area
+   * @param {Array<Shape>} shapes - Shapes to print
+   * @param {Object} area - Plan area in points
+   * @returns {Object} - Scale and the drawing geometry collected for it
+   */
+  fitScale(shapes, area) {
+    const metric = this.drawingManager.measurementManager.unitSystem === 'metric';
+    const scales = metric ? METRIC_SCALES : ARCHITECTURAL_SCALES;
+    let geometry = null;
+
+    for (const scale of scales) {
+      const pointsPerInch = scale.ratio * 72;
+      geometry = this.createExporter(pointsPerInch).collectGeometry(shapes);
+
+      if (geometry.bounds.width * pointsPerInch <= area.width && geometry.bounds.height * pointsPerInch <= area.height) {
+        return { scale: { ...scale, pointsPerInch, exact: true }, geometry };
+      }
+    }
+
+    // Larger than the smallest scale allows, so shrink to fit and say so
+    const fitted = Math.min(area.width / geometry.bounds.width, area.height / geometry.bounds.height) *
+      scales[scales.length - 1].ratio * 72;
+
+    return {
+      scale: { label: 'Not to scale', ratio: fitted / 72, pointsPerInch: fitted, exact: false },
+      geometry: this.createExporter(fitted).collectGeometry(shapes)
+    };
+  }
+
+  /**
+   * Generate a job sheet for the drawing
+   * @param {Object} options - Job sheet options
+   * @param {string} options.template - 'customer' or 'shop'
+   * @param {Object} options.quote - Quote from EstimationEngine.createQuote()
+   * @param {Array<Shape>} options.shapes - Shapes to print, defaults to the whole canvas
+   * @param {string} options.colorName - Color for the swatch, defaults to the quoted product
+   * @param {string} options.jobName - Job name for the title block
+   * @param {string} options.customerName - Customer name for the title block
+   * @param {string} options.address - Job site address for the title block
+   * @param {string} options.notes - Notes printed under the totals
+   * @param {Date} options.date - Date printed on the sheet
+   * @returns {Promise<Uint8Array>} - PDF file contents
+   */
+  async generate(options = {}) {
+    if (!this.drawingManager) {
+      throw new Error('A DrawingManager is required to print job sheets');
+    }
+
+    const template = this.getTemplate(options.template || 'customer');
+    const shapes = options.shapes || this.drawingManager.canvas.shapes;
+    const quote = options.quote || null;
+    const product = quote ? quote.product : {};
+    const colorName = options.colorName || product.colorName || '';
+    const date = options.date || new Date();
+
+    const layout = this.getLayout();
+    const pdf = new PDFWriter(layout.page.width, layout.page.height);
+    const { scale, geometry } = this.fitScale(shapes, layout.plan);
+    const swatch = colorName ? await this.loadSwatch(colorName) : null;
+
+    pdf.setInfo({
+      title: [template.title, options.jobName].filter(Boolean).join(' - '),
+      subject: colorName,
+      author: this.config.companyName,
+      date
+    });
+
+    this.drawTitleBlock(pdf, layout.title, template, { ...options, date, scale });
+    this.drawPlan(pdf, layout.plan, template, geometry, scale);
+    this.drawPanel(pdf, layout.panel, template, {
+      shapes,
+      quote,
+      product,
+      colorName,
+      swatch,
+      geometry,
+      scale,
+      notes: options.notes
+    });
+
+    return pdf.toBytes();
+  }
+
+  /**
+   * Draw the title block across the top of the page
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Object} box - Title block area
+   * @param {Object} template - Template settings
+   * @param {Object} details - Job details, date and scale
+   */
+  drawTitleBlock(pdf, box, template, details) {
+    const top = box.y + box.height;
+    const right = box.x + box.width;
+    const { fontSize } = this.config;
+
+    pdf.setFillColor('#000000');
+    pdf.text(template.title, box.x, top - 16, { size: 16, bold: true });
+
+    const jobLines = [details.jobName, details.customerName, details.address].filter(Boolean);
+    jobLines.forEach((line, index) => {
+      pdf.text(line, box.x, top - 28 - index * (fontSize + 2), { size: fontSize + 1 });
+    });
+
+    if (this.config.companyName) {
+      pdf.text(this.config.companyName, right, top - 12, { size: fontSize + 2, bold: true, align: 'right' });
+    }
+    pdf.text(`Date: ${details.date.toLocaleDateString('en-US')}`, right, top - 28, { size: fontSize, align: 'right' });
+    pdf.text(`Scale: ${details.scale.label}`, right, top - 28 - (fontSize + 3), { size: fontSize, align: 'right' });
+
+    pdf.setStrokeColor('#000000');
+    pdf.setLineWidth(1);
+    pdf.line(box.x, box.y, right, box.y);
+  }
+
+  /**
+   * Draw the countertops, cutouts, seams and dimensions at the chosen scale
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Object} area - Plan area
+   * @param {Object} template - Template settings
+   * @param {Object} geometry - Geometry in inches from DrawingExporter.collectGeometry()
+   * @param {Object} scale - Scale from fitScale()
+   */
+  drawPlan(pdf, area, template, geometry, scale) {
+    const { bounds } = geometry;
+    const factor = scale.pointsPerInch;
+
+    // Centre the drawing and flip Y, since PDF's origin is the bottom left
+    const left = area.x + (area.width - bounds.width * factor) / 2;
+    const top = area.y + area.height - (area.height - bounds.height * factor) / 2;
+    const map = point => ({
+      x: left + (point.x - bounds.x) * factor,
+      y: top - (point.y - bounds.y) * factor
+    });
+
+    pdf.setStrokeColor(PLAN_COLORS.frame);
+    pdf.setLineWidth(0.5);
+    pdf.setDash();
+    pdf.rect(area.x, area.y, area.width, area.height);
+    pdf.stroke();
+
+    if (geometry.outlines.length === 0) {
+      pdf.setFillColor(PLAN_COLORS.frame);
+      pdf.text('No countertops drawn', area.x + area.width / 2, area.y + area.height / 2, {
+        size: this.config.fontSize + 2,
+        align: 'center'
+      });
+      return;
+    }
+
+    // Countertops, with assigned edges drawn over the outline in their legend color
+    pdf.setStrokeColor(PLAN_COLORS.outline);
+    pdf.setFillColor(PLAN_COLORS.fill);
+    pdf.setLineWidth(0.75);
+    geometry.outlines.forEach(outline => {
+      this.tracePath(pdf, outline.path, map);
+      pdf.fillAndStroke();
+    });
+
+    pdf.setLineWidth(2);
+    geometry.outlines.forEach(outline => {
+      outline.path.forEach((start, index) => {
+        const color = this.getEdgeColor(outline.edges[start.edge]);
+        if (start.edge === null || !color) return;
+
+        const end = outline.path[(index + 1) % outline.path.length];
+        const from = map(start);
+        pdf.setStrokeColor(color);
+        pdf.moveTo(from.x, from.y);
+        this.traceSegment(pdf, start, end, map);
+        pdf.stroke();
+      });
+    });
+
+    pdf.setStrokeColor(PLAN_COLORS.cutout);
+    pdf.setFillColor('#ffffff');
+    pdf.setLineWidth(0.75);
+    geometry.cutouts.forEach(cutout => {
+      if (cutout.center) {
+        this.traceCircle(pdf, cutout.center, cutout.radius, map);
+      } else {
+        this.tracePath(pdf, cutout.points, map);
+      }
+      pdf.fillAndStroke();
+    });
+
+    if (template.seams) {
+      pdf.setStrokeColor(PLAN_COLORS.seam);
+      pdf.setLineWidth(1);
+      pdf.setDash([4, 2]);
+      geometry.seams.forEach(seam => {
+        const start = map(seam.start);
+        const end = map(seam.end);
+        pdf.line(start.x, start.y, end.x, end.y);
+      });
+      pdf.setDash();
+    }
+
+    if (template.dimensions) {
+      this.drawDimensions(pdf, geometry.dimensions, map);
+    }
+  }
+
+  /**
+   * Draw dimension lines with end ticks and their labels
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Array<Object>} dimensions - Dimensions in inches
+   * @param {Function} map - Converts drawing inches to page points
+   */
+  drawDimensions(pdf, dimensions, map) {
+    const size = this.config.dimensionFontSize;
+    const tick = size / 2;
+
+    pdf.setStrokeColor(PLAN_COLORS.dimension);
+    pdf.setFillColor(PLAN_COLORS.dimension);
+    pdf.setLineWidth(0.4);
+
+    dimensions.forEach(dimension => {
+      if (dimension.line) {
+        const start = map(dimension.line.start);
+        const end = map(dimension.line.end);
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const normal = { x: -(end.y - start.y) / length * tick, y: (end.x - start.x) / length * tick };
+
+        pdf.line(start.x, start.y, end.x, end.y);
+        pdf.line(start.x - normal.x, start.y - normal.y, start.x + normal.x, start.y + normal.y);
+        pdf.line(end.x - normal.x, end.y - normal.y, end.x + normal.x, end.y + normal.y);
+      }
+
+      // Flipping Y turns clockwise drawing angles into counterclockwise page angles
+      const position = map(dimension.position);
+      const angle = -dimension.angle * Math.PI / 180;
+      const lift = size * 0.35;
+      pdf.text(dimension.text, position.x + Math.sin(angle) * lift, position.y - Math.cos(angle) * lift, {
+        size,
+        align: 'center',
+        angle: -dimension.angle
+      });
+    });
+  }
+
+  /**
+   * Trace a closed path with bulges as the current PDF path
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Array<Object>} path - Points in inches, optionally with bulges
+   * @param {Function} map - Converts drawing inches to page points
+   */
+  tracePath(pdf, path, map) {
+    const first = map(path[0]);
+    pdf.moveTo(first.x, first.y);
+
+    path.forEach((start, index) => {
+      this.traceSegment(pdf, start, path[(index + 1) % path.length], map);
+    });
+
+    pdf.closePath();
+  }
+
+  /**
+   * Continue the current path along one straight or curved segment
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Object} start - Segment start in inches, with its bulge
+   * @param {Object} end - Segment end in inches
+   * @param {Function} map - Converts drawing inches to page points
+   */
+  traceSegment(pdf, start, end, map) {
+    if (!start.bulge) {
+      const point = map(end);
+      pdf.lineTo(point.x, point.y);
+      return;
+    }
+
+    const arc = Shape.arcFromBulge(start, end, start.bulge);
+    this.traceArc(pdf, arc.center, arc.radius, arc.startAngle, arc.sweep, map);
+  }
+
+  /**
+   * Trace a full circle
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Object} center - Centre in inches
+   * @param {number} radius - Radius in inches
+   * @param {Function} map - Converts drawing inches to page points
+   */
+  traceCircle(pdf, center, radius, map) {
+    const first = map({ x: center.x + radius, y: center.y });
+    pdf.moveTo(first.x, first.y);
+    this.traceArc(pdf, center, radius, 0, Math.PI * 2, map);
+    pdf.closePath();
+  }
+
+  /**
+   * Approximate an arc with cubic Béziers of at most a quarter turn each
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Object} center - Centre in inches
+   * @param {number} radius - Radius in inches
+   * @param {number} startAngle - Start angle in radians
+   * @param {number} sweep - Signed sweep in radians
+   * @param {Function} map - Converts drawing inches to page points
+   */
+  traceArc(pdf, center, radius, startAngle, sweep, map) {
+    const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const step = sweep / count;
+    const handle = 4 / 3 * Math.tan(step / 4) * radius;
+
+    for (let i = 0; i < count; i++) {
+      const from = startAngle + step * i;
+      const to = from + step;
+
+      // The mapping is affine, so mapping the control points maps the curve
+      const control1 = map({
+        x: center.x + radius * Math.cos(from) - handle * Math.sin(from),
+        y: center.y + radius * Math.sin(from) + handle * Math.cos(from)
+      });
+      const control2 = map({
+        x: center.x + radius * Math.cos(to) + handle * Math.sin(to),
+        y: center.y + radius * Math.sin(to) - handle * Math.cos(to)
+      });
+      const end = map({ x: center.x + radius * Math.cos(to), y: center.y + radius * Math.sin(to) });
+
+      pdf.curveTo(control1.x, control1.y, control2.x, control2.y, end.x, end.y);
+    }
+  }
+
+  /**
+   * Draw the swatch, legend, totals and template-specific schedules
+   * @param {PDFWriter} pdf - Document being written
+   * @param {Object} box - Panel area
+   * @param {Object} template - Template settings
+   * @param {Object} data - Shapes, quote, swatch and the plan's geometry and scale
+   */
+  drawPanel(pdf, box, template, data) {
+    const measurementManager = this.drawingManager.measurementManager;
+    const { fontSize, swatchSize } = this.config;
+    const lineHeight = fontSize + 3;
+    const right = box.x + box.width;
+    let y = box.y + box.height;
+
+    // Keep room for the approval block at the bottom of the panel
+    const bottom = box.y + (template.signature ? lineHeight * 3 : 0);
+
+    const fitText = (text, width, bold) => {
+      let fitted = String(text);
+      while (fitted.length > 1 && pdf.measureText(fitted, fontSize, bold) > width) {
+        fitted = fitted.slice(0, -2) + '…';
+      }
+      return fitted;
+    };
+
+    // Rows stop at the bottom of the panel rather than running off the page
+    const row = (label, value, options = {}) => {
+      if (y - lineHeight < bottom) return false;
+      y -= lineHeight;
+
+      const indent = options.indent || 0;
+      pdf.setFillColor(options.color || '#000000');
+      if (value === undefined) {
+        pdf.text(fitText(label, box.width - indent, options.bold), box.x + indent, y, { size: fontSize, bold: options.bold });
+      } else {
+        const valueWidth = pdf.measureText(value, fontSize, options.bold);
+        pdf.text(value, right, y, { size: fontSize, bold: options.bold, align: 'right' });
+        pdf.text(fitText(label, box.width - valueWidth - 6, options.bold), box.x, y, { size: fontSize, bold: options.bold });
+      }
+      return true;
+    };
+
+    const heading = text => {
+      y -= lineHeight / 2;
+      row(text, undefined, { bold: true });
+      if (y - 2 >= bottom) {
+        pdf.setStrokeColor('#000000');
+        pdf.setLineWidth(0.5);
+        pdf.setDash();
+        pdf.line(box.x, y - 2, right, y - 2);
+        y -= 2;
+      }
+    };
+
+    // Material and swatch
+    const { product, colorName } = data;
+    const swatchTop = y;
+    const swatchBottom = y - swatchSize;
+
+    if (data.swatch) {
+      try {
+        const name = pdf.addJPEG(data.swatch);
+        const image = pdf.images.find(entry => entry.name === name);
+
+        // Crop to a square from the middle of the photo rather than stretching it
+        const cover = swatchSize / Math.min(image.width, image.height);
+        const width = image.width * cover;
+        const height = image.height * cover;
+        pdf.save();
+        pdf.rect(box.x, swatchBottom, swatchSize, swatchSize);
+        pdf.clip();
+        pdf.drawImage(name, box.x - (width - swatchSize) / 2, swatchBottom - (height - swatchSize) / 2, width, height);
+        pdf.restore();
+      } catch (error) {
+        console.warn('Swatch image could not be embedded:', error);
+        data.swatch = null;
+      }
+    }
+    if (!data.swatch) {
+      pdf.setFillColor(this.getFallbackColor(colorName));
+      pdf.rect(box.x, swatchBottom, swatchSize, swatchSize);
+      pdf.fill();
+    }
+    pdf.setStrokeColor('#000000');
+    pdf.setLineWidth(0.5);
+    pdf.setDash();
+    pdf.rect(box.x, swatchBottom, swatchSize, swatchSize);
+    pdf.stroke();
+
+    const materialLines = [
+      { text: colorName || 'Color not selected', bold: true },
+      { text: product.material },
+      { text: product.thickness },
+      { text: product.vendorName }
+    ].filter(line => line.text);
+    materialLines.forEach((line, index) => {
+      const textX = box.x + swatchSize + 6;
+      pdf.setFillColor('#000000');
+      pdf.text(fitText(line.text, right - textX, line.bold), textX, swatchTop - fontSize - index * lineHeight, {
+        size: fontSize,
+        bold: line.bold
+      });
+    });
+    y = swatchBottom;
+
+    // Legend
+    heading('Legend');
+    const usedColors = {};
+    data.geometry.outlines.forEach(outline => {
+      Object.keys(outline.edges).forEach(index => {
+        const settings = outline.edges[index];
+        const key = settings.type === 'finished' ? settings.profile : settings.type;
+        usedColors[key] = this.getEdgeColor(settings);
+      });
+    });
+
+    const legend = [
+      { label: 'Countertop outline', color: PLAN_COLORS.outline, width: 0.75 },
+      ...Object.keys(usedColors).filter(key => usedColors[key]).map(key => ({
+        label: `${key.charAt(0).toUpperCase()}${key.slice(1)} edge`,
+        color: usedColors[key],
+        width: 2
+      })),
+      { label: 'Cutout', color: PLAN_COLORS.cutout, width: 0.75 }
+    ];
+    if (template.seams) {
+      legend.push({ label: 'Seam', color: PLAN_COLORS.seam, width: 1, dash: [4, 2] });
+    }
+    if (template.dimensions) {
+      legend.push({ label: 'Dimension', color: PLAN_COLORS.dimension, width: 0.4 });
+    }
+
+    legend.forEach(entry => {
+      const sampleY = y - lineHeight + fontSize * 0.35;
+      if (!row(entry.label, undefined, { indent: 30 })) return;
+
+      pdf.setStrokeColor(entry.color);
+      pdf.setLineWidth(entry.width);
+      pdf.setDash(entry.dash);
+      pdf.line(box.x, sampleY, box.x + 24, sampleY);
+      pdf.setDash();
+    });
+
+    // A scale bar lets the printed plan be checked with a tape measure
+    if (data.scale.exact && y - lineHeight * 2 >= bottom) {
+      const metric = measurementManager.unitSystem === 'metric';
+      const steps = metric ? [0.1, 0.2, 0.5, 1, 2] : [1, 2, 5, 10, 20];
+      const unitInches = metric ? 1 / 0.0254 : 12;
+      const length = steps.filter(step => step * unitInches * data.scale.pointsPerInch <= box.width - 30).pop() || steps[0];
+      const barWidth = length * unitInches * data.scale.pointsPerInch;
+
+      y -= lineHeight;
+      pdf.setStrokeColor('#000000');
+      pdf.setFillColor('#000000');
+      pdf.setLineWidth(0.75);
+      pdf.line(box.x, y, box.x + barWidth, y);
+      pdf.line(box.x, y - 3, box.x, y + 3);
+      pdf.line(box.x + barWidth, y - 3, box.x + barWidth, y + 3);
+      pdf.text(`${length} ${metric ? 'm' : 'ft'}`, box.x + barWidth + 4, y - fontSize * 0.35, { size: fontSize });
+      y -= lineHeight / 2;
+    }
+
+    // Area totals
+    heading('Totals');
+    const shapes = data.shapes;
+    const breakdown = measurementManager.getBreakdownByType(shapes);
+    Object.keys(breakdown).forEach(type => {
+      const { count, area } = breakdown[type];
+      row(`${count} × ${type}`, area.formatted);
+    });
+    row('Countertop area', measurementManager.calculateTotalArea(shapes).formatted, { bold: true });
+
+    const edgeTotals = measurementManager.calculateEdgeTotals(shapes);
+    const finished = measurementManager.calculateFinishedEdgeLength(shapes);
+    if (finished.inches > 0) {
+      row('Finished edge', finished.formatted);
+    }
+    if (edgeTotals.backsplash.linearFeet > 0) {
+      row('Backsplash', measurementManager.toArea(edgeTotals.backsplash.squareFeet * 144).formatted);
+    }
+
+    const cutouts = measurementManager.countCutouts(shapes);
+    Object.keys(cutouts).filter(type => cutouts[type] > 0).forEach(type => {
+      row(`${type.charAt(0).toUpperCase()}${type.slice(1)} cutouts`, String(cutouts[type]));
+    });
+
+    const seams = measurementManager.calculateSeams(shapes);
+    if (seams.count > 0) {
+      row(`Seams (${seams.count})`, seams.formatted);
+    }
+
+    if (template.edgeSchedule && Object.keys(finished.profiles).length > 0) {
+      heading('Edge schedule');
+      Object.keys(finished.profiles).forEach(profile => {
+        row(`${profile.charAt(0).toUpperCase()}${profile.slice(1)}`, finished.profiles[profile].formatted);
+      });
+      if (edgeTotals.backsplash.linearFeet > 0) {
+        row('Backsplash run', measurementManager.toLength(edgeTotals.backsplash.linearFeet * 12).formatted);
+      }
+    }
+
+    if (template.seamSchedule && (seams.count > 0 || seams.oversizedPieces.length > 0 || seams.warnings.length > 0)) {
+      heading('Seam schedule');
+      seams.seams.forEach(seam => {
+        row(`Shape ${seam.shapeIndex + 1}, seam ${seam.seamIndex + 1}${seam.overCutout ? ' (over cutout)' : ''}`, seam.formatted);
+      });
+      seams.oversizedPieces.forEach(piece => {
+        row(`Shape ${piece.shapeIndex + 1}, piece ${piece.pieceIndex + 1} exceeds slab`, piece.formatted, { color: PLAN_COLORS.cutout });
+      });
+      seams.warnings.forEach(warning => row(warning, undefined, { color: PLAN_COLORS.cutout }));
+    }
+
+    if (template.pricing && data.quote) {
+      const { totals, currency } = data.quote;
+      heading('Estimate');
+      row('Material', this.formatCurrency(totals.material + totals.waste, currency));
+      if (totals.edge + totals.cutout > 0) {
+        row('Fabrication', this.formatCurrency(totals.edge + totals.cutout, currency));
+      }
+      if (totals.labor > 0) {
+        row('Labor', this.formatCurrency(totals.labor, currency));
+      }
+      if (totals.tax > 0) {
+        row('Tax', this.formatCurrency(totals.tax, currency));
+      }
+      row('Total', this.formatCurrency(totals.total, currency), { bold: true });
+      row('Final price is confirmed after templating.', undefined, { color: '#757575' });
+    }
+
+    if (data.notes) {
+      heading('Notes');
+      String(data.notes).split(/\r?\n/).forEach(line => row(line));
+    }
+
+    if (template.signature) {
+      const signatureY = box.y + lineHeight;
+      pdf.setStrokeColor('#000000');
+      pdf.setLineWidth(0.5);
+      pdf.line(box.x, signatureY, box.x + box.width * 0.6, signatureY);
+      pdf.line(box.x + box.width * 0.7, signatureY, right, signatureY);
+      pdf.setFillColor('#000000');
+      pdf.text('Approved by', box.x, box.y, { size: fontSize - 1 });
+      pdf.text('Date', box.x + box.width * 0.7, box.y, { size: fontSize - 1 });
+      pdf.text('I have checked the layout and dimensions above.', box.x, signatureY + lineHeight, { size: fontSize - 1 });
+    }
+  }
+
+  /**
+   * Format an amount of money
+   * @param {number} amount - Amount to format
+   * @param {string} currency - ISO currency code
+   * @returns {string} - Formatted amount
+   */
+  formatCurrency(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  }
+
+  /**
+   * Load the color swatch as JPEG data
+   * @param {string} colorName - Color to show
+   * @returns {Promise<Uint8Array|null>} - JPEG bytes, or null to draw a flat color instead
+   */
+  async loadSwatch(colorName) {
+    if (!this.apiManager) return null;
+
+    try {
+      const url = await this.apiManager.getImageUrl(colorName);
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return bytes;
+      }
+
+      return await this.convertToJPEG(new Blob([bytes], { type: response.headers.get('Content-Type') || '' }));
+    } catch (error) {
+      // Offline or blocked images still get a sheet, with a plain swatch
+      console.warn(`Swatch for ${colorName} is unavailable:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-encode a PNG, GIF or WebP image as JPEG so it can be embedded
+   * @param {Blob} blob - Image data
+   * @returns {Promise<Uint8Array|null>} - JPEG bytes, or null if the browser cannot decode it
+   */
+  async convertToJPEG(blob) {
+    if (typeof createImageBitmap === 'undefined' || typeof document === 'undefined') {
+      return null;
+    }
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+
+    // JPEG has no transparency, so flatten onto white
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0);
+
+    const binary = atob(canvas.toDataURL('image/jpeg', 0.9).split(',')[1]);
+    return Uint8Array.from(binary, character => character.charCodeAt(0));
+  }
+
+  /**
+   * Get a flat color for the swatch when no image is available
+   * @param {string} colorName - Color name
+   * @returns {string} - Hex color matching the API's placeholder image
+   */
+  getFallbackColor(colorName) {
+    if (!colorName || !this.apiManager || !this.apiManager.hashString) {
+      return PLAN_COLORS.frame;
+    }
+
+    const hue = this.apiManager.hashString(colorName.toLowerCase()) % 360;
+    return `#${this.apiManager.hslToHex(hue, 70, 60)}`;
+  }
+
+  /**
+   * Generate a job sheet and offer it as a download
+   * @param {Object} options - Job sheet options, see generate()
+   * @param {string} filename - Suggested file name
+   * @returns {Promise<Uint8Array>} - PDF file contents
+   */
+  async download(options = {}, filename) {
+    const bytes = await this.generate(options);
+    const name = filename || `${options.template === 'shop' ? 'fabrication-sheet' : 'countertop-plan'}.pdf`;
+
+    new DrawingExporter().download(bytes, name, 'application/pdf');
+    return bytes;
+  }
+
+  /**
+   * Get the legend color for an edge
+   * @param {Object} settings - Edge settings
+   * @returns {string|null} - Color, or null for unassigned edges
+   */
+  getEdgeColor(settings) {
+    if (!settings) return null;
+    return EDGE_COLORS[settings.type === 'finished' ? settings.profile : settings.type] || null;
+  }
+}
+
+// Export the module
+export {
+  JobSheetGenerator,
+  PDFWriter,
+  JOB_SHEET_TEMPLATES,
+  ARCHITECTURAL_SCALES
+};
@@ -0,0 +1,589 @@
+/**
+ * Layout Templates Module
+ *
+ * This module provides a library of parametric kitchen layouts, such as a
+ * galley or an L with an island, so a drawing can start from a standard
+ * layout instead of an empty canvas. Each template takes run lengths, depths
+ * and island sizes in inches and places ordinary shapes that stay editable.
+ * Any drawing can also be saved as a new template, kept in local storage and
+ * optionally shared with the team through the API.
+ */
+
+import { Shape, Wall } from './interactive-drawing-module';
+import { DrawingSchema, DOCUMENT_FORMAT, DOCUMENT_VERSION } from './drawing-schema-module';
+
+// Standard counter depth and clearances, in inches
+const COUNTER_DEPTH = 25.5;
+const AISLE_WIDTH = 42;
+
+/*
+ * Built-in templates. build() receives parameter values in inches and returns
+ * shapes in inches relative to the layout's top left corner. wallEdges lists
+ * the edges that sit against a wall, by index into the shape's points.
+ */
+const LAYOUT_TEMPLATES = [
+  {
+    id: 'single-wall',
+    name: 'Single wall',
+    description: 'One straight run along a wall',
+    parameters: [
+      { key: 'runLength', label: 'Run length', default: 120 },
+      { key: 'depth', label: 'Counter depth', default: COUNTER_DEPTH }
+    ],
+    build: values => [
+      { type: 'rectangle', properties: { x: 0, y: 0, width: values.runLength, depth: values.depth }, wallEdges: [0] }
+    ]
+  },
+  {
+    id: 'galley',
+    name: 'Galley',
+    description: 'Two parallel runs facing each other across an aisle',
+    parameters: [
+      { key: 'runLength', label: 'Run length', default: 120 },
+      { key: 'oppositeRunLength', label: 'Opposite run length', default: 96 },
+      { key: 'depth', label: 'Counter depth', default: COUNTER_DEPTH },
+      { key: 'aisle', label: 'Aisle width', default: AISLE_WIDTH }
+    ],
+    build: values => [
+      { type: 'rectangle', properties: { x: 0, y: 0, width: values.runLength, depth: values.depth }, wallEdges: [0] },
+      {
+        type: 'rectangle',
+        properties: { x: 0, y: values.depth + values.aisle, width: values.oppositeRunLength, depth: values.depth },
+        wallEdges: [2]
+      }
+    ]
+  },
+  {
+    id: 'l-shape',
+    name: 'L-shape',
+    description: 'Two runs meeting in a corner',
+    parameters: [
+      { key: 'backRunLength', label: 'Back run length', default: 144 },
+      { key: 'sideRunLength', label: 'Side run length', default: 108 },
+      { key: 'depth', label: 'Counter depth', default: COUNTER_DEPTH }
+    ],
+    build: values => [createLShape(values)]
+  },
+  {
+    id: 'l-island',
+    name: 'L with island',
+    description: 'A corner layout with a freestanding island',
+    parameters: [
+      { key: 'backRunLength', label: 'Back run length', default: 144 },
+      { key: 'sideRunLength', label: 'Side run length', default: 108 },
+      { key: 'depth', label: 'Counter depth', default: COUNTER_DEPTH },
+      { key: 'islandWidth', label: 'Island width', default: 72 },
+      { key: 'islandDepth', label: 'Island depth', default: 36 },
+      { key: 'aisle', label: 'Aisle width', default: AISLE_WIDTH }
+    ],
+    build: values => [
+      createLShape(values),
+      {
+        type: 'island',
+        properties: {
+          x: values.depth + values.aisle,
+          y: values.depth + values.aisle,
+          width: values.islandWidth,
+          depth: values.islandDepth
+        }
+      }
+    ]
+  },
+  {
+    id: 'u-shape',
+    name: 'U-shape',
+    description: 'Three runs along three walls',
+    parameters: [
+      { key: 'backRunLength', label: 'Back run length', default: 144 },
+      { key: 'legLength', label: 'Side run length', default: 96 },
+      { key: 'depth', label: 'Counter depth', default: COUNTER_DEPTH }
+    ],
+    build: values => [createUShape(values, values.depth)]
+  },
+  {
+    id: 'u-peninsula',
+    name: 'U with peninsula',
+    description: 'A U whose right run is a peninsula with seating overhang',
+    parameters: [
+      { key: 'backRunLength', label: 'Back run length', default: 144 },
+      { key: 'legLength', label: 'Side run length', default: 96 },
+      { key: 'depth', label: 'Counter depth', default: COUNTER_DEPTH },
+      { key: 'peninsulaDepth', label: 'Peninsula depth', default: 36 }
+    ],
+    build: values => [createUShape(values, values.peninsulaDepth)]
+  }
+];
+
+/**
+ * Build the corner run shared by the L templates
+ * @param {Object} values - Back and side run lengths and counter depth, in inches
+ * @returns {Object} - L-shape in inches
+ */
+function createLShape(values) {
+  if (values.depth >= values.backRunLength || values.depth >= values.sideRunLength) {
+    throw new Error('The counter depth must be less than both run lengths');
+  }
+
+  // The L's notch is the room side of the corner
+  return {
+    type: 'L-shape',
+    properties: {
+      x: 0,
+      y: 0,
+      width: values.backRunLength,
+      depth: values.sideRunLength,
+      cutoutWidth: values.backRunLength - values.depth,
+      cutoutDepth: values.sideRunLength - values.depth
+    },
+    wallEdges: [0, 5]
+  };
+}
+
+/**
+ * Build the three-run shape shared by the U templates
+ * @param {Object} values - Back run length, leg length and counter depth, in inches
+ * @param {number} rightLegWidth - Width of the right run, deeper for a peninsula
+ * @returns {Object} - U-shape in inches
+ */
+function createUShape(values, rightLegWidth) {
+  if (values.depth + rightLegWidth >= values.backRunLength) {
+    throw new Error('Both side runs must fit within the back run length');
+  }
+  if (values.depth >= values.legLength) {
+    throw new Error('The counter depth must be less than the side run length');
+  }
+
+  // A peninsula stands free, so only the left run and the back sit on walls
+  const wallEdges = rightLegWidth === values.depth ? [0, 1, 7] : [0, 7];
+
+  return {
+    type: 'U-shape',
+    properties: {
+      x: 0,
+      y: 0,
+      width: values.backRunLength,
+      depth: values.legLength,
+      leftCutoutWidth: values.depth,
+      rightCutoutWidth: rightLegWidth,
+      cutoutDepth: values.legLength - values.depth
+    },
+    wallEdges
+  };
+}
+
+class LayoutTemplateLibrary {
+  constructor(options = {}) {
+    this.drawingManager = options.drawingManager || null;
+    this.storage = options.storage || localStorage;
+    this.storageKey = options.storageKey || 'layout_templates';
+    this.apiManager = options.apiManager || null; // Shares templates through a 'templates' endpoint when configured
+    this.schema = options.schema || new DrawingSchema();
+    this.builtIn = options.templates || LAYOUT_TEMPLATES;
+    this.shared = [];
+  }
+
+  /**
+   * List every template, built-in first
+   * @returns {Array<Object>} - Templates with their source: 'built-in', 'saved' or 'shared'
+   */
+  getTemplates() {
+    return [
+      ...this.builtIn.map(template => ({ ...template, source: 'built-in' })),
+      ...this.loadSavedTemplates().map(template => ({ ...template, source: 'saved' })),
+      ...this.shared.map(template => ({ ...template, source: 'shared' }))
+    ];
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} templateId - Template ID
+   * @returns {Object} - Template
+   */
+  getTemplate(templateId) {
+    const template = this.getTemplates().find(entry => entry.id === templateId);
+
+    if (!template) {
+      throw new Error(`Unknown layout template: ${templateId}`);
+    }
+
+    return template;
+  }
+
+  /**
+   * Get a template's default parameter values
+   * @param {string} templateId - Template ID
+   * @returns {Object} - Default values in inches, by parameter key
+   */
+  getDefaults(templateId) {
+    const defaults = {};
+    (this.getTemplate(templateId).parameters || []).forEach(parameter => {
+      defaults[parameter.key] = parameter.default;
+    });
+    return defaults;
+  }
+
+  /**
+   * Read typed parameter values, filling in defaults
+   * @param {Object} template - Template
+   * @param {Object} values - Values as numbers in inches or typed measurements
+   * @returns {Object} - Values in inches
+   */
+  resolveParameters(template, values = {}) {
+    const { measurementManager } = this.drawingManager;
+    const resolved = {};
+
+    (template.parameters || []).forEach(parameter => {
+      const value = values[parameter.key];
+
+      if (value === undefined || value === '') {
+        resolved[parameter.key] = parameter.default;
+        return;
+      }
+
+      try {
+        resolved[parameter.key] = measurementManager.parseMeasurement(value);
+      } catch (error) {
+        throw new Error(`${parameter.label}: ${error.message}`);
+      }
+
+      if (!(resolved[parameter.key] > 0)) {
+        throw new Error(`${parameter.label}: must be greater than 0`);
+      }
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Build a template's shapes without adding them to the drawing
+   * @param {string} templateId - Template ID
+   * @param {Object} values - Parameter values, defaults fill in the rest
+   * @param {Object} position - Top left corner in drawing pixels, defaults to the visible area
+   * @returns {Object} - Shapes and walls
+   */
+  generate(templateId, values = {}, position = {}) {
+    const template = this.getTemplate(templateId);
+    const origin = this.getOrigin(position);
+
+    if (template.source !== 'built-in') {
+      return this.instantiateSaved(template, origin);
+    }
+
+    const { measurementManager } = this.drawingManager;
+    const resolved = this.resolveParameters(template, values);
+    const pixels = value => measurementManager.inchesToPixels(value);
+
+    const shapes = template.build(resolved).map(spec => {
+      const properties = {};
+      Object.keys(spec.properties).forEach(key => {
+        properties[key] = pixels(spec.properties[key]);
+      });
+      properties.x += origin.x;
+      properties.y += origin.y;
+
+      // Shapes reject runs shorter than the counter depth and the like
+      const shape = Shape.createFromProperties({ type: spec.type, properties });
+      shape.validateDimensions(properties);
+
+      (spec.wallEdges || []).forEach(index => shape.setEdge(index, { type: 'wall' }));
+      return shape;
+    });
+
+    return { shapes, walls: [] };
+  }
+
+  /**
+   * Place a template on the drawing as one undo step
+   * @param {string} templateId - Template ID
+   * @param {Object} values - Parameter values, defaults fill in the rest
+   * @param {Object} position - Top left corner in drawing pixels, defaults to the visible area
+   * @returns {Array<Shape>} - The placed shapes, now selected
+   */
+  apply(templateId, values = {}, position = {}) {
+    const { canvas } = this.drawingManager;
+    const { shapes, walls } = this.generate(templateId, values, position);
+
+    canvas.walls.push(...walls);
+    shapes.forEach(shape => {
+      canvas.shapes.push(shape);
+      canvas.anchorToWalls(shape);
+    });
+
+    canvas.selectShapes(shapes);
+    canvas.saveState();
+    canvas.onChange();
+    canvas.render();
+
+    return shapes;
+  }
+
+  /**
+   * Get where a template goes
+   * @param {Object} position - Requested top left corner in drawing pixels
+   * @returns {Object} - Top left corner
+   */
+  getOrigin(position) {
+    // Like typed shapes, templates land just inside the visible area
+    const { gridSize, offset, scale } = this.drawingManager.canvas;
+
+    return {
+      x: position.x !== undefined ? position.x : (gridSize - offset.x) / scale,
+      y: position.y !== undefined ? position.y : (gridSize - offset.y) / scale
+    };
+  }
+
+  /**
+   * Save shapes and walls from the drawing as a new template
+   * @param {string} name - Template name
+   * @param {Object} options - Template options
+   * @param {string} options.description - What the layout is for
+   * @param {Array<Shape>} options.shapes - Shapes to save, defaults to the selection or the whole drawing
+   * @param {Array<Wall>} options.walls - Walls to save, defaults to all walls when saving the whole drawing
+   * @returns {Object} - The saved template
+   */
+  saveTemplate(name, options = {}) {
+    const { canvas, measurementManager } = this.drawingManager;
+
+    if (!name || !name.trim()) {
+      throw new Error('A template needs a name');
+    }
+
+    const selected = canvas.selectedShapes.length > 0;
+    const shapes = options.shapes || (selected ? canvas.selectedShapes : canvas.shapes);
+    const walls = options.walls || (options.shapes || selected ? [] : canvas.walls);
+
+    if (shapes.length === 0) {
+      throw new Error('There is nothing to save as a template');
+    }
+
+    // Saved layouts start at 0,0 so they can be placed anywhere
+    const points = [];
+    shapes.forEach(shape => points.push(...shape.getWorldPoints()));
+    walls.forEach(wall => {
+      const { start, end } = wall.getLine();
+      points.push(start, end);
+    });
+    const bounds = Shape.polygonBounds(points);
+
+    const template = {
+      id: `template_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      name: name.trim(),
+      description: options.description || '',
+      createdAt: new Date().toISOString(),
+      pixelsPerInch: measurementManager.pixelsPerInch,
+      shapes: shapes.map(shape => {
+        const copy = Shape.fromJSON(shape.toJSON());
+        copy.moveBy(-bounds.x, -bounds.y);
+        return copy.toJSON();
+      }),
+      walls: walls.map(wall => {
+        const copy = wall.clone();
+        copy.x1 -= bounds.x;
+        copy.y1 -= bounds.y;
+        copy.x2 -= bounds.x;
+        copy.y2 -= bounds.y;
+        return copy.toJSON();
+      })
+    };
+
+    const { valid, errors } = this.validateTemplate(template);
+    if (!valid) {
+      throw new Error(`Cannot save "${template.name}" as a template: ${errors[0].path}: ${errors[0].message}`);
+    }
+
+    const templates = this.loadSavedTemplates();
+    templates.push(template);
+    this.writeSavedTemplates(templates);
+
+    return template;
+  }
+
+  /**
+   * Delete a saved template
+   * @param {string} templateId - Template ID
+   */
+  deleteTemplate(templateId) {
+    const templates = this.loadSavedTemplates();
+    const remaining = templates.filter(template => template.id !== templateId);
+
+    if (remaining.length === templates.length) {
+      throw new Error(`Only saved templates can be deleted: ${templateId}`);
+    }
+
+    this.writeSavedTemplates(remaining);
+  }
+
+  /**
+   * Share a saved template with the team
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} - API response
+   */
+  async shareTemplate(templateId) {
+    if (!this.apiManager || !this.apiManager.endpoints.templates) {
+      throw new Error('Template sharing needs an API manager with a templates endpoint');
+    }
+
+    const template = this.loadSavedTemplates().find(entry => entry.id === templateId);
+    if (!template) {
+      throw new Error(`Only saved templates can be shared: ${templateId}`);
+    }
+
+    // Submissions made offline are queued by the API manager
+    return this.apiManager.submitData('templates', template);
+  }
+
+  /**
+   * Fetch the team's shared templates
+   * @param {boolean} forceRefresh - Whether to bypass the API manager's cache
+   * @returns {Promise<Array<Object>>} - Shared templates that passed validation
+   */
+  async loadSharedTemplates(forceRefresh = false) {
+    if (!this.apiManager || !this.apiManager.endpoints.templates) {
+      return [];
+    }
+
+    try {
+      const data = await this.apiManager.fetchData('templates', forceRefresh);
+      this.shared = (Array.isArray(data) ? data : []).filter(template => this.isValidTemplate(template));
+    } catch (error) {
+      console.error('Error loading shared layout templates:', error);
+    }
+
+    return this.shared;
+  }
+
+  /**
+   * Read saved templates, skipping any that are damaged
+   * @returns {Array<Object>} - Saved templates
+   */
+  loadSavedTemplates() {
+    try {
+      const templates = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      return templates.filter(template => this.isValidTemplate(template));
+    } catch (error) {
+      console.error('Error reading saved layout templates:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write saved templates back to storage
+   * @param {Array<Object>} templates - Saved templates
+   */
+  writeSavedTemplates(templates) {
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(templates));
+    } catch (error) {
+      throw new Error(`Could not save layout templates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a saved or shared template's drawing with the document schema
+   * @param {Object} template - Template
+   * @returns {Object} - Whether the template is valid, and errors with paths and messages
+   */
+  validateTemplate(template) {
+    return this.schema.validate({
+      format: DOCUMENT_FORMAT,
+      version: DOCUMENT_VERSION,
+      rooms: [{ id: 'template', shapes: template.shapes, walls: template.walls || [] }]
+    });
+  }
+
+  /**
+   * Check whether a stored template can be placed, logging why not
+   * @param {Object} template - Template
+   * @returns {boolean} - Whether the template can be placed
+   */
+  isValidTemplate(template) {
+    if (!template || typeof template.id !== 'string' || typeof template.name !== 'string') {
+      return false;
+    }
+
+    const { valid, errors } = this.validateTemplate(template);
+    if (!valid) {
+      console.warn(`Skipping layout template "${template.name}":`, errors);
+    }
+    return valid;
+  }
+
+  /**
+   * Copy a saved template's shapes and walls to a new position
+   * @param {Object} template - Saved or shared template
+   * @param {Object} origin - Top left corner in drawing pixels
+   * @returns {Object} - Shapes and walls
+   */
+  instantiateSaved(template, origin) {
+    const { measurementManager } = this.drawingManager;
+
+    // Saved shapes are in drawing pixels, so a template saved at another scale is resized to keep its inches
+    const factor = template.pixelsPerInch ? measurementManager.pixelsPerInch / template.pixelsPerInch : 1;
+
+    // Every placement gets its own shape and group IDs
+    const groupIds = {};
+    const shapes = template.shapes.map(data => {
+      const shape = Shape.fromJSON(data);
+      shape.id = Shape.generateId();
+      if (shape.groupId) {
+        groupIds[shape.groupId] = groupIds[shape.groupId] ||
+          `group_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+        shape.groupId = groupIds[shape.groupId];
+      }
+      if (factor !== 1) {
+        this.scaleShape(shape, factor);
+      }
+      shape.moveBy(origin.x, origin.y);
+      return shape;
+    });
+
+    const walls = (template.walls || []).map(data => {
+      const wall = Wall.fromJSON(data);
+      wall.x1 = wall.x1 * factor + origin.x;
+      wall.y1 = wall.y1 * factor + origin.y;
+      wall.x2 = wall.x2 * factor + origin.x;
+      wall.y2 = wall.y2 * factor + origin.y;
+      wall.thickness *= factor;
+      return wall;
+    });
+
+    return { shapes, walls };
+  }
+
+  /**
+   * Resize a shape about the drawing origin, with its cutouts and seams
+   * @param {Shape} shape - Shape to resize in place
+   * @param {number} factor - Drawing scale divided by the scale the shape was saved at
+   */
+  scaleShape(shape, factor) {
+    const scaleAll = properties => {
+      Object.keys(properties).forEach(key => {
+        if (typeof properties[key] === 'number') {
+          properties[key] *= factor;
+        }
+      });
+    };
+
+    if (shape.type === 'custom') {
+      // Bulges are ratios, so only positions and corner radii change
+      shape.properties.points.forEach(point => {
+        point.x *= factor;
+        point.y *= factor;
+        if (point.radius) {
+          point.radius *= factor;
+        }
+      });
+    } else {
+      scaleAll(shape.properties);
+    }
+
+    shape.cutouts.forEach(cutout => scaleAll(cutout.properties));
+    shape.seams.forEach(seam => scaleAll(seam.properties));
+  }
+}
+
+// Export the module
+export {
+  LayoutTemplateLibrary,
+  LAYOUT_TEMPLATES
+};
@@ -0,0 +1,414 @@
+/**
+ * Product Matching Module
+ *
+ * This module groups the same slab color offered by several vendors, so a
+ * color is listed once with every vendor's price and thickness beside each
+ * other. Vendors spell colors differently ("Calacatta Gold", "Calacatta-Gold
+ * Quartz", "Gold Calacatta"), so names are normalized, looked up in a curated
+ * alias table and finally compared with a fuzzy match.
+ */
+
+// Spellings and abbreviations vendors use for the same word
+const WORD_SYNONYMS = {
+  grey: 'gray',
+  wht: 'white',
+  blk: 'black',
+  gry: 'gray',
+  brn: 'brown',
+  st: 'saint',
+  mt: 'mount',
+  carrera: 'carrara',
+  calcatta: 'calacatta'
+};
+
+// Words describing the material or finish rather than the color
+const NOISE_WORDS = [
+  'quartz', 'granite', 'marble', 'quartzite', 'porcelain', 'soapstone', 'slab',
+  'polished', 'honed', 'leathered', 'matte', 'suede', 'concrete', 'finish', 'the'
+];
+
+class ProductMatcher {
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+    this.storageKey = options.storageKey || 'product_aliases';
+    this.similarityThreshold = options.similarityThreshold || 0.88;
+    this.aliases = {
+      ...this.loadAliases(),
+      ...this.buildAliasTable(options.aliases || {})
+    };
+  }
+
+  /**
+   * Load the curated alias table from storage
+   * @returns {Object} - Normalized alias names mapped to normalized color names
+   */
+  loadAliases() {
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Error loading product aliases:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the curated alias table to storage
+   */
+  saveAliases() {
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.aliases));
+    } catch (error) {
+      console.error('Error saving product aliases:', error);
+    }
+  }
+
+  /**
+   * Turn a { colorName: [aliases] } table into a lookup by normalized alias
+   * @param {Object} table - Color names mapped to the other names vendors use for them
+   * @returns {Object} - Normalized alias names mapped to normalized color names
+   */
+  buildAliasTable(table) {
+    const aliases = {};
+
+    Object.keys(table).forEach(colorName => {
+      const target = this.normalizeName(colorName);
+      table[colorName].forEach(alias => {
+        aliases[this.normalizeName(alias)] = target;
+      });
+    });
+
+    return aliases;
+  }
+
+  /**
+   * Record that a vendor's color name means the same color as another name
+   * @param {string} alias - Name a vendor uses
+   * @param {string} colorName - Name of the color it stands for
+   */
+  addAlias(alias, colorName) {
+    const key = this.normalizeName(alias);
+    const target = this.resolveName(colorName);
+
+    if (!key || !target) {
+      throw new Error('An alias and a color name are both required');
+    }
+    if (key === target) {
+      throw new Error(`"${alias}" and "${colorName}" are already the same color`);
+    }
+
+    this.aliases[key] = target;
+    this.saveAliases();
+  }
+
+  /**
+   * Forget an alias
+   * @param {string} alias - Name a vendor uses
+   */
+  removeAlias(alias) {
+    delete this.aliases[this.normalizeName(alias)];
+    this.saveAliases();
+  }
+
+  /**
+   * Get the curated alias table
+   * @returns {Object} - Normalized alias names mapped to normalized color names
+   */
+  getAliases() {
+    return { ...this.aliases };
+  }
+
+  /**
+   * Reduce a color name to the words that identify the color
+   *
+   * Accents, punctuation, material and finish words are dropped, common
+   * abbreviations are spelled out and the words are sorted, so word order
+   * does not matter.
+   * @param {string} name - Color name
+   * @returns {string} - Normalized name
+   */
+  normalizeName(name) {
+    if (typeof name !== 'string') {
+      return '';
+    }
+
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .map(word => WORD_SYNONYMS[word] || word)
+      .filter(word => word && !NOISE_WORDS.includes(word))
+      .sort()
+      .join(' ');
+  }
+
+  /**
+   * Write a thickness the same way for every vendor, such as "30 mm" as "3cm"
+   * @param {string} thickness - Thickness from a vendor sheet
+   * @returns {string|null} - Normalized thickness, or null when not given
+   */
+  normalizeThickness(thickness) {
+    if (thickness === undefined || thickness === null || String(thickness).trim() === '') {
+      return null;
+    }
+
+    const value = String(thickness).toLowerCase().replace(/\s+/g, '');
+    const millimeters = value.match(/^(\d+(?:\.\d+)?)mm$/);
+
+    return millimeters ? `${parseFloat(millimeters[1]) / 10}cm` : value;
+  }
+
+  /**
+   * Normalize a color name and follow the alias table
+   * @param {string} name - Color name
+   * @returns {string} - Normalized name of the color it stands for
+   */
+  resolveName(name) {
+    const normalized = this.normalizeName(name);
+    return this.aliases[normalized] || normalized;
+  }
+
+  /**
+   * Compare two normalized names
+   * @param {string} a - Normalized name
+   * @param {string} b - Normalized name
+   * @returns {number} - Similarity from 0 to 1, based on edit distance
+   */
+  similarity(a, b) {
+    if (a === b) {
+      return 1;
+    }
+    if (!a || !b) {
+      return 0;
+    }
+
+    // Levenshtein distance, one row at a time
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Check whether two normalized names are close enough to be the same color
+   * @param {string} a - Normalized name
+   * @param {string} b - Normalized name
+   * @returns {boolean} - Whether the names match
+   */
+  isSimilar(a, b) {
+    // Names whose lengths differ by more than the threshold allows cannot match, so skip the edit distance
+    const longest = Math.max(a.length, b.length);
+    if (Math.abs(a.length - b.length) > (1 - this.similarityThreshold) * longest) {
+      return false;
+    }
+
+    return this.similarity(a, b) >= this.similarityThreshold;
+  }
+
+  /**
+   * Group equivalent products from every source
+   * @param {Array<Object>} products - Catalog items from the CSV module
+   * @returns {Array<Object>} - Product groups sorted by color name, see createGroup()
+   */
+  groupProducts(products) {
+    const groups = new Map();
+
+    // Exact matches first: same material and the same name once normalized or aliased
+    products.forEach(product => {
+      const material = String(product.material || '').trim().toLowerCase();
+      const normalized = this.normalizeName(product.colorName);
+      const name = this.aliases[normalized] || normalized;
+      const key = `${material}|${name}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, material, name, matchedBy: 'name', products: [] });
+      }
+
+      const group = groups.get(key);
+      group.products.push(product);
+      if (name !== normalized) {
+        group.matchedBy = 'alias';
+      }
+    });
+
+    // Then fuzzy matches between groups of the same material. Names this alike share the
+    // start of at least one word, so only groups indexed under one of those are compared.
+    const merged = [];
+    const candidates = new Map();
+    const indexKeys = group => [...new Set(group.name.split(' ').map(word => `${group.material}|${word.slice(0, 3)}`))];
+
+    groups.forEach(group => {
+      const keys = indexKeys(group);
+      const seen = new Set();
+      let match = null;
+
+      keys.some(key => (candidates.get(key) || []).some(candidate => {
+        if (seen.has(candidate)) {
+          return false;
+        }
+        seen.add(candidate);
+
+        if (this.isSimilar(candidate.name, group.name) && this.canMerge(candidate, group)) {
+          match = candidate;
+        }
+        return match !== null;
+      }));
+
+      if (match) {
+        match.products.push(...group.products);
+        match.matchedBy = 'fuzzy';
+        return;
+      }
+
+      merged.push(group);
+      keys.forEach(key => {
+        if (!candidates.has(key)) {
+          candidates.set(key, []);
+        }
+        candidates.get(key).push(group);
+      });
+    });
+
+    return merged
+      .map(group => this.createGroup(group))
+      .sort((a, b) => a.colorName.localeCompare(b.colorName) || a.material.localeCompare(b.material));
+  }
+
+  /**
+   * Check whether two groups may be fuzzy matched
+   *
+   * A vendor does not list one color under two names, so two groups with a
+   * vendor in common are different colors, however alike their names are.
+   * @param {Object} a - Group
+   * @param {Object} b - Group
+   * @returns {boolean} - Whether the groups have no source in common
+   */
+  canMerge(a, b) {
+    const sources = new Set(a.products.map(product => product.sourceId || product.vendorName));
+    return !b.products.some(product => sources.has(product.sourceId || product.vendorName));
+  }
+
+  /**
+   * Keep the products of each group that pass a filter
+   *
+   * Grouping the whole catalog is the slow part, so searches group it once
+   * and filter the groups instead.
+   * @param {Array<Object>} groups - Groups from groupProducts()
+   * @param {Function} predicate - Called with each product, true to keep it
+   * @returns {Array<Object>} - Groups with at least one product left, comparisons recalculated
+   */
+  filterGroups(groups, predicate) {
+    return groups.reduce((filtered, group) => {
+      const products = group.products.filter(predicate);
+
+      if (products.length === group.products.length) {
+        filtered.push(group);
+      } else if (products.length > 0) {
+        filtered.push(this.createGroup({ key: group.id, name: group.normalizedName, matchedBy: group.matchedBy, products }));
+      }
+
+      return filtered;
+    }, []);
+  }
+
+  /**
+   * Describe a group of equivalent products with its vendor comparison
+   *
+   * Each vendor's products and the cheapest product are keyed by normalized
+   * thickness, with "null" for products that give none. A vendor can offer
+   * several products of one thickness, such as two finishes of a color, so
+   * each vendor lists every offer, cheapest first.
+   * @param {Object} group - Matched products
+   * @returns {Object} - Color name, material, thicknesses, vendors and the cheapest product
+   */
+  createGroup(group) {
+    const priced = product => typeof product.installedPricePerSqFt === 'number' && !isNaN(product.installedPricePerSqFt);
+    const byPrice = (a, b) => a.installedPricePerSqFt - b.installedPricePerSqFt;
+
+    // The most common spelling names the group, then one that needed no alias or abbreviation
+    const nameCounts = {};
+    group.products.forEach(product => {
+      nameCounts[product.colorName] = (nameCounts[product.colorName] || 0) + 1;
+    });
+    const isPlain = name => this.normalizeName(name) === group.name &&
+      !name.toLowerCase().split(/[^a-z0-9]+/).some(word => WORD_SYNONYMS[word]);
+    const colorName = Object.keys(nameCounts).sort((a, b) => nameCounts[b] - nameCounts[a] ||
+      isPlain(b) - isPlain(a) || a.length - b.length)[0];
+
+    const thicknessOf = product => this.normalizeThickness(product.thickness);
+    const thicknesses = [...new Set(group.products.map(thicknessOf))]
+      .sort((a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0));
+
+    const vendorMap = new Map();
+    group.products.forEach(product => {
+      const vendorKey = product.sourceId || product.vendorName;
+
+      if (!vendorMap.has(vendorKey)) {
+        vendorMap.set(vendorKey, { sourceId: product.sourceId || null, vendorName: product.vendorName, products: {} });
+      }
+      const offers = vendorMap.get(vendorKey).products;
+      const thickness = thicknessOf(product);
+      offers[thickness] = offers[thickness] || [];
+      offers[thickness].push(product);
+    });
+
+    vendorMap.forEach(vendor => {
+      Object.values(vendor.products).forEach(offers => offers.sort((a, b) => {
+        return (priced(b) - priced(a)) || (priced(a) && priced(b) ? byPrice(a, b) : 0);
+      }));
+    });
+
+    // Cheapest product for each thickness, for the buyer's pick
+    const cheapest = {};
+    thicknesses.forEach(thickness => {
+      const offers = group.products
+        .filter(product => thicknessOf(product) === thickness && priced(product))
+        .sort(byPrice);
+      cheapest[thickness] = offers[0] || null;
+    });
+
+    const pricedProducts = group.products.filter(priced).sort(byPrice);
+
+    return {
+      id: group.key,
+      normalizedName: group.name,
+      colorName,
+      material: group.products[0].material,
+      matchedBy: group.matchedBy,
+      names: Object.keys(nameCounts),
+      thicknesses,
+      vendors: [...vendorMap.values()].sort((a, b) => String(a.vendorName).localeCompare(String(b.vendorName))),
+      products: group.products,
+      cheapest,
+      lowestPrice: pricedProducts.length > 0 ? pricedProducts[0].installedPricePerSqFt : null
+    };
+  }
+
+  /**
+   * Find the cheapest vendor for a product's color and thickness
+   * @param {Object} product - Catalog item
+   * @param {Array<Object>} products - Catalog items to choose from
+   * @returns {Object|null} - The cheapest equivalent product, which may be the product itself
+   */
+  findCheapestEquivalent(product, products) {
+    const group = this.groupProducts(products)
+      .find(entry => entry.products.some(candidate => candidate.id === product.id));
+
+    return group ? group.cheapest[this.normalizeThickness(product.thickness)] : null;
+  }
+}
+
+// Export the module
+export {
+  ProductMatcher
+};
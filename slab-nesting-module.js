@@ -0,0 +1,707 @@
+/**
+ * Slab Nesting Module
+ *
+ * This module packs the countertop pieces drawn on the canvas onto as few
+ * stone slabs as possible and reports slab count, yield and a per-slab
+ * placement diagram that can be rendered on a canvas.
+ */
+
+import { Shape, Seam } from './interactive-drawing-module';
+
+class SlabNestingOptimizer {
+  constructor(options = {}) {
+    this.measurementManager = options.measurementManager || null;
+    this.config = {
+      spacing: 0.5, // Saw kerf and clearance between pieces, in inches
+      edgeTrim: 1, // Unusable rough edge around each slab, in inches
+      allowRotation: true,
+      splitOversized: true, // Add seams to pieces larger than the slab instead of leaving them out
+      ...options.config
+    };
+    // Slab dimensions in inches, keyed by lower-case material name
+    this.slabSizes = {
+      default: { width: 120, height: 55 },
+      granite: { width: 114, height: 70 },
+      quartz: { width: 126, height: 63 },
+      marble: { width: 110, height: 65 },
+      quartzite: { width: 120, height: 70 },
+      ...options.slabSizes
+    };
+  }
+
+  /**
+   * Set the slab dimensions for a material
+   * @param {string} material - Material name
+   * @param {Object} size - Slab size in inches
+   * @param {number} size.width - Slab width
+   * @param {number} size.height - Slab height
+   */
+  setSlabSize(material, size) {
+    if (!size || !(size.width > 0) || !(size.height > 0)) {
+      throw new Error('Slab size must have a positive width and height');
+    }
+
+    this.slabSizes[String(material).toLowerCase()] = {
+      width: size.width,
+      height: size.height
+    };
+  }
+
+  /**
+   * Get the slab dimensions for a material
+   * @param {string} [material] - Material name
+   * @returns {Object} - Slab size in inches
+   */
+  getSlabSize(material) {
+    const key = String(material || '').toLowerCase();
+    return this.slabSizes[key] || this.slabSizes.default;
+  }
+
+  /**
+   * Convert drawing pixels to inches
+   * @param {number} pixels - Length in pixels
+   * @returns {number} - Length in inches
+   */
+  toInches(pixels) {
+    return this.measurementManager ? this.measurementManager.pixelsToInches(pixels) : pixels / 10;
+  }
+
+  /**
+   * Build the list of pieces to nest from drawn shapes, splitting shapes at their seams
+   * @param {Array<Shape>} shapes - Shapes drawn on the canvas
+   * @returns {Array<Object>} - Pieces with their outline in drawing pixels and size and net area in inches
+   */
+  getPieces(shapes) {
+    const pieces = [];
+
+    shapes.forEach((shape, index) => {
+      const origin = shape.getOrigin();
+
+      shape.getPieces().forEach(points => {
+        pieces.push({
+          id: `piece_${pieces.length + 1}`,
+          shapeIndex: index,
+          shapeType: shape.type,
+          origin,
+          points,
+          ...this.measurePiece(points)
+        });
+      });
+    });
+
+    return pieces;
+  }
+
+  /**
+   * Measure a piece outline
+   * @param {Array<Object>} points - Outline in drawing pixels
+   * @returns {Object} - Width and height of the bounding box and net area, in inches
+   * @private
+   */
+  measurePiece(points) {
+    const bounds = Shape.polygonBounds(points);
+
+    return {
+      width: this.toInches(bounds.width),
+      height: this.toInches(bounds.depth),
+      // Areas convert once per dimension
+      area: this.toInches(this.toInches(Shape.polygonArea(points)))
+    };
+  }
+
+  /**
+   * Nest drawn shapes onto slabs
+   * @param {Array<Shape>} shapes - Shapes drawn on the canvas
+   * @param {Object} [options] - Nesting options
+   * @param {string} [options.material] - Material used to pick the slab size
+   * @param {Object} [options.slabSize] - Explicit slab size in inches
+   * @returns {Object} - Nesting result with slabs, slab count and waste
+   */
+  nest(shapes, options = {}) {
+    const slabSize = options.slabSize || this.getSlabSize(options.material);
+    const spacing = this.config.spacing;
+    const trim = this.config.edgeTrim;
+    const usableWidth = slabSize.width - trim * 2;
+    const usableHeight = slabSize.height - trim * 2;
+
+    const unplaced = [];
+    const addedSeams = [];
+
+    // Pieces larger than the slab are cut into parts that fit, or kept aside
+    // and billed a slab of their own when splitting is turned off
+    const pieces = [];
+    this.getPieces(shapes).forEach(piece => {
+      if (this.fits(piece.width, piece.height, usableWidth, usableHeight)) {
+        pieces.push(piece);
+        return;
+      }
+
+      if (!this.config.splitOversized) {
+        unplaced.push({ ...piece, reason: 'Piece is larger than the slab and needs a seam' });
+        return;
+      }
+
+      const split = this.splitOversized(piece, usableWidth, usableHeight);
+      addedSeams.push(...split.seams);
+      pieces.push(...split.parts);
+    });
+
+    // Largest pieces first gives the best packing for greedy placement
+    pieces.sort((a, b) => {
+      return Math.max(b.width, b.height) - Math.max(a.width, a.height) ||
+        (b.width * b.height) - (a.width * a.height);
+    });
+
+    const slabs = [];
+
+    pieces.forEach(piece => {
+      // Pieces are inflated by the spacing so neighbours keep a saw kerf apart
+      const width = piece.width + spacing;
+      const height = piece.height + spacing;
+
+      let placement = null;
+      let slab = null;
+
+      for (const candidate of slabs) {
+        placement = this.findPosition(candidate.freeRects, width, height);
+        if (placement) {
+          slab = candidate;
+          break;
+        }
+      }
+
+      if (!placement) {
+        slab = {
+          index: slabs.length,
+          width: slabSize.width,
+          height: slabSize.height,
+          freeRects: [{ x: 0, y: 0, width: usableWidth + spacing, height: usableHeight + spacing }],
+          placements: []
+        };
+        slabs.push(slab);
+        placement = this.findPosition(slab.freeRects, width, height);
+      }
+
+      this.splitFreeRects(slab, placement);
+
+      slab.placements.push({
+        pieceId: piece.id,
+        shapeIndex: piece.shapeIndex,
+        shapeType: piece.shapeType,
+        x: placement.x + trim,
+        y: placement.y + trim,
+        width: placement.rotated ? piece.height : piece.width,
+        height: placement.rotated ? piece.width : piece.height,
+        rotated: placement.rotated,
+        area: piece.area,
+        splitFrom: piece.splitFrom || null
+      });
+    });
+
+    // Each unplaced piece needs at least one slab, so the count is a lower bound
+    const slabCount = slabs.length + unplaced.length;
+    const slabArea = slabSize.width * slabSize.height;
+    const totalSlabArea = slabArea * slabCount;
+    const pieceArea = slabs.reduce((sum, slab) => {
+      return sum + slab.placements.reduce((total, placement) => total + placement.area, 0);
+    }, 0) + unplaced.reduce((sum, piece) => sum + piece.area, 0);
+
+    let summary = `${slabCount} slab${slabCount === 1 ? '' : 's'}`;
+    if (unplaced.length > 0) {
+      summary = `At least ${summary} - ${unplaced.length} piece${unplaced.length === 1 ? ' is' : 's are'} larger than the slab and need${unplaced.length === 1 ? 's' : ''} a seam`;
+    } else if (addedSeams.length > 0) {
+      summary += ` - ${addedSeams.length} seam${addedSeams.length === 1 ? '' : 's'} added to fit the slab`;
+    }
+
+    return {
+      slabSize: { ...slabSize },
+      slabCount,
+      complete: unplaced.length === 0,
+      summary,
+      // Seams the drawing does not have yet, applySeams() adds them so they are drawn and quoted
+      addedSeams,
+      slabs: slabs.map(slab => {
+        const usedArea = slab.placements.reduce((sum, placement) => sum + placement.area, 0);
+        return {
+          index: slab.index,
+          width: slab.width,
+          height: slab.height,
+          placements: slab.placements,
+          usedArea: this.round(usedArea / 144),
+          wastePercentage: this.round((1 - usedArea / slabArea) * 100)
+        };
+      }),
+      unplaced,
+      totalSlabArea: this.round(totalSlabArea / 144),
+      pieceArea: this.round(pieceArea / 144),
+      wastePercentage: totalSlabArea > 0 ? this.round((1 - pieceArea / totalSlabArea) * 100) : 0
+    };
+  }
+
+  /**
+   * Add the seams a nesting result cut into oversized pieces to the drawn shapes,
+   * so they show on the drawing and are counted in the quote's seam line items
+   * @param {Array<Shape>} shapes - Shapes passed to nest()
+   * @param {Object} result - Nesting result from nest()
+   * @returns {Array<Seam>} - The seams added
+   */
+  applySeams(shapes, result) {
+    return result.addedSeams.map(({ shapeIndex, x1, y1, x2, y2 }) => {
+      const seam = new Seam(x1, y1, x2, y2);
+      shapes[shapeIndex].addSeam(seam);
+      return seam;
+    });
+  }
+
+  /**
+   * Cut a piece larger than the slab into parts that each fit. L and U shapes are
+   * cut at their inside corners first, the way they are fabricated, and parts
+   * still too large are cut into equal lengths
+   * @param {Object} piece - Piece from getPieces()
+   * @param {number} usableWidth - Usable slab width in inches
+   * @param {number} usableHeight - Usable slab height in inches
+   * @returns {Object} - Parts of the piece and the seams between them, relative to the shape origin
+   * @private
+   */
+  splitOversized(piece, usableWidth, usableHeight) {
+    const fitsSlab = points => {
+      const size = this.measurePiece(points);
+      return this.fits(size.width, size.height, usableWidth, usableHeight);
+    };
+    const pending = [piece.points];
+    const outlines = [];
+    const cuts = [];
+
+    while (pending.length > 0) {
+      const points = pending.shift();
+
+      if (fitsSlab(points)) {
+        outlines.push(points);
+        continue;
+      }
+
+      // The corner cut leaving the most parts that fit, then the shortest one
+      const best = this.getCornerCuts(points)
+        .map(cut => ({ ...cut, fitting: cut.parts.filter(fitsSlab).length }))
+        .sort((a, b) => b.fitting - a.fitting || a.length - b.length)[0];
+
+      if (best) {
+        cuts.push(best);
+        pending.push(...best.parts);
+        continue;
+      }
+
+      const grid = this.splitIntoGrid(points, usableWidth, usableHeight);
+      cuts.push(...grid.cuts);
+      outlines.push(...grid.parts);
+    }
+
+    return {
+      parts: outlines.map((points, index) => ({
+        ...piece,
+        id: `${piece.id}_${index + 1}`,
+        splitFrom: piece.id,
+        points,
+        ...this.measurePiece(points)
+      })),
+      seams: cuts.map(({ start, end }) => ({
+        shapeIndex: piece.shapeIndex,
+        x1: start.x - piece.origin.x,
+        y1: start.y - piece.origin.y,
+        x2: end.x - piece.origin.x,
+        y2: end.y - piece.origin.y,
+        length: this.round(this.toInches(Math.hypot(end.x - start.x, end.y - start.y)))
+      }))
+    };
+  }
+
+  /**
+   * Find the cuts from each inside corner of an outline across to the opposite edge,
+   * continuing either of the edges that meet at the corner
+   * @param {Array<Object>} points - Outline in drawing pixels
+   * @returns {Array<Object>} - Cuts with their start, end, length in pixels and the two parts
+   * @private
+   */
+  getCornerCuts(points) {
+    const count = points.length;
+    let winding = 0;
+    points.forEach((point, index) => {
+      const next = points[(index + 1) % count];
+      winding += point.x * next.y - next.x * point.y;
+    });
+
+    const cuts = [];
+    const area = Shape.polygonArea(points);
+
+    points.forEach((corner, index) => {
+      const previous = points[(index + count - 1) % count];
+      const next = points[(index + 1) % count];
+      const turn = (corner.x - previous.x) * (next.y - corner.y) - (corner.y - previous.y) * (next.x - corner.x);
+
+      // Inside corners turn against the winding of the outline
+      if (turn * winding >= -1e-9) {
+        return;
+      }
+
+      [
+        { x: corner.x - previous.x, y: corner.y - previous.y },
+        { x: corner.x - next.x, y: corner.y - next.y }
+      ].forEach(direction => {
+        const hit = this.castRay(points, index, direction);
+        if (!hit) {
+          return;
+        }
+
+        const parts = this.splitAtCorner(points, index, hit);
+
+        // A cut that grazes the outline does not divide it in two
+        if (parts.some(part => part.length < 3 || Shape.polygonArea(part) < 1e-6) ||
+            Math.abs(parts.reduce((sum, part) => sum + Shape.polygonArea(part), 0) - area) > 1e-6 * Math.max(area, 1)) {
+          return;
+        }
+
+        cuts.push({
+          start: { x: corner.x, y: corner.y },
+          end: hit.point,
+          length: Math.hypot(hit.point.x - corner.x, hit.point.y - corner.y),
+          parts
+        });
+      });
+    });
+
+    return cuts;
+  }
+
+  /**
+   * Find where a ray from a corner of an outline first meets the outline again
+   * @param {Array<Object>} points - Outline in drawing pixels
+   * @param {number} index - Index of the corner the ray starts from
+   * @param {Object} direction - Direction of the ray
+   * @returns {Object|null} - Edge index and point hit, or null if the ray leaves the outline
+   * @private
+   */
+  castRay(points, index, direction) {
+    const corner = points[index];
+    const count = points.length;
+    let best = null;
+
+    points.forEach((start, edgeIndex) => {
+      // The edges meeting at the corner
+      if (edgeIndex === index || edgeIndex === (index + count - 1) % count) {
+        return;
+      }
+
+      const end = points[(edgeIndex + 1) % count];
+      const ex = end.x - start.x;
+      const ey = end.y - start.y;
+      const denominator = direction.x * ey - direction.y * ex;
+
+      if (Math.abs(denominator) < 1e-9) {
+        return;
+      }
+
+      const t = ((start.x - corner.x) * ey - (start.y - corner.y) * ex) / denominator;
+      const u = ((start.x - corner.x) * direction.y - (start.y - corner.y) * direction.x) / denominator;
+
+      if (t > 1e-9 && u >= -1e-9 && u <= 1 + 1e-9 && (!best || t < best.t)) {
+        best = {
+          t,
+          edgeIndex,
+          point: { x: corner.x + direction.x * t, y: corner.y + direction.y * t }
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Split an outline along the cut from one of its corners to a point on another edge
+   * @param {Array<Object>} points - Outline in drawing pixels
+   * @param {number} index - Index of the corner the cut starts from
+   * @param {Object} hit - Edge index and point where the cut ends
+   * @returns {Array<Array<Object>>} - The two parts
+   * @private
+   */
+  splitAtCorner(points, index, hit) {
+    const count = points.length;
+    const first = [points[index]];
+    const second = [hit.point];
+
+    for (let i = (index + 1) % count; i !== (hit.edgeIndex + 1) % count; i = (i + 1) % count) {
+      first.push(points[i]);
+    }
+    first.push(hit.point);
+
+    for (let i = (hit.edgeIndex + 1) % count; i !== index; i = (i + 1) % count) {
+      second.push(points[i]);
+    }
+    second.push(points[index]);
+
+    return [first, second].map(part => Shape.removeDuplicatePoints(part));
+  }
+
+  /**
+   * Cut an outline with no inside corners into a grid of equal parts that each fit,
+   * using the orientation that needs the fewest seams
+   * @param {Array<Object>} points - Outline in drawing pixels
+   * @param {number} usableWidth - Usable slab width in inches
+   * @param {number} usableHeight - Usable slab height in inches
+   * @returns {Object} - Parts and the cuts between them
+   * @private
+   */
+  splitIntoGrid(points, usableWidth, usableHeight) {
+    const bounds = Shape.polygonBounds(points);
+    const width = this.toInches(bounds.width);
+    const height = this.toInches(bounds.depth);
+    const count = (length, limit) => Math.max(1, Math.ceil(length / limit - 1e-9));
+    let columns = count(width, usableWidth);
+    let rows = count(height, usableHeight);
+
+    if (this.config.allowRotation) {
+      const rotatedColumns = count(width, usableHeight);
+      const rotatedRows = count(height, usableWidth);
+
+      if (rotatedColumns * rotatedRows < columns * rows) {
+        columns = rotatedColumns;
+        rows = rotatedRows;
+      }
+    }
+
+    const lines = [];
+    for (let column = 1; column < columns; column++) {
+      const x = bounds.x + bounds.width * column / columns;
+      lines.push({ start: { x, y: bounds.y }, end: { x, y: bounds.y + bounds.depth } });
+    }
+    for (let row = 1; row < rows; row++) {
+      const y = bounds.y + bounds.depth * row / rows;
+      lines.push({ start: { x: bounds.x, y }, end: { x: bounds.x + bounds.width, y } });
+    }
+
+    const cuts = [];
+    let parts = [points];
+
+    lines.forEach(({ start, end }) => {
+      parts = parts.reduce((result, part) => {
+        const chord = Shape.findChord(part, start, end);
+
+        if (!chord) {
+          return result.concat([part]);
+        }
+
+        cuts.push({ start: chord.start.point, end: chord.end.point });
+        return result.concat(Shape.splitPolygon(part, chord));
+      }, []);
+    });
+
+    return { parts, cuts };
+  }
+
+  /**
+   * Check whether a piece fits in an area, optionally rotated
+   * @param {number} width - Piece width
+   * @param {number} height - Piece height
+   * @param {number} areaWidth - Available width
+   * @param {number} areaHeight - Available height
+   * @returns {boolean} - Whether the piece fits
+   */
+  fits(width, height, areaWidth, areaHeight) {
+    return (width <= areaWidth && height <= areaHeight) ||
+      (this.config.allowRotation && height <= areaWidth && width <= areaHeight);
+  }
+
+  /**
+   * Find the best free rectangle for a piece (best short side fit)
+   * @param {Array<Object>} freeRects - Free rectangles on a slab
+   * @param {number} width - Piece width
+   * @param {number} height - Piece height
+   * @returns {Object|null} - Position and orientation, or null if it does not fit
+   * @private
+   */
+  findPosition(freeRects, width, height) {
+    let best = null;
+    let bestShortSide = Infinity;
+    let bestLongSide = Infinity;
+
+    const orientations = this.config.allowRotation && width !== height
+      ? [{ width, height, rotated: false }, { width: height, height: width, rotated: true }]
+      : [{ width, height, rotated: false }];
+
+    freeRects.forEach(rect => {
+      orientations.forEach(orientation => {
+        if (orientation.width > rect.width || orientation.height > rect.height) {
+          return;
+        }
+
+        const leftoverX = rect.width - orientation.width;
+        const leftoverY = rect.height - orientation.height;
+        const shortSide = Math.min(leftoverX, leftoverY);
+        const longSide = Math.max(leftoverX, leftoverY);
+
+        if (shortSide < bestShortSide || (shortSide === bestShortSide && longSide < bestLongSide)) {
+          bestShortSide = shortSide;
+          bestLongSide = longSide;
+          best = {
+            x: rect.x,
+            y: rect.y,
+            width: orientation.width,
+            height: orientation.height,
+            rotated: orientation.rotated
+          };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Remove a placed piece from the free rectangles of a slab (maximal rectangles)
+   * @param {Object} slab - Slab being packed
+   * @param {Object} used - Area taken by the placed piece
+   * @private
+   */
+  splitFreeRects(slab, used) {
+    const freeRects = [];
+
+    slab.freeRects.forEach(rect => {
+      const overlaps = used.x < rect.x + rect.width && used.x + used.width > rect.x &&
+        used.y < rect.y + rect.height && used.y + used.height > rect.y;
+
+      if (!overlaps) {
+        freeRects.push(rect);
+        return;
+      }
+
+      if (used.x > rect.x) {
+        freeRects.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+      }
+      if (used.x + used.width < rect.x + rect.width) {
+        freeRects.push({
+          x: used.x + used.width,
+          y: rect.y,
+          width: rect.x + rect.width - (used.x + used.width),
+          height: rect.height
+        });
+      }
+      if (used.y > rect.y) {
+        freeRects.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+      }
+      if (used.y + used.height < rect.y + rect.height) {
+        freeRects.push({
+          x: rect.x,
+          y: used.y + used.height,
+          width: rect.width,
+          height: rect.y + rect.height - (used.y + used.height)
+        });
+      }
+    });
+
+    // Drop free rectangles fully contained in another one (keeping one of any duplicates)
+    slab.freeRects = freeRects.filter((rect, index) => {
+      return !freeRects.some((other, otherIndex) => {
+        if (otherIndex === index) {
+          return false;
+        }
+
+        const contained = rect.x >= other.x && rect.y >= other.y &&
+          rect.x + rect.width <= other.x + other.width &&
+          rect.y + rect.height <= other.y + other.height;
+        const identical = rect.x === other.x && rect.y === other.y &&
+          rect.width === other.width && rect.height === other.height;
+
+        return contained && (!identical || otherIndex < index);
+      });
+    });
+  }
+
+  /**
+   * Draw a slab placement diagram
+   * @param {CanvasRenderingContext2D} ctx - Canvas context to draw on
+   * @param {Object} slab - Slab from a nesting result
+   * @param {Object} [options] - Drawing options
+   * @param {number} [options.x] - Left position in canvas pixels
+   * @param {number} [options.y] - Top position in canvas pixels
+   * @param {number} [options.scale] - Canvas pixels per inch
+   */
+  drawSlab(ctx, slab, options = {}) {
+    const originX = options.x || 0;
+    const originY = options.y || 0;
+    const scale = options.scale || 4;
+    const fontSize = 12;
+
+    ctx.save();
+    ctx.translate(originX, originY);
+
+    // Slab outline
+    ctx.beginPath();
+    ctx.rect(0, 0, slab.width * scale, slab.height * scale);
+    ctx.fillStyle = '#f4f1ea';
+    ctx.fill();
+    ctx.strokeStyle = '#2c3e50';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.fillText(
+      `Slab ${slab.index + 1} (${slab.width}" x ${slab.height}") - ${slab.wastePercentage}% waste`,
+      0,
+      -fontSize / 2
+    );
+
+    // Placed pieces
+    slab.placements.forEach(placement => {
+      ctx.beginPath();
+      ctx.rect(placement.x * scale, placement.y * scale, placement.width * scale, placement.height * scale);
+      ctx.fillStyle = '#d1e0f3';
+      ctx.fill();
+      ctx.strokeStyle = '#2c3e50';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      ctx.fillStyle = '#2c3e50';
+      ctx.textAlign = 'center';
+      ctx.fillText(
+        `#${placement.shapeIndex + 1} ${placement.shapeType}${placement.rotated ? ' (rotated)' : ''}`,
+        (placement.x + placement.width / 2) * scale,
+        (placement.y + placement.height / 2) * scale
+      );
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw every slab of a nesting result stacked vertically
+   * @param {CanvasRenderingContext2D} ctx - Canvas context to draw on
+   * @param {Object} result - Nesting result from nest()
+   * @param {Object} [options] - Drawing options, see drawSlab()
+   * @param {number} [options.gap] - Vertical gap between slabs in canvas pixels
+   */
+  drawLayout(ctx, result, options = {}) {
+    const scale = options.scale || 4;
+    const gap = options.gap || 40;
+    let y = options.y || gap;
+
+    result.slabs.forEach(slab => {
+      this.drawSlab(ctx, slab, { ...options, y, scale });
+      y += slab.height * scale + gap;
+    });
+  }
+
+  /**
+   * Round a value to two decimals
+   * @param {number} value - The value to round
+   * @returns {number} - Rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export the module
+export {
+  SlabNestingOptimizer
+};